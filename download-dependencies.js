@@ -2,7 +2,9 @@
 
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { pipeline } from 'stream/promises';
+import { RNNOISE_MODELS } from './public/js/config.js';
 
 // --- Configuration ---
 // https://app.unpkg.com/@ffmpeg/ffmpeg@0.12.15
@@ -15,6 +17,10 @@ const TYPES_VERSION = "0.12.4";
 const VENDOR_DIR = path.join('public', 'js', 'vendor');
 const UNPKG_BASE_URL = 'https://unpkg.com';
 
+// The RNNoise models of the neural denoise (arnndn), committed to public/models/rnnoise.
+// Their hashes are declared in public/js/config.js.
+const RNNOISE_MODELS_DIR = path.join('public', 'models', 'rnnoise');
+
 const packagesToProcess = [
     { pkg: '@ffmpeg/ffmpeg', version: FFMPEG_VERSION, path: 'dist/' },
     { pkg: '@ffmpeg/core', version: CORE_VERSION, path: 'dist/' },
@@ -95,6 +101,30 @@ async function downloadFile(url, destPath) {
     await pipeline(response.body, fs.createWriteStream(destPath));
 }
 
+/**
+ * @param {string} filePath - The local path of the file.
+ * @returns {string} The SHA-256 of the file, as lowercase hex.
+ */
+function sha256Of(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Checks that an RNNoise model is in place and unchanged.
+ * @param {{file: string, sha256: string}} model - An entry of RNNOISE_MODELS.
+ */
+function verifyRnnoiseModel(model) {
+    const filePath = path.join(RNNOISE_MODELS_DIR, model.file);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`${filePath} is missing.`);
+    }
+    const hash = sha256Of(filePath);
+    if (hash !== model.sha256) {
+        throw new Error(`${filePath} has the SHA-256 ${hash}, expected ${model.sha256}.`);
+    }
+    console.log(`✔️  OK: ${filePath}`);
+}
+
 // --- Main Execution ---
 
 async function main() {
@@ -177,6 +207,18 @@ async function main() {
     }
 
     console.log('\n✅ Verification successful. All directories are in place.');
+
+    // --- Phase 4: Verify the RNNoise Models ---
+    console.log('\n--- Phase 4: Verifying the RNNoise Models ---');
+    try {
+        for (const model of Object.values(RNNOISE_MODELS)) {
+            verifyRnnoiseModel(model);
+        }
+    } catch (error) {
+        console.error(`\n❌ Verifying the RNNoise models failed: ${error.message}`);
+        process.exit(1);
+    }
+    console.log('\n✅ All RNNoise models are present.');
     console.log('\nAll dependencies are successfully downloaded and synced!');
 }
 
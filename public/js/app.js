@@ -3,19 +3,30 @@
  * application. This version is completely refactored to use the modern ESM
  * architecture, directly importing FFmpeg and orchestrating the worker pool.
  *
- * @version 6.1.0 (ESM Architecture, Corrected Imports)
+ * @version 6.5.0 (ESM Architecture, Corrected Imports)
  */
 
 // --- Modern ESM Imports ---
 // These are resolved by the importmap in index.html.
 import { FFmpeg } from './vendor/@ffmpeg/ffmpeg/dist/esm/index.js';
-import { fetchFile, toBlobURL } from './vendor/@ffmpeg/util/dist/esm/index.js'; // Corrected: fetchFile is from @ffmpeg/util
+import { toBlobURL } from './vendor/@ffmpeg/util/dist/esm/index.js';
 
 // --- Local Module Imports ---
 import { UI } from './src/ui/ui.js';
-import { runMasteringPipelineParallel } from './main.js';
+import { runMasteringPipelineParallel, retagMasteredFile, renderPreview, correctMasteredFile } from './main.js';
 import { WorkerPool } from './src/jobs/workerPool.js';
 import { LogStore } from './src/ffmpeg/logStore.js';
+import { BatchQueue } from './src/jobs/batchQueue.js';
+import { PreviewCache, previewCacheKey } from './src/jobs/previewCache.js';
+import { needsReview } from './src/jobs/main/verification.js';
+import { updateReportOutput } from './src/jobs/main/report.js';
+import { createZip } from './src/util/zip.js';
+import { saveMetadataDefaults } from './src/ui/metadataDefaults.js';
+import { listPresets, getPreset, saveUserPreset, deleteUserPreset } from './src/ui/masteringPresets.js';
+import { exportPreset, parsePreset } from './src/util/presetFormat.js';
+import { parseFFmpegFilters } from './src/ffmpeg/parse/filters.js';
+import { registerAvailableFilters } from './src/ffmpeg/filterGraph.js';
+import { createAbortError } from './src/ffmpeg/run.js';
 // import {FFMPEG_URL, CORE_URL, WASM_URL, WORKER_URL} from './config.js';
 // import {FFMPEG_URL, CORE_URL, WASM_URL, WORKER_URL} from './config.js';
 import { ABS_WORKER_URL, ABS_CORE_URL, ABS_WASM_URL, ABS_FFMPEG_URL } from './config.js';
@@ -37,6 +48,22 @@ class App {
         this.workerPool = null;
         this.isReady = false;
         this.logStore = new LogStore();
+        /** @type {BatchQueue} The files waiting to be mastered, processed one after another. */
+        this.queue = new BatchQueue((items) => this.ui.renderQueue(items));
+        /** @type {boolean} Whether the queue is currently being worked through. */
+        this.isProcessing = false;
+        /** @type {AbortController | null} Cancels the file that is currently being processed. */
+        this.abortController = null;
+        /** @type {number | null} The queue item whose result is shown in the output section. */
+        this.outputItemId = null;
+        /** @type {boolean} Whether an excerpt is being rendered; the queue waits for it to finish. */
+        this.isPreviewing = false;
+        /** @type {AbortController | null} Cancels the excerpt that is being rendered. */
+        this.previewController = null;
+        /** @type {PreviewCache} The excerpts rendered so far, by file, range and options. */
+        this.previewCache = new PreviewCache();
+        /** @type {Promise<void>} Settles once the last task queued for the main-thread FFmpeg instance is done. */
+        this.mainFFmpegTask = Promise.resolve();
     }
 
     /**
@@ -57,16 +84,16 @@ class App {
 
             this.ui.displayLoadingState('Loading FFmpeg Core...');
 
-            await this.ffmpeg.load({
-                coreURL: await toBlobURL(ABS_CORE_URL, 'text/javascript'),
-                wasmURL: await toBlobURL(ABS_WASM_URL, 'application/wasm'),
-                workerURL: await toBlobURL(ABS_WORKER_URL, 'text/javascript'),
-            });
+            await this.loadMainFFmpeg();
 
             this.ui.displayWorkerLoadingState('Creating Web Workers...');
             const workerScript = new URL('worker.js', import.meta.url).href
             console.log(workerScript)
-            this.workerPool = new WorkerPool(workerScript);
+            this.workerPool = new WorkerPool(workerScript, this.ui.getWorkerLimit(), {
+                onStatusChange: (status) => this.ui.updatePoolStatus(status),
+                onLog: (records) => this.logStore.appendRecords(records)
+            });
+            this.ui.updatePoolStatus(this.workerPool.getStatus());
 // 1:8080/js/vendor/@ffmpeg/ffmpeg/dist/esm/ffmpeg-core.js
             // Initialize the worker pool by sending the plain string URLs.
             await this.workerPool.initialize({
@@ -88,8 +115,40 @@ class App {
             this.logStore.clear();
             await this.ffmpeg.exec(['-filters']);
             this.ui.updateFilterList(this.logStore.get());
+            // The pipeline checks the filters it needs against this build before every run.
+            registerAvailableFilters(parseFFmpegFilters(this.logStore.get()).map(filter => filter.name));
 
-            this.ui.initializeEventListeners((file) => this.handleFileSelection(file));
+            this.ui.initializeEventListeners((files) => this.handleFilesSelected(files), {
+                onMove: (id, offset) => this.queue.move(id, offset),
+                onCancel: (id) => this.cancelQueueItem(id),
+                onCancelRunning: () => this.cancelRunning(),
+                onDownload: (id) => this.downloadQueueItem(id),
+                onCorrect: (id) => this.correctQueueItem(id),
+                onKeep: (id) => this.keepQueueItem(id),
+                onDownloadAll: () => this.downloadAll(),
+                onClearFinished: () => this.queue.clearFinished()
+            }, {
+                onFilterChange: (filter) => this.ui.renderLogs(this.logStore.getRecords(filter)),
+                onExport: (filter) => this.exportLogs(filter)
+            }, {
+                onApply: () => this.applyMetadata(),
+                onSaveDefaults: () => this.saveMetadataDefaults()
+            }, {
+                onOpenVisualizer: () => this.openVisualizer(),
+                onCorrect: () => this.correctQueueItem(this.outputItemId),
+                onKeep: () => this.keepQueueItem(this.outputItemId)
+            }, {
+                onRender: () => this.renderPreview(),
+                onCancel: () => this.previewController && this.previewController.abort(),
+                onSelect: () => this.syncPreviewState()
+            }, {
+                onSelect: (id) => this.applyPreset(id),
+                onSave: (name) => this.savePreset(name),
+                onDelete: (id) => this.deletePreset(id),
+                onExport: (name) => this.exportPreset(name),
+                onImport: (file) => this.importPreset(file)
+            });
+            this.ui.populateMasteringPresets(listPresets());
             this.ui.displayInitialState();
             console.log("Parallel application is fully ready.");
 
@@ -109,45 +168,534 @@ class App {
     }
 
     /**
-     * Handles the user's file selection and starts the mastering pipeline.
-     * @param {File} file - The audio file selected by the user.
+     * Loads the FFmpeg core into the main-thread instance. Also used to reload it after a
+     * cancelled command has terminated it.
      * @returns {Promise<void>}
      */
-    async handleFileSelection(file) {
+    async loadMainFFmpeg() {
+        await this.ffmpeg.load({
+            coreURL: await toBlobURL(ABS_CORE_URL, 'text/javascript'),
+            wasmURL: await toBlobURL(ABS_WASM_URL, 'application/wasm'),
+            workerURL: await toBlobURL(ABS_WORKER_URL, 'text/javascript'),
+        });
+    }
+
+    /**
+     * Adds the user's files to the queue and starts working through it.
+     * @param {File[]} files - The audio files selected or dropped by the user.
+     */
+    handleFilesSelected(files) {
         if (!this.isReady || !this.ffmpeg || !this.workerPool) {
             console.warn("FFmpeg or workers are not ready. Please wait for initialization to complete.");
             return;
         }
+        this.queue.add(files);
+        if (!this.ui.previewFile) {
+            this.ui.setPreviewFile(files[0]);
+        }
+        this.processQueue();
+    }
+
+    /**
+     * Masters the queued files one after another. Every file uses the shared WorkerPool,
+     * and its mastering options are read when it starts, so they can be changed in between.
+     * A file that throws (e.g. because FFmpeg could not be reloaded) fails, and the queue
+     * goes on with the next one.
+     * @returns {Promise<void>}
+     */
+    async processQueue() {
+        if (this.isProcessing || this.isPreviewing) return;
+        this.isProcessing = true;
+        this.syncPreviewState();
+        try {
+            let item;
+            while ((item = this.queue.next())) {
+                this.queue.update(item.id, { status: 'processing' });
+                const startTime = performance.now();
+                // The file can be cancelled while it waits for the instance, before the pipeline starts.
+                const abortController = new AbortController();
+                this.abortController = abortController;
+                let result;
+                try {
+                    result = await this.withMainFFmpeg(() => this.processFile(item.file, abortController.signal));
+                } catch (error) {
+                    console.error(`Mastering ${item.file.name} failed:`, error);
+                    result = { error, executionTime: performance.now() - startTime };
+                    this.ui.handleResult(result);
+                } finally {
+                    this.abortController = null;
+                }
+                const status = result.cancelled ? 'cancelled' : result.error ? 'failed' : 'done';
+                this.queue.update(item.id, { status, result });
+                if (status === 'done') {
+                    this.outputItemId = item.id;
+                    this.syncOutputBusy();
+                }
+            }
+        } finally {
+            this.isProcessing = false;
+            this.syncPreviewState();
+        }
+    }
+
+    /**
+     * Runs a task once the tasks queued before it on the main-thread FFmpeg instance are done.
+     * Mastering, previews, retagging and corrections all run commands on it, and it runs one
+     * command at a time.
+     * @template T
+     * @param {() => Promise<T>} task - The task that uses the instance.
+     * @returns {Promise<T>}
+     */
+    withMainFFmpeg(task) {
+        const run = this.mainFFmpegTask.then(task);
+        this.mainFFmpegTask = run.then(() => {}, () => {});
+        return run;
+    }
+
+    /**
+     * Disables the editor and verification buttons while the file in the output section is being
+     * retagged or corrected.
+     */
+    syncOutputBusy() {
+        const item = this.queue.get(this.outputItemId);
+        const busy = Boolean(item && item.busy);
+        this.ui.setMetadataBusy(busy);
+        this.ui.setVerificationBusy(busy);
+    }
+
+    /**
+     * Enables the preview controls that can be used right now. Excerpts share the main-thread
+     * FFmpeg instance and the workers with the queue, so only one of them runs at a time.
+     */
+    syncPreviewState() {
+        this.ui.setPreviewState(this.isPreviewing, this.isProcessing);
+    }
+
+    /**
+     * Masters the excerpt chosen in the preview controls with the current options, or plays it
+     * from the cache if it was rendered with the same options before. Files added to the queue
+     * meanwhile start once the excerpt is done.
+     * @returns {Promise<void>}
+     */
+    async renderPreview() {
+        const file = this.ui.previewFile;
+        if (!file || this.isPreviewing || this.isProcessing) return;
+        const options = this.ui.getMasteringOptions();
+        const range = this.ui.getPreviewRange();
+        const key = previewCacheKey(file, range, options);
+        const cached = this.previewCache.get(key);
+        if (cached) {
+            this.ui.showPreview(cached, true);
+            return;
+        }
+
+        this.isPreviewing = true;
+        this.syncPreviewState();
+        this.workerPool.setMaxSize(this.ui.getWorkerLimit());
+        this.previewController = new AbortController();
+
+        let message = '';
+        const onUpdate = (update) => {
+            if (update.type === 'stepProgress') {
+                this.ui.setPreviewStatus(`${message} ${Math.round(update.progress * 100)}%`);
+            } else if (update.progressMessage) {
+                message = update.progressMessage;
+                this.ui.setPreviewStatus(message);
+            } else if (update.command) {
+                this.ui.update(update);
+            }
+        };
+
+        try {
+            const result = await this.withMainFFmpeg(async () => {
+                const rendered = await renderPreview(
+                    this.ffmpeg,
+                    this.workerPool,
+                    file,
+                    options,
+                    range,
+                    { ui: this.ui, update: onUpdate },
+                    this.logStore,
+                    () => {},
+                    this.previewController.signal
+                );
+                // Cancelling a main-thread command terminates the instance; reload it for the next job.
+                if (!this.ffmpeg.loaded) {
+                    this.ui.setPreviewStatus('Reloading FFmpeg Core...');
+                    await this.loadMainFFmpeg();
+                }
+                return rendered;
+            });
+
+            if (result.cancelled) {
+                this.ui.setPreviewStatus('The preview was cancelled.');
+            } else if (result.error) {
+                this.ui.setPreviewStatus(`Rendering the preview failed: ${result.error.message.split('\n')[0]}`, true);
+            } else {
+                this.previewCache.set(key, result);
+                this.ui.showPreview(result, false);
+            }
+        } catch (error) {
+            console.error("Rendering the preview failed:", error);
+            this.ui.setPreviewStatus(`Rendering the preview failed: ${error.message.split('\n')[0]}`, true);
+        } finally {
+            this.previewController = null;
+            this.isPreviewing = false;
+            this.syncPreviewState();
+            this.processQueue();
+        }
+    }
+
+    /**
+     * Downloads the log records of the current job that pass the filter as a single text file.
+     * @param {import('./src/ffmpeg/logStore.js').LogFilter} filter - The filter selected in the console.
+     */
+    exportLogs(filter) {
+        const blob = new Blob([this.logStore.export(filter)], { type: 'text/plain' });
+        const base = this.ui.inputFilenameBase || 'mutter-to-butter';
+        this.ui.downloadBlob(blob, `${base}_ffmpeg.log`);
+    }
+
+    /**
+     * Writes the metadata from the editor into the file shown in the output section.
+     * @returns {Promise<void>}
+     */
+    async applyMetadata() {
+        const item = this.queue.get(this.outputItemId);
+        if (!item || !item.result || !item.result.audioBlob || item.busy) return;
+        const metadata = this.ui.getEditedMetadata();
+
+        this.queue.update(item.id, { busy: true });
+        this.syncOutputBusy();
+        this.ui.setMetadataStatus('Writing tags and chapters...');
+        try {
+            const audioBlob = await this.withMainFFmpeg(() =>
+                retagMasteredFile(this.ffmpeg, item.result.audioBlob, metadata, item.result.outputFormat, this.ui));
+            this.queue.update(item.id, { result: { ...item.result, audioBlob, metadata } });
+            if (item.id === this.outputItemId) {
+                this.ui.updateOutputAudio(audioBlob);
+                this.ui.showMetadata(metadata, item.result.audioDuration);
+                this.ui.setMetadataStatus('Tags and chapters applied.');
+            }
+        } catch (error) {
+            console.error("Writing the tags failed:", error);
+            if (item.id === this.outputItemId) {
+                this.ui.setMetadataStatus(`Writing the tags failed: ${error.message.split('\n')[0]}`, true);
+            }
+        } finally {
+            this.queue.update(item.id, { busy: false });
+            this.syncOutputBusy();
+        }
+    }
+
+    /**
+     * Applies the corrective gain and limiter to a file that failed verification. The tags and
+     * chapters are copied from the file, so edits made in the metadata editor are kept.
+     * @param {number} id - The id of the queue item.
+     * @returns {Promise<void>}
+     */
+    async correctQueueItem(id) {
+        const item = this.queue.get(id);
+        if (!item || !item.result || !needsReview(item.result.verification) || item.busy) return;
+        const { result } = item;
+
+        this.queue.update(item.id, { busy: true });
+        this.syncOutputBusy();
+        if (item.id === this.outputItemId) this.ui.setVerificationBusy(true, 'Correcting the loudness and true peak...');
+        try {
+            const corrected = await this.withMainFFmpeg(() =>
+                correctMasteredFile(this.ffmpeg, result.audioBlob, result.verification, result.loudnessTarget, {
+                    outputFormat: result.outputFormat.id,
+                    outputQuality: result.outputQuality
+                }, this.ui));
+            const updated = {
+                ...result,
+                audioBlob: corrected.audioBlob,
+                verification: corrected.verification,
+                envelopes: { ...result.envelopes, output: corrected.envelope },
+                report: result.report && updateReportOutput(result.report, corrected.envelope, corrected.verification)
+            };
+            this.queue.update(item.id, { result: updated });
+            if (item.id === this.outputItemId) {
+                this.ui.updateOutputAudio(updated.audioBlob);
+                this.ui.updateOutputLoudness(corrected.envelope);
+                this.ui.showReport(updated.report || null);
+                this.ui.showVerification(updated.verification);
+            }
+        } catch (error) {
+            console.error("Correcting the loudness failed:", error);
+            if (item.id === this.outputItemId) this.ui.setVerificationError(`Correcting the loudness failed: ${error.message.split('\n')[0]}`);
+        } finally {
+            this.queue.update(item.id, { busy: false });
+            this.syncOutputBusy();
+        }
+    }
+
+    /**
+     * Releases a file that failed verification for download as it is.
+     * @param {number} id - The id of the queue item.
+     */
+    keepQueueItem(id) {
+        const item = this.queue.get(id);
+        if (!item || !item.result || !needsReview(item.result.verification) || item.busy) return;
+        const verification = { ...item.result.verification, accepted: true };
+        const report = item.result.report && { ...item.result.report, verification };
+        this.queue.update(item.id, { result: { ...item.result, verification, report } });
+        if (item.id === this.outputItemId) {
+            this.ui.showReport(report || null);
+            this.ui.showVerification(verification);
+        }
+    }
+
+    /**
+     * Opens the file shown in the output section in the waveform visualizer (player.html). The
+     * visualizer asks for its data once it has loaded, and receives the original and mastered
+     * audio with their envelopes.
+     */
+    openVisualizer() {
+        const item = this.queue.get(this.outputItemId);
+        if (!item || !item.result || !item.result.audioBlob) return;
+        const playerWindow = window.open('player.html', '_blank');
+        if (!playerWindow) {
+            this.ui.setMetadataStatus('The visualizer could not be opened. Allow pop-ups for this page.', true);
+            return;
+        }
+
+        const envelopes = item.result.envelopes || { input: null, output: null };
+        const onMessage = (event) => {
+            if (event.source !== playerWindow || !event.data || event.data.type !== 'playerReady') return;
+            window.removeEventListener('message', onMessage);
+            playerWindow.postMessage({
+                type: 'playerData',
+                title: item.file.name,
+                tracks: [
+                    { id: 'output', label: 'Mastered', audio: item.result.audioBlob, envelope: envelopes.output },
+                    { id: 'input', label: 'Original', audio: item.file, envelope: envelopes.input }
+                ]
+            }, window.location.origin);
+        };
+        window.addEventListener('message', onMessage);
+    }
+
+    /**
+     * Saves the metadata from the editor as the defaults for the files mastered from now on.
+     */
+    saveMetadataDefaults() {
+        try {
+            const metadata = this.ui.getEditedMetadata();
+            const { savedCover } = saveMetadataDefaults(metadata);
+            const coverNote = metadata.coverArt && !savedCover ? ' The cover image is too large to be saved.' : '';
+            this.ui.setMetadataStatus(`Saved as defaults for new files.${coverNote}`);
+        } catch (error) {
+            console.error("Saving the metadata defaults failed:", error);
+            this.ui.setMetadataStatus(`Saving the defaults failed: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Sets the mastering options from a preset.
+     * @param {string} id - The id of the preset.
+     */
+    applyPreset(id) {
+        const preset = getPreset(id);
+        if (!preset) return;
+        this.ui.applyPresetSettings(preset.settings);
+        this.ui.setPresetStatus(`Applied "${preset.label}".`);
+    }
+
+    /**
+     * Saves the current mastering options as a preset.
+     * @param {string} name - The name of the preset; a saved preset of the same name is replaced.
+     */
+    savePreset(name) {
+        if (!name) {
+            this.ui.setPresetStatus('Enter a name for the preset.', true);
+            return;
+        }
+        try {
+            const id = saveUserPreset({ name, settings: this.ui.getPresetSettings() });
+            this.ui.populateMasteringPresets(listPresets(), id);
+            this.ui.setPresetStatus(`Saved "${name}".`);
+        } catch (error) {
+            console.error("Saving the preset failed:", error);
+            this.ui.setPresetStatus(`Saving the preset failed: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * @param {string} id - The id of a saved preset.
+     */
+    deletePreset(id) {
+        const preset = getPreset(id);
+        if (!preset || preset.builtIn) return;
+        deleteUserPreset(id);
+        this.ui.populateMasteringPresets(listPresets());
+        this.ui.setPresetStatus(`Deleted "${preset.label}".`);
+    }
+
+    /**
+     * Downloads the current mastering options as a preset file.
+     * @param {string} name - The name of the preset; a generic name is used if it is empty.
+     */
+    exportPreset(name) {
+        const presetName = name || 'Custom preset';
+        const filename = presetName.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'preset';
+        this.ui.downloadBlob(new Blob([exportPreset({ name: presetName, settings: this.ui.getPresetSettings() })], { type: 'application/json' }), `${filename}.preset.json`);
+    }
+
+    /**
+     * Imports a preset file, saves it and applies it.
+     * @param {File} file
+     * @returns {Promise<void>}
+     */
+    async importPreset(file) {
+        try {
+            const preset = parsePreset(await file.text());
+            const id = saveUserPreset(preset);
+            this.ui.populateMasteringPresets(listPresets(), id);
+            this.ui.applyPresetSettings(preset.settings);
+            this.ui.setPresetStatus(`Imported and applied "${preset.name}".`);
+        } catch (error) {
+            console.error("Importing the preset failed:", error);
+            this.ui.setPresetStatus(`Importing ${file.name} failed: ${error.message.replace(/\n/g, ' ')}`, true);
+        }
+    }
+
+    /**
+     * Cancels the file that is currently being processed. The queue moves on to the next file.
+     */
+    cancelRunning() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Removes a queued item from the queue, or cancels it if it is being processed.
+     * @param {number} id - The id of the queue item.
+     */
+    cancelQueueItem(id) {
+        const item = this.queue.get(id);
+        if (item && item.status === 'processing') {
+            this.cancelRunning();
+        } else {
+            this.queue.cancel(id);
+        }
+    }
+
+    /**
+     * Runs a single file through the mastering pipeline.
+     * @param {File} file - The audio file to master.
+     * @param {AbortSignal} signal - Cancels the pipeline; if it is already aborted, the file is not started.
+     * @returns {Promise<import('./main.js').PipelineResult>}
+     */
+    async processFile(file, signal) {
+        if (signal.aborted) {
+            return { error: createAbortError('Mastering was cancelled.'), cancelled: true, executionTime: 0 };
+        }
+        this.logStore.clearRecords();
         this.ui.displayProcessingState(file);
-        this.ui.initializeWorkerStatus(this.workerPool.poolSize);
+        this.workerPool.setMaxSize(this.ui.getWorkerLimit());
+        this.ui.initializeWorkerStatus(this.workerPool.maxSize);
 
         const masteringOptions = this.ui.getMasteringOptions();
-        const fileData = await fetchFile(file);
 
         const onUpdate = (update) => {
             if (update.type === 'duration') {
                 this.ui.updateDuration(update.duration);
-            } else if (!('logs' in update)) {
+            } else if (update.type === 'mediaInfo') {
+                this.ui.updateMediaInfo(update.mediaInfo, update.channelMapping);
+            } else if (update.type === 'stepProgress') {
+                this.ui.updateStepProgress(update);
+            } else {
                 this.ui.update(update);
             }
         };
 
-        const onProgress = ({ workerId, chunkIndex, message }) => {
-            this.ui.updateWorkerStatus(workerId, `Chunk ${chunkIndex}: ${message}`);
+        const onProgress = ({ workerId, chunkIndex, message, passProgress }) => {
+            this.ui.updateWorkerStatus(workerId, `Chunk ${chunkIndex}: ${message} ${Math.round(passProgress * 100)}%`);
         };
 
         // Note: We are no longer using the main-thread FFmpeg for the pipeline itself.
         const result = await runMasteringPipelineParallel(
             this.ffmpeg, // This is only used for `analyze` and `chunk` which are fast.
             this.workerPool,
-            fileData,
+            file, // Mounted with WORKERFS, so it is never copied into memory as a whole.
             masteringOptions,
             { ui: this.ui, update: onUpdate },
             this.logStore,
-            onProgress
+            onProgress,
+            signal
         );
 
+        // Cancelling a main-thread command terminates the instance; reload it for the next file.
+        if (!this.ffmpeg.loaded) {
+            this.ui.update({ subProgressMessage: 'Reloading FFmpeg Core...' });
+            await this.loadMainFFmpeg();
+        }
+
         this.ui.handleResult(result);
+        return result;
+    }
+
+    /**
+     * @param {import('./src/jobs/batchQueue.js').QueueItem} item - A finished queue item.
+     * @returns {string} The download filename of the item's mastered file.
+     */
+    getOutputFilename(item) {
+        const base = item.file.name.split('.').slice(0, -1).join('.') || item.file.name;
+        return `${base}_mastered.${item.result.outputFormat.extension}`;
+    }
+
+    /**
+     * Downloads the mastered file of a single queue item.
+     * @param {number} id - The id of the queue item.
+     */
+    downloadQueueItem(id) {
+        const item = this.queue.get(id);
+        if (item && item.result && item.result.audioBlob && !needsReview(item.result.verification)) {
+            this.ui.downloadBlob(item.result.audioBlob, this.getOutputFilename(item));
+        }
+    }
+
+    /**
+     * Downloads every finished file of the queue as a single ZIP archive. Files held for review
+     * of their loudness are left out, and named in the queue status.
+     * @returns {Promise<void>}
+     */
+    async downloadAll() {
+        const usedNames = new Set();
+        const entries = [];
+        const held = [];
+        for (const item of this.queue.completed()) {
+            if (needsReview(item.result.verification)) {
+                held.push(item.file.name);
+                continue;
+            }
+            // Files from different folders can share a name; number the duplicates.
+            let name = this.getOutputFilename(item);
+            for (let n = 2; usedNames.has(name); n++) {
+                name = this.getOutputFilename(item).replace(/(\.[^.]+)$/, ` (${n})$1`);
+            }
+            usedNames.add(name);
+            entries.push({ name, data: item.result.audioBlob });
+        }
+        const heldNote = held.length > 0
+            ? `${held.join(', ')} ${held.length === 1 ? 'misses' : 'miss'} the loudness target; correct or keep ${held.length === 1 ? 'it' : 'them'} to include ${held.length === 1 ? 'it' : 'them'}.`
+            : '';
+        if (entries.length === 0) {
+            this.ui.setQueueStatus(`Nothing to download. ${heldNote}`.trim(), true);
+            return;
+        }
+        let archive;
+        try {
+            archive = await createZip(entries);
+        } catch (error) {
+            this.ui.setQueueStatus(error.message, true);
+            return;
+        }
+        this.ui.downloadBlob(archive, `mastered_${new Date().toISOString().slice(0, 10)}.zip`);
+        this.ui.setQueueStatus(held.length > 0 ? `Left out of the archive: ${heldNote}` : '');
     }
 }
 
@@ -23,7 +23,61 @@ export const ABS_WORKER_URL = new URL(WORKER_URL, import.meta.url).href;
  */
 export const CHUNK_DURATION = 300;
 /**
- * @constant {string} The audio format/codec for the final output chunks.
+ * @constant {number} The pre-roll and post-roll (in seconds) each chunk shares with its neighbours.
+ * Stateful filters (noise reduction, de-esser, dynamic EQ, limiter, gate) settle during the
+ * overlap, which is trimmed off again when the chunks are assembled.
+ */
+export const CHUNK_OVERLAP = 5;
+/**
+ * @constant {number} The length (in seconds) of the crossfade centred on each chunk boundary.
+ * Must not exceed twice CHUNK_OVERLAP.
+ */
+export const CHUNK_CROSSFADE = 1;
+/**
+ * @constant {number} How many times a failed chunk job is retried, preferably on another worker,
+ * before it is reported as failed.
+ */
+export const CHUNK_MAX_RETRIES = 2;
+/**
+ * @constant {number} The delay (in milliseconds) before the first retry of a failed chunk job.
+ * The delay doubles with every further attempt.
+ */
+export const CHUNK_RETRY_DELAY_MS = 500;
+/**
+ * @constant {number} How many times the pool tries to start a replacement for a crashed worker
+ * before it gives up on that worker.
+ */
+export const WORKER_RESPAWN_ATTEMPTS = 3;
+/**
+ * @constant {string} The codec of the WAV files the input is decoded to: the sanitized audio, its
+ * chunks and the noise sample. 24 bits keep the resolution of 24-bit sources, in three quarters
+ * of the memory float would take for the whole file.
+ */
+export const SOURCE_PCM_CODEC = 'pcm_s24le';
+/**
+ * @constant {string} The codec of the WAV files the filters write: the normalized and mastered
+ * chunks. Float keeps their full resolution until the final encode, which is what a 24-bit WAV or
+ * FLAC output is made from, and levels above full scale between the passes.
+ */
+export const PROCESSED_PCM_CODEC = 'pcm_f32le';
+
+// --- Worker Pool Sizing ---
+/**
+ * @constant {number} The assumed memory footprint (in MB) of one worker: a full multi-threaded
+ * ffmpeg-core WASM instance plus the chunk it is working on. Used until the footprint has been
+ * measured, and on browsers that cannot measure it.
+ */
+export const WORKER_MEMORY_ESTIMATE_MB = 1024;
+/** @constant {number} The device memory (in GB) assumed when the browser does not report it. */
+export const DEFAULT_DEVICE_MEMORY_GB = 4;
+/** @constant {number} The fraction of the device memory the FFmpeg instances may use together. */
+export const POOL_MEMORY_FRACTION = 0.5;
+/** @constant {number} The number of workers the pool keeps alive even when idle. */
+export const MIN_POOL_SIZE = 1;
+/** @constant {number} How long (in milliseconds) an idle worker above MIN_POOL_SIZE lives before it is terminated. */
+export const WORKER_IDLE_TIMEOUT_MS = 60000;
+/**
+ * @constant {string} The default output format, as a key of OUTPUT_FORMATS.
  */
 export const OUTPUT_FORMAT = "mp3";
 /**
@@ -32,6 +86,198 @@ export const OUTPUT_FORMAT = "mp3";
  */
 export const OUTPUT_QUALITY = "-q:a 9";
 
+/**
+ * @typedef {object} OutputQuality
+ * @property {string} id - The identifier stored in MasteringOptions.outputQuality.
+ * @property {string} label - The human-readable label shown in the UI.
+ * @property {string[]} args - The encoder arguments for this quality level.
+ */
+
+/**
+ * @typedef {object} OutputFormat
+ * @property {string} label - The human-readable label shown in the UI.
+ * @property {string} extension - The file extension of the container, without a leading dot.
+ * @property {string} mimeType - The MIME type used for the output Blob.
+ * @property {string[]} codecArgs - The codec (and container) arguments common to every quality level.
+ * @property {string[]} muxerArgs - Container-specific arguments controlling how metadata is written.
+ * @property {string[]} metadataKeys - The tag keys the container can store.
+ * @property {number} maxChannels - The most channels the encoder accepts; wider audio is folded to stereo.
+ * @property {boolean} freeFormTags - Whether the container stores tags beyond metadataKeys, e.g. source tags such as 'composer'.
+ * @property {boolean} supportsCoverArt - Whether the container can embed a cover image.
+ * @property {boolean} supportsChapters - Whether the container can store chapter markers.
+ * @property {OutputQuality[]} qualities - The selectable quality levels.
+ * @property {string} defaultQuality - The id of the quality level selected by default.
+ */
+
+/**
+ * @constant {Object<string, OutputFormat>} The output formats the user can choose from.
+ * MP3 is written with ID3v2.3 (plus ID3v1 for legacy players), M4A with iTunes atoms,
+ * Opus and FLAC with Vorbis comments and WAV with a RIFF INFO chunk. Free-form keys such
+ * as 'loudness_target' are only listed for containers that can store them (ID3 TXXX frames
+ * and Vorbis comments). Cover art is an attached picture (ID3 APIC, the 'covr' atom or a FLAC
+ * PICTURE block); chapters are ID3 CHAP frames, QuickTime chapters or CHAPTERxx comments.
+ */
+export const OUTPUT_FORMATS = {
+    mp3: {
+        label: 'MP3',
+        extension: 'mp3',
+        mimeType: 'audio/mpeg',
+        codecArgs: ['-c:a', 'libmp3lame'],
+        muxerArgs: ['-id3v2_version', '3', '-write_id3v1', '1'],
+        metadataKeys: ['title', 'artist', 'album', 'album_artist', 'date', 'genre', 'comment', 'track', 'show', 'season_number', 'episode_id', 'description', 'loudness_target'],
+        maxChannels: 2,
+        freeFormTags: true,
+        supportsCoverArt: true,
+        supportsChapters: true,
+        qualities: [
+            { id: 'v0', label: 'VBR V0 (~245 kbps)', args: ['-q:a', '0'] },
+            { id: 'v2', label: 'VBR V2 (~190 kbps)', args: ['-q:a', '2'] },
+            { id: 'v5', label: 'VBR V5 (~130 kbps)', args: ['-q:a', '5'] },
+            { id: 'v9', label: 'VBR V9 (~65 kbps)', args: OUTPUT_QUALITY.split(' ') },
+            { id: '320k', label: 'CBR 320 kbps', args: ['-b:a', '320k'] },
+            { id: '192k', label: 'CBR 192 kbps', args: ['-b:a', '192k'] },
+            { id: '128k', label: 'CBR 128 kbps', args: ['-b:a', '128k'] },
+        ],
+        defaultQuality: 'v9',
+    },
+    m4a: {
+        label: 'AAC (M4A)',
+        extension: 'm4a',
+        mimeType: 'audio/mp4',
+        codecArgs: ['-c:a', 'aac'],
+        muxerArgs: ['-f', 'ipod', '-movflags', '+faststart'],
+        metadataKeys: ['title', 'artist', 'album', 'album_artist', 'date', 'genre', 'comment', 'track', 'show', 'season_number', 'episode_id', 'description'],
+        maxChannels: 8,
+        freeFormTags: false,
+        supportsCoverArt: true,
+        supportsChapters: true,
+        qualities: [
+            { id: '256k', label: '256 kbps', args: ['-b:a', '256k'] },
+            { id: '192k', label: '192 kbps', args: ['-b:a', '192k'] },
+            { id: '128k', label: '128 kbps', args: ['-b:a', '128k'] },
+            { id: '96k', label: '96 kbps', args: ['-b:a', '96k'] },
+        ],
+        defaultQuality: '128k',
+    },
+    opus: {
+        label: 'Opus',
+        extension: 'opus',
+        mimeType: 'audio/ogg; codecs=opus',
+        // libopus only accepts a fixed set of sample rates; 48 kHz is its native rate.
+        codecArgs: ['-c:a', 'libopus', '-vbr', 'on', '-ar', '48000'],
+        muxerArgs: ['-f', 'opus'],
+        metadataKeys: ['title', 'artist', 'album', 'album_artist', 'date', 'genre', 'comment', 'track', 'show', 'season_number', 'episode_id', 'description', 'loudness_target'],
+        maxChannels: 8,
+        freeFormTags: true,
+        supportsCoverArt: false,
+        supportsChapters: true,
+        qualities: [
+            { id: '160k', label: '160 kbps', args: ['-b:a', '160k'] },
+            { id: '128k', label: '128 kbps', args: ['-b:a', '128k'] },
+            { id: '96k', label: '96 kbps', args: ['-b:a', '96k'] },
+            { id: '64k', label: '64 kbps (speech)', args: ['-b:a', '64k'] },
+        ],
+        defaultQuality: '96k',
+    },
+    flac: {
+        label: 'FLAC (lossless)',
+        extension: 'flac',
+        mimeType: 'audio/flac',
+        // The mastered chunks are float (PROCESSED_PCM_CODEC), which the encoder writes with 24 bits.
+        codecArgs: ['-c:a', 'flac'],
+        muxerArgs: [],
+        metadataKeys: ['title', 'artist', 'album', 'album_artist', 'date', 'genre', 'comment', 'track', 'show', 'season_number', 'episode_id', 'description', 'loudness_target'],
+        maxChannels: 8,
+        freeFormTags: true,
+        supportsCoverArt: true,
+        supportsChapters: true,
+        qualities: [
+            { id: 'c5', label: 'Compression level 5', args: ['-compression_level', '5'] },
+            { id: 'c8', label: 'Compression level 8 (smallest)', args: ['-compression_level', '8'] },
+        ],
+        defaultQuality: 'c5',
+    },
+    wav: {
+        label: 'WAV (PCM)',
+        extension: 'wav',
+        mimeType: 'audio/wav',
+        codecArgs: [],
+        muxerArgs: [],
+        // The RIFF INFO chunk has no album artist field.
+        metadataKeys: ['title', 'artist', 'album', 'date', 'genre', 'comment', 'track'],
+        maxChannels: 8,
+        freeFormTags: false,
+        supportsCoverArt: false,
+        supportsChapters: false,
+        qualities: [
+            { id: 's16', label: '16-bit', args: ['-c:a', 'pcm_s16le'] },
+            { id: 's24', label: '24-bit', args: ['-c:a', 'pcm_s24le'] },
+        ],
+        defaultQuality: 's16',
+    },
+};
+
+/**
+ * @typedef {object} ChannelPolicy
+ * @property {string} label - The human-readable label shown in the UI.
+ * @property {string} description - What the policy does, shown as a hint.
+ */
+
+/**
+ * @constant {Object<string, ChannelPolicy>} How the channels of the input are mapped before mastering.
+ * Down- and upmixing use FFmpeg's standard matrices (e.g. centre and surrounds at -3 dB into stereo).
+ */
+export const CHANNEL_POLICIES = {
+    auto: { label: 'Automatic', description: 'Keeps mono and stereo, folds surround to stereo.' },
+    stereo: { label: 'Stereo', description: 'Folds surround down and spreads mono to both channels.' },
+    mono: { label: 'Mono', description: 'Mixes every channel down to one.' },
+    preserve: { label: 'Keep all channels', description: 'Masters every channel of the input, e.g. all six of a 5.1 mix.' },
+};
+/** @constant {string} The channel policy selected by default. */
+export const DEFAULT_CHANNEL_POLICY = 'auto';
+
+/**
+ * @constant {Object<string, {label: string}>} How the tags of the source file are combined with
+ * the metadata defaults the user saved in the editor. Chapters of the source are carried over in
+ * both modes, and so is its cover art unless a default cover was saved.
+ */
+export const METADATA_MODES = {
+    merge: { label: 'Keep source tags, override with saved defaults' },
+    override: { label: 'Replace source tags with saved defaults' },
+};
+/** @constant {string} The metadata mode selected by default. */
+export const DEFAULT_METADATA_MODE = 'merge';
+
+/**
+ * @typedef {object} MetadataField
+ * @property {string} key - The FFmpeg metadata key, e.g. 'title'. The podcast keys map to the iTunes
+ *  atoms tvsh, tvsn, tven and desc in M4A and to TXXX frames or Vorbis comments elsewhere.
+ * @property {string} label - The human-readable label shown in the editor.
+ * @property {'general'|'podcast'} group - The part of the editor the field is shown in.
+ * @property {'text'|'number'|'textarea'} type - The kind of input.
+ * @property {boolean} perEpisode - Whether the value differs from episode to episode, and is
+ *  therefore not saved with the defaults.
+ */
+
+/** @constant {MetadataField[]} The tags the metadata editor offers, in display order. */
+export const METADATA_FIELDS = [
+    { key: 'title', label: 'Title', group: 'general', type: 'text', perEpisode: true },
+    { key: 'artist', label: 'Artist', group: 'general', type: 'text', perEpisode: false },
+    { key: 'album', label: 'Album', group: 'general', type: 'text', perEpisode: false },
+    { key: 'track', label: 'Episode Number', group: 'general', type: 'number', perEpisode: true },
+    { key: 'date', label: 'Date', group: 'general', type: 'text', perEpisode: true },
+    { key: 'genre', label: 'Genre', group: 'general', type: 'text', perEpisode: false },
+    { key: 'comment', label: 'Comment', group: 'general', type: 'textarea', perEpisode: false },
+    { key: 'show', label: 'Show Name', group: 'podcast', type: 'text', perEpisode: false },
+    { key: 'season_number', label: 'Season', group: 'podcast', type: 'number', perEpisode: false },
+    { key: 'episode_id', label: 'Episode', group: 'podcast', type: 'text', perEpisode: true },
+    { key: 'description', label: 'Description', group: 'podcast', type: 'textarea', perEpisode: true },
+];
+/** @constant {string} The localStorage key under which the metadata defaults are saved. */
+export const METADATA_DEFAULTS_STORAGE_KEY = 'mutterToButter.metadataDefaults';
+/** @constant {number} The largest cover image (in bytes) saved with the defaults; localStorage holds about 5 MB. */
+export const MAX_SAVED_COVER_BYTES = 1024 * 1024;
+
 
 // --- Audio Mastering Parameters ---
 
@@ -43,8 +289,268 @@ export const TARGET_TRUE_PEAK_DBFS = -1.0;
 /** @constant {number} Loudness Range Target in LU. */
 export const TARGET_LOUDNESS_RANGE_LU = 11;
 
+/**
+ * @typedef {object} LoudnessPreset
+ * @property {string} label - The human-readable label shown in the UI.
+ * @property {number} I - Integrated loudness target in LUFS.
+ * @property {number} TP - Maximum true peak in dBFS.
+ * @property {number} LRA - Loudness range target in LU.
+ */
+
+/**
+ * @constant {Object<string, LoudnessPreset>} Named delivery targets the user can pick from.
+ * The 'custom' preset id is reserved for user-entered values.
+ */
+export const LOUDNESS_PRESETS = {
+    spotify: { label: 'Spotify / YouTube', I: TARGET_LOUDNESS_LUFS, TP: TARGET_TRUE_PEAK_DBFS, LRA: TARGET_LOUDNESS_RANGE_LU },
+    apple: { label: 'Apple Podcasts', I: -16, TP: -1.0, LRA: 11 },
+    ebuR128: { label: 'Broadcast (EBU R128)', I: -23, TP: -1.0, LRA: 15 },
+    atscA85: { label: 'Broadcast (ATSC A/85)', I: -24, TP: -2.0, LRA: 15 },
+};
+/** @constant {string} The loudness preset selected by default. */
+export const DEFAULT_LOUDNESS_PRESET = 'spotify';
+/**
+ * @constant {{I: number[], TP: number[], LRA: number[]}} The [min, max] ranges `loudnorm` accepts
+ * for custom targets.
+ */
+export const LOUDNESS_TARGET_RANGES = { I: [-70, -5], TP: [-9, 0], LRA: [1, 50] };
+/**
+ * @constant {{I: number, TP: number}} How far the mastered file may miss the target and still pass
+ * verification: the integrated loudness in LU either way, the true peak in dB above the maximum.
+ */
+export const VERIFICATION_TOLERANCE = { I: 1.0, TP: 0.1 };
+/** @constant {boolean} Whether a file that fails verification is corrected automatically, unless the user decides otherwise. */
+export const DEFAULT_AUTO_CORRECT = true;
+/**
+ * @constant {number} How far (in dB) below the true-peak maximum the corrective limiter's ceiling is set.
+ * The limiter works on samples, and peaks between them and from the lossy encoder come on top.
+ */
+export const CORRECTION_PEAK_MARGIN_DB = 0.5;
+
 // 2. Core Cleanup Filters
 /** @constant {number} Frequency for the high-pass filter to remove rumble (in Hz). */
 export const HIGH_PASS_FREQ_HZ = 80;
 /** @constant {number} Noise floor for the spectral noise reduction filter (afftdn) (in dBFS). */
-export const NOISE_FLOOR_DBFS = -25;
\ No newline at end of file
+export const NOISE_FLOOR_DBFS = -25;
+
+/**
+ * @typedef {object} ChainParameter
+ * @property {string} label - The human-readable label.
+ * @property {string} unit - The unit shown next to the value; empty if it has none.
+ * @property {number[]} range - The [min, max] values accepted.
+ * @property {number} step - The increment of the input in the advanced panel.
+ * @property {number} default - The value used unless a preset or the user sets another.
+ * @property {string} description - The tooltip of the input in the advanced panel.
+ */
+
+/**
+ * @typedef {object} ChainStage
+ * @property {string} label - The human-readable label of the stage.
+ * @property {string} group - The key of the MASTERING_CHAIN_GROUPS entry the stage is listed under.
+ * @property {string} description - The tooltip of the stage in the advanced panel.
+ * @property {string} [option] - The MasteringOptions toggle that switches the stage on, if it has one.
+ *  Such a stage is bypassed through its toggle; the others through the `bypass` flag of their chain values.
+ * @property {Object<string, ChainParameter>} params - The parameters of the stage, by key.
+ */
+
+/**
+ * @constant {Object<string, {label: string, description: string}>} The groups the stages are listed
+ * under in the advanced panel, in order.
+ */
+export const MASTERING_CHAIN_GROUPS = {
+    cleanup: { label: 'Cleanup', description: 'Applied before every loudness measurement, so the analysis hears what gets mastered.' },
+    dynamicEq: { label: 'Dynamic EQ', description: 'Bands that are boosted while their level stays below the threshold.' },
+    tone: { label: 'Tone', description: 'Static equalizer bands.' },
+    output: { label: 'Gate and Output', description: 'The last stages of every chunk.' },
+};
+
+/**
+ * @constant {Object<string, ChainStage>} The tunable parameters of the cleanup and mastering
+ * filters, by stage. The thresholds marked "above/below RMS" follow the RMS level each chunk
+ * is measured at in Pass 3. The defaults reproduce the original fixed chain.
+ */
+export const MASTERING_CHAIN_SCHEMA = {
+    highPass: { label: 'High-Pass Filter', group: 'cleanup', description: 'Removes rumble and handling noise below the cutoff.', params: {
+        frequency: { label: 'Frequency', unit: 'Hz', range: [20, 300], step: 5, default: HIGH_PASS_FREQ_HZ, description: 'The cutoff frequency. Raise it for boomy rooms or phone audio.' },
+    } },
+    denoise: { label: 'Noise Reduction', group: 'cleanup', description: 'Spectral noise reduction (afftdn) against steady hiss and hum.', params: {
+        noiseFloor: { label: 'Noise floor', unit: 'dBFS', range: [-80, -20], step: 1, default: NOISE_FLOOR_DBFS, description: 'The level of the noise to remove. Set it closer to the actual noise for stronger reduction.' },
+    } },
+    neuralDenoise: { label: 'Neural Denoise', group: 'cleanup', option: 'neuralDenoise', description: 'Speech denoising with an RNNoise model (arnndn), against noise that comes and goes, such as typing and traffic.', params: {
+        mix: { label: 'Mix', unit: '', range: [0, 1], step: 0.05, default: 1, description: 'How much of the denoised audio replaces the original; lower values blend the original back in.' },
+    } },
+    deesser: { label: 'De-Esser', group: 'cleanup', description: 'Tames harsh "s" and "sh" sounds.', params: {
+        intensity: { label: 'Intensity', unit: '', range: [0, 1], step: 0.05, default: 0, description: 'How strongly sibilance triggers the reduction; 0 leaves it inactive.' },
+        maxReduction: { label: 'Max reduction', unit: '', range: [0, 1], step: 0.05, default: 0.5, description: 'The largest reduction applied, as a fraction.' },
+        frequency: { label: 'Frequency', unit: '', range: [0, 1], step: 0.05, default: 0.5, description: 'Where the sibilance is detected, as a fraction of the spectrum; higher is brighter.' },
+    } },
+    demud: { label: 'De-Mud Band', group: 'dynamicEq', description: 'Fills in the low mids when they fall below the voice\'s average level.', params: {
+        frequency: { label: 'Frequency', unit: 'Hz', range: [100, 1000], step: 10, default: 350, description: 'The center of the band.' },
+        q: { label: 'Q', unit: '', range: [0.5, 10], step: 0.05, default: 1.75, description: 'The sharpness of the band; higher is narrower.' },
+        thresholdOffset: { label: 'Threshold above RMS', unit: 'dB', range: [-20, 20], step: 0.5, default: 3, description: 'The threshold, relative to the RMS level of the chunk.' },
+        makeup: { label: 'Makeup', unit: 'dB', range: [0, 10], step: 0.5, default: 2, description: 'The gain added to the band.' },
+        range: { label: 'Range', unit: 'dB', range: [0, 20], step: 0.5, default: 2, description: 'The most the band is changed by.' },
+    } },
+    sibilance: { label: 'Presence Band', group: 'dynamicEq', description: 'Lifts the presence range of the voice when it is dull.', params: {
+        frequency: { label: 'Frequency', unit: 'Hz', range: [2000, 12000], step: 100, default: 7000, description: 'The center of the band.' },
+        q: { label: 'Q', unit: '', range: [0.5, 10], step: 0.05, default: 3.5, description: 'The sharpness of the band; higher is narrower.' },
+        threshold: { label: 'Threshold', unit: 'dB', range: [0, 100], step: 1, default: 22, description: 'The threshold of the band\'s detector.' },
+        makeup: { label: 'Makeup', unit: 'dB', range: [0, 10], step: 0.5, default: 3, description: 'The gain added to the band.' },
+        range: { label: 'Range', unit: 'dB', range: [0, 20], step: 0.5, default: 3, description: 'The most the band is changed by.' },
+    } },
+    clarity: { label: 'Clarity Boost', group: 'tone', option: 'clarity', description: 'A high shelf that adds air and intelligibility.', params: {
+        frequency: { label: 'Frequency', unit: 'Hz', range: [2000, 16000], step: 100, default: 8000, description: 'The corner frequency of the shelf.' },
+        gain: { label: 'Gain', unit: 'dB', range: [-6, 12], step: 0.5, default: 3, description: 'The gain of the shelf.' },
+    } },
+    tonal: { label: 'Tonal EQ', group: 'tone', option: 'tonal', description: 'Three bell bands that add warmth and presence.', params: {
+        lowGain: { label: 'Low (92 Hz)', unit: 'dB', range: [-6, 6], step: 0.5, default: 1, description: 'The gain of the low band, for body.' },
+        lowMidGain: { label: 'Low mid (185 Hz)', unit: 'dB', range: [-6, 6], step: 0.5, default: 1, description: 'The gain of the low-mid band, for warmth.' },
+        presenceGain: { label: 'Presence (5.9 kHz)', unit: 'dB', range: [-6, 6], step: 0.5, default: 1.5, description: 'The gain of the presence band.' },
+    } },
+    gate: { label: 'Noise Gate', group: 'output', option: 'gate', description: 'Attenuates the audio between phrases.', params: {
+        thresholdOffset: { label: 'Threshold below RMS', unit: 'dB', range: [-40, -6], step: 1, default: -18, description: 'The threshold, relative to the RMS level of the chunk. Lower gates less.' },
+    } },
+    limiter: { label: 'Limiter', group: 'output', description: 'Catches the peaks the mastering bands add. The loudness correction keeps its own limiter when this one is bypassed.', params: {
+        ceiling: { label: 'Ceiling', unit: 'dBFS', range: [-6, 0], step: 0.1, default: -0.9, description: 'The highest sample level let through.' },
+    } },
+    softClip: { label: 'Soft Clip', group: 'output', option: 'softClip', description: 'Rounds off what gets past the limiter.', params: {
+        threshold: { label: 'Threshold', unit: '', range: [0.1, 1], step: 0.05, default: 1, description: 'Where the clipping starts, as a linear sample value.' },
+    } },
+};
+
+// --- Mastering Presets ---
+/**
+ * @typedef {object} PresetSettings
+ * @property {Partial<import('./src/ffmpeg/loudnessTarget.js').LoudnessTarget>} loudness - The loudness target.
+ * @property {{gate: boolean, clarity: boolean, tonal: boolean, softClip: boolean, neuralDenoise?: boolean}} stages - Which
+ *  optional stages are enabled. The neural denoise is off if it is missing, as in presets saved before it existed.
+ * @property {string} [neuralDenoiseModel] - The model of the neural denoise, as a key of RNNOISE_MODELS.
+ * @property {Object<string, Object<string, number | boolean>>} chain - Values for MASTERING_CHAIN_SCHEMA, and the
+ *  `bypass` flag of stages without a toggle; missing ones use the defaults.
+ * @property {string} outputFormat - A key of OUTPUT_FORMATS.
+ * @property {string} outputQuality - The id of one of the output format's quality levels.
+ */
+
+/**
+ * @constant {Object<string, {label: string, settings: PresetSettings}>} The presets that ship with
+ * the app. User presets are saved alongside them in localStorage.
+ */
+export const MASTERING_PRESETS = {
+    interviewNoisyRoom: {
+        label: 'Interview – noisy room',
+        settings: {
+            loudness: { preset: 'apple' },
+            stages: { gate: true, clarity: true, tonal: true, softClip: true },
+            chain: {
+                highPass: { frequency: 100 },
+                denoise: { noiseFloor: -35 },
+                deesser: { intensity: 0.3 },
+                gate: { thresholdOffset: -14 },
+            },
+            outputFormat: 'mp3',
+            outputQuality: 'v2',
+        },
+    },
+    soloMicTreated: {
+        label: 'Solo mic – treated',
+        settings: {
+            loudness: { preset: 'apple' },
+            stages: { gate: false, clarity: true, tonal: true, softClip: true },
+            chain: {
+                highPass: { frequency: 60 },
+                denoise: { noiseFloor: -50 },
+                demud: { makeup: 1, range: 1 },
+            },
+            outputFormat: 'mp3',
+            outputQuality: 'v2',
+        },
+    },
+    phoneCall: {
+        label: 'Phone call',
+        settings: {
+            loudness: { preset: 'spotify' },
+            stages: { gate: true, clarity: false, tonal: false, softClip: true },
+            chain: {
+                highPass: { frequency: 200 },
+                denoise: { noiseFloor: -30 },
+                sibilance: { frequency: 3000, makeup: 4, range: 4 },
+                limiter: { ceiling: -1.5 },
+            },
+            outputFormat: 'mp3',
+            outputQuality: 'v5',
+        },
+    },
+};
+/** @constant {string} The localStorage key under which the user presets are saved. */
+export const MASTERING_PRESETS_STORAGE_KEY = 'mutterToButter.masteringPresets';
+/** @constant {string} The identifier of exported preset files. */
+export const PRESET_FILE_FORMAT = 'mutter-to-butter-preset';
+/** @constant {number} The version of the preset file format. Files of a newer version are rejected when imported. */
+export const PRESET_FILE_VERSION = 1;
+// 3. Silence Detection and Dead-Air Trimming
+/**
+ * @constant {Object<string, {label: string}>} What is done with the pauses found in the mastered audio.
+ * 'compress' shortens every pause to the maximum pause length and trims leading and trailing silence.
+ */
+export const SILENCE_MODES = {
+    off: { label: 'Off' },
+    detect: { label: 'Report pauses only' },
+    compress: { label: 'Shorten pauses and trim edges' },
+};
+/** @constant {string} The silence mode selected by default. */
+export const DEFAULT_SILENCE_MODE = 'off';
+/** @constant {number} Audio below this level (in dBFS) counts as silence. The audio is at its loudness target when measured. */
+export const SILENCE_THRESHOLD_DB = -50;
+/** @constant {number} The shortest stretch of silence (in seconds) reported as a pause. */
+export const SILENCE_MIN_DURATION = 0.5;
+/** @constant {number} The length (in seconds) longer pauses are shortened to, unless the user sets another. */
+export const DEFAULT_MAX_PAUSE = 1.5;
+/** @constant {number[]} The [min, max] maximum pause length (in seconds) the user can set. */
+export const MAX_PAUSE_RANGE = [0.5, 10];
+/** @constant {number} The silence (in seconds) left before the first and after the last sound when the edges are trimmed. */
+export const SILENCE_EDGE_PADDING = 0.25;
+
+// 4. Learned Noise Profile
+/**
+ * @constant {Object<string, {label: string}>} Where the noise reduction (afftdn) gets the noise from.
+ * 'auto' and 'manual' let it learn the noise of the input from a noise-only sample, which takes the
+ * place of the fixed noise floor.
+ */
+export const NOISE_PROFILE_MODES = {
+    off: { label: 'Fixed noise floor' },
+    auto: { label: 'Learn from the quietest stretch' },
+    manual: { label: 'Learn from a marked region' },
+};
+/** @constant {string} The noise profile mode selected by default. */
+export const DEFAULT_NOISE_PROFILE_MODE = 'off';
+/** @constant {number} The length (in seconds) of the noise sample, unless the user marks another. */
+export const DEFAULT_NOISE_SAMPLE_DURATION = 1;
+/** @constant {number[]} The [min, max] length (in seconds) of a noise sample. */
+export const NOISE_SAMPLE_DURATION_RANGE = [0.3, 10];
+
+// 5. Neural Denoise
+/**
+ * @constant {string} The directory the RNNoise models are served from. The models are part of the
+ * repository (public/models/rnnoise), with their license in COPYING there.
+ */
+export const RNNOISE_MODELS_URL = `/models/rnnoise/`;
+export const ABS_RNNOISE_MODELS_URL = new URL(RNNOISE_MODELS_URL, import.meta.url).href;
+/**
+ * @constant {Object<string, {label: string, file: string, sha256: string}>} The models the neural denoise
+ * can use, with the SHA-256 download-dependencies.js checks the served files against. 'std' is the model
+ * RNNoise itself is built with, trained on general speech and noise. Another model is added by placing
+ * its .rnnn file next to it and declaring it here.
+ */
+export const RNNOISE_MODELS = {
+    std: { label: 'RNNoise (standard)', file: 'std.rnnn', sha256: '6b8943dc4a9b6b24425873992a44f29c0577503276456af46a8854774faeb294' },
+};
+/** @constant {string} The model selected by default, as a key of RNNOISE_MODELS. */
+export const DEFAULT_RNNOISE_MODEL = 'std';
+/** @constant {number} The only sample rate (in Hz) the RNNoise models work at; other audio is resampled around the stage. */
+export const RNNOISE_SAMPLE_RATE = 48000;
+
+// --- Excerpt Preview ---
+/** @constant {number[]} The excerpt lengths (in seconds) the user can preview. */
+export const PREVIEW_LENGTHS = [30, 45, 60];
+/** @constant {number} The excerpt length selected by default. */
+export const DEFAULT_PREVIEW_LENGTH = 30;
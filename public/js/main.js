@@ -1,15 +1,35 @@
 /**
  * @file This is the main orchestrator for the MutterToButter audio mastering pipeline.
- * This version uses a pool of Web Workers to process audio chunks in parallel and
- * has been refactored to use the centralized logging system.
+ * It probes and chunks the input, masters the chunks in parallel on a pool of Web Workers
+ * against one whole-file loudness plan, and assembles, verifies and tags the result. It also
+ * renders preview excerpts, and retags or corrects a mastered file afterwards.
  *
- * @version 3.0.0
+ * @version 3.1.1
  */
 
 import { sanitize } from './src/jobs/main/step0-sanitize.js';
 import { analyze } from './src/jobs/main/step1-analyze.js';
 import { chunk } from './src/jobs/main/step2-chunk.js';
 import { concatenate } from './src/jobs/main/step4-concatenate.js';
+import { mux } from './src/jobs/main/step5-mux.js';
+import { extractSourceMetadata, mergeMetadata } from './src/jobs/main/metadata.js';
+import { measureEnvelope } from './src/jobs/main/envelope.js';
+import { resolveNoiseProfileOptions, usesNoiseProfile, chooseNoiseRegion, learnNoiseProfile } from './src/jobs/main/noiseProfile.js';
+import { alignLoudnessStats, combineLoudnessStats, planLoudness } from './src/jobs/main/loudnessPlan.js';
+import { renderFallbackChunk } from './src/jobs/main/chunkFallback.js';
+import { alignSilenceRegions, combineSilenceRegions, planSilence, resolveSilenceOptions, mapSilenceChapters } from './src/jobs/main/silencePlan.js';
+import { getOutputFormat } from './src/ffmpeg/formats.js';
+import { probeMedia, getPrimaryAudioStream } from './src/ffmpeg/probe.js';
+import { resolveChannelMapping } from './src/ffmpeg/channelLayout.js';
+import { getLoudnessTarget, describeLoudnessTarget } from './src/ffmpeg/loudnessTarget.js';
+import { getMasteringChain, buildCleanupFilters, buildMasteringFilters } from './src/ffmpeg/masteringChain.js';
+import { assertFiltersAvailable } from './src/ffmpeg/filterGraph.js';
+import { resolveRnnoiseModel, loadRnnoiseModel } from './src/ffmpeg/rnnoiseModels.js';
+import { createAbortError, isAbortError } from './src/ffmpeg/run.js';
+import { parseProgressTime } from './src/ffmpeg/parse/progress.js';
+import { ProgressTracker } from './src/jobs/progressTracker.js';
+import { buildMasteringReport } from './src/jobs/main/report.js';
+import { verifyLoudness, correctLoudness } from './src/jobs/main/verification.js';
 
 /**
  * @typedef {import('./src/jobs/main/step3-process-chunks.js').MasteringOptions} MasteringOptions
@@ -19,16 +39,63 @@ import { concatenate } from './src/jobs/main/step4-concatenate.js';
  * @typedef {import('./app.js').UI} UI
  * @typedef {import('./main.js').FFmpeg} FFmpeg
  * @typedef {import('./src/jobs/workerPool.js').JobProgress} JobProgress
+ * @typedef {import('./config.js').OutputFormat} OutputFormat
+ * @typedef {import('./src/ffmpeg/loudnessTarget.js').LoudnessTarget} LoudnessTarget
+ * @typedef {import('./src/jobs/main/loudnessPlan.js').LoudnessPlan} LoudnessPlan
+ * @typedef {import('./src/jobs/progressTracker.js').StepProgress} StepProgress
+ * @typedef {import('./src/ffmpeg/parse/mediaInfo.js').MediaInfo} MediaInfo
+ * @typedef {import('./src/ffmpeg/channelLayout.js').ChannelMapping} ChannelMapping
+ * @typedef {import('./src/jobs/main/metadata.js').FileMetadata} FileMetadata
+ * @typedef {import('./src/jobs/main/silencePlan.js').SilencePlan} SilencePlan
+ * @typedef {import('./src/ffmpeg/parse/envelope.js').Envelope} Envelope
+ * @typedef {import('./src/jobs/main/report.js').MasteringReport} MasteringReport
+ * @typedef {import('./src/jobs/main/verification.js').Verification} Verification
+ * @typedef {import('./src/jobs/main/noiseProfile.js').NoiseProfile} NoiseProfile
+ * @typedef {import('./src/jobs/main/noiseProfile.js').LearnedNoiseProfile} LearnedNoiseProfile
  */
 
 /**
  * @typedef {object} PipelineResult
  * @property {Blob} [audioBlob] - The final mastered audio file as a Blob.
- * @property {number} [audioDuration] - The duration of the audio in seconds.
+ * @property {number} [audioDuration] - The duration of the mastered audio in seconds, after pauses were shortened.
+ * @property {OutputFormat & {id: string}} [outputFormat] - The format the audio was encoded to.
+ * @property {string} [outputQuality] - The id of the quality level the audio was encoded with.
+ * @property {LoudnessTarget} [loudnessTarget] - The loudness target the audio was normalized to.
+ * @property {LoudnessPlan} [loudnessPlan] - The whole-file measurement and the gain/limiter plan applied to every chunk.
+ * @property {MediaInfo} [mediaInfo] - The probed description of the input file.
+ * @property {ChannelMapping} [channelMapping] - How the input channels were mapped for mastering.
+ * @property {FileMetadata} [metadata] - The tags, chapters and cover art written to the mastered file.
+ * @property {SilencePlan} [silence] - The pauses found and the cuts made, if silence detection was enabled.
+ * @property {{input: Envelope | null, output: Envelope | null}} [envelopes] - The level envelopes of the
+ *  sanitized input and the mastered file, for the waveform visualizer; null if one could not be measured.
+ * @property {MasteringReport} [report] - The levels of the input and the output, and what was applied to every chunk.
+ * @property {Verification} [verification] - Whether the delivered file meets the loudness target.
+ * @property {NoiseProfile} [noiseProfile] - The noise sample the noise reduction learned from, if a profile was learned.
  * @property {number} executionTime - The total time taken for the pipeline to run, in milliseconds.
  * @property {Error} [error] - An error object if the pipeline failed.
+ * @property {boolean} [cancelled] - True if the pipeline was cancelled through its AbortSignal.
+ * @property {string[]} [warnings] - Problems that did not stop the pipeline, such as chunks that fell back to unmastered audio.
  */
 
+/** The filters of the steps and passes whose chain does not depend on the options. */
+const PIPELINE_FILTERS = ['aformat', 'atrim', 'asetpts', 'acrossfade', 'ebur128', 'astats', 'ametadata', 'volume', 'alimiter'];
+
+/**
+ * @param {MasteringOptions} options - The resolved mastering options.
+ * @returns {string[]} The names of the filters a run with these options applies.
+ */
+function listPipelineFilters(options) {
+    const names = [
+        ...PIPELINE_FILTERS,
+        // At a sample rate the models do not work at, so the resampling around the neural denoise is listed.
+        ...buildCleanupFilters('stereo', 44100, options).map(node => node.name),
+        ...buildMasteringFilters(0, options).map(node => node.name)
+    ];
+    if (options.silence.mode !== 'off') names.push('silencedetect', 'asetnsamples', 'aselect');
+    if (usesNoiseProfile(options)) names.push('concat', 'asendcmd');
+    return names;
+}
+
 /**
  * Executes the full audio mastering pipeline using a pre-initialized pool of Web Workers.
  *
@@ -39,16 +106,56 @@ import { concatenate } from './src/jobs/main/step4-concatenate.js';
  * @param {{ui: UI, update: onUpdate}} updateUI - The UI update callback function.
  * @param {LogStore} logStore - The central log store.
  * @param {JobProgress} onProgress - Callback for real-time progress updates from workers.
+ * @param {AbortSignal} [signal] - Cancels the pipeline when aborted. If a main-thread command was
+ * running, `ffmpeg` is terminated and must be loaded again before it is reused.
  * @returns {Promise<PipelineResult>} The result of the pipeline execution.
  */
-export async function runMasteringPipelineParallel(ffmpeg, workerPool, file, options, updateUI, logStore, onProgress) {
+export async function runMasteringPipelineParallel(ffmpeg, workerPool, file, options, updateUI, logStore, onProgress, signal) {
     const overallStartTime = performance.now();
     let audioDuration = 0;
     const cleanupPaths = [];
     const workingDirectory = '/work';
     const ui = updateUI.ui; // Get the UI instance from the updateUI object
+    const update = updateUI.update;
+    const warnings = [];
+    let mediaInfo = null;
+    let channelMapping = null;
+    const outputFormat = getOutputFormat(options.outputFormat);
+    const loudnessTarget = getLoudnessTarget(options.loudness);
+    // Resolve the target and the chain once so every worker pass receives the same, validated values.
+    // The metadata (which may include a cover image) is only needed on the main thread.
+    const { metadata: metadataOptions, ...workerOptions } = {
+        ...options,
+        loudness: loudnessTarget,
+        chain: getMasteringChain(options.chain),
+        silence: resolveSilenceOptions(options.silence),
+        noiseProfile: resolveNoiseProfileOptions(options.noiseProfile),
+        neuralDenoise: Boolean(options.neuralDenoise),
+        neuralDenoiseModel: resolveRnnoiseModel(options.neuralDenoiseModel)
+    };
+    options = workerOptions;
+
+    // The main-thread commands report their position in the log; the duration of the audio
+    // they process turns it into a percentage.
+    let mainCommand = null;
+    const onMainLog = ({ message }) => {
+        const time = parseProgressTime(message);
+        if (time === null || !mainCommand) return;
+        const elapsed = (performance.now() - mainCommand.startTime) / 1000;
+        const speed = elapsed > 0 ? time / elapsed : null;
+        update({
+            type: 'stepProgress',
+            progress: Math.min(1, time / mainCommand.duration),
+            speed,
+            eta: speed ? Math.max(0, mainCommand.duration - time) / speed : null
+        });
+    };
+    ffmpeg.on('log', onMainLog);
 
     const cleanup = async () => {
+        ffmpeg.off('log', onMainLog);
+        // A cancelled command terminates the instance, which discards its whole filesystem.
+        if (!ffmpeg.loaded) return;
         for (const path of cleanupPaths) {
             try { await ffmpeg.deleteFile(path); } catch (e) { /* ignore */ }
         }
@@ -56,82 +163,563 @@ export async function runMasteringPipelineParallel(ffmpeg, workerPool, file, opt
     };
 
     try {
-        await ffmpeg.createDir(workingDirectory);
+        assertFiltersAvailable(listPipelineFilters(options));
+        // Loaded before anything is decoded, so a missing model fails the run at once.
+        if (options.neuralDenoise) await loadRnnoiseModel(ffmpeg, options.neuralDenoiseModel);
+        try {
+            await ffmpeg.createDir(workingDirectory);
+        } catch (e) { /* The directory already exists from a previous run. */ }
         await ffmpeg.mount('WORKERFS', { files: [file] }, workingDirectory);
         const inputPath = `${workingDirectory}/${file.name}`;
         cleanupPaths.push(inputPath);
 
         // --- CORRECTION START ---
         // All calls to pipeline steps now pass the correct parameters.
-        updateUI({ progressMessage: 'Step 1/5: Sanitizing Audio...', progressStep: { current: 1, total: 5 } });
-        const sanitizedAudioFile = await sanitize(ffmpeg, inputPath, workingDirectory, ui);
+        update({ progressMessage: 'Step 1/6: Probing and Sanitizing Audio...', progressStep: { current: 1, total: 6 } });
+        mediaInfo = await probeMedia(ffmpeg, inputPath, ui, logStore, signal);
+        const inputStream = getPrimaryAudioStream(mediaInfo);
+        channelMapping = resolveChannelMapping(inputStream, options.channelPolicy, outputFormat);
+        if (channelMapping.warning) warnings.push(channelMapping.warning);
+        update({ type: 'mediaInfo', mediaInfo, channelMapping });
+
+        // Missing metadata is not worth failing the file for; the audio is what matters.
+        let sourceMetadata = null;
+        try {
+            sourceMetadata = await extractSourceMetadata(ffmpeg, inputPath, mediaInfo, workingDirectory, ui, signal);
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.error("Reading the source metadata failed:", error);
+            warnings.push(`The tags, cover art and chapters of the source file could not be read: ${error.message}`);
+        }
+
+        mainCommand = { duration: mediaInfo.duration, startTime: performance.now() };
+        const sanitizedAudioFile = await sanitize(ffmpeg, inputPath, workingDirectory, channelMapping.channelLayout, null, ui, signal);
+        mainCommand = null;
         cleanupPaths.push(sanitizedAudioFile);
 
-        updateUI({ progressMessage: 'Step 2/5: Analyzing Audio...', progressStep: { current: 2, total: 5 } });
-        const { duration, channelLayout } = await analyze(ffmpeg, sanitizedAudioFile, ui, logStore);
+        update({ progressMessage: 'Step 2/6: Analyzing Audio...', progressStep: { current: 2, total: 6 } });
+        const { duration, sampleRate, channelLayout } = await analyze(ffmpeg, sanitizedAudioFile, ui, logStore, signal);
         audioDuration = duration;
-        updateUI({ type: 'duration', duration: audioDuration });
+        update({ type: 'duration', duration: audioDuration });
+
+        const envelopes = { input: null, output: null };
+        update({ subProgressMessage: 'Step 2/6: Measuring the Input Waveform...' });
+        mainCommand = { duration: audioDuration, startTime: performance.now() };
+        envelopes.input = await measureEnvelopeSafely(ffmpeg, sanitizedAudioFile, 'input', workingDirectory, ui, warnings, signal);
+        mainCommand = null;
 
-        updateUI({ progressMessage: 'Step 3/5: Chunking Audio...', progressStep: { current: 3, total: 5 } });
-        const chunkFiles = await chunk(ffmpeg, sanitizedAudioFile, workingDirectory, ui);
-        cleanupPaths.push(...chunkFiles);
+        let noise = null;
+        if (usesNoiseProfile(options)) {
+            update({ subProgressMessage: 'Step 2/6: Learning the Noise Profile...' });
+            noise = await learnNoiseProfileSafely(ffmpeg, sanitizedAudioFile, envelopes.input, duration, sampleRate, channelLayout, options, workingDirectory, ui, warnings, signal);
+            if (noise) cleanupPaths.push(noise.sample.path);
+        }
+
+        update({ progressMessage: 'Step 3/6: Chunking Audio...', progressStep: { current: 3, total: 6 } });
+        const chunks = await chunk(ffmpeg, sanitizedAudioFile, duration, sampleRate, workingDirectory, ui, signal);
+        cleanupPaths.push(...chunks.map(c => c.path));
         // --- CORRECTION END ---
 
-        updateUI({ progressMessage: `Step 4/5: Mastering ${chunkFiles.length} Chunks (in parallel)...`, progressStep: { current: 4, total: 5 } });
-        const processingPromises = chunkFiles.map(async (chunkFilename, index) => {
-            const chunkData = await ffmpeg.readFile(chunkFilename);
-            return workerPool.dispatch(
-                {
-                    chunkIndex: index,
-                    chunkData: chunkData,
-                    channelLayout: channelLayout,
-                    masteringOptions: options
-                },
-                [chunkData.buffer],
-                onProgress
-            );
+        const jobContext = { ffmpeg, workerPool, chunks, channelLayout, options, noise, update, onProgress, signal };
+
+        update({ progressMessage: `Step 4/6: Measuring Loudness of ${chunks.length} Chunks (in parallel)...`, progressStep: { current: 4, total: 6 } });
+        const analysisResults = await dispatchChunks(jobContext, { command: 'analyze' });
+        if (signal && signal.aborted) throw createAbortError();
+
+        // A chunk that could not be measured is left out; the others still describe the file.
+        const chunkStats = [];
+        const reportedChunkStats = chunks.map(() => null);
+        analysisResults.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                reportedChunkStats[index] = alignLoudnessStats(result.value.loudnessStats, chunks[index]);
+                chunkStats.push(reportedChunkStats[index]);
+            } else {
+                console.error(`Loudness analysis of chunk ${index} failed:`, result.reason);
+                warnings.push(`Chunk ${index} could not be measured and was left out of the loudness measurement: ${result.reason.message}`);
+            }
         });
+        if (chunkStats.length === 0) {
+            throw analysisResults[0].reason;
+        }
+        const loudnessMeasurement = combineLoudnessStats(chunkStats);
+        const loudnessPlan = planLoudness(loudnessMeasurement, loudnessTarget);
+        console.log("Whole-file loudness plan:", loudnessPlan);
 
-        const processedResults = await Promise.all(processingPromises);
+        update({ progressMessage: `Step 5/6: Mastering ${chunks.length} Chunks (in parallel)...`, progressStep: { current: 5, total: 6 } });
+        const processedResults = await dispatchChunks(jobContext, { command: 'process', loudnessPlan: loudnessPlan });
+        if (signal && signal.aborted) throw createAbortError();
 
         const processedFiles = [];
-        for (const result of processedResults) {
-            const processedFilename = `${workingDirectory}/processed_${String(result.chunkIndex).padStart(4, '0')}.mp3`;
-            await ffmpeg.writeFile(processedFilename, result.processedData);
-            processedFiles.push(processedFilename);
+        const chunkSilenceRegions = [];
+        const reportedChunkResults = chunks.map(() => null);
+        for (const [index, result] of processedResults.entries()) {
+            if (result.status === 'rejected') {
+                console.error(`Mastering of chunk ${index} failed, rendering it without mastering:`, result.reason);
+                warnings.push(`Chunk ${index} could not be mastered and was only loudness-normalized: ${result.reason.message}`);
+                if (options.silence.mode !== 'off') {
+                    warnings.push(`The pauses in chunk ${index} were not detected and were left as they are.`);
+                }
+                const fallbackFile = await renderFallbackChunk(ffmpeg, chunks[index], channelLayout, loudnessPlan, options, noise && noise.sample, workingDirectory, ui, signal);
+                processedFiles[index] = fallbackFile;
+                cleanupPaths.push(fallbackFile);
+                continue;
+            }
+            const processedFilename = `${workingDirectory}/processed_${String(index).padStart(4, '0')}.wav`;
+            await ffmpeg.writeFile(processedFilename, result.value.processedData);
+            processedFiles[index] = processedFilename;
             cleanupPaths.push(processedFilename);
+            reportedChunkResults[index] = { rmsLevel: result.value.rmsLevel, filters: result.value.filters };
+            if (result.value.silenceRegions) {
+                chunkSilenceRegions.push(alignSilenceRegions(result.value.silenceRegions, chunks[index]));
+            }
         }
-        processedFiles.sort();
+
+        let silencePlan = null;
+        if (options.silence.mode !== 'off') {
+            silencePlan = planSilence(combineSilenceRegions(chunkSilenceRegions), duration, sampleRate, options.silence);
+            console.log("Silence plan:", silencePlan);
+        }
+        const masteredDuration = audioDuration - (silencePlan ? silencePlan.removedDuration : 0);
 
         // --- CORRECTION START ---
-        updateUI({ progressMessage: 'Step 5/5: Assembling Final File...', progressStep: { current: 5, total: 5 } });
-        const metadata = {
+        update({ progressMessage: 'Step 6/6: Assembling Final File...', progressStep: { current: 6, total: 6 } });
+        mainCommand = { duration: masteredDuration, startTime: performance.now() };
+        const assembledFile = await concatenate(ffmpeg, chunks, processedFiles, silencePlan, options, workingDirectory, ui, signal);
+        mainCommand = null;
+        cleanupPaths.push(assembledFile);
+
+        update({ subProgressMessage: 'Step 6/6: Writing Tags, Cover Art and Chapters...' });
+        const metadata = mergeMetadata(sourceMetadata, metadataOptions, {
             title: `${file.name.split('.').slice(0, -1).join('.')} (Mastered)`,
             artist: 'MutterToButter WASM',
+            album_artist: 'MutterToButter WASM',
             album: new Date().toLocaleDateString(),
             date: new Date().getFullYear().toString(),
-            comment: `Processed in parallel with MutterToButter WASM.`
-        };
-        const finalAudioFile = await concatenate(ffmpeg, processedFiles, metadata, workingDirectory, ui);
-        cleanupPaths.push(finalAudioFile, `${workingDirectory}/concat_list.txt`);
+            genre: 'Podcast',
+            comment: `Processed in parallel with MutterToButter WASM. Loudness target: ${describeLoudnessTarget(loudnessTarget)}.`
+        });
+        // The loudness target describes this master, so it replaces the one of a previous master.
+        metadata.tags.loudness_target = describeLoudnessTarget(loudnessTarget);
+        if (silencePlan) {
+            metadata.chapters = mapSilenceChapters(metadata.chapters, silencePlan.cuts);
+        }
+        let finalAudioFile = await mux(ffmpeg, assembledFile, metadata, outputFormat.id, workingDirectory, ui, signal);
+        cleanupPaths.push(finalAudioFile);
         // --- CORRECTION END ---
 
+        update({ subProgressMessage: 'Step 6/6: Measuring the Output Waveform...' });
+        mainCommand = { duration: masteredDuration, startTime: performance.now() };
+        envelopes.output = await measureEnvelopeSafely(ffmpeg, finalAudioFile, 'output', workingDirectory, ui, warnings, signal);
+        mainCommand = null;
+
+        // The envelope is an ebur128 measurement of the delivered file, with true peaks.
+        let verification = verifyLoudness(envelopes.output, loudnessTarget);
+        if (verification.status === 'failed' && options.autoCorrect) {
+            update({ subProgressMessage: 'Step 6/6: Correcting Loudness...' });
+            mainCommand = { duration: masteredDuration, startTime: performance.now() };
+            finalAudioFile = await correctLoudness(ffmpeg, finalAudioFile, verification, options, workingDirectory, ui, signal);
+            cleanupPaths.push(finalAudioFile);
+            update({ subProgressMessage: 'Step 6/6: Verifying the Corrected File...' });
+            mainCommand = { duration: masteredDuration, startTime: performance.now() };
+            envelopes.output = await measureEnvelopeSafely(ffmpeg, finalAudioFile, 'output', workingDirectory, ui, warnings, signal);
+            mainCommand = null;
+            verification = verifyLoudness(envelopes.output, loudnessTarget, true);
+        }
+        if (verification.status === 'failed') {
+            warnings.push(`The mastered file does not meet the loudness target${verification.corrected ? ', even after correction' : ''}: ${verification.failures.join(' ')}`);
+        }
+        warnings.push(...verification.notes);
+
         const data = await ffmpeg.readFile(finalAudioFile);
-        const audioBlob = new Blob([data.buffer], { type: 'audio/mpeg' });
+        const audioBlob = new Blob([data.buffer], { type: outputFormat.mimeType });
+        const report = buildMasteringReport({
+            file,
+            inputDuration: audioDuration,
+            outputDuration: masteredDuration,
+            options,
+            outputFormat,
+            loudnessPlan,
+            chunks,
+            chunkStats: reportedChunkStats,
+            chunkResults: reportedChunkResults,
+            envelopes,
+            silencePlan,
+            verification,
+            noiseProfile: noise && noise.profile,
+            warnings,
+            executionTime: performance.now() - overallStartTime
+        });
 
         await cleanup();
         return {
             audioBlob,
-            audioDuration,
+            audioDuration: masteredDuration,
+            outputFormat,
+            outputQuality: options.outputQuality,
+            loudnessTarget,
+            loudnessPlan,
+            mediaInfo,
+            channelMapping,
+            metadata,
+            silence: silencePlan || undefined,
+            envelopes,
+            report,
+            verification,
+            noiseProfile: noise ? noise.profile : undefined,
+            warnings,
             executionTime: performance.now() - overallStartTime
         };
 
     } catch (error) {
+        // Jobs that were still running when the signal fired may fail in other ways (e.g. a
+        // terminated instance), so the signal decides whether this was a cancellation.
+        if (isAbortError(error) || (signal && signal.aborted)) {
+            console.log("Mastering pipeline cancelled.");
+            await cleanup();
+            return { error: createAbortError('Mastering was cancelled.'), cancelled: true, executionTime: performance.now() - overallStartTime };
+        }
         console.error("Caught error during parallel pipeline execution:", error);
         if (workerPool && workerPool.workerState && workerPool.workerState.size > 0) {
-            console.error("State of workers at time of error:", Object.fromEntries(workerPool.workerState));
+            console.error("State of workers at time of error:", workerPool.getActiveChunks());
         }
         await cleanup();
         return { error, executionTime: performance.now() - overallStartTime };
     }
-}
\ No newline at end of file
+}
+
+/**
+ * @typedef {object} ChunkJobContext
+ * @property {FFmpeg} ffmpeg - The main-thread instance the chunks are read from.
+ * @property {WorkerPool} workerPool
+ * @property {import('./src/jobs/main/step2-chunk.js').ChunkInfo[]} chunks - The chunks, in file order.
+ * @property {string} channelLayout - The channel layout of the chunks.
+ * @property {MasteringOptions} options - The resolved mastering options sent to the workers.
+ * @property {LearnedNoiseProfile | null} noise - The learned noise profile, whose sample is sent with every job.
+ * @property {onUpdate} update - Receives the combined progress.
+ * @property {JobProgress} onProgress - Receives the progress of every worker.
+ * @property {AbortSignal} [signal]
+ */
+
+/**
+ * Dispatches one job per chunk and reports their combined progress. The chunk data is read
+ * when a worker picks up the job (and again for a retry), so only the chunks being worked on
+ * are held in memory.
+ *
+ * @param {ChunkJobContext} context
+ * @param {object} message - The fields of the job message besides the chunk itself.
+ * @returns {Promise<PromiseSettledResult<object>[]>} The outcome of every chunk, in file order.
+ */
+function dispatchChunks({ ffmpeg, workerPool, chunks, channelLayout, options, noise, update, onProgress, signal }, message) {
+    const loadChunk = (path) => async () => {
+        const chunkData = await ffmpeg.readFile(path);
+        return { data: { chunkData }, transfer: [chunkData.buffer] };
+    };
+    const tracker = new ProgressTracker(chunks.map(c => c.duration));
+    const report = () => update({ type: 'stepProgress', ...tracker.snapshot() });
+    report();
+    return Promise.allSettled(chunks.map(({ path, index, duration, sampleRate }) => workerPool.dispatch(
+        {
+            ...message,
+            chunkIndex: index,
+            chunkDuration: duration,
+            channelLayout: channelLayout,
+            sampleRate,
+            masteringOptions: options,
+            // Copied into every job, as every worker writes the sample to its own filesystem.
+            noiseSample: noise ? { data: noise.data, samples: noise.sample.samples, duration: noise.sample.duration } : null
+        },
+        loadChunk(path),
+        (progress) => {
+            tracker.update(index, progress.progress);
+            report();
+            onProgress(progress);
+        },
+        signal
+    ).then((result) => {
+        tracker.complete(index);
+        report();
+        return result;
+    }, (error) => {
+        tracker.fail(index);
+        report();
+        throw error;
+    })));
+}
+
+/**
+ * @typedef {object} PreviewRange
+ * @property {number} start - The start of the excerpt in the input, in seconds.
+ * @property {number} duration - The length of the excerpt, in seconds.
+ */
+
+/**
+ * @typedef {object} PreviewResult
+ * @property {Blob} [audioBlob] - The mastered excerpt, encoded like the full master.
+ * @property {PreviewRange} [range] - The excerpt that was rendered, moved to fit inside the input.
+ * @property {OutputFormat & {id: string}} [outputFormat] - The format the excerpt was encoded to.
+ * @property {LoudnessPlan} [loudnessPlan] - The plan measured on the excerpt.
+ * @property {SilencePlan} [silence] - The pauses found in the excerpt, if silence detection was enabled.
+ * @property {NoiseProfile} [noiseProfile] - The noise sample the noise reduction learned from, if a profile was learned.
+ * @property {number} executionTime - The time taken, in milliseconds.
+ * @property {Error} [error] - An error object if rendering failed.
+ * @property {boolean} [cancelled] - True if rendering was cancelled through its AbortSignal.
+ */
+
+/**
+ * Masters a short excerpt of a file through the same worker passes as the full pipeline, so
+ * the options can be compared by ear in seconds. The loudness is measured on the excerpt
+ * alone, so its level can differ slightly from the same passage in the full master. A chunk
+ * that fails is not rendered without mastering, as that would not preview the options.
+ *
+ * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance for the main thread.
+ * @param {WorkerPool} workerPool - The pre-initialized pool of workers.
+ * @param {File} file - The user-uploaded audio file.
+ * @param {MasteringOptions} options - User-selected mastering options from the UI.
+ * @param {PreviewRange} range - The excerpt to render.
+ * @param {{ui: UI, update: onUpdate}} updateUI - The UI update callback function.
+ * @param {LogStore} logStore - The central log store.
+ * @param {JobProgress} onProgress - Callback for real-time progress updates from workers.
+ * @param {AbortSignal} [signal] - Cancels rendering when aborted; see runMasteringPipelineParallel.
+ * @returns {Promise<PreviewResult>}
+ */
+export async function renderPreview(ffmpeg, workerPool, file, options, range, updateUI, logStore, onProgress, signal) {
+    const startTime = performance.now();
+    const workingDirectory = '/preview';
+    const cleanupPaths = [];
+    const { ui, update } = updateUI;
+    const outputFormat = getOutputFormat(options.outputFormat);
+    const loudnessTarget = getLoudnessTarget(options.loudness);
+    const { metadata, ...previewOptions } = {
+        ...options,
+        loudness: loudnessTarget,
+        chain: getMasteringChain(options.chain),
+        silence: resolveSilenceOptions(options.silence),
+        noiseProfile: resolveNoiseProfileOptions(options.noiseProfile),
+        neuralDenoise: Boolean(options.neuralDenoise),
+        neuralDenoiseModel: resolveRnnoiseModel(options.neuralDenoiseModel)
+    };
+
+    const cleanup = async () => {
+        if (!ffmpeg.loaded) return;
+        for (const path of cleanupPaths) {
+            try { await ffmpeg.deleteFile(path); } catch (e) { /* ignore */ }
+        }
+        try { await ffmpeg.unmount(workingDirectory); } catch(e) { /* ignore */ }
+    };
+
+    try {
+        assertFiltersAvailable(listPipelineFilters(previewOptions));
+        if (previewOptions.neuralDenoise) await loadRnnoiseModel(ffmpeg, previewOptions.neuralDenoiseModel);
+        try {
+            await ffmpeg.createDir(workingDirectory);
+        } catch (e) { /* The directory already exists from a previous preview. */ }
+        await ffmpeg.mount('WORKERFS', { files: [file] }, workingDirectory);
+        const inputPath = `${workingDirectory}/${file.name}`;
+        cleanupPaths.push(inputPath);
+
+        update({ progressMessage: 'Preview 1/4: Extracting the Excerpt...' });
+        const mediaInfo = await probeMedia(ffmpeg, inputPath, ui, logStore, signal);
+        const channelMapping = resolveChannelMapping(getPrimaryAudioStream(mediaInfo), previewOptions.channelPolicy, outputFormat);
+        const excerptDuration = Math.min(range.duration, mediaInfo.duration);
+        const excerpt = { start: Math.max(0, Math.min(range.start, mediaInfo.duration - excerptDuration)), duration: excerptDuration };
+        const excerptFile = await sanitize(ffmpeg, inputPath, workingDirectory, channelMapping.channelLayout, excerpt, ui, signal);
+        cleanupPaths.push(excerptFile);
+
+        const { duration, sampleRate, channelLayout } = await analyze(ffmpeg, excerptFile, ui, logStore, signal);
+
+        // A marked noise region is taken from the whole input; the quietest stretch from the excerpt.
+        let noise = null;
+        let noiseProfile = undefined;
+        if (usesNoiseProfile(previewOptions)) {
+            update({ progressMessage: 'Preview 1/4: Learning the Noise Profile...' });
+            const auto = previewOptions.noiseProfile.mode === 'auto';
+            const region = auto
+                ? chooseNoiseRegion(previewOptions.noiseProfile, await measureEnvelope(ffmpeg, excerptFile, workingDirectory, ui, signal), duration)
+                : chooseNoiseRegion(previewOptions.noiseProfile, null, mediaInfo.duration);
+            noise = await learnNoiseProfile(ffmpeg, auto ? excerptFile : inputPath, region, previewOptions.noiseProfile.mode, sampleRate, channelLayout, previewOptions, workingDirectory, ui, signal);
+            cleanupPaths.push(noise.sample.path);
+            noiseProfile = auto ? { ...noise.profile, start: excerpt.start + noise.profile.start } : noise.profile;
+        }
+
+        const chunks = await chunk(ffmpeg, excerptFile, duration, sampleRate, workingDirectory, ui, signal);
+        cleanupPaths.push(...chunks.map(c => c.path));
+        const jobContext = { ffmpeg, workerPool, chunks, channelLayout, options: previewOptions, noise, update, onProgress, signal };
+
+        /**
+         * @param {PromiseSettledResult<object>[]} results
+         * @returns {object[]} The values, if every chunk succeeded.
+         */
+        const requireAll = (results) => {
+            if (signal && signal.aborted) throw createAbortError();
+            const failed = results.find(result => result.status === 'rejected');
+            if (failed) throw failed.reason;
+            return results.map(result => result.value);
+        };
+
+        update({ progressMessage: 'Preview 2/4: Measuring Loudness...' });
+        const analysis = requireAll(await dispatchChunks(jobContext, { command: 'analyze' }));
+        const loudnessPlan = planLoudness(
+            combineLoudnessStats(analysis.map((value, index) => alignLoudnessStats(value.loudnessStats, chunks[index]))),
+            loudnessTarget
+        );
+
+        update({ progressMessage: 'Preview 3/4: Mastering the Excerpt...' });
+        const processed = requireAll(await dispatchChunks(jobContext, { command: 'process', loudnessPlan }));
+        const processedFiles = [];
+        for (const [index, value] of processed.entries()) {
+            const processedFilename = `${workingDirectory}/processed_${String(index).padStart(4, '0')}.wav`;
+            await ffmpeg.writeFile(processedFilename, value.processedData);
+            processedFiles.push(processedFilename);
+            cleanupPaths.push(processedFilename);
+        }
+        const silence = previewOptions.silence.mode === 'off' ? null : planSilence(
+            combineSilenceRegions(processed.map((value, index) => alignSilenceRegions(value.silenceRegions || [], chunks[index]))),
+            duration, sampleRate, previewOptions.silence
+        );
+
+        update({ progressMessage: 'Preview 4/4: Encoding...' });
+        const assembledFile = await concatenate(ffmpeg, chunks, processedFiles, silence, previewOptions, workingDirectory, ui, signal);
+        cleanupPaths.push(assembledFile);
+        const data = await ffmpeg.readFile(assembledFile);
+
+        await cleanup();
+        return {
+            audioBlob: new Blob([data.buffer], { type: outputFormat.mimeType }),
+            range: excerpt,
+            outputFormat,
+            loudnessPlan,
+            silence: silence || undefined,
+            noiseProfile,
+            executionTime: performance.now() - startTime
+        };
+    } catch (error) {
+        await cleanup();
+        if (isAbortError(error) || (signal && signal.aborted)) {
+            return { error: createAbortError('The preview was cancelled.'), cancelled: true, executionTime: performance.now() - startTime };
+        }
+        console.error("Rendering the preview failed:", error);
+        return { error, executionTime: performance.now() - startTime };
+    }
+}
+
+/**
+ * Learns the noise profile of the input. A profile that cannot be learned is not worth failing
+ * the file for; the fixed noise floor of the chain is used instead, and a warning reported.
+ *
+ * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance for the main thread.
+ * @param {string} audioFile - The sanitized input.
+ * @param {Envelope | null} envelope - The envelope of the input, for finding the quietest stretch.
+ * @param {number} duration - The duration of the input, in seconds.
+ * @param {number} sampleRate - The sample rate of the input, in Hz.
+ * @param {string} channelLayout - The channel layout of the input.
+ * @param {MasteringOptions} options - The resolved mastering options.
+ * @param {string} workingDirectory - The directory in the virtual FS to write the sample to.
+ * @param {UI} ui - The UI instance for updating the command display.
+ * @param {string[]} warnings - The warnings of the pipeline, which a failure is added to.
+ * @param {AbortSignal} [signal] - Cancels the FFmpeg commands when aborted.
+ * @returns {Promise<LearnedNoiseProfile | null>}
+ */
+async function learnNoiseProfileSafely(ffmpeg, audioFile, envelope, duration, sampleRate, channelLayout, options, workingDirectory, ui, warnings, signal) {
+    try {
+        const region = chooseNoiseRegion(options.noiseProfile, envelope, duration);
+        return await learnNoiseProfile(ffmpeg, audioFile, region, options.noiseProfile.mode, sampleRate, channelLayout, options, workingDirectory, ui, signal);
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error("Learning the noise profile failed:", error);
+        warnings.push(`The noise profile could not be learned, so the fixed noise floor was used: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Measures the envelope of a file for the visualizer. The visualizer is not worth failing the
+ * file for, so a failed measurement is reported as a warning.
+ *
+ * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance for the main thread.
+ * @param {string} audioFile - The file to measure.
+ * @param {'input' | 'output'} label - Which file is measured, for the warning.
+ * @param {string} workingDirectory - The directory in the virtual FS to write temporary files to.
+ * @param {UI} ui - The UI instance for updating the command display.
+ * @param {string[]} warnings - The warnings of the pipeline, which a failure is added to.
+ * @param {AbortSignal} [signal] - Cancels the FFmpeg command when aborted.
+ * @returns {Promise<Envelope | null>}
+ */
+async function measureEnvelopeSafely(ffmpeg, audioFile, label, workingDirectory, ui, warnings, signal) {
+    try {
+        return await measureEnvelope(ffmpeg, audioFile, workingDirectory, ui, signal);
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error(`Measuring the ${label} waveform failed:`, error);
+        warnings.push(`The waveform of the ${label} could not be measured, so the visualizer cannot show it: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Writes new metadata into a mastered file. The audio is copied, not encoded again.
+ *
+ * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance for the main thread.
+ * @param {Blob} audioBlob - The mastered file.
+ * @param {FileMetadata} metadata - The tags, chapters and cover art to write; existing ones are replaced.
+ * @param {OutputFormat & {id: string}} outputFormat - The format of the mastered file.
+ * @param {UI} ui - The UI instance for updating the command display.
+ * @returns {Promise<Blob>} The re-tagged file.
+ */
+export async function retagMasteredFile(ffmpeg, audioBlob, metadata, outputFormat, ui) {
+    const workingDirectory = '/retag';
+    try {
+        await ffmpeg.createDir(workingDirectory);
+    } catch (e) { /* The directory already exists from a previous run. */ }
+
+    const inputFile = `${workingDirectory}/mastered.${outputFormat.extension}`;
+    await ffmpeg.writeFile(inputFile, new Uint8Array(await audioBlob.arrayBuffer()));
+    let outputFile = null;
+    try {
+        outputFile = await mux(ffmpeg, inputFile, metadata, outputFormat.id, workingDirectory, ui);
+        const data = await ffmpeg.readFile(outputFile);
+        return new Blob([data.buffer], { type: outputFormat.mimeType });
+    } finally {
+        for (const path of [inputFile, outputFile].filter(Boolean)) {
+            try { await ffmpeg.deleteFile(path); } catch (e) { /* ignore */ }
+        }
+    }
+}
+
+/**
+ * Applies the corrective gain and limiter to a mastered file that failed verification, and
+ * verifies the corrected file.
+ *
+ * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance for the main thread.
+ * @param {Blob} audioBlob - The mastered file.
+ * @param {Verification} verification - The failed verification of the file.
+ * @param {LoudnessTarget} loudnessTarget - The target the file was mastered to.
+ * @param {{outputFormat: string, outputQuality: string}} options - The format and quality to encode the file with.
+ * @param {UI} ui - The UI instance for updating the command display.
+ * @returns {Promise<{audioBlob: Blob, envelope: Envelope, verification: Verification}>} The corrected
+ *  file, its envelope and its verification.
+ */
+export async function correctMasteredFile(ffmpeg, audioBlob, verification, loudnessTarget, options, ui) {
+    const workingDirectory = '/correct';
+    const outputFormat = getOutputFormat(options.outputFormat);
+    try {
+        await ffmpeg.createDir(workingDirectory);
+    } catch (e) { /* The directory already exists from a previous run. */ }
+
+    const inputFile = `${workingDirectory}/mastered.${outputFormat.extension}`;
+    await ffmpeg.writeFile(inputFile, new Uint8Array(await audioBlob.arrayBuffer()));
+    let outputFile = null;
+    try {
+        outputFile = await correctLoudness(ffmpeg, inputFile, verification, options, workingDirectory, ui);
+        const envelope = await measureEnvelope(ffmpeg, outputFile, workingDirectory, ui);
+        const data = await ffmpeg.readFile(outputFile);
+        return {
+            audioBlob: new Blob([data.buffer], { type: outputFormat.mimeType }),
+            envelope,
+            verification: verifyLoudness(envelope, loudnessTarget, true)
+        };
+    } finally {
+        for (const path of [inputFile, outputFile].filter(Boolean)) {
+            try { await ffmpeg.deleteFile(path); } catch (e) { /* ignore */ }
+        }
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * @file The entry point of the waveform visualizer (player.html). The visualizer is opened from
+ * the output section of the mastering page, which sends it the original and mastered audio with
+ * their level envelopes once it reports that it is ready. It plays the selected track and shows
+ * its waveform and loudness, which follow the playback and can be clicked to seek.
+ *
+ * @version 1.0.0
+ */
+
+import { WaveformView } from './src/ui/waveformView.js';
+
+/**
+ * @typedef {import('./src/ffmpeg/parse/envelope.js').Envelope} Envelope
+ */
+
+/**
+ * @typedef {object} PlayerTrack
+ * @property {string} id
+ * @property {string} label - The name shown on the track button.
+ * @property {Blob} audio - The audio file.
+ * @property {Envelope | null} envelope - The level envelope, or null if it could not be measured.
+ */
+
+/** How far the skip buttons jump, in seconds. */
+const SKIP_SECONDS = 5;
+const WAVE_COLOR_PLAYED = "#a8c7fa";
+
+const dom = Object.fromEntries([
+    'player-title', 'player-message', 'track-buttons', 'waveform-canvas', 'zoom-in-btn', 'zoom-out-btn', 'zoom-fit-btn',
+    'current-time', 'total-duration', 'progress-bar-container', 'progress-bar', 'play-marker',
+    'skip-back-btn', 'play-pause-btn', 'play-pause-icon', 'skip-forward-btn'
+].map(id => [id, document.getElementById(id)]));
+
+const audio = new Audio();
+/** @type {PlayerTrack[]} */
+let tracks = [];
+let activeTrackId = null;
+let animationFrameId = null;
+
+/**
+ * @returns {import('./src/ui/waveformView.js').WaveformColors}
+ */
+function getColors() {
+    const isDark = document.documentElement.classList.contains('dark');
+    return {
+        played: WAVE_COLOR_PLAYED,
+        unplayed: isDark ? '#808695' : '#9ca3af',
+        momentary: isDark ? '#fbbc04' : '#e37400',
+        shortTerm: isDark ? '#f28b82' : '#d93025',
+        playhead: isDark ? '#ffffff' : '#202124'
+    };
+}
+
+const waveform = new WaveformView(dom['waveform-canvas'], {
+    onSeek: (time) => seek(time),
+    getColors
+});
+
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    const milliseconds = Math.floor((seconds - Math.floor(seconds)) * 100);
+    return `${minutes}:${secs.toString().padStart(2, '0')}.${milliseconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * @param {string} text - The message shown above the waveform; empty to hide it.
+ */
+function showMessage(text) {
+    dom['player-message'].textContent = text;
+    dom['player-message'].style.display = text ? 'block' : 'none';
+}
+
+function getDuration() {
+    return Number.isFinite(audio.duration) ? audio.duration : 0;
+}
+
+/**
+ * @param {boolean} [follow=false] - Whether the waveform pages along with the playhead.
+ */
+function updateVisualization(follow = false) {
+    const duration = getDuration();
+    const progress = duration > 0 ? (audio.currentTime / duration) * 100 : 0;
+    dom['progress-bar'].style.width = `${progress}%`;
+    dom['play-marker'].style.left = `calc(${progress}% - 8px)`;
+    dom['current-time'].textContent = formatTime(audio.currentTime);
+    waveform.setTime(audio.currentTime, follow);
+}
+
+function playLoop() {
+    updateVisualization(true);
+    animationFrameId = audio.paused ? null : requestAnimationFrame(playLoop);
+}
+
+function togglePlayPause() {
+    if (!audio.src) return;
+    if (audio.paused) {
+        audio.play();
+    } else {
+        audio.pause();
+    }
+}
+
+/**
+ * @param {number} time - The position to play from, in seconds.
+ */
+function seek(time) {
+    audio.currentTime = Math.min(Math.max(0, time), getDuration());
+    updateVisualization();
+}
+
+/**
+ * Switches to a track, keeping the position.
+ * @param {string} id
+ */
+function selectTrack(id) {
+    const track = tracks.find(t => t.id === id);
+    if (!track || id === activeTrackId) return;
+    const position = audio.currentTime || 0;
+    const wasPlaying = !audio.paused;
+    activeTrackId = id;
+    if (audio.src) URL.revokeObjectURL(audio.src);
+    audio.src = URL.createObjectURL(track.audio);
+    audio.addEventListener('loadedmetadata', () => {
+        const duration = getDuration();
+        dom['total-duration'].textContent = formatTime(duration);
+        waveform.setData(track.envelope, duration);
+        showMessage(track.envelope ? '' : `No waveform data is available for the ${track.label.toLowerCase()} audio.`);
+        seek(Math.min(position, duration));
+        if (wasPlaying) audio.play();
+    }, { once: true });
+
+    for (const button of dom['track-buttons'].children) {
+        const isActive = button.dataset.trackId === id;
+        button.classList.toggle('bg-primary', isActive);
+        button.classList.toggle('text-white', isActive);
+    }
+}
+
+/**
+ * @param {{title: string, tracks: PlayerTrack[]}} data - The data sent by the mastering page.
+ */
+function loadTracks(data) {
+    tracks = data.tracks;
+    dom['player-title'].textContent = data.title;
+    document.title = `${data.title} - Audio Visualizer`;
+    dom['track-buttons'].innerHTML = '';
+    for (const track of tracks) {
+        const button = document.createElement('button');
+        button.className = 'px-3 py-1 rounded-full border border-primary text-sm';
+        button.textContent = track.label;
+        button.dataset.trackId = track.id;
+        button.addEventListener('click', () => selectTrack(track.id));
+        dom['track-buttons'].appendChild(button);
+    }
+    selectTrack(tracks[0].id);
+}
+
+audio.addEventListener('play', () => {
+    dom['play-pause-icon'].textContent = 'pause';
+    if (!animationFrameId) animationFrameId = requestAnimationFrame(playLoop);
+});
+audio.addEventListener('pause', () => {
+    dom['play-pause-icon'].textContent = 'play_arrow';
+    updateVisualization();
+});
+
+dom['play-pause-btn'].addEventListener('click', togglePlayPause);
+dom['skip-back-btn'].addEventListener('click', () => seek(audio.currentTime - SKIP_SECONDS));
+dom['skip-forward-btn'].addEventListener('click', () => seek(audio.currentTime + SKIP_SECONDS));
+dom['zoom-in-btn'].addEventListener('click', () => waveform.zoomIn());
+dom['zoom-out-btn'].addEventListener('click', () => waveform.zoomOut());
+dom['zoom-fit-btn'].addEventListener('click', () => waveform.fit());
+dom['progress-bar-container'].addEventListener('click', (e) => {
+    const rect = dom['progress-bar-container'].getBoundingClientRect();
+    seek(((e.clientX - rect.left) / rect.width) * getDuration());
+});
+document.addEventListener('keydown', (e) => {
+    if (e.code === 'Space' && e.target === document.body) {
+        e.preventDefault();
+        togglePlayPause();
+    }
+});
+
+// Redraw with the theme's colors when dark mode is toggled.
+new MutationObserver(() => waveform.draw()).observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
+
+window.addEventListener('message', (event) => {
+    if (event.origin !== window.location.origin || !event.data || event.data.type !== 'playerData') return;
+    loadTracks(event.data);
+});
+
+if (window.opener) {
+    window.opener.postMessage({ type: 'playerReady' }, window.location.origin);
+} else {
+    showMessage('Open the visualizer with the "Open Waveform Visualizer" button of a mastered file.');
+}
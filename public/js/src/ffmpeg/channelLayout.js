@@ -0,0 +1,92 @@
+/**
+ * @file Helpers for deciding which channel layout the pipeline masters in.
+ * The policies themselves are declared in config.js (CHANNEL_POLICIES).
+ *
+ * @version 1.0.0
+ */
+
+import {CHANNEL_POLICIES, DEFAULT_CHANNEL_POLICY} from '../../config.js';
+
+/**
+ * @typedef {import('./parse/mediaInfo.js').StreamInfo} StreamInfo
+ * @typedef {import('../../config.js').OutputFormat} OutputFormat
+ */
+
+/**
+ * @typedef {object} ChannelMapping
+ * @property {string} policy - The key of CHANNEL_POLICIES that was applied.
+ * @property {string} channelLayout - The layout the audio is converted to and mastered in, e.g. 'stereo'.
+ * @property {number} channels - The number of channels of that layout.
+ * @property {'keep'|'downmix'|'upmix'} action - How the input channels are mapped to the layout.
+ * @property {string | null} warning - Set when the policy could not be followed, e.g. because the
+ *  output format cannot store that many channels.
+ */
+
+/** The layout assumed for a bare channel count, e.g. '6 channels', as FFmpeg's defaults do. */
+const DEFAULT_LAYOUTS = {1: 'mono', 2: 'stereo', 3: '2.1', 4: '4.0', 5: '5.0', 6: '5.1', 7: '6.1', 8: '7.1'};
+
+/** The layout names the filters accept, e.g. in `aformat=channel_layouts=`. */
+const NAMED_LAYOUTS = new Set([
+    'mono', 'stereo', '2.1', '3.0', '3.0(back)', '4.0', 'quad', 'quad(side)', '3.1', '5.0', '5.0(side)',
+    '4.1', '5.1', '5.1(side)', '6.0', '6.0(front)', 'hexagonal', '6.1', '6.1(back)', '6.1(front)',
+    '7.0', '7.0(front)', '7.1', '7.1(wide)', '7.1(wide-side)', 'octagonal',
+]);
+
+/**
+ * Looks up a channel policy, falling back to the default policy for unknown ids.
+ * @param {string} [policyId] - A key of CHANNEL_POLICIES.
+ * @returns {string} A valid key of CHANNEL_POLICIES.
+ */
+export function getChannelPolicy(policyId) {
+    return policyId in CHANNEL_POLICIES ? policyId : DEFAULT_CHANNEL_POLICY;
+}
+
+/**
+ * Decides the layout the audio stream is mastered in.
+ *
+ * @param {StreamInfo} stream - The probed audio stream.
+ * @param {string} [policyId] - A key of CHANNEL_POLICIES.
+ * @param {OutputFormat} outputFormat - The format the result is encoded to.
+ * @returns {ChannelMapping}
+ */
+export function resolveChannelMapping(stream, policyId, outputFormat) {
+    const policy = getChannelPolicy(policyId);
+    // An unrecognised layout is treated like surround: it can only be folded down safely.
+    const inputChannels = stream.channels || Infinity;
+
+    const mapTo = (channelLayout, channels, warning = null) => ({
+        policy,
+        channelLayout,
+        channels,
+        action: channels < inputChannels ? 'downmix' : channels > inputChannels ? 'upmix' : 'keep',
+        warning
+    });
+
+    if (policy === 'mono') return mapTo('mono', 1);
+    if (policy === 'stereo') return mapTo('stereo', 2);
+    if (policy === 'auto') {
+        return inputChannels === 1 ? mapTo('mono', 1) : mapTo('stereo', 2);
+    }
+
+    // 'preserve'
+    if (!stream.channels) {
+        return mapTo('stereo', 2, `The channel layout "${stream.channelLayout}" was not recognised, so the input was folded down to stereo.`);
+    }
+    if (inputChannels > outputFormat.maxChannels || !(inputChannels in DEFAULT_LAYOUTS)) {
+        return mapTo('stereo', 2, `The ${stream.channelLayout} input was folded down to stereo, because ${outputFormat.label} cannot store all of its channels.`);
+    }
+    const channelLayout = NAMED_LAYOUTS.has(stream.channelLayout) ? stream.channelLayout : DEFAULT_LAYOUTS[inputChannels];
+    return mapTo(channelLayout, inputChannels);
+}
+
+/**
+ * Describes a channel mapping for display.
+ * @param {StreamInfo} stream - The probed audio stream.
+ * @param {ChannelMapping} mapping - The mapping applied to it.
+ * @returns {string} E.g. '5.1(side) → stereo (downmix)' or 'stereo'.
+ */
+export function describeChannelMapping(stream, mapping) {
+    const input = stream.channelLayout || 'unknown layout';
+    if (mapping.action === 'keep' && input === mapping.channelLayout) return input;
+    return `${input} → ${mapping.channelLayout} (${mapping.action === 'keep' ? 'relabelled' : mapping.action})`;
+}
@@ -0,0 +1,153 @@
+/**
+ * @file Reads and writes FFmpeg's metadata file format (`-f ffmetadata`), which carries the
+ * global tags and the chapters of a file from one command to the next.
+ * See https://ffmpeg.org/ffmpeg-formats.html#Metadata-2 for the format.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {object} Chapter
+ * @property {number} start - The start of the chapter in seconds.
+ * @property {number} end - The end of the chapter in seconds.
+ * @property {string} title - The chapter title.
+ */
+
+/**
+ * @typedef {object} FFMetadata
+ * @property {Object<string, string>} tags - The global tags.
+ * @property {Chapter[]} chapters - The chapters, in order.
+ */
+
+const HEADER = ';FFMETADATA1';
+/** Chapters are written in milliseconds. */
+const CHAPTER_TIMEBASE = 1000;
+
+/**
+ * Escapes the characters that are special in keys and values: '=', ';', '#', '\' and newlines.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeValue(text) {
+    return String(text).replace(/[=;#\\\n]/g, char => `\\${char}`);
+}
+
+/**
+ * Splits a "key=value" line at the first unescaped '=' and unescapes both halves.
+ * @param {string} line - A logical line, with escaped newlines already joined.
+ * @returns {[string, string] | null} The key and value, or null if the line has no '='.
+ */
+function splitEntry(line) {
+    let key = '';
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '\\' && i + 1 < line.length) {
+            key += line[++i];
+        } else if (char === '=') {
+            return [key, line.slice(i + 1).replace(/\\(.)/gs, '$1')];
+        } else {
+            key += char;
+        }
+    }
+    return null;
+}
+
+/**
+ * Splits the file into logical lines. A value continues on the next line when the line ends
+ * in an escaping backslash, so only unescaped newlines end a line.
+ * @param {string} text
+ * @returns {string[]} The lines, still escaped.
+ */
+function splitLines(text) {
+    const lines = [];
+    let line = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\' && i + 1 < text.length) {
+            line += char + text[++i];
+        } else if (char === '\n') {
+            lines.push(line);
+            line = '';
+        } else {
+            line += char;
+        }
+    }
+    lines.push(line);
+    return lines;
+}
+
+/**
+ * Parses the content of an ffmetadata file. Stream sections are skipped.
+ * @param {string} text - The file content.
+ * @returns {FFMetadata}
+ */
+export function parseFFMetadata(text) {
+    /** @type {FFMetadata} */
+    const metadata = {tags: {}, chapters: []};
+    const lines = splitLines(text.replace(/\r\n/g, '\n'));
+
+    let section = 'global';
+    let chapter = null;
+    const finishChapter = () => {
+        if (!chapter) return;
+        const [num, den] = chapter.timebase;
+        metadata.chapters.push({
+            start: chapter.start * num / den,
+            end: chapter.end * num / den,
+            title: chapter.title
+        });
+        chapter = null;
+    };
+
+    for (const line of lines) {
+        if (line === '' || line.startsWith(';') || line.startsWith('#')) continue;
+        const sectionMatch = line.match(/^\[(\w+)\]$/);
+        if (sectionMatch) {
+            finishChapter();
+            section = sectionMatch[1];
+            if (section === 'CHAPTER') chapter = {timebase: [1, 1000000000], start: 0, end: 0, title: ''};
+            continue;
+        }
+        const entry = splitEntry(line);
+        if (!entry) continue;
+        const [key, value] = entry;
+
+        if (section === 'global') {
+            metadata.tags[key] = value;
+        } else if (section === 'CHAPTER') {
+            if (key === 'TIMEBASE') {
+                const [num, den] = value.split('/').map(Number);
+                if (num > 0 && den > 0) chapter.timebase = [num, den];
+            } else if (key === 'START' || key === 'END') {
+                chapter[key.toLowerCase()] = Number(value);
+            } else if (key === 'title') {
+                chapter.title = value;
+            }
+        }
+    }
+    finishChapter();
+    return metadata;
+}
+
+/**
+ * Serializes tags and chapters into the content of an ffmetadata file.
+ * @param {FFMetadata} metadata
+ * @returns {string}
+ */
+export function serializeFFMetadata({tags = {}, chapters = []}) {
+    const lines = [HEADER];
+    for (const [key, value] of Object.entries(tags)) {
+        if (value === undefined || value === null || value === '') continue;
+        lines.push(`${escapeValue(key)}=${escapeValue(value)}`);
+    }
+    for (const chapter of chapters) {
+        lines.push(
+            '[CHAPTER]',
+            `TIMEBASE=1/${CHAPTER_TIMEBASE}`,
+            `START=${Math.round(chapter.start * CHAPTER_TIMEBASE)}`,
+            `END=${Math.round(chapter.end * CHAPTER_TIMEBASE)}`,
+            `title=${escapeValue(chapter.title || '')}`
+        );
+    }
+    return lines.join('\n') + '\n';
+}
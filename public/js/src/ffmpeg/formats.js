@@ -0,0 +1,69 @@
+/**
+ * @file Helpers for turning an output format selection into FFmpeg arguments.
+ * The formats themselves are declared in config.js (OUTPUT_FORMATS).
+ *
+ * @version 1.1.0
+ */
+
+import {OUTPUT_FORMAT, OUTPUT_FORMATS} from '../../config.js';
+
+/**
+ * @typedef {import('../../config.js').OutputFormat} OutputFormat
+ * @typedef {import('../../config.js').OutputQuality} OutputQuality
+ */
+
+/**
+ * Looks up an output format, falling back to the default format for unknown ids.
+ *
+ * @param {string} [formatId] - A key of OUTPUT_FORMATS (e.g. 'mp3', 'opus').
+ * @returns {OutputFormat & {id: string}} The format descriptor, including its id.
+ */
+export function getOutputFormat(formatId) {
+    const id = formatId in OUTPUT_FORMATS ? formatId : OUTPUT_FORMAT;
+    return {id, ...OUTPUT_FORMATS[id]};
+}
+
+/**
+ * Looks up a quality level of a format, falling back to the format's default quality.
+ *
+ * @param {string} formatId - A key of OUTPUT_FORMATS.
+ * @param {string} [qualityId] - The id of one of the format's quality levels.
+ * @returns {OutputQuality} The quality descriptor.
+ */
+export function getOutputQuality(formatId, qualityId) {
+    const format = getOutputFormat(formatId);
+    return format.qualities.find(q => q.id === qualityId)
+        || format.qualities.find(q => q.id === format.defaultQuality);
+}
+
+/**
+ * Builds the encoder arguments (codec and quality) for a format selection.
+ *
+ * @param {string} formatId - A key of OUTPUT_FORMATS.
+ * @param {string} [qualityId] - The id of one of the format's quality levels.
+ * @returns {string[]} The arguments to place before the output filename.
+ */
+export function getEncoderArgs(formatId, qualityId) {
+    const format = getOutputFormat(formatId);
+    return [...format.codecArgs, ...getOutputQuality(format.id, qualityId).args];
+}
+
+/**
+ * Selects the tags a format can store. Empty values are skipped, and free-form keys are only
+ * kept for containers that can store them.
+ *
+ * @param {string} formatId - A key of OUTPUT_FORMATS.
+ * @param {Object<string, string>} tags - The tags to write, keyed by FFmpeg metadata key.
+ * @returns {Object<string, string>} The tags to write.
+ */
+export function selectMetadataTags(formatId, tags) {
+    const format = getOutputFormat(formatId);
+    const selected = {};
+    for (const [key, value] of Object.entries(tags)) {
+        if (value === undefined || value === null || value === '') continue;
+        if (format.freeFormTags || format.metadataKeys.includes(key)) {
+            selected[key] = String(value);
+        }
+    }
+    return selected;
+}
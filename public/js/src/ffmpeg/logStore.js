@@ -1,9 +1,11 @@
 /**
  * @file A centralized store for managing and displaying FFmpeg logs.
  * This class ensures that all log messages from any FFmpeg process are
- * captured in one place and immediately relayed to the UI.
+ * captured in one place and immediately relayed to the UI. Messages from the
+ * main thread and from the workers are kept as structured records, tagged with
+ * the worker, chunk and pass they belong to, so they can be filtered and exported.
  *
- * @version 1.0.0
+ * @version 2.0.0
  */
 
 /**
@@ -11,6 +13,92 @@
  * @typedef {import('../ui/ui.js').UI} UI
  */
 
+/**
+ * @typedef {'error'|'warning'|'info'|'progress'} LogLevel
+ */
+
+/**
+ * @typedef {object} LogRecord
+ * @property {string} message - The log line.
+ * @property {LogLevel} level - The severity, derived from the message.
+ * @property {number} timestamp - When the line was logged, in milliseconds since the epoch.
+ * @property {number | null} workerId - The worker that logged the line, or null for the main thread.
+ * @property {number | null} chunkIndex - The chunk being processed, if any.
+ * @property {number | null} pass - The worker pass (1-5) being run, if any.
+ */
+
+/**
+ * @typedef {object} LogFilter
+ * @property {string} [chunk] - 'all', 'main' for main-thread records, or a chunk index.
+ * @property {string} [pass] - 'all' or a pass number.
+ * @property {string} [level] - 'all' or a LogLevel.
+ * @property {string} [text] - A case-insensitive substring the message must contain.
+ */
+
+/** The number of records kept; older ones are dropped first. The console shows as many lines at most. */
+export const MAX_LOG_RECORDS = 100000;
+
+const ERROR_REGEX = /\b(error|failed|invalid|could not|cannot|unable)\b/i;
+const WARNING_REGEX = /\b(warning|deprecated|discarding|clipping)\b/i;
+const PROGRESS_REGEX = /\btime=-?\d+:\d{2}:\d{2}/;
+
+/**
+ * FFmpeg writes everything to stderr, so the level is derived from the message.
+ * @param {string} message - A log line.
+ * @returns {LogLevel}
+ */
+export function classifyLogLevel(message) {
+    if (PROGRESS_REGEX.test(message)) return 'progress';
+    if (ERROR_REGEX.test(message)) return 'error';
+    if (WARNING_REGEX.test(message)) return 'warning';
+    return 'info';
+}
+
+/**
+ * Creates a log record.
+ * @param {string} message - The log line.
+ * @param {Partial<LogRecord>} [tags] - The worker, chunk and pass the line belongs to.
+ * @returns {LogRecord}
+ */
+export function createLogRecord(message, tags = {}) {
+    return {
+        message,
+        level: classifyLogLevel(message),
+        timestamp: Date.now(),
+        workerId: null,
+        chunkIndex: null,
+        pass: null,
+        ...tags
+    };
+}
+
+/**
+ * @param {LogRecord} record
+ * @param {LogFilter} filter
+ * @returns {boolean} Whether the record passes the filter.
+ */
+export function matchesLogFilter(record, {chunk = 'all', pass = 'all', level = 'all', text = ''} = {}) {
+    if (chunk === 'main' && record.workerId !== null) return false;
+    if (chunk !== 'all' && chunk !== 'main' && record.chunkIndex !== Number(chunk)) return false;
+    if (pass !== 'all' && record.pass !== Number(pass)) return false;
+    if (level !== 'all' && record.level !== level) return false;
+    return !text || record.message.toLowerCase().includes(text.toLowerCase());
+}
+
+/**
+ * Formats a record as a single line of text, e.g. "12:34:56.789 [W1 C3 P2] warning: ...".
+ * @param {LogRecord} record
+ * @returns {string}
+ */
+export function formatLogRecord(record) {
+    const time = new Date(record.timestamp).toISOString().slice(11, 23);
+    const tags = record.workerId === null
+        ? 'main'
+        : [`W${record.workerId}`, record.chunkIndex !== null ? `C${record.chunkIndex}` : null, record.pass !== null ? `P${record.pass}` : null]
+            .filter(Boolean).join(' ');
+    return `${time} [${tags}] ${record.level}: ${record.message}`;
+}
+
 export class LogStore {
     /**
      * Creates an instance of LogStore.
@@ -24,11 +112,18 @@ export class LogStore {
         this.ui = null;
 
         /**
-         * An array holding all log messages for the current session.
+         * The main-thread messages since the last clear(), used to parse command output.
          * @private
          * @type {string[]}
          */
         this.logs = [];
+
+        /**
+         * Every record of the current job, from the main thread and the workers.
+         * @private
+         * @type {LogRecord[]}
+         */
+        this.records = [];
     }
 
     /**
@@ -41,19 +136,33 @@ export class LogStore {
     }
 
     /**
-     * Appends a new message to the log store and updates the UI.
+     * Appends a new message from the main-thread FFmpeg instance and updates the UI.
      * @param {string} message - The log message from FFmpeg.
      */
     append(message) {
         this.logs.push(message);
+        this.appendRecords([createLogRecord(message)]);
+    }
+
+    /**
+     * Appends structured records, such as those streamed by the workers, and updates the UI.
+     * Worker records are not part of get(), so they cannot disturb the parsing of
+     * main-thread command output.
+     * @param {LogRecord[]} records - The records to append.
+     */
+    appendRecords(records) {
+        this.records.push(...records);
+        if (this.records.length > MAX_LOG_RECORDS) {
+            this.records.splice(0, this.records.length - MAX_LOG_RECORDS);
+        }
         if (this.ui) {
-            // Push the individual log line to the UI for real-time updates.
-            this.ui.update({ logs: message + '\n' });
+            // Push the new records to the UI for real-time updates.
+            this.ui.appendLogRecords(records);
         }
     }
 
     /**
-     * Retrieves the entire log history as a single string.
+     * Retrieves the main-thread log history as a single string.
      * Useful for populating static UI elements like version and filter info.
      * @returns {string} The complete log history.
      */
@@ -61,6 +170,23 @@ export class LogStore {
         return this.logs.join('\n');
     }
 
+    /**
+     * @param {LogFilter} [filter] - Restricts the records returned.
+     * @returns {LogRecord[]} The records that pass the filter.
+     */
+    getRecords(filter) {
+        return filter ? this.records.filter(record => matchesLogFilter(record, filter)) : [...this.records];
+    }
+
+    /**
+     * Exports the records that pass the filter as the content of a single log file.
+     * @param {LogFilter} [filter] - Restricts the records exported.
+     * @returns {string}
+     */
+    export(filter) {
+        return this.getRecords(filter).map(formatLogRecord).join('\n') + '\n';
+    }
+
     /**
      * Clears all messages from the log store. This does not clear the UI;
      * it's intended to be used before running a new command whose output
@@ -69,4 +195,11 @@ export class LogStore {
     clear() {
         this.logs = [];
     }
-}
\ No newline at end of file
+
+    /**
+     * Discards the structured records, e.g. when a new job starts.
+     */
+    clearRecords() {
+        this.records = [];
+    }
+}
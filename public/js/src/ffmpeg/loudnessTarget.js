@@ -0,0 +1,65 @@
+/**
+ * @file Helpers for resolving the loudness target carried in MasteringOptions.
+ * The named presets are declared in config.js (LOUDNESS_PRESETS).
+ *
+ * @version 1.0.0
+ */
+
+import {DEFAULT_LOUDNESS_PRESET, LOUDNESS_PRESETS, LOUDNESS_TARGET_RANGES} from '../../config.js';
+
+/**
+ * @typedef {object} LoudnessTarget
+ * @property {string} preset - A key of LOUDNESS_PRESETS, or 'custom' for user-entered values.
+ * @property {number} I - Integrated loudness target in LUFS.
+ * @property {number} TP - Maximum true peak in dBFS.
+ * @property {number} LRA - Loudness range target in LU.
+ */
+
+/**
+ * Clamps a value into a [min, max] range, using a fallback for non-numeric input.
+ * @param {*} value - The value to clamp.
+ * @param {number[]} range - The [min, max] range.
+ * @param {number} fallback - The value to use when `value` is not a finite number.
+ * @returns {number}
+ */
+const clamp = (value, [min, max], fallback) => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+};
+
+/**
+ * Resolves a (possibly partial or user-entered) loudness target into valid `loudnorm` values.
+ * Named presets always use the values from config.js; custom values are clamped to the
+ * ranges `loudnorm` accepts.
+ *
+ * @param {Partial<LoudnessTarget>} [loudness] - The loudness target from MasteringOptions.
+ * @returns {LoudnessTarget} A complete and valid loudness target.
+ */
+export function getLoudnessTarget(loudness = {}) {
+    if (loudness.preset in LOUDNESS_PRESETS) {
+        const {I, TP, LRA} = LOUDNESS_PRESETS[loudness.preset];
+        return {preset: loudness.preset, I, TP, LRA};
+    }
+    const defaults = LOUDNESS_PRESETS[DEFAULT_LOUDNESS_PRESET];
+    if (loudness.preset !== 'custom') {
+        return {preset: DEFAULT_LOUDNESS_PRESET, I: defaults.I, TP: defaults.TP, LRA: defaults.LRA};
+    }
+    return {
+        preset: 'custom',
+        I: clamp(loudness.I, LOUDNESS_TARGET_RANGES.I, defaults.I),
+        TP: clamp(loudness.TP, LOUDNESS_TARGET_RANGES.TP, defaults.TP),
+        LRA: clamp(loudness.LRA, LOUDNESS_TARGET_RANGES.LRA, defaults.LRA),
+    };
+}
+
+/**
+ * Describes a loudness target for display and for the output file's metadata.
+ *
+ * @param {LoudnessTarget} target - A resolved loudness target.
+ * @returns {string} E.g. 'Apple Podcasts (-16 LUFS, -1 dBTP, LRA 11 LU)'.
+ */
+export function describeLoudnessTarget(target) {
+    const name = target.preset in LOUDNESS_PRESETS ? LOUDNESS_PRESETS[target.preset].label : 'Custom';
+    return `${name} (${target.I} LUFS, ${target.TP} dBTP, LRA ${target.LRA} LU)`;
+}
@@ -0,0 +1,198 @@
+/**
+ * @file Helpers for resolving the filter parameters carried in MasteringOptions, and the filter
+ * chains built from them. The stages, their parameters and ranges are declared in config.js
+ * (MASTERING_CHAIN_SCHEMA). Every pass that applies the cleanup or mastering filters builds
+ * them here, so the analysis measures the same audio the gain is applied to. A bypassed stage
+ * is left out of every chain. With a learned noise profile, the noise sample is played before
+ * the audio so the noise reduction learns it first, and cut off again after the noise reduction.
+ * The neural denoise runs at the sample rate of its models; the audio is resampled around it.
+ *
+ * @version 1.4.0
+ */
+
+import {MASTERING_CHAIN_SCHEMA, RNNOISE_SAMPLE_RATE} from '../../config.js';
+import {filter, serializeChain} from './filterGraph.js';
+import {getRnnoiseModelPath} from './rnnoiseModels.js';
+
+/**
+ * @typedef {Object<string, Object<string, number | boolean>>} MasteringChain - The value of every parameter
+ *  of MASTERING_CHAIN_SCHEMA, by stage and parameter key, e.g. `chain.highPass.frequency`. Stages without
+ *  a toggle also carry a `bypass` flag.
+ * @typedef {import('./filterGraph.js').FilterNode} FilterNode
+ * @typedef {import('../jobs/main/step3-process-chunks.js').MasteringOptions} MasteringOptions
+ */
+
+/**
+ * @typedef {object} NoiseSample - A noise-only excerpt of the input for the noise reduction to learn from.
+ * @property {string} path - The path of the sample, a PCM WAV file in the format of the audio, in the virtual FS.
+ * @property {number} samples - The length of the sample, in samples.
+ * @property {number} duration - The length of the sample, in seconds.
+ */
+
+/**
+ * Resolves a (possibly partial or user-entered) chain into valid values. Missing and
+ * non-numeric values use the defaults; the others are clamped to the ranges of the schema.
+ * Stages and parameters the schema does not declare are dropped. A stage is only bypassed if its
+ * `bypass` flag is true, and stages switched by a toggle of MasteringOptions get no flag.
+ *
+ * @param {Object<string, Object<string, *>>} [chain] - The chain from MasteringOptions or a preset.
+ * @returns {MasteringChain} A complete and valid chain.
+ */
+export function getMasteringChain(chain = {}) {
+    /** @type {MasteringChain} */
+    const resolved = {};
+    for (const [stageKey, stage] of Object.entries(MASTERING_CHAIN_SCHEMA)) {
+        const values = (chain && chain[stageKey]) || {};
+        resolved[stageKey] = {};
+        for (const [paramKey, param] of Object.entries(stage.params)) {
+            const number = Number(values[paramKey]);
+            const [min, max] = param.range;
+            resolved[stageKey][paramKey] = values[paramKey] === undefined || values[paramKey] === null || !Number.isFinite(number)
+                ? param.default
+                : Math.min(max, Math.max(min, number));
+        }
+        if (!stage.option) resolved[stageKey].bypass = values.bypass === true;
+    }
+    return resolved;
+}
+
+/**
+ * @returns {MasteringChain} The default value of every parameter.
+ */
+export function getDefaultMasteringChain() {
+    return getMasteringChain({});
+}
+
+/**
+ * @param {MasteringChain} chain
+ * @param {MasteringOptions} options - The toggles of the stages that have one.
+ * @param {string} stageKey - A key of MASTERING_CHAIN_SCHEMA.
+ * @returns {boolean} Whether the stage is applied.
+ */
+function isStageActive(chain, options, stageKey) {
+    const {option} = MASTERING_CHAIN_SCHEMA[stageKey];
+    return option ? Boolean(options[option]) : !chain[stageKey].bypass;
+}
+
+/**
+ * Builds the cleanup filters every pass starts with: the channel layout, then rumble, noise
+ * and sibilance reduction. With a noise sample, the chain reads the audio as input 0 and the
+ * sample as input 1 (see buildCleanupArgs), and afftdn learns the noise from the sample.
+ * The neural denoise reads its model from the filesystem, where loadRnnoiseModel writes it.
+ *
+ * @param {string} channelLayout - The FFmpeg channel layout of the audio, e.g. 'stereo' or '5.1(side)'.
+ * @param {number} sampleRate - The sample rate of the audio in Hz, which the chain keeps.
+ * @param {MasteringOptions} options - The resolved mastering options, whose chain sets the filter parameters.
+ * @param {NoiseSample | null} [noiseSample=null] - The sample to learn the noise profile from.
+ * @returns {FilterNode[]}
+ */
+export function buildCleanupFilters(channelLayout, sampleRate, options, noiseSample = null) {
+    const {chain} = options;
+    const {highPass, denoise, neuralDenoise, deesser} = chain;
+    const learnsNoise = Boolean(noiseSample) && !denoise.bypass;
+    const filters = [];
+    if (learnsNoise) {
+        filters.push(filter('concat', {n: 2, v: 0, a: 1}, {inputs: ['1:a', '0:a']}));
+    }
+    filters.push(filter('aformat', {channel_layouts: channelLayout}));
+    if (!highPass.bypass) filters.push(filter('highpass', {f: highPass.frequency}));
+    if (learnsNoise) {
+        // afftdn samples the noise between the two commands, then reduces by the learned profile.
+        filters.push(
+            filter('asendcmd', {c: '0 afftdn sn start'}),
+            filter('asendcmd', {c: `${noiseSample.duration} afftdn sn stop`}),
+            filter('afftdn', {nf: denoise.noiseFloor}),
+            filter('atrim', {start_sample: noiseSample.samples}),
+            filter('asetpts', {expr: 'PTS-STARTPTS'})
+        );
+    } else if (!denoise.bypass) {
+        filters.push(filter('afftdn', {nf: denoise.noiseFloor}));
+    }
+    if (isStageActive(chain, options, 'neuralDenoise')) {
+        const resampled = sampleRate !== RNNOISE_SAMPLE_RATE;
+        if (resampled) filters.push(filter('aresample', {out_sample_rate: RNNOISE_SAMPLE_RATE}));
+        filters.push(filter('arnndn', {m: getRnnoiseModelPath(options.neuralDenoiseModel), mix: neuralDenoise.mix}));
+        if (resampled) filters.push(filter('aresample', {out_sample_rate: sampleRate}));
+    }
+    if (!deesser.bypass) filters.push(filter('deesser', {i: deesser.intensity, m: deesser.maxReduction, f: deesser.frequency}));
+    return filters;
+}
+
+/**
+ * Builds the input and filter arguments of a command whose chain starts with the cleanup filters.
+ * A chain that learns from a noise sample reads it as a second input, which `-af` cannot do.
+ *
+ * @param {string} inputFile - The path of the audio.
+ * @param {FilterNode[]} filters - The chain, starting with the nodes of buildCleanupFilters.
+ * @param {NoiseSample | null} noiseSample - The sample the chain was built with.
+ * @returns {string[]}
+ */
+export function buildCleanupArgs(inputFile, filters, noiseSample) {
+    const learnsNoise = filters.some(node => node.inputs.length > 0);
+    return learnsNoise
+        ? ['-i', inputFile, '-i', noiseSample.path, '-filter_complex', serializeChain(filters)]
+        : ['-i', inputFile, '-af', serializeChain(filters)];
+}
+
+/**
+ * Builds a static gain followed by a peak limiter. The limiter's auto-leveling is disabled; it
+ * would otherwise undo the gain, and re-normalize every chunk on its own.
+ *
+ * @param {number} gainDb - The gain, in dB.
+ * @param {number} limit - The limiter's ceiling, as a linear sample value.
+ * @returns {FilterNode[]}
+ */
+export function buildGainFilters(gainDb, limit) {
+    return [
+        filter('volume', {volume: `${gainDb.toFixed(2)}dB`}),
+        filter('alimiter', {limit: limit.toFixed(4), attack: 5, release: 50, level: 'disabled'}),
+    ];
+}
+
+/**
+ * Builds the mastering filters for a chunk. The de-mud and gate thresholds follow the RMS
+ * level measured in Pass 3, so the chain differs slightly from chunk to chunk.
+ *
+ * @param {number} rmsLevel - The RMS level calculated in Pass 3.
+ * @param {MasteringOptions} options - The resolved mastering options, whose chain sets the filter parameters.
+ * @returns {FilterNode[]}
+ */
+export function buildMasteringFilters(rmsLevel, options) {
+    const {chain} = options;
+    const {demud, sibilance, clarity, tonal, gate, limiter, softClip} = chain;
+    const active = (stageKey) => isStageActive(chain, options, stageKey);
+    const dynamicBand = (band, threshold) => filter('adynamicequalizer', {
+        dfrequency: band.frequency, dqfactor: band.q, tfrequency: band.frequency, tqfactor: band.q, tftype: 'bell',
+        threshold, attack: 20, release: 50, knee: 1, ratio: 1, makeup: band.makeup, range: band.range, slew: 1, mode: 'boost'
+    });
+
+    const filters = [];
+    if (active('demud')) {
+        filters.push(dynamicBand(demud, rmsLevel + demud.thresholdOffset));
+    }
+    if (active('sibilance')) {
+        filters.push(dynamicBand(sibilance, sibilance.threshold));
+    }
+    if (active('limiter')) {
+        filters.push(filter('alimiter', {limit: Math.pow(10, limiter.ceiling / 20).toFixed(4)}));
+    }
+    if (active('gate')) {
+        filters.push(filter('agate', {threshold: Math.pow(10, (rmsLevel + gate.thresholdOffset) / 20)}));
+    }
+    if (active('clarity')) {
+        filters.push(filter('equalizer', {f: clarity.frequency, t: 'h', g: clarity.gain}));
+    }
+    if (active('tonal')) {
+        filters.push(filter('equalizer', {f: 92, width_type: 'h', w: 50, g: tonal.lowGain}));
+        filters.push(filter('equalizer', {f: 185, width_type: 'h', w: 100, g: tonal.lowMidGain}));
+        filters.push(filter('equalizer', {f: 5920, width_type: 'h', w: 1000, g: tonal.presenceGain}));
+    }
+    if (active('softClip')) {
+        filters.push(filter('asoftclip', {type: 'atan', threshold: softClip.threshold}));
+    }
+    if (filters.length === 0) {
+        // Every stage is bypassed; -af needs at least one filter.
+        filters.push(filter('anull'));
+    }
+    return filters;
+}
@@ -0,0 +1,76 @@
+/**
+ * @typedef {object} LoudnessStats
+ * @property {number[]} times - The presentation time (in seconds) of each 100ms measurement frame.
+ * @property {number[]} momentary - The momentary (400ms) loudness of each frame, in LUFS.
+ * @property {number[]} shortTerm - The short-term (3s) loudness of each frame, in LUFS.
+ * @property {number} truePeak - The highest true peak across all channels, in dBFS.
+ */
+
+// Matches the frame header lines written by `ametadata=mode=print`, e.g. "frame:12   pts:52920   pts_time:1.2".
+const FRAME_REGEX = /^frame:\d+\s+pts:\S+\s+pts_time:(\S+)/;
+// Matches the ebur128 metadata keys we need, e.g. "lavfi.r128.M=-23.456" or "lavfi.r128.true_peaks_ch0=0.891".
+// The loudness values are in LUFS; the true peaks are linear amplitudes (1.0 is full scale).
+const VALUE_REGEX = /^lavfi\.r128\.(M|S|true_peaks_ch\d+)=(\S+)/;
+
+/**
+ * Parses a value written by ebur128, which uses '-inf' for digital silence.
+ * @param {string} value - The raw value string.
+ * @returns {number}
+ */
+const parseLevel = (value) => value === '-inf' ? -Infinity : parseFloat(value);
+
+/**
+ * Converts a linear amplitude, as ebur128 reports the true peaks, to dBFS.
+ * @param {number} amplitude
+ * @returns {number} The level in dBFS; -Infinity for silence.
+ */
+export const amplitudeToDb = (amplitude) => amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+
+/**
+ * Parses the output of `ebur128=metadata=1:peak=true,ametadata=mode=print:file=...` into
+ * per-frame loudness values. With metadata injection enabled, ebur128 forces 100ms frames,
+ * so every frame is one (overlapping) gating block as defined by ITU-R BS.1770.
+ *
+ * @param {string} fileContent - The string content of the ametadata output file.
+ * @returns {LoudnessStats} The per-frame loudness values and the overall true peak.
+ * @throws {Error} If the file contains no loudness frames.
+ */
+export function parseEbur128Metadata(fileContent) {
+    const lines = fileContent.split('\n');
+
+    /** @type {LoudnessStats} */
+    const result = {
+        times: [],
+        momentary: [],
+        shortTerm: [],
+        truePeak: -Infinity
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+
+        const frameMatch = line.match(FRAME_REGEX);
+        if (frameMatch) {
+            result.times.push(parseFloat(frameMatch[1]));
+            continue;
+        }
+
+        const valueMatch = line.match(VALUE_REGEX);
+        if (!valueMatch) continue;
+
+        const [, key, rawValue] = valueMatch;
+        if (key === 'M') {
+            result.momentary.push(parseLevel(rawValue));
+        } else if (key === 'S') {
+            result.shortTerm.push(parseLevel(rawValue));
+        } else {
+            result.truePeak = Math.max(result.truePeak, amplitudeToDb(parseFloat(rawValue)));
+        }
+    }
+
+    if (result.momentary.length === 0) {
+        throw new Error("Log Parser Failed: Could not find any lavfi.r128 loudness frames in the analysis file.");
+    }
+
+    return result;
+}
@@ -0,0 +1,90 @@
+import {amplitudeToDb} from './ebur128.js';
+
+/**
+ * @typedef {object} Envelope
+ * @property {number} interval - The length of every measurement window, in seconds.
+ * @property {number[]} peak - The sample peak of each window, in dBFS.
+ * @property {number[]} rms - The RMS level of each window, in dBFS.
+ * @property {number[]} momentary - The momentary (400ms) loudness at the end of each window, in LUFS.
+ * @property {number[]} shortTerm - The short-term (3s) loudness at the end of each window, in LUFS.
+ * @property {number} integrated - The integrated loudness of the whole file, in LUFS; -Infinity if silent.
+ * @property {number} lra - The loudness range of the whole file, in LU.
+ * @property {number} truePeak - The highest true peak across all channels, in dBFS; -Infinity if silent.
+ */
+
+/** Levels below this (including silence, which is reported as -inf) are stored as this value. */
+export const ENVELOPE_FLOOR_DB = -90;
+
+// Matches the frame header lines written by `ametadata=mode=print`, e.g. "frame:12   pts:52920   pts_time:1.2".
+const FRAME_REGEX = /^frame:\d+\s+pts:\S+\s+pts_time:(\S+)/;
+// Matches the values we need, e.g. "lavfi.r128.M=-23.456" or "lavfi.astats.Overall.Peak_level=-3.2".
+const VALUE_REGEX = /^lavfi\.(r128\.M|r128\.S|astats\.Overall\.Peak_level|astats\.Overall\.RMS_level)=(\S+)/;
+// Matches the running whole-file values, e.g. "lavfi.r128.I=-16.2" or "lavfi.r128.true_peaks_ch1=0.861".
+// The true peaks are linear amplitudes and are converted to dBFS.
+const SUMMARY_REGEX = /^lavfi\.r128\.(I|LRA|true_peaks_ch\d+)=(\S+)/;
+
+const FIELDS = {
+    'r128.M': 'momentary',
+    'r128.S': 'shortTerm',
+    'astats.Overall.Peak_level': 'peak',
+    'astats.Overall.RMS_level': 'rms',
+};
+
+/**
+ * Parses a level, clamped to the floor and rounded to 0.1 dB to keep the envelope small.
+ * @param {string} value - The raw value string; '-inf' for silence.
+ * @returns {number}
+ */
+const parseLevel = (value) => {
+    const level = parseFloat(value);
+    return Number.isFinite(level) ? Math.round(Math.max(ENVELOPE_FLOOR_DB, level) * 10) / 10 : ENVELOPE_FLOOR_DB;
+};
+
+/**
+ * Parses the output of `ebur128=metadata=1:peak=true,astats=metadata=1:reset=1,ametadata=mode=print:file=...`
+ * into a level envelope. ebur128 forces 100ms frames, and astats is reset on every frame, so
+ * each frame is one measurement window. ebur128 reports the integrated loudness and loudness
+ * range so far on every frame, so the last frame holds those of the whole file.
+ *
+ * @param {string} fileContent - The string content of the ametadata output file.
+ * @returns {Envelope} The levels of every window, in order.
+ * @throws {Error} If the file contains no frames.
+ */
+export function parseEnvelopeMetadata(fileContent) {
+    /** @type {Envelope} */
+    const envelope = { interval: 0, peak: [], rms: [], momentary: [], shortTerm: [], integrated: -Infinity, lra: 0, truePeak: -Infinity };
+    const times = [];
+
+    for (const rawLine of fileContent.split('\n')) {
+        const line = rawLine.trim();
+        const frameMatch = line.match(FRAME_REGEX);
+        if (frameMatch) {
+            times.push(parseFloat(frameMatch[1]));
+            // A window missing a value repeats the floor, so all series stay aligned with the frames.
+            for (const field of Object.values(FIELDS)) envelope[field].push(ENVELOPE_FLOOR_DB);
+            continue;
+        }
+        const summaryMatch = line.match(SUMMARY_REGEX);
+        if (summaryMatch) {
+            const value = parseFloat(summaryMatch[2]);
+            if (summaryMatch[1] === 'I') {
+                envelope.integrated = Number.isFinite(value) ? value : -Infinity;
+            } else if (summaryMatch[1] === 'LRA') {
+                envelope.lra = Number.isFinite(value) ? value : 0;
+            } else {
+                envelope.truePeak = Math.max(envelope.truePeak, amplitudeToDb(value));
+            }
+            continue;
+        }
+        const valueMatch = line.match(VALUE_REGEX);
+        if (!valueMatch || times.length === 0) continue;
+        const series = envelope[FIELDS[valueMatch[1]]];
+        series[series.length - 1] = parseLevel(valueMatch[2]);
+    }
+
+    if (times.length === 0) {
+        throw new Error("Log Parser Failed: The envelope analysis file contains no frames.");
+    }
+    envelope.interval = times.length > 1 ? Math.round((times[1] - times[0]) * 1000) / 1000 : 0.1;
+    return envelope;
+}
@@ -19,8 +19,9 @@
  */
 
 // Precompile the regular expression outside the function for maximum speed.
-const FILTER_LINE_REGEX = /^(?:\\s*)?([T\.\s][S\.\s][\.\s]\s*)([a-zA-Z0-9_]+)\s+([A-Z]*[\|]?[A-Z]*->[A-Z]*[\|]?)\s+(.*)$/;
-const START_OF_DATA_REGEX = /^[T\.][S\.]|^\s*[\.][\s]/; // Used for skipping the header
+// The lines are indented, and newer builds print a third flag column for command support (e.g. ' TSC afir  N->N ...').
+const FILTER_LINE_REGEX = /^\s*([T.][S.][C.]?)\s+([a-zA-Z0-9_]+)\s+([AVN|]+->[AVN|]+)\s+(.*)$/;
+const START_OF_DATA_REGEX = /^\s*[T.][S.][C.]?\s+\w/; // Used for skipping the header
 
 /**
  * Helper function to determine the primary stream type from the raw I/O string.
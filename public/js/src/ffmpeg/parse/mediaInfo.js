@@ -0,0 +1,249 @@
+import {parseProgressTime} from './progress.js';
+
+/**
+ * @typedef {object} StreamInfo
+ * @property {number} index - The index of the stream in the input, as in "Stream #0:<index>".
+ * @property {string} type - The stream type as FFmpeg prints it, e.g. 'Audio', 'Video' or 'Data'.
+ * @property {string} codec - The codec name, e.g. 'aac' or 'pcm_s24le'.
+ * @property {string | null} profile - The codec profile, e.g. 'LC', if printed.
+ * @property {string | null} language - The stream language, e.g. 'eng', if printed.
+ * @property {number | null} sampleRate - The sample rate in Hz (audio only).
+ * @property {string | null} channelLayout - The layout as FFmpeg names it, e.g. 'stereo', '5.1(side)' or '2 channels' (audio only).
+ * @property {number | null} channels - The number of channels (audio only).
+ * @property {string | null} sampleFormat - The sample format, e.g. 's16' or 'fltp' (audio only).
+ * @property {number | null} bitDepth - The bits per sample of the decoded audio (audio only).
+ * @property {number | null} bitRate - The bit rate in kb/s, if printed.
+ * @property {boolean} attachedPicture - Whether the stream is embedded cover art.
+ * @property {Object<string, string>} tags - The stream's metadata.
+ */
+
+/**
+ * @typedef {object} ChapterInfo
+ * @property {number} start - The start of the chapter in seconds.
+ * @property {number} end - The end of the chapter in seconds.
+ * @property {Object<string, string>} tags - The chapter's metadata, usually just a title.
+ */
+
+/**
+ * @typedef {object} MediaInfo
+ * @property {string} format - The demuxer name(s), e.g. 'mov,mp4,m4a,3gp,3g2,mj2'.
+ * @property {number | null} duration - The duration in seconds, or null if it could not be determined.
+ * @property {'packets'|'container'|null} durationSource - Where the duration came from: the timestamps
+ *  of the packets that were read, or the container header.
+ * @property {number | null} bitRate - The overall bit rate in kb/s, if printed.
+ * @property {StreamInfo[]} streams - Every stream of the input, in order.
+ * @property {ChapterInfo[]} chapters - The chapters of the input, in order.
+ * @property {Object<string, string>} tags - The global metadata of the input.
+ */
+
+/**
+ * The number of channels of FFmpeg's named channel layouts. A qualifier in parentheses,
+ * e.g. '5.1(side)', does not change the count and is stripped before the lookup.
+ */
+const LAYOUT_CHANNELS = {
+    'mono': 1, 'stereo': 2, 'downmix': 2, '2.1': 3, '3.0': 3, '4.0': 4, 'quad': 4, '3.1': 4,
+    '5.0': 5, '4.1': 5, '5.1': 6, '6.0': 6, 'hexagonal': 6, '6.1': 7, '7.0': 7, '7.1': 8,
+    'octagonal': 8, 'cube': 8, 'hexadecagonal': 16, '22.2': 24,
+};
+
+/** The bits per sample of FFmpeg's sample formats; the planar variants end in 'p'. */
+const SAMPLE_FORMAT_BITS = {u8: 8, s16: 16, s32: 32, s64: 64, flt: 32, dbl: 64};
+
+const INPUT_REGEX = /^Input #0, (.+), from '/;
+const DURATION_REGEX = /^\s*Duration: (N\/A|(\d+):(\d{2}):(\d{2}(?:\.\d+)?))(?:, start: [^,]+)?(?:, bitrate: (\d+) kb\/s)?/;
+const CHAPTER_REGEX = /^\s*Chapter #\d+:\d+: start (-?\d+(?:\.\d+)?), end (-?\d+(?:\.\d+)?)/;
+const STREAM_REGEX = /^\s*Stream #0:(\d+)(?:\[0x[0-9a-f]+\])?(?:\(([^)]+)\))?: (\w+): (.*)$/;
+const TAG_REGEX = /^(\s*)(\S.*?)?\s*: (.*)$/;
+
+/**
+ * Splits a stream description at the commas that are not inside parentheses.
+ * @param {string} text - E.g. 'aac (LC) (mp4a / 0x6134706D), 44100 Hz, stereo, fltp'.
+ * @returns {string[]} The trimmed parts.
+ */
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === '(') depth++;
+        if (char === ')') depth = Math.max(0, depth - 1);
+        if (char === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current.trim());
+    return parts;
+}
+
+/**
+ * Counts the channels of a channel layout as FFmpeg prints it.
+ * @param {string} layout - E.g. 'stereo', '5.1(side)', 'mono(left)', '6 channels' or 'FL+FR+LFE'.
+ * @returns {number | null} The number of channels, or null if the layout is not recognised.
+ */
+export function countLayoutChannels(layout) {
+    const countMatch = layout.match(/^(\d+) channels?\b/);
+    if (countMatch) return parseInt(countMatch[1]);
+    const name = layout.replace(/\(.*\)$/, '');
+    if (name in LAYOUT_CHANNELS) return LAYOUT_CHANNELS[name];
+    // A custom layout lists its channels, e.g. 'FL+FR+LFE'.
+    if (/^[A-Za-z0-9]+(\+[A-Za-z0-9]+)+$/.test(name)) return name.split('+').length;
+    return null;
+}
+
+/**
+ * Parses the details of an audio stream.
+ * @param {string[]} parts - The top-level parts of the description, after the codec.
+ * @returns {Partial<StreamInfo>}
+ */
+function parseAudioDetails(parts) {
+    const details = {sampleRate: null, channelLayout: null, channels: null, sampleFormat: null, bitDepth: null};
+    const rateIndex = parts.findIndex(part => /^\d+ Hz$/.test(part));
+    if (rateIndex === -1) return details;
+
+    details.sampleRate = parseInt(parts[rateIndex]);
+    const layout = parts[rateIndex + 1];
+    if (layout && !/kb\/s/.test(layout)) {
+        details.channelLayout = layout;
+        details.channels = countLayoutChannels(layout);
+    }
+    const format = parts[rateIndex + 2];
+    if (format && !/kb\/s/.test(format)) {
+        const [, name, bits] = format.match(/^(\w+?)(?:p)?(?: \((\d+) bit\))?$/) || [];
+        details.sampleFormat = format.split(' ')[0];
+        details.bitDepth = bits ? parseInt(bits) : (SAMPLE_FORMAT_BITS[name] || null);
+    }
+    return details;
+}
+
+/**
+ * Parses a "Stream #0:n" line.
+ * @param {RegExpMatchArray} match - The match of STREAM_REGEX.
+ * @returns {StreamInfo}
+ */
+function parseStream([, index, language, type, description]) {
+    const parts = splitTopLevel(description);
+    const [codec, profile] = parts[0].match(/^(\S+)(?: \(([^)]+)\))?/).slice(1);
+    // The codec tag, e.g. '(mp4a / 0x6134706D)', is printed in parentheses as well.
+    const isCodecTag = profile && / \/ 0x[0-9A-Fa-f]+$/.test(profile);
+    const bitRateMatch = description.match(/(\d+) kb\/s/);
+    const stream = {
+        index: parseInt(index),
+        type,
+        codec,
+        profile: profile && !isCodecTag ? profile : null,
+        language: language || null,
+        sampleRate: null,
+        channelLayout: null,
+        channels: null,
+        sampleFormat: null,
+        bitDepth: null,
+        bitRate: bitRateMatch ? parseInt(bitRateMatch[1]) : null,
+        attachedPicture: /\(attached pic\)/.test(description),
+        tags: {}
+    };
+    return type === 'Audio' ? {...stream, ...parseAudioDetails(parts.slice(1))} : stream;
+}
+
+/**
+ * Parses the input description FFmpeg prints for `-i`, e.g. from `ffmpeg -i in.m4a -c copy -f null -`.
+ * Only the first input is parsed. If the container does not state a duration (or FFmpeg read
+ * every packet, as with `-f null`), the position of the last stats line is used instead.
+ *
+ * @param {string} logText - The log of the command.
+ * @returns {MediaInfo}
+ */
+export function parseMediaInfo(logText) {
+    /** @type {MediaInfo} */
+    const info = {format: '', duration: null, durationSource: null, bitRate: null, streams: [], chapters: [], tags: {}};
+    let containerDuration = null;
+    let packetDuration = null;
+
+    // The object the next "key : value" lines belong to, and their indentation.
+    let tagTarget = null;
+    let tagIndent = 0;
+    let lastKey = null;
+    let inInput = false;
+
+    for (const line of logText.split('\n')) {
+        const time = parseProgressTime(line);
+        if (time !== null) {
+            packetDuration = time;
+            continue;
+        }
+
+        const inputMatch = line.match(INPUT_REGEX);
+        if (inputMatch) {
+            inInput = true;
+            info.format = inputMatch[1];
+            continue;
+        }
+        // The output and mapping sections repeat the stream descriptions for the output.
+        if (/^(Output #|Stream mapping:|Input #[1-9])/.test(line)) {
+            inInput = false;
+            tagTarget = null;
+            continue;
+        }
+        if (!inInput) continue;
+
+        const durationMatch = line.match(DURATION_REGEX);
+        if (durationMatch) {
+            const [, text, hours, minutes, seconds, bitRate] = durationMatch;
+            if (text !== 'N/A') {
+                containerDuration = parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
+            }
+            info.bitRate = bitRate ? parseInt(bitRate) : null;
+            tagTarget = null;
+            continue;
+        }
+
+        const chapterMatch = line.match(CHAPTER_REGEX);
+        if (chapterMatch) {
+            const chapter = {start: parseFloat(chapterMatch[1]), end: parseFloat(chapterMatch[2]), tags: {}};
+            info.chapters.push(chapter);
+            tagTarget = chapter.tags;
+            continue;
+        }
+
+        const streamMatch = line.match(STREAM_REGEX);
+        if (streamMatch) {
+            const stream = parseStream(streamMatch);
+            info.streams.push(stream);
+            tagTarget = stream.tags;
+            continue;
+        }
+
+        if (/^\s*Metadata:\s*$/.test(line)) {
+            // The global metadata block is the only one directly below the "Input #0" line.
+            const indent = line.search(/\S/);
+            if (indent === 2) tagTarget = info.tags;
+            tagIndent = indent + 2;
+            lastKey = null;
+            continue;
+        }
+
+        const tagMatch = tagTarget && line.match(TAG_REGEX);
+        if (tagMatch && tagMatch[1].length >= tagIndent) {
+            const [, , key, value] = tagMatch;
+            if (key) {
+                tagTarget[key] = value;
+                lastKey = key;
+            } else if (lastKey) {
+                // A multi-line value continues with an empty key.
+                tagTarget[lastKey] += `\n${value}`;
+            }
+        }
+    }
+
+    // Reading the packets measures the duration exactly; the header may only estimate it.
+    if (packetDuration !== null && packetDuration > 0) {
+        info.duration = packetDuration;
+        info.durationSource = 'packets';
+    } else if (containerDuration !== null) {
+        info.duration = containerDuration;
+        info.durationSource = 'container';
+    }
+    return info;
+}
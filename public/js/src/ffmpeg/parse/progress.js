@@ -0,0 +1,15 @@
+// Matches the position in FFmpeg's periodic stats line, e.g. "size=    1024kB time=00:01:23.45 bitrate=...".
+const TIME_REGEX = /\btime=(-?)(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/;
+
+/**
+ * Parses the output position from one of FFmpeg's stats lines.
+ * @param {string} line - A single log line.
+ * @returns {number | null} The position in seconds, or null if the line is not a stats line
+ *  (or reports a negative position, which FFmpeg prints before the first frame).
+ */
+export function parseProgressTime(line) {
+    const match = line.match(TIME_REGEX);
+    if (!match || match[1] === '-') return null;
+    const [, , hours, minutes, seconds] = match;
+    return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
+}
@@ -0,0 +1,40 @@
+/**
+ * @typedef {object} SilenceRegion
+ * @property {number} start - The start of the silence, in seconds.
+ * @property {number} end - The end of the silence, in seconds.
+ */
+
+// Matches the silencedetect metadata keys, e.g. "lavfi.silence_start=12.345" or "lavfi.silence_end=15.6".
+// With mono=0 the keys carry no channel suffix.
+const VALUE_REGEX = /^lavfi\.silence_(start|end)=(\S+)/;
+
+/**
+ * Parses the output of `silencedetect,ametadata=mode=print:file=...` into silent regions.
+ * silencedetect reports the start of a silence once it has lasted the minimum duration, and
+ * its end when sound returns; a silence still running at the end of the audio has no end.
+ *
+ * @param {string} fileContent - The string content of the ametadata output file.
+ * @param {number} duration - The duration of the analyzed audio in seconds, which ends an open silence.
+ * @returns {SilenceRegion[]} The silent regions, in order.
+ */
+export function parseSilenceMetadata(fileContent, duration) {
+    /** @type {SilenceRegion[]} */
+    const regions = [];
+    let start = null;
+
+    for (const line of fileContent.split('\n')) {
+        const match = line.trim().match(VALUE_REGEX);
+        if (!match) continue;
+        const value = Math.max(0, parseFloat(match[2]));
+        if (match[1] === 'start') {
+            start = value;
+        } else if (start !== null) {
+            regions.push({ start, end: Math.min(value, duration) });
+            start = null;
+        }
+    }
+    if (start !== null && start < duration) {
+        regions.push({ start, end: duration });
+    }
+    return regions.filter(region => region.end > region.start);
+}
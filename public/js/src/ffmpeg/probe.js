@@ -0,0 +1,95 @@
+/**
+ * @file Probes a media file with the FFmpeg instance and describes its streams, chapters and tags.
+ * There is no ffprobe in ffmpeg.wasm, so the input description FFmpeg prints is parsed instead.
+ * Every packet of the first audio stream is read (without decoding), which yields the exact
+ * duration even for containers whose header does not state one.
+ *
+ * @version 1.0.0
+ */
+
+import {runFFmpeg, isAbortError} from './run.js';
+import {parseMediaInfo} from './parse/mediaInfo.js';
+
+/**
+ * @typedef {import('../ui/ui.js').UI} UI
+ * @typedef {import('../../main.js').FFmpeg} FFmpeg
+ * @typedef {import('./logStore.js').LogStore} LogStore
+ * @typedef {import('./parse/mediaInfo.js').MediaInfo} MediaInfo
+ * @typedef {import('./parse/mediaInfo.js').StreamInfo} StreamInfo
+ */
+
+/**
+ * Creates the error thrown when a file cannot be used as audio input.
+ * @param {string} message - The error message.
+ * @returns {Error}
+ */
+function createProbeError(message) {
+    const error = new Error(message);
+    error.name = 'MediaProbeError';
+    return error;
+}
+
+/**
+ * Probes a media file.
+ *
+ * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
+ * @param {string} inputFile - The path to the file in the virtual filesystem.
+ * @param {UI} updateUI - The UI instance for updating the command display.
+ * @param {LogStore} logStore - The central log store for capturing FFmpeg logs.
+ * @param {AbortSignal} [signal] - Cancels the FFmpeg command when aborted.
+ * @returns {Promise<MediaInfo>} The description of the file.
+ * @throws {Error} A 'MediaProbeError' if the file cannot be read or has no usable audio stream.
+ */
+export async function probeMedia(ffmpeg, inputFile, updateUI, logStore, signal) {
+    logStore.clear();
+
+    const args = ['-hide_banner', '-i', inputFile, '-map', '0:a:0', '-c', 'copy', '-f', 'null', '-'];
+    let commandError = null;
+    try {
+        await runFFmpeg(ffmpeg, args, updateUI, signal);
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        // FFmpeg fails when there is no audio stream to map; the log still describes the input.
+        commandError = error;
+    }
+
+    const mediaInfo = parseMediaInfo(logStore.get());
+    if (!mediaInfo.format) {
+        throw createProbeError(`Could not read "${inputFile}" as a media file. ${commandError ? commandError.message : ''}`.trim());
+    }
+    const audioStream = getPrimaryAudioStream(mediaInfo);
+    if (!audioStream) {
+        throw createProbeError('The file does not contain an audio stream.');
+    }
+    if (commandError) throw commandError;
+    if (!audioStream.sampleRate) {
+        throw createProbeError(`Could not determine the sample rate of the ${audioStream.codec} audio stream.`);
+    }
+    if (mediaInfo.duration === null) {
+        throw createProbeError('Could not determine the duration of the audio.');
+    }
+    return mediaInfo;
+}
+
+/**
+ * @param {MediaInfo} mediaInfo - A probed file.
+ * @returns {StreamInfo | undefined} The audio stream the pipeline masters: the first one, as `-map 0:a:0` selects.
+ */
+export function getPrimaryAudioStream(mediaInfo) {
+    return mediaInfo.streams.find(stream => stream.type === 'Audio');
+}
+
+/**
+ * Describes an audio stream for display.
+ * @param {StreamInfo} stream - A probed audio stream.
+ * @returns {string} E.g. 'aac (LC), 48000 Hz, 5.1(side), 127 kb/s'.
+ */
+export function describeAudioStream(stream) {
+    return [
+        stream.profile ? `${stream.codec} (${stream.profile})` : stream.codec,
+        `${stream.sampleRate} Hz`,
+        stream.channelLayout,
+        stream.bitDepth && /^pcm_|^flac$|^alac$/.test(stream.codec) ? `${stream.bitDepth}-bit` : null,
+        stream.bitRate ? `${stream.bitRate} kb/s` : null
+    ].filter(Boolean).join(', ');
+}
@@ -0,0 +1,86 @@
+/**
+ * @file Helpers for the models of the neural denoise (arnndn). The models are declared in
+ * config.js (RNNOISE_MODELS) and served as static files from public/models/rnnoise. An FFmpeg
+ * instance reads the model from its own virtual filesystem, so the main thread and every worker
+ * write the selected model there before a command uses it. It stays there for later runs.
+ *
+ * @version 1.0.1
+ */
+
+import {ABS_RNNOISE_MODELS_URL, DEFAULT_RNNOISE_MODEL, RNNOISE_MODELS} from '../../config.js';
+
+/**
+ * @typedef {import('../../main.js').FFmpeg} FFmpeg
+ */
+
+/** The directory of the virtual filesystem the models are written to. */
+const MODEL_DIRECTORY = '/models';
+
+/** @type {Map<string, Promise<Uint8Array>>} The downloads of the models, by model key, shared by every load. */
+const downloads = new Map();
+
+/**
+ * @param {string} [model] - The model from MasteringOptions or a preset.
+ * @returns {string} The key of the model, or of the default model if it is unknown.
+ */
+export function resolveRnnoiseModel(model) {
+    return model in RNNOISE_MODELS ? model : DEFAULT_RNNOISE_MODEL;
+}
+
+/**
+ * @param {string} model - A key of RNNOISE_MODELS.
+ * @returns {string} The path of the model in the virtual filesystem, for the `m` option of arnndn.
+ */
+export function getRnnoiseModelPath(model) {
+    return `${MODEL_DIRECTORY}/${RNNOISE_MODELS[resolveRnnoiseModel(model)].file}`;
+}
+
+/**
+ * @param {string} model - A key of RNNOISE_MODELS.
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} A 'RnnoiseModelError' if the model cannot be downloaded.
+ */
+async function downloadModel(model) {
+    const url = new URL(RNNOISE_MODELS[model].file, ABS_RNNOISE_MODELS_URL).href;
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (e) {
+        response = null;
+    }
+    if (!response || !response.ok) {
+        const error = new Error(`The ${RNNOISE_MODELS[model].label} model for the neural denoise could not be loaded from ${url}${response ? ` (status ${response.status})` : ''}.`);
+        error.name = 'RnnoiseModelError';
+        throw error;
+    }
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Writes a model to the filesystem of an FFmpeg instance, unless it is there already. The
+ * model is downloaded once per thread; a failed download is tried again by the next load.
+ *
+ * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
+ * @param {string} model - A key of RNNOISE_MODELS.
+ * @returns {Promise<string>} The path of the model in the virtual filesystem.
+ * @throws {Error} A 'RnnoiseModelError' if the model cannot be downloaded.
+ */
+export async function loadRnnoiseModel(ffmpeg, model) {
+    const key = resolveRnnoiseModel(model);
+    const path = getRnnoiseModelPath(key);
+    try {
+        await ffmpeg.createDir(MODEL_DIRECTORY);
+    } catch (e) { /* The directory already exists from a previous run. */ }
+    const files = await ffmpeg.listDir(MODEL_DIRECTORY);
+    if (files.some(f => `${MODEL_DIRECTORY}/${f.name}` === path)) return path;
+
+    if (!downloads.has(key)) {
+        downloads.set(key, downloadModel(key).catch((error) => {
+            downloads.delete(key);
+            throw error;
+        }));
+    }
+    // writeFile transfers the buffer to FFmpeg's thread, so the download is kept by writing a copy.
+    await ffmpeg.writeFile(path, (await downloads.get(key)).slice());
+    return path;
+}
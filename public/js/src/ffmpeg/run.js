@@ -1,9 +1,10 @@
 /**
  * @file A centralized and robust helper for executing FFmpeg commands.
  * This refactored version updates the UI with the command being run and
- * relies on a global listener for log capturing.
+ * relies on a global listener for log capturing. Commands can be cancelled
+ * with an AbortSignal.
  *
- * @version 2.0.0
+ * @version 3.0.0
  */
 
 /**
@@ -12,27 +13,60 @@
  * @typedef {import('../../main.js').FFmpeg} FFmpeg
  */
 
+/**
+ * Creates the error thrown when a command or pipeline is cancelled.
+ * @param {string} [message='The operation was cancelled.'] - The error message.
+ * @returns {DOMException} An error whose name is 'AbortError'.
+ */
+export function createAbortError(message = 'The operation was cancelled.') {
+    return new DOMException(message, 'AbortError');
+}
+
+/**
+ * Checks whether an error signals a cancellation rather than a failure.
+ * @param {*} error - The caught error.
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
 /**
  * Executes an FFmpeg command with robust error handling.
  *
+ * Aborting the signal rejects the pending command, but the FFmpeg core keeps running it
+ * in its own thread. The instance is therefore terminated on abort, and must be loaded
+ * again (check `ffmpeg.loaded`) before it is used for anything else.
+ *
  * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
  * @param {string[]} args - An array of arguments for the FFmpeg command.
  * @param {UI | null} ui - The main UI instance, used to display the command. Can be null if no UI update is needed.
+ * @param {AbortSignal} [signal] - Cancels the command when aborted.
  * @returns {Promise<void>}
  * @throws {Error} Throws a detailed error if the command fails. The full log will be available in the main console UI.
+ * @throws {DOMException} An 'AbortError' if the signal was aborted.
  */
-export async function runFFmpeg(ffmpeg, args, ui) {
+export async function runFFmpeg(ffmpeg, args, ui, signal) {
     const commandString = `ffmpeg ${args.join(' ')}`;
 
+    if (signal && signal.aborted) {
+        throw createAbortError();
+    }
+
     if (ui) {
         // Update the UI to show the command that is about to be executed.
         ui.update({ command: commandString });
     }
     console.log("Executing FFmpeg command:", commandString);
 
+    let exitCode;
     try {
-        await ffmpeg.exec(...args);
+        exitCode = await ffmpeg.exec(args, -1, { signal });
     } catch (error) {
+        if (signal && signal.aborted) {
+            ffmpeg.terminate();
+            throw createAbortError(`FFmpeg command cancelled:\n${commandString}`);
+        }
         // Create a more detailed error message for better debugging.
         // The full log will be visible in the UI via the global LogStore.
         const detailedError = new Error(
@@ -42,4 +76,13 @@ export async function runFFmpeg(ffmpeg, args, ui) {
         detailedError.name = 'FFmpegExecutionError';
         throw detailedError;
     }
-}
\ No newline at end of file
+
+    if (exitCode !== 0) {
+        const detailedError = new Error(
+            `FFmpeg command failed with exit code ${exitCode}.\n\n` +
+            `Failed Command:\n${commandString}`
+        );
+        detailedError.name = 'FFmpegExecutionError';
+        throw detailedError;
+    }
+}
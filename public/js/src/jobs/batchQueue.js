@@ -0,0 +1,122 @@
+/**
+ * @file An ordered queue of files waiting to be mastered. The queue only tracks order and
+ * status; the App runs the files one after another through the shared WorkerPool.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {import('../../main.js').PipelineResult} PipelineResult
+ */
+
+/**
+ * @typedef {'queued'|'processing'|'done'|'failed'|'cancelled'} QueueStatus
+ */
+
+/**
+ * @typedef {object} QueueItem
+ * @property {number} id - A unique, stable identifier for the item.
+ * @property {File} file - The file to master.
+ * @property {QueueStatus} status - The current status of the item.
+ * @property {PipelineResult | null} result - The pipeline result, once the item has finished.
+ * @property {boolean} busy - Whether the finished file is being retagged or corrected.
+ */
+
+export class BatchQueue {
+    /**
+     * Creates an instance of BatchQueue.
+     * @param {(items: QueueItem[]) => void} [onChange] - Called with the current items after every change.
+     */
+    constructor(onChange) {
+        /** @type {QueueItem[]} */
+        this.items = [];
+        this.onChange = onChange || (() => {});
+        this.nextId = 1;
+    }
+
+    /**
+     * Appends files to the end of the queue.
+     * @param {File[]} files - The files to add.
+     * @returns {QueueItem[]} The newly created items.
+     */
+    add(files) {
+        const added = files.map(file => ({id: this.nextId++, file, status: 'queued', result: null, busy: false}));
+        this.items.push(...added);
+        this.onChange(this.items);
+        return added;
+    }
+
+    /**
+     * Moves a queued item up or down among the other queued items.
+     * Items that have already started keep their position.
+     * @param {number} id - The id of the item to move.
+     * @param {number} offset - -1 to move it earlier, 1 to move it later.
+     */
+    move(id, offset) {
+        const queued = this.items.filter(item => item.status === 'queued');
+        const from = queued.findIndex(item => item.id === id);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= queued.length) return;
+
+        const a = this.items.indexOf(queued[from]);
+        const b = this.items.indexOf(queued[to]);
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        this.onChange(this.items);
+    }
+
+    /**
+     * Cancels a queued item so it is skipped.
+     * @param {number} id - The id of the item to cancel.
+     * @returns {boolean} True if the item was waiting and is now cancelled.
+     */
+    cancel(id) {
+        const item = this.get(id);
+        if (!item || item.status !== 'queued') return false;
+        item.status = 'cancelled';
+        this.onChange(this.items);
+        return true;
+    }
+
+    /**
+     * Removes finished, failed and cancelled items from the queue. Files that are being retagged
+     * or corrected stay until that is done.
+     */
+    clearFinished() {
+        this.items = this.items.filter(item => item.status === 'queued' || item.status === 'processing' || item.busy);
+        this.onChange(this.items);
+    }
+
+    /**
+     * Updates the status (and optionally the result) of an item.
+     * @param {number} id - The id of the item.
+     * @param {Partial<QueueItem>} changes - The fields to update.
+     */
+    update(id, changes) {
+        const item = this.get(id);
+        if (!item) return;
+        Object.assign(item, changes);
+        this.onChange(this.items);
+    }
+
+    /**
+     * @param {number} id - The id of the item.
+     * @returns {QueueItem | undefined}
+     */
+    get(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    /**
+     * @returns {QueueItem | null} The next item waiting to be processed.
+     */
+    next() {
+        return this.items.find(item => item.status === 'queued') || null;
+    }
+
+    /**
+     * @returns {QueueItem[]} The items that finished successfully, in queue order.
+     */
+    completed() {
+        return this.items.filter(item => item.status === 'done' && item.result && item.result.audioBlob);
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * @file Fallback for chunks the worker pool could not master. The chunk is rendered on the
+ * main thread with only the cleanup filters and the whole-file loudness plan, so the file can
+ * still be assembled without a gap or a level jump; only the mastering stage is missing.
+ *
+ * @version 1.4.0
+ */
+
+import {runFFmpeg} from '../../ffmpeg/run.js';
+import {buildCleanupFilters, buildGainFilters, buildCleanupArgs} from '../../ffmpeg/masteringChain.js';
+import {PROCESSED_PCM_CODEC} from '../../../config.js';
+
+/**
+ * @typedef {import('../../ui/ui.js').UI} UI
+ * @typedef {import('../../../main.js').FFmpeg} FFmpeg
+ * @typedef {import('./step2-chunk.js').ChunkInfo} ChunkInfo
+ * @typedef {import('./loudnessPlan.js').LoudnessPlan} LoudnessPlan
+ * @typedef {import('./step3-process-chunks.js').MasteringOptions} MasteringOptions
+ * @typedef {import('../../ffmpeg/masteringChain.js').NoiseSample} NoiseSample
+ */
+
+/**
+ * Renders a chunk with the loudness plan applied but without mastering.
+ *
+ * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
+ * @param {ChunkInfo} chunk - The chunk to render.
+ * @param {string} channelLayout - The FFmpeg channel layout of the audio, e.g. 'stereo' or '5.1(side)'.
+ * @param {LoudnessPlan} loudnessPlan - The whole-file gain and limiter plan.
+ * @param {MasteringOptions} options - The resolved mastering options, whose chain sets the cleanup filters.
+ * @param {NoiseSample | null} noiseSample - The sample the noise reduction learns from, as in the workers.
+ * @param {string} workingDirectory - The directory in the virtual FS to write the output to.
+ * @param {UI} updateUI - The UI instance for updating the command display.
+ * @param {AbortSignal} [signal] - Cancels the FFmpeg command when aborted.
+ * @returns {Promise<string>} The path of the rendered PCM WAV file, with the same samples as the chunk.
+ */
+export async function renderFallbackChunk(ffmpeg, chunk, channelLayout, loudnessPlan, options, noiseSample, workingDirectory, updateUI, signal) {
+    const outputName = `fallback_${String(chunk.index).padStart(4, '0')}.wav`;
+    const outputFile = `${workingDirectory}/${outputName}`;
+
+    const filters = [
+        ...buildCleanupFilters(channelLayout, chunk.sampleRate, options, noiseSample),
+        ...buildGainFilters(loudnessPlan.gainDb, loudnessPlan.limit)
+    ];
+
+    const args = ['-hide_banner', ...buildCleanupArgs(chunk.path, filters, noiseSample), '-c:a', PROCESSED_PCM_CODEC, outputFile];
+    await runFFmpeg(ffmpeg, args, updateUI, signal);
+
+    const dirList = await ffmpeg.listDir(workingDirectory);
+    if (!dirList.some(f => f.name === outputName)) {
+        throw new Error(`Fallback rendering of chunk ${chunk.index} did not produce the expected file.`);
+    }
+    return outputFile;
+}
@@ -0,0 +1,55 @@
+/**
+ * @file Measures the level envelope of a whole file for the waveform visualizer: the peak and
+ * RMS level and the momentary and short-term loudness of every 100ms window, and the integrated
+ * loudness, loudness range and true peak of the whole file for the mastering report. The input
+ * is measured after sanitizing and the output after muxing, so the visualizer shows exactly the
+ * audio that was mastered and the audio that was delivered.
+ *
+ * @version 1.2.0
+ */
+
+import {runFFmpeg} from '../../ffmpeg/run.js';
+import {parseEnvelopeMetadata} from '../../ffmpeg/parse/envelope.js';
+import {filter, serializeChain} from '../../ffmpeg/filterGraph.js';
+
+/**
+ * @typedef {import('../../ui/ui.js').UI} UI
+ * @typedef {import('../../../main.js').FFmpeg} FFmpeg
+ * @typedef {import('../../ffmpeg/parse/envelope.js').Envelope} Envelope
+ */
+
+/**
+ * Measures the level envelope of an audio file.
+ *
+ * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
+ * @param {string} inputFile - The path to the audio file in the virtual filesystem.
+ * @param {string} workingDirectory - The directory in the virtual FS to write temporary files to.
+ * @param {UI} updateUI - The UI instance for updating the command display.
+ * @param {AbortSignal} [signal] - Cancels the FFmpeg command when aborted.
+ * @returns {Promise<Envelope>} The levels of every window.
+ * @throws {Error} If the FFmpeg command fails or its output cannot be parsed.
+ */
+export async function measureEnvelope(ffmpeg, inputFile, workingDirectory, updateUI, signal) {
+    const baseName = inputFile.split('/').pop().split('.')[0];
+    const envelopeName = `${baseName}_envelope.txt`;
+    const envelopeFile = `${workingDirectory}/${envelopeName}`;
+
+    // Only the overall peak and RMS are measured; per-channel values would multiply the output.
+    const filters = serializeChain([
+        filter('ebur128', {metadata: 1, peak: 'true'}),
+        filter('astats', {metadata: 1, reset: 1, measure_perchannel: 'none', measure_overall: 'Peak_level+RMS_level'}),
+        filter('ametadata', {mode: 'print', file: envelopeFile})
+    ]);
+
+    try {
+        await runFFmpeg(ffmpeg, ['-hide_banner', '-i', inputFile, '-map', '0:a:0', '-af', filters, '-f', 'null', '-'], updateUI, signal);
+
+        const dirList = await ffmpeg.listDir(workingDirectory);
+        if (!dirList.some(f => f.name === envelopeName)) {
+            throw new Error(`Envelope analysis output file "${envelopeFile}" was not created.`);
+        }
+        return parseEnvelopeMetadata(new TextDecoder().decode(await ffmpeg.readFile(envelopeFile)));
+    } finally {
+        try { await ffmpeg.deleteFile(envelopeFile); } catch (e) { /* ignore */ }
+    }
+}
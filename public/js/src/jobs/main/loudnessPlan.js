@@ -0,0 +1,153 @@
+/**
+ * @file Whole-file loudness: combines the per-chunk measurements reported by the workers into
+ * a single ITU-R BS.1770 / EBU R128 measurement, and derives the one gain/limiter plan that
+ * every chunk is normalized with. Using one plan for all chunks avoids the level jumps that
+ * independent per-chunk `loudnorm` runs produce at chunk boundaries.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {import('../../ffmpeg/parse/ebur128.js').LoudnessStats} LoudnessStats
+ * @typedef {import('../../ffmpeg/loudnessTarget.js').LoudnessTarget} LoudnessTarget
+ * @typedef {import('./step2-chunk.js').ChunkInfo} ChunkInfo
+ */
+
+/**
+ * @typedef {object} LoudnessMeasurement
+ * @property {number} integrated - The gated integrated loudness, in LUFS.
+ * @property {number} truePeak - The highest true peak, in dBFS.
+ * @property {number} lra - The loudness range, in LU.
+ * @property {number} threshold - The relative gating threshold used for the integrated loudness, in LUFS.
+ */
+
+/**
+ * @typedef {object} LoudnessPlan
+ * @property {number} gainDb - The static gain applied to every chunk, in dB.
+ * @property {number} limit - The linear ceiling of the peak limiter applied after the gain.
+ * @property {LoudnessTarget} target - The target the plan was derived from.
+ * @property {LoudnessMeasurement} measurement - The whole-file measurement the plan was derived from.
+ */
+
+/** Blocks below this loudness are ignored entirely (BS.1770 absolute gate). */
+const ABSOLUTE_GATE_LUFS = -70;
+/** Integrated loudness ignores blocks more than 10 LU below the absolute-gated loudness. */
+const RELATIVE_GATE_LU = -10;
+/** Loudness range ignores short-term values more than 20 LU below the absolute-gated loudness (EBU Tech 3342). */
+const LRA_RELATIVE_GATE_LU = -20;
+/** The momentary window; frames before it has filled at the start of the file are ignored. */
+const MOMENTARY_WINDOW_S = 0.4;
+/** The short-term window; frames before it has filled at the start of the file are ignored. */
+const SHORT_TERM_WINDOW_S = 3;
+/** The range of ceilings `alimiter` accepts. */
+const LIMITER_RANGE = [0.0625, 1];
+
+/**
+ * Averages loudness values in the energy domain.
+ * @param {number[]} levels - Loudness values in LUFS.
+ * @returns {number} The energy-mean loudness in LUFS.
+ */
+const energyMean = (levels) => {
+    const sum = levels.reduce((acc, level) => acc + Math.pow(10, (level + 0.691) / 10), 0);
+    return -0.691 + 10 * Math.log10(sum / levels.length);
+};
+
+/**
+ * Returns the value at a percentile of an ascending sorted array.
+ * @param {number[]} sorted - Ascending values.
+ * @param {number} fraction - The percentile as a fraction (e.g. 0.95).
+ * @returns {number}
+ */
+const percentile = (sorted, fraction) => sorted[Math.min(sorted.length - 1, Math.floor((sorted.length - 1) * fraction + 0.5))];
+
+/**
+ * Collects the values of one measurement series from every chunk, dropping the frames whose
+ * window was not yet filled at the start of the file.
+ * @param {LoudnessStats[]} chunkStats - The per-chunk measurements, aligned to file time.
+ * @param {'momentary'|'shortTerm'} series - The series to collect.
+ * @param {number} window - The window length of the series, in seconds.
+ * @returns {number[]}
+ */
+const collectBlocks = (chunkStats, series, window) => {
+    const blocks = [];
+    for (const stats of chunkStats) {
+        stats[series].forEach((level, i) => {
+            if (stats.times[i] >= window - 0.1) blocks.push(level);
+        });
+    }
+    return blocks;
+};
+
+/**
+ * Converts a chunk's measurement to file time and drops the frames that fall in its
+ * pre-roll or post-roll, so overlapping audio is only counted once.
+ *
+ * @param {LoudnessStats} stats - The measurement reported by the worker, in chunk time.
+ * @param {ChunkInfo} chunk - The chunk the measurement belongs to.
+ * @returns {LoudnessStats} The measurement of the chunk's own region, in file time.
+ */
+export function alignLoudnessStats(stats, chunk) {
+    const preRoll = chunk.preRollSamples / chunk.sampleRate;
+    const ownEnd = chunk.ownSamples === null ? Infinity : preRoll + chunk.ownSamples / chunk.sampleRate;
+    const offset = chunk.startSample / chunk.sampleRate - preRoll;
+
+    /** @type {LoudnessStats} */
+    const aligned = {times: [], momentary: [], shortTerm: [], truePeak: stats.truePeak};
+    stats.times.forEach((time, i) => {
+        if (time < preRoll || time >= ownEnd) return;
+        aligned.times.push(time + offset);
+        aligned.momentary.push(stats.momentary[i]);
+        aligned.shortTerm.push(stats.shortTerm[i]);
+    });
+    return aligned;
+}
+
+/**
+ * Combines per-chunk loudness measurements into a whole-file measurement.
+ *
+ * @param {LoudnessStats[]} chunkStats - The measurements of every chunk, aligned with alignLoudnessStats().
+ * @returns {LoudnessMeasurement} The whole-file measurement.
+ */
+export function combineLoudnessStats(chunkStats) {
+    const truePeak = Math.max(...chunkStats.map(stats => stats.truePeak));
+
+    // Integrated loudness: absolute gate, then relative gate on the 400ms blocks.
+    const momentary = collectBlocks(chunkStats, 'momentary', MOMENTARY_WINDOW_S)
+        .filter(level => level > ABSOLUTE_GATE_LUFS);
+    let integrated = -Infinity;
+    let threshold = ABSOLUTE_GATE_LUFS;
+    if (momentary.length > 0) {
+        threshold = energyMean(momentary) + RELATIVE_GATE_LU;
+        const gated = momentary.filter(level => level > threshold);
+        integrated = gated.length > 0 ? energyMean(gated) : -Infinity;
+    }
+
+    // Loudness range: absolute and relative gate on the 3s values, then the 10th to 95th percentile spread.
+    const shortTerm = collectBlocks(chunkStats, 'shortTerm', SHORT_TERM_WINDOW_S)
+        .filter(level => level > ABSOLUTE_GATE_LUFS);
+    let lra = 0;
+    if (shortTerm.length > 0) {
+        const lraThreshold = energyMean(shortTerm) + LRA_RELATIVE_GATE_LU;
+        const gated = shortTerm.filter(level => level > lraThreshold).sort((a, b) => a - b);
+        if (gated.length > 0) {
+            lra = percentile(gated, 0.95) - percentile(gated, 0.10);
+        }
+    }
+
+    return {integrated, truePeak, lra, threshold};
+}
+
+/**
+ * Derives the gain and limiter ceiling that bring a whole-file measurement to the target.
+ * The limiter only acts on peaks that the static gain would push above the true-peak target.
+ *
+ * @param {LoudnessMeasurement} measurement - The whole-file measurement.
+ * @param {LoudnessTarget} target - The resolved loudness target.
+ * @returns {LoudnessPlan} The plan sent to every chunk.
+ */
+export function planLoudness(measurement, target) {
+    // A silent file has no measurable loudness, so it is passed through unchanged.
+    const gainDb = Number.isFinite(measurement.integrated) ? target.I - measurement.integrated : 0;
+    const limit = Math.min(LIMITER_RANGE[1], Math.max(LIMITER_RANGE[0], Math.pow(10, target.TP / 20)));
+    return {gainDb, limit, target, measurement};
+}
@@ -0,0 +1,133 @@
+/**
+ * @file Extracts the tags, cover art and chapters of the source file, and combines them with
+ * the tags entered by the user into the metadata of the mastered file.
+ * Sanitizing keeps only the audio, so everything else is read from the original input here.
+ *
+ * @version 1.1.0
+ */
+
+import {runFFmpeg} from '../../ffmpeg/run.js';
+import {parseFFMetadata} from '../../ffmpeg/ffmetadata.js';
+import {DEFAULT_METADATA_MODE, METADATA_MODES} from '../../../config.js';
+
+/**
+ * @typedef {import('../../ui/ui.js').UI} UI
+ * @typedef {import('../../../main.js').FFmpeg} FFmpeg
+ * @typedef {import('../../ffmpeg/parse/mediaInfo.js').MediaInfo} MediaInfo
+ * @typedef {import('../../ffmpeg/ffmetadata.js').Chapter} Chapter
+ */
+
+/**
+ * @typedef {object} CoverArt
+ * @property {Uint8Array} data - The image file.
+ * @property {string} mimeType - E.g. 'image/jpeg'.
+ * @property {string} extension - The file extension matching the image format, e.g. 'jpg'.
+ */
+
+/**
+ * @typedef {object} FileMetadata
+ * @property {Object<string, string>} tags - The global tags, keyed by FFmpeg metadata key.
+ * @property {Chapter[]} chapters - The chapters, in order.
+ * @property {CoverArt | null} coverArt - The embedded cover image, if any.
+ */
+
+/**
+ * @typedef {object} MetadataOptions
+ * @property {string} mode - How source and entered tags are combined, as a key of METADATA_MODES.
+ * @property {Object<string, string>} tags - The tags entered by the user; empty values are ignored.
+ * @property {CoverArt | null} [coverArt] - A cover image chosen by the user, which replaces the source's.
+ */
+
+/**
+ * Container and encoder bookkeeping that describes the source file, not the content, and
+ * must not be carried over. Compared in lower case.
+ */
+const TECHNICAL_TAGS = new Set([
+    'major_brand', 'minor_version', 'compatible_brands', 'encoder', 'creation_time',
+    'handler_name', 'vendor_id', 'itunsmpb', 'itunnorm', 'itunes_cddb_1',
+]);
+
+/** Image codecs that are stored as they are; other attached pictures are converted to PNG. */
+const COVER_FORMATS = {
+    mjpeg: {extension: 'jpg', mimeType: 'image/jpeg'},
+    png: {extension: 'png', mimeType: 'image/png'},
+};
+
+/**
+ * Reads a file written by FFmpeg and deletes it.
+ * @param {FFmpeg} ffmpeg
+ * @param {string} path
+ * @param {'utf8' | 'binary'} encoding
+ * @returns {Promise<string | Uint8Array>}
+ */
+async function takeFile(ffmpeg, path, encoding) {
+    const data = await ffmpeg.readFile(path, encoding);
+    try { await ffmpeg.deleteFile(path); } catch (e) { /* ignore */ }
+    return data;
+}
+
+/**
+ * Extracts the tags, chapters and cover art of the source file.
+ *
+ * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
+ * @param {string} inputFile - The path to the original input file in the virtual filesystem.
+ * @param {MediaInfo} mediaInfo - The probed description of the input file.
+ * @param {string} workingDirectory - The directory in the virtual FS to write temporary files to.
+ * @param {UI} updateUI - The UI instance for updating the command display.
+ * @param {AbortSignal} [signal] - Cancels the FFmpeg commands when aborted.
+ * @returns {Promise<FileMetadata>} The metadata of the source file.
+ */
+export async function extractSourceMetadata(ffmpeg, inputFile, mediaInfo, workingDirectory, updateUI, signal) {
+    const metadataFile = `${workingDirectory}/source_metadata.txt`;
+    await runFFmpeg(ffmpeg, [
+        '-hide_banner', '-i', inputFile,
+        '-map_metadata', '0', '-map_chapters', '0',
+        '-vn', '-an', '-sn', '-dn',
+        '-f', 'ffmetadata', metadataFile
+    ], updateUI, signal);
+    const {tags, chapters} = parseFFMetadata(await takeFile(ffmpeg, metadataFile, 'utf8'));
+
+    const contentTags = Object.fromEntries(
+        Object.entries(tags).filter(([key]) => !TECHNICAL_TAGS.has(key.toLowerCase()))
+    );
+
+    let coverArt = null;
+    const picture = mediaInfo.streams.find(stream => stream.attachedPicture);
+    if (picture) {
+        const format = COVER_FORMATS[picture.codec] || COVER_FORMATS.png;
+        const coverFile = `${workingDirectory}/source_cover.${format.extension}`;
+        await runFFmpeg(ffmpeg, [
+            '-hide_banner', '-i', inputFile,
+            '-map', `0:${picture.index}`,
+            '-c:v', picture.codec in COVER_FORMATS ? 'copy' : 'png',
+            '-frames:v', '1', '-update', '1',
+            coverFile
+        ], updateUI, signal);
+        coverArt = {data: await takeFile(ffmpeg, coverFile, 'binary'), ...format};
+    }
+
+    return {tags: contentTags, chapters, coverArt};
+}
+
+/**
+ * Combines the source metadata with the tags entered by the user. Entered tags and cover art
+ * always win; in 'override' mode the source tags are dropped entirely. The defaults only fill gaps.
+ *
+ * @param {FileMetadata | null} source - The metadata of the source file, if it could be read.
+ * @param {MetadataOptions} [options] - The entered tags and the merge mode.
+ * @param {Object<string, string>} [defaults] - Tags used when neither source nor user set them.
+ * @returns {FileMetadata} The metadata for the mastered file.
+ */
+export function mergeMetadata(source, options = {}, defaults = {}) {
+    const mode = options.mode in METADATA_MODES ? options.mode : DEFAULT_METADATA_MODE;
+    const entered = Object.fromEntries(
+        Object.entries(options.tags || {}).filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '')
+    );
+    const sourceTags = source && mode === 'merge' ? source.tags : {};
+
+    return {
+        tags: {...defaults, ...sourceTags, ...entered},
+        chapters: source ? source.chapters : [],
+        coverArt: options.coverArt || (source ? source.coverArt : null)
+    };
+}
@@ -0,0 +1,199 @@
+/**
+ * @file Learned noise profiles: instead of the fixed noise floor of the chain, the noise
+ * reduction (afftdn) learns the noise of the input from a noise-only sample. The sample is a
+ * region the user marked, or the quietest stretch of the input's envelope. It is extracted once
+ * on the main thread and sent with every chunk, so every worker learns the same profile (see
+ * buildCleanupFilters). The noise floor of the sample is measured before and after the cleanup
+ * filters, to show what the profile achieves.
+ *
+ * @version 1.1.0
+ */
+
+import {DEFAULT_NOISE_SAMPLE_DURATION, NOISE_PROFILE_MODES, NOISE_SAMPLE_DURATION_RANGE, SOURCE_PCM_CODEC, PROCESSED_PCM_CODEC} from '../../../config.js';
+import {runFFmpeg} from '../../ffmpeg/run.js';
+import {filter, serializeChain} from '../../ffmpeg/filterGraph.js';
+import {buildCleanupFilters, buildCleanupArgs} from '../../ffmpeg/masteringChain.js';
+import {ENVELOPE_FLOOR_DB} from '../../ffmpeg/parse/envelope.js';
+import {measureEnvelope} from './envelope.js';
+import {summarizeEnvelope} from './report.js';
+
+/**
+ * @typedef {import('../../ui/ui.js').UI} UI
+ * @typedef {import('../../../main.js').FFmpeg} FFmpeg
+ * @typedef {import('../../ffmpeg/parse/envelope.js').Envelope} Envelope
+ * @typedef {import('../../ffmpeg/masteringChain.js').NoiseSample} NoiseSample
+ * @typedef {import('./step3-process-chunks.js').MasteringOptions} MasteringOptions
+ */
+
+/**
+ * @typedef {object} NoiseProfileOptions
+ * @property {string} mode - Where the noise is learned from, as a key of NOISE_PROFILE_MODES.
+ * @property {number} [start] - The start of the marked region, in seconds; only used in 'manual' mode.
+ * @property {number} [duration] - The length of the sample, in seconds.
+ */
+
+/**
+ * @typedef {object} NoiseProfile
+ * @property {string} mode - 'auto' or 'manual'.
+ * @property {number} start - The start of the sample in the input, in seconds.
+ * @property {number} duration - The length of the sample, in seconds.
+ * @property {number | null} noiseFloorBefore - The RMS level of the sample as recorded, in dBFS.
+ * @property {number | null} noiseFloorAfter - The RMS level of the sample after the cleanup filters, in dBFS.
+ */
+
+/**
+ * @typedef {object} LearnedNoiseProfile
+ * @property {NoiseProfile} profile - What was learned, for the UI and the report.
+ * @property {NoiseSample} sample - The sample in the main thread's filesystem, for the fallback chunks.
+ * @property {Uint8Array} data - The content of the sample, sent to the workers.
+ */
+
+/**
+ * @param {NoiseProfileOptions} [options]
+ * @returns {{mode: string, start: number, duration: number}} The options with defaults and clamped values.
+ */
+export function resolveNoiseProfileOptions(options = {}) {
+    const mode = options.mode in NOISE_PROFILE_MODES ? options.mode : 'off';
+    const [min, max] = NOISE_SAMPLE_DURATION_RANGE;
+    const duration = Number.isFinite(options.duration) ? Math.min(max, Math.max(min, options.duration)) : DEFAULT_NOISE_SAMPLE_DURATION;
+    const start = Number.isFinite(options.start) ? Math.max(0, options.start) : 0;
+    return { mode, start, duration };
+}
+
+/**
+ * @param {MasteringOptions} options - The resolved mastering options.
+ * @returns {boolean} Whether a noise profile is learned. A bypassed noise reduction has nothing to learn it.
+ */
+export function usesNoiseProfile(options) {
+    return options.noiseProfile.mode !== 'off' && !options.chain.denoise.bypass;
+}
+
+/**
+ * Finds the quietest stretch of a file, for a noise sample. Windows of digital silence are
+ * skipped, as they hold no noise to learn.
+ *
+ * @param {Envelope} envelope - The envelope of the file.
+ * @param {number} duration - The length of the stretch, in seconds.
+ * @returns {{start: number, duration: number} | null} The stretch with the lowest average power,
+ *  or null if no stretch of that length is free of digital silence.
+ */
+export function findQuietestRegion(envelope, duration) {
+    const windowCount = Math.max(1, Math.round(duration / envelope.interval));
+    let best = null;
+    let sum = 0;
+    let silentWindows = 0;
+    for (let i = 0; i < envelope.rms.length; i++) {
+        sum += Math.pow(10, envelope.rms[i] / 10);
+        if (envelope.rms[i] <= ENVELOPE_FLOOR_DB) silentWindows++;
+        if (i >= windowCount) {
+            sum -= Math.pow(10, envelope.rms[i - windowCount] / 10);
+            if (envelope.rms[i - windowCount] <= ENVELOPE_FLOOR_DB) silentWindows--;
+        }
+        if (i >= windowCount - 1 && silentWindows === 0 && (!best || sum < best.sum)) {
+            best = { index: i - windowCount + 1, sum };
+        }
+    }
+    // Rounded to the millisecond, as the products of the interval carry floating-point noise.
+    const round = (seconds) => Math.round(seconds * 1000) / 1000;
+    return best && { start: round(best.index * envelope.interval), duration: round(windowCount * envelope.interval) };
+}
+
+/**
+ * Chooses the region the noise is learned from.
+ *
+ * @param {{mode: string, start: number, duration: number}} options - The resolved noise profile options.
+ * @param {Envelope | null} envelope - The envelope of the file, for 'auto' mode.
+ * @param {number} fileDuration - The duration of the file, in seconds.
+ * @returns {{start: number, duration: number}} The region, inside the file.
+ * @throws {Error} If no region can be found.
+ */
+export function chooseNoiseRegion(options, envelope, fileDuration) {
+    if (options.mode === 'auto') {
+        const region = envelope && findQuietestRegion(envelope, Math.min(options.duration, fileDuration));
+        if (!region) throw new Error('No stretch of noise without digital silence was found in the input.');
+        return region;
+    }
+    const duration = Math.min(options.duration, fileDuration);
+    return { start: Math.min(options.start, fileDuration - duration), duration };
+}
+
+/**
+ * Counts the sample frames of a PCM WAV file, from its 'fmt ' and 'data' chunks.
+ * @param {Uint8Array} data
+ * @returns {number}
+ * @throws {Error} If the file has no 'fmt ' or 'data' chunk.
+ */
+function countWavFrames(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const chunkId = (offset) => String.fromCharCode(...data.subarray(offset, offset + 4));
+    let blockAlign = 0;
+    for (let offset = 12; offset + 8 <= data.byteLength;) {
+        const size = view.getUint32(offset + 4, true);
+        if (chunkId(offset) === 'fmt ') blockAlign = view.getUint16(offset + 20, true);
+        if (chunkId(offset) === 'data' && blockAlign > 0) {
+            return Math.floor(Math.min(size, data.byteLength - offset - 8) / blockAlign);
+        }
+        offset += 8 + size + (size % 2);
+    }
+    throw new Error('The noise sample is not a PCM WAV file.');
+}
+
+/**
+ * Extracts the noise sample and measures its noise floor before and after the cleanup filters.
+ *
+ * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
+ * @param {string} sourceFile - The file the region is taken from.
+ * @param {{start: number, duration: number}} region - The region of the sample in the source file, in seconds.
+ * @param {string} mode - The noise profile mode the region was chosen by.
+ * @param {number} sampleRate - The sample rate of the audio that is mastered, in Hz.
+ * @param {string} channelLayout - The FFmpeg channel layout of the audio that is mastered.
+ * @param {MasteringOptions} options - The resolved mastering options, whose chain sets the cleanup filters.
+ * @param {string} workingDirectory - The directory in the virtual FS to write the sample to.
+ * @param {UI} updateUI - The UI instance for updating the command display.
+ * @param {AbortSignal} [signal] - Cancels the FFmpeg commands when aborted.
+ * @returns {Promise<LearnedNoiseProfile>} The sample stays in the filesystem; the caller deletes it.
+ * @throws {Error} If a command fails or the sample is empty.
+ */
+export async function learnNoiseProfile(ffmpeg, sourceFile, region, mode, sampleRate, channelLayout, options, workingDirectory, updateUI, signal) {
+    const samplePath = `${workingDirectory}/noise_sample.wav`;
+    const denoisedPath = `${workingDirectory}/noise_sample_denoised.wav`;
+
+    try {
+        // The sample is converted to the format of the chunks, as it is played before them.
+        await runFFmpeg(ffmpeg, [
+            '-hide_banner', '-ss', String(region.start), '-i', sourceFile, '-map', '0:a:0',
+            '-af', serializeChain([
+                filter('aformat', {channel_layouts: channelLayout, sample_rates: sampleRate}),
+                filter('atrim', {end_sample: Math.round(region.duration * sampleRate)})
+            ]),
+            '-c:a', SOURCE_PCM_CODEC, samplePath
+        ], updateUI, signal);
+        const data = await ffmpeg.readFile(samplePath);
+        const samples = countWavFrames(data);
+        if (samples === 0) throw new Error('The noise sample is empty.');
+        /** @type {NoiseSample} */
+        const sample = { path: samplePath, samples, duration: samples / sampleRate };
+
+        // The cleanup filters are run on the sample itself, with the profile learned from it.
+        const filters = buildCleanupFilters(channelLayout, sampleRate, options, sample);
+        await runFFmpeg(ffmpeg, ['-hide_banner', ...buildCleanupArgs(samplePath, filters, sample), '-c:a', PROCESSED_PCM_CODEC, denoisedPath], updateUI, signal);
+        const before = summarizeEnvelope(await measureEnvelope(ffmpeg, samplePath, workingDirectory, updateUI, signal));
+        const after = summarizeEnvelope(await measureEnvelope(ffmpeg, denoisedPath, workingDirectory, updateUI, signal));
+        return {
+            profile: {
+                mode,
+                start: region.start,
+                duration: sample.duration,
+                noiseFloorBefore: before.rms,
+                noiseFloorAfter: after.rms
+            },
+            sample,
+            data
+        };
+    } catch (error) {
+        try { await ffmpeg.deleteFile(samplePath); } catch (e) { /* ignore */ }
+        throw error;
+    } finally {
+        try { await ffmpeg.deleteFile(denoisedPath); } catch (e) { /* ignore */ }
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * @file The mastering report: what was measured and what was done to a file, collected from the
+ * pipeline when it finishes. It compares the levels of the input and the output, lists the
+ * measurement and mastering chain of every chunk, and records the gain and limiter that were
+ * applied, so a run can be checked and handed to a client.
+ *
+ * Levels that could not be measured, or that are -inf because the audio is silent, are null,
+ * so the report survives the round trip through JSON.
+ *
+ * @version 1.4.0
+ */
+
+import {combineLoudnessStats} from './loudnessPlan.js';
+import {ENVELOPE_FLOOR_DB} from '../../ffmpeg/parse/envelope.js';
+import {getEncoderArgs, getOutputQuality} from '../../ffmpeg/formats.js';
+
+/**
+ * @typedef {import('../../ffmpeg/parse/envelope.js').Envelope} Envelope
+ * @typedef {import('../../ffmpeg/parse/ebur128.js').LoudnessStats} LoudnessStats
+ * @typedef {import('../../ffmpeg/loudnessTarget.js').LoudnessTarget} LoudnessTarget
+ * @typedef {import('./loudnessPlan.js').LoudnessPlan} LoudnessPlan
+ * @typedef {import('./silencePlan.js').SilencePlan} SilencePlan
+ * @typedef {import('./verification.js').Verification} Verification
+ * @typedef {import('./noiseProfile.js').NoiseProfile} NoiseProfile
+ * @typedef {import('./step2-chunk.js').ChunkInfo} ChunkInfo
+ * @typedef {import('./step3-process-chunks.js').MasteringOptions} MasteringOptions
+ * @typedef {import('../../../config.js').OutputFormat} OutputFormat
+ * @typedef {import('../../ffmpeg/masteringChain.js').MasteringChain} MasteringChain
+ */
+
+/**
+ * @typedef {object} LevelSummary
+ * @property {number | null} integrated - The integrated loudness, in LUFS.
+ * @property {number | null} truePeak - The highest true peak, in dBFS.
+ * @property {number | null} lra - The loudness range, in LU.
+ * @property {number | null} [rms] - The RMS level of the whole file, in dBFS.
+ * @property {number | null} [noiseFloor] - The level of the quietest passages that are not digital silence, in dBFS.
+ */
+
+/**
+ * @typedef {object} ChunkReport
+ * @property {number} index
+ * @property {number} start - The start of the chunk's own region in the input, in seconds.
+ * @property {number} duration - The length of the chunk's own region, in seconds.
+ * @property {'mastered' | 'fallback'} status - 'fallback' if the chunk was only loudness-normalized.
+ * @property {LevelSummary | null} input - The loudness of the chunk after cleanup, as measured in Pass 1.
+ * @property {number | null} rmsLevel - The RMS level after normalization, as measured in Pass 3, in dBFS.
+ * @property {string | null} masteringFilter - The Pass 4 filter chain, which follows the RMS level.
+ */
+
+/**
+ * @typedef {object} MasteringReport
+ * @property {string} generatedAt - When the run finished, as an ISO 8601 timestamp.
+ * @property {{name: string, size: number, duration: number, outputDuration: number}} file - The input file
+ *  and the durations of the input and the output, in seconds.
+ * @property {{format: string, extension: string, quality: string, encoderArgs: string}} output - How the output was
+ *  encoded, with the labels shown in the UI.
+ * @property {LoudnessTarget} target - The loudness target.
+ * @property {{gate: boolean, clarity: boolean, tonal: boolean, softClip: boolean, neuralDenoise: boolean, neuralDenoiseModel: string, chain: MasteringChain,
+ *  channelPolicy: string, silence: object}} options
+ * @property {{input: LevelSummary | null, measured: LevelSummary, output: LevelSummary | null}} levels - The input as
+ *  uploaded, the input after cleanup as measured for the loudness plan, and the output as delivered.
+ * @property {{gainDb: number, limiterCeilingDb: number, correctionFilter: string | null, removedSilence: number, cuts: number, noiseProfile: NoiseProfile | null}} processing
+ *  - The gain and limiter applied to every chunk, the pauses that were shortened, and the learned noise profile, if any.
+ * @property {Verification} verification - Whether the output meets the loudness target.
+ * @property {ChunkReport[]} chunks
+ * @property {string[]} warnings
+ * @property {number} executionTime - The time the run took, in milliseconds.
+ * @property {number} speed - How many times faster than real time the file was mastered.
+ */
+
+/** The percentile of the 100ms RMS windows reported as the noise floor. */
+const NOISE_FLOOR_PERCENTILE = 0.1;
+
+/**
+ * @param {number} value
+ * @returns {number | null} The value, or null if it is not a finite number.
+ */
+const finiteOrNull = (value) => Number.isFinite(value) ? value : null;
+
+/**
+ * Summarizes the levels of a whole file from its envelope. The RMS level averages the power of
+ * every window; the noise floor is a low percentile of the windows above digital silence.
+ *
+ * @param {Envelope | null} envelope
+ * @returns {LevelSummary | null} The summary, or null if there is no envelope.
+ */
+export function summarizeEnvelope(envelope) {
+    if (!envelope) return null;
+    const power = envelope.rms.reduce((sum, level) => sum + Math.pow(10, level / 10), 0) / envelope.rms.length;
+    const audible = envelope.rms.filter(level => level > ENVELOPE_FLOOR_DB).sort((a, b) => a - b);
+    return {
+        integrated: finiteOrNull(envelope.integrated),
+        truePeak: finiteOrNull(envelope.truePeak),
+        lra: finiteOrNull(envelope.lra),
+        rms: audible.length > 0 ? 10 * Math.log10(power) : null,
+        noiseFloor: audible.length > 0 ? audible[Math.floor((audible.length - 1) * NOISE_FLOOR_PERCENTILE)] : null
+    };
+}
+
+/**
+ * Collects the report of a finished run.
+ *
+ * @param {object} run
+ * @param {File} run.file - The input file.
+ * @param {number} run.inputDuration - The duration of the input, in seconds.
+ * @param {number} run.outputDuration - The duration of the output, in seconds.
+ * @param {MasteringOptions} run.options - The resolved mastering options.
+ * @param {OutputFormat & {id: string}} run.outputFormat
+ * @param {LoudnessPlan} run.loudnessPlan
+ * @param {ChunkInfo[]} run.chunks
+ * @param {(LoudnessStats | null)[]} run.chunkStats - The aligned Pass 1 measurement of every chunk; null if it failed.
+ * @param {({rmsLevel: number, filters: {correction: string, mastering: string}} | null)[]} run.chunkResults - What
+ *  every chunk's worker reported about its mastering; null if the chunk fell back to unmastered audio.
+ * @param {{input: Envelope | null, output: Envelope | null}} run.envelopes
+ * @param {SilencePlan | null} run.silencePlan
+ * @param {Verification} run.verification
+ * @param {NoiseProfile | null} [run.noiseProfile] - The learned noise profile, if the noise was learned.
+ * @param {string[]} run.warnings
+ * @param {number} run.executionTime - In milliseconds.
+ * @returns {MasteringReport}
+ */
+export function buildMasteringReport({file, inputDuration, outputDuration, options, outputFormat, loudnessPlan, chunks, chunkStats, chunkResults, envelopes, silencePlan, verification, noiseProfile = null, warnings, executionTime}) {
+    const {measurement, target} = loudnessPlan;
+    const mastered = chunkResults.find(result => result);
+
+    /** @type {ChunkReport[]} */
+    const chunkReports = chunks.map((chunk, index) => {
+        const stats = chunkStats[index];
+        const result = chunkResults[index];
+        const chunkMeasurement = stats && stats.momentary.length > 0 ? combineLoudnessStats([stats]) : null;
+        return {
+            index,
+            start: chunk.startSample / chunk.sampleRate,
+            duration: chunk.ownSamples === null
+                ? Math.max(0, inputDuration - chunk.startSample / chunk.sampleRate)
+                : chunk.ownSamples / chunk.sampleRate,
+            status: result ? 'mastered' : 'fallback',
+            input: chunkMeasurement && {
+                integrated: finiteOrNull(chunkMeasurement.integrated),
+                truePeak: finiteOrNull(chunkMeasurement.truePeak),
+                lra: finiteOrNull(chunkMeasurement.lra)
+            },
+            rmsLevel: result ? finiteOrNull(result.rmsLevel) : null,
+            masteringFilter: result ? result.filters.mastering : null
+        };
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        file: {name: file.name, size: file.size, duration: inputDuration, outputDuration},
+        output: {
+            format: outputFormat.label,
+            extension: outputFormat.extension,
+            quality: getOutputQuality(outputFormat.id, options.outputQuality).label,
+            encoderArgs: getEncoderArgs(outputFormat.id, options.outputQuality).join(' ')
+        },
+        target,
+        options: {
+            gate: options.gate,
+            clarity: options.clarity,
+            tonal: options.tonal,
+            softClip: options.softClip,
+            neuralDenoise: options.neuralDenoise,
+            neuralDenoiseModel: options.neuralDenoiseModel,
+            chain: options.chain,
+            channelPolicy: options.channelPolicy,
+            silence: options.silence
+        },
+        levels: {
+            input: summarizeEnvelope(envelopes.input),
+            measured: {
+                integrated: finiteOrNull(measurement.integrated),
+                truePeak: finiteOrNull(measurement.truePeak),
+                lra: finiteOrNull(measurement.lra)
+            },
+            output: summarizeEnvelope(envelopes.output)
+        },
+        processing: {
+            gainDb: loudnessPlan.gainDb,
+            limiterCeilingDb: 20 * Math.log10(loudnessPlan.limit),
+            correctionFilter: mastered ? mastered.filters.correction : null,
+            removedSilence: silencePlan ? silencePlan.removedDuration : 0,
+            cuts: silencePlan ? silencePlan.cuts.length : 0,
+            noiseProfile
+        },
+        verification,
+        chunks: chunkReports,
+        warnings: [...warnings],
+        executionTime,
+        speed: executionTime > 0 ? inputDuration / (executionTime / 1000) : 0
+    };
+}
+
+/**
+ * Returns the report of a file whose output was corrected after the run.
+ *
+ * @param {MasteringReport} report
+ * @param {Envelope | null} envelope - The envelope of the corrected file.
+ * @param {Verification} verification - The verification of the corrected file.
+ * @returns {MasteringReport}
+ */
+export function updateReportOutput(report, envelope, verification) {
+    return {
+        ...report,
+        levels: {...report.levels, output: summarizeEnvelope(envelope)},
+        verification
+    };
+}
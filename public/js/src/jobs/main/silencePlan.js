@@ -0,0 +1,202 @@
+/**
+ * @file Dead-air trimming: combines the silent regions the workers found in every chunk into
+ * whole-file regions, and plans which parts of them are cut. Pauses longer than the maximum
+ * pause are shortened around their middle, and leading and trailing silence is trimmed to a
+ * short padding. The cuts are applied when the chunks are assembled (see step4-concatenate.js),
+ * and reported with the result, so chapter and transcript timestamps can be moved to match.
+ *
+ * @version 1.0.0
+ */
+
+import {DEFAULT_MAX_PAUSE, MAX_PAUSE_RANGE, SILENCE_EDGE_PADDING, SILENCE_MODES} from '../../../config.js';
+
+/**
+ * @typedef {import('../../ffmpeg/parse/silence.js').SilenceRegion} SilenceRegion
+ * @typedef {import('./step2-chunk.js').ChunkInfo} ChunkInfo
+ * @typedef {import('../../ffmpeg/ffmetadata.js').Chapter} Chapter
+ */
+
+/**
+ * @typedef {object} SilenceOptions
+ * @property {string} mode - What is done with the pauses, as a key of SILENCE_MODES.
+ * @property {number} [maxPause] - The length longer pauses are shortened to, in seconds.
+ */
+
+/**
+ * @typedef {object} SilenceCut
+ * @property {number} start - The start of the removed audio in the unshortened file, in seconds.
+ * @property {number} end - The end of the removed audio in the unshortened file, in seconds.
+ * @property {number} outputTime - Where the cut lies in the shortened file, in seconds.
+ * @property {number} startFrame - The first removed frame of `frameSamples` samples.
+ * @property {number} endFrame - The frame after the last removed one.
+ */
+
+/**
+ * @typedef {object} SilencePlan
+ * @property {string} mode - The silence mode the plan was made for.
+ * @property {number} maxPause - The length longer pauses are shortened to, in seconds.
+ * @property {SilenceRegion[]} regions - Every silent region found, in the unshortened file.
+ * @property {SilenceCut[]} cuts - The parts of the regions that are removed, in order. Empty unless
+ *  the mode is 'compress'.
+ * @property {number} frameSamples - The cut granularity in samples.
+ * @property {number} removedDuration - The total length of the cuts, in seconds.
+ */
+
+/** Regions of neighbouring chunks that are closer than this (in seconds) are one region. */
+const MERGE_TOLERANCE_S = 0.01;
+/** The cuts are made on a grid of this length (in seconds), the frame size they are applied with. */
+const CUT_GRANULARITY_S = 0.01;
+
+/**
+ * Converts the regions found in a chunk to file time, keeping only the chunk's own region.
+ * The overlap with the neighbours is reported by them.
+ *
+ * @param {SilenceRegion[]} regions - The regions in chunk time, as returned by the worker.
+ * @param {ChunkInfo} chunk
+ * @returns {SilenceRegion[]} The regions in file time.
+ */
+export function alignSilenceRegions(regions, chunk) {
+    const offset = (chunk.startSample - chunk.preRollSamples) / chunk.sampleRate;
+    const ownStart = chunk.startSample / chunk.sampleRate;
+    const ownEnd = chunk.ownSamples === null ? Infinity : (chunk.startSample + chunk.ownSamples) / chunk.sampleRate;
+    return regions
+        .map(region => ({
+            start: Math.max(ownStart, region.start + offset),
+            end: Math.min(ownEnd, region.end + offset)
+        }))
+        .filter(region => region.end > region.start);
+}
+
+/**
+ * Combines the file-time regions of all chunks, joining a silence that spans a chunk boundary.
+ * @param {SilenceRegion[][]} chunkRegions - The regions of each chunk.
+ * @returns {SilenceRegion[]} The regions in order.
+ */
+export function combineSilenceRegions(chunkRegions) {
+    const sorted = chunkRegions.flat().sort((a, b) => a.start - b.start);
+    /** @type {SilenceRegion[]} */
+    const merged = [];
+    for (const region of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && region.start - last.end <= MERGE_TOLERANCE_S) {
+            last.end = Math.max(last.end, region.end);
+        } else {
+            merged.push({ ...region });
+        }
+    }
+    return merged;
+}
+
+/**
+ * @param {SilenceOptions} [options]
+ * @returns {{mode: string, maxPause: number}} The options with defaults and clamped values.
+ */
+export function resolveSilenceOptions(options = {}) {
+    const mode = options.mode in SILENCE_MODES ? options.mode : 'off';
+    const [min, max] = MAX_PAUSE_RANGE;
+    const maxPause = Number.isFinite(options.maxPause) ? Math.min(max, Math.max(min, options.maxPause)) : DEFAULT_MAX_PAUSE;
+    return { mode, maxPause };
+}
+
+/**
+ * Plans the cuts that shorten the pauses of the file.
+ *
+ * @param {SilenceRegion[]} regions - The silent regions of the whole file, in order.
+ * @param {number} duration - The duration of the file in seconds.
+ * @param {number} sampleRate - The sample rate of the file in Hz.
+ * @param {SilenceOptions} [options]
+ * @returns {SilencePlan}
+ */
+export function planSilence(regions, duration, sampleRate, options) {
+    const { mode, maxPause } = resolveSilenceOptions(options);
+    const frameSamples = Math.max(1, Math.round(sampleRate * CUT_GRANULARITY_S));
+    const frameDuration = frameSamples / sampleRate;
+    const totalFrames = Math.ceil((duration * sampleRate) / frameSamples);
+
+    /** @type {SilenceCut[]} */
+    const cuts = [];
+    if (mode === 'compress') {
+        for (const region of regions) {
+            const isLeading = region.start <= MERGE_TOLERANCE_S;
+            const isTrailing = region.end >= duration - MERGE_TOLERANCE_S;
+            // A file that is silent throughout is left as it is.
+            if (isLeading && isTrailing) continue;
+
+            let start = region.start + maxPause / 2;
+            let end = region.end - maxPause / 2;
+            if (isLeading) {
+                start = 0;
+                end = region.end - SILENCE_EDGE_PADDING;
+            } else if (isTrailing) {
+                start = region.start + SILENCE_EDGE_PADDING;
+                end = duration;
+            }
+
+            const startFrame = Math.max(0, Math.ceil(start / frameDuration - 1e-9));
+            const endFrame = isTrailing ? totalFrames : Math.floor(end / frameDuration + 1e-9);
+            if (endFrame <= startFrame) continue;
+            cuts.push({
+                start: startFrame * frameDuration,
+                end: Math.min(duration, endFrame * frameDuration),
+                outputTime: 0,
+                startFrame,
+                endFrame
+            });
+        }
+    }
+
+    let removedDuration = 0;
+    for (const cut of cuts) {
+        cut.outputTime = cut.start - removedDuration;
+        removedDuration += cut.end - cut.start;
+    }
+
+    return { mode, maxPause, regions, cuts, frameSamples, removedDuration };
+}
+
+/**
+ * Moves a time of the unshortened file to the shortened file. A time inside a cut moves to
+ * where the cut was made.
+ *
+ * @param {number} time - The time in the unshortened file, in seconds.
+ * @param {SilenceCut[]} cuts - The cuts, in order.
+ * @returns {number} The time in the shortened file, in seconds.
+ */
+export function mapSilenceTime(time, cuts) {
+    let removed = 0;
+    for (const cut of cuts) {
+        if (time < cut.start) break;
+        if (time < cut.end) return cut.start - removed;
+        removed += cut.end - cut.start;
+    }
+    return time - removed;
+}
+
+/**
+ * Moves a time of the shortened file back to the unshortened file. A time at a cut moves to
+ * the end of the removed audio.
+ *
+ * @param {number} time - The time in the shortened file, in seconds.
+ * @param {SilenceCut[]} cuts - The cuts, in order.
+ * @returns {number} The time in the unshortened file, in seconds.
+ */
+export function unmapSilenceTime(time, cuts) {
+    let removed = 0;
+    for (const cut of cuts) {
+        if (time < cut.outputTime) break;
+        removed += cut.end - cut.start;
+    }
+    return time + removed;
+}
+
+/**
+ * Moves chapters to the shortened file. Chapters that lay entirely inside a cut are dropped.
+ * @param {Chapter[]} chapters
+ * @param {SilenceCut[]} cuts
+ * @returns {Chapter[]}
+ */
+export function mapSilenceChapters(chapters, cuts) {
+    return chapters
+        .map(chapter => ({ ...chapter, start: mapSilenceTime(chapter.start, cuts), end: mapSilenceTime(chapter.end, cuts) }))
+        .filter(chapter => chapter.end > chapter.start);
+}
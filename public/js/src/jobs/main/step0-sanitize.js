@@ -1,11 +1,14 @@
 /**
  * @file Pipeline Step 0: Sanitizes the input file by extracting only the audio stream into a clean WAV file.
- * This version is updated to use the refactored runFFmpeg utility.
+ * The audio is converted to the channel layout chosen by the channel policy, so every later step
+ * works on a known layout. For a preview, only an excerpt of the input is extracted.
  *
- * @version 2.0.0
+ * @version 2.3.0
  */
 
 import {runFFmpeg} from '../../ffmpeg/run.js';
+import {filter, serializeChain} from '../../ffmpeg/filterGraph.js';
+import {SOURCE_PCM_CODEC} from '../../../config.js';
 
 /**
  * @typedef {import('../../ui/ui.js').UI} UI
@@ -18,23 +21,28 @@ import {runFFmpeg} from '../../ffmpeg/run.js';
  * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
  * @param {string} inputFile - The path to the original input file in the virtual filesystem.
  * @param {string} workingDirectory - The directory in the virtual FS to write output files to (e.g., '/work').
+ * @param {string} channelLayout - The layout to down- or upmix to, e.g. 'stereo' or '5.1(side)'.
+ * @param {{start: number, duration: number} | null} range - The excerpt to extract in seconds, or null for the whole input.
  * @param {UI} updateUI - The UI instance for updating the command display.
+ * @param {AbortSignal} [signal] - Cancels the FFmpeg command when aborted.
  * @returns {Promise<string>} The full path of the sanitized audio file.
  */
-export async function sanitize(ffmpeg, inputFile, workingDirectory, updateUI) {
+export async function sanitize(ffmpeg, inputFile, workingDirectory, channelLayout, range, updateUI, signal) {
     const sanitizedOutputName = 'sanitized_audio.wav';
     const sanitizedOutputFile = `${workingDirectory}/${sanitizedOutputName}`;
 
     const args = [
         '-hide_banner',
+        ...(range ? ['-ss', String(range.start), '-t', String(range.duration)] : []),
         '-i', inputFile,
         '-map', '0:a:0',
-        '-c:a', 'pcm_s16le',
+        '-af', serializeChain([filter('aformat', {channel_layouts: channelLayout})]),
+        '-c:a', SOURCE_PCM_CODEC,
         sanitizedOutputFile
     ];
 
     // The logStore parameter is removed, as logging is now handled by a global listener.
-    await runFFmpeg(ffmpeg, args, updateUI);
+    await runFFmpeg(ffmpeg, args, updateUI, signal);
 
     const dirList = await ffmpeg.listDir(workingDirectory);
     if (!dirList.some(f => f.name === sanitizedOutputName)) {
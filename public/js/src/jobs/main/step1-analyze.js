@@ -1,11 +1,12 @@
 /**
- * @file Pipeline Step 1: Analyzes the input audio file to determine its duration and channel layout.
- * This version is updated to work with the centralized LogStore.
+ * @file Pipeline Step 1: Analyzes the input audio file to determine its duration, sample rate and channel layout.
+ * The sanitized file is probed like any other input, so the values describe exactly the audio
+ * that is chunked and mastered.
  *
- * @version 2.0.0
+ * @version 3.0.0
  */
 
-import {runFFmpeg} from '../../ffmpeg/run.js';
+import {probeMedia, getPrimaryAudioStream} from '../../ffmpeg/probe.js';
 
 /**
  * @typedef {import('../../ui/ui.js').UI} UI
@@ -16,7 +17,9 @@ import {runFFmpeg} from '../../ffmpeg/run.js';
 /**
  * @typedef {object} AnalysisResult
  * @property {number} duration - The duration of the audio in seconds.
- * @property {string} channelLayout - The layout string ('mono' or 'stereo').
+ * @property {number} sampleRate - The sample rate of the audio in Hz.
+ * @property {string} channelLayout - The FFmpeg layout name, e.g. 'mono', 'stereo' or '5.1(side)'.
+ * @property {number} channels - The number of channels.
  */
 
 /**
@@ -26,33 +29,22 @@ import {runFFmpeg} from '../../ffmpeg/run.js';
  * @param {string} inputFile - The path to the input file in the virtual filesystem.
  * @param {UI} updateUI - The UI instance for updating the command display.
  * @param {LogStore} logStore - The central log store for capturing FFmpeg logs.
+ * @param {AbortSignal} [signal] - Cancels the FFmpeg command when aborted.
  * @returns {Promise<AnalysisResult>} The duration and channel information of the audio.
  * @throws {Error} If properties cannot be determined.
  */
-export async function analyze(ffmpeg, inputFile, updateUI, logStore) {
-    // Clear the central log store before running the analysis command.
-    logStore.clear();
+export async function analyze(ffmpeg, inputFile, updateUI, logStore, signal) {
+    const mediaInfo = await probeMedia(ffmpeg, inputFile, updateUI, logStore, signal);
+    const stream = getPrimaryAudioStream(mediaInfo);
 
-    // Run a minimal command to force FFmpeg to print stream info to the log.
-    const args = ['-hide_banner', '-i', inputFile, '-f', 'null', '-'];
-    await runFFmpeg(ffmpeg, args, updateUI);
-
-    // Get the log output that was just generated.
-    const logText = logStore.get();
-
-    const durationMatch = logText.match(/Duration: (\d{2}):(\d{2}):(\d{2})\.(\d{2})/);
-    if (!durationMatch) {
-        throw new Error("Step 1 Failed: Could not determine audio duration.");
-    }
-    const [, hours, minutes, seconds, centiseconds] = durationMatch;
-    const duration = parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) + parseInt(centiseconds) / 100;
-
-    // This regex is designed to find the channel layout from the main audio stream info.
-    const streamMatch = logText.match(/Stream #\d+:\d+.*: Audio: .*?, (stereo|mono),/);
-    if (!streamMatch || !streamMatch[1]) {
-        throw new Error("Step 1 Failed: Could not determine audio channel layout (mono/stereo) from the FFmpeg log.");
+    if (!stream.channelLayout || !stream.channels) {
+        throw new Error("Step 1 Failed: Could not determine the channel layout of the sanitized audio.");
     }
-    const channelLayout = streamMatch[1];
 
-    return {duration, channelLayout};
-}
\ No newline at end of file
+    return {
+        duration: mediaInfo.duration,
+        sampleRate: stream.sampleRate,
+        channelLayout: stream.channelLayout,
+        channels: stream.channels
+    };
+}
@@ -1,12 +1,15 @@
 /**
- * @file Pipeline Step 2: Splits the input audio into large WAV chunks.
- * This version is updated to use the refactored runFFmpeg utility.
+ * @file Pipeline Step 2: Splits the input audio into large, overlapping WAV chunks.
+ * Each chunk carries up to CHUNK_OVERLAP seconds of pre-roll and post-roll from its
+ * neighbours, so stateful filters are settled by the time they reach the chunk's own
+ * region. The overlap is trimmed off again in Step 4.
  *
- * @version 2.0.0
+ * @version 3.1.0
  */
 
 import {runFFmpeg} from '../../ffmpeg/run.js';
-import {CHUNK_DURATION} from '../../../config.js';
+import {filter, serializeChain} from '../../ffmpeg/filterGraph.js';
+import {CHUNK_DURATION, CHUNK_OVERLAP, SOURCE_PCM_CODEC} from '../../../config.js';
 
 /**
  * @typedef {import('../../ui/ui.js').UI} UI
@@ -14,37 +17,78 @@ import {CHUNK_DURATION} from '../../../config.js';
  */
 
 /**
- * Splits the sanitized audio file into large WAV chunks for processing.
+ * @typedef {object} ChunkInfo
+ * @property {number} index - The position of the chunk in the file.
+ * @property {string} path - The full path to the chunk in the virtual filesystem.
+ * @property {number} sampleRate - The sample rate of the chunk in Hz.
+ * @property {number} startSample - The first sample of the chunk's own region, in file samples.
+ * @property {number} preRollSamples - The number of overlapping samples before the own region.
+ * @property {number | null} ownSamples - The length of the own region in samples, or null for the
+ *  last chunk, which runs to the end of the file.
+ * @property {number} duration - The length of the whole chunk, including the overlap, in seconds.
+ */
+
+/**
+ * Splits the sanitized audio file into overlapping WAV chunks for processing.
+ * A trailing remainder shorter than the overlap is merged into the previous chunk
+ * so that every chunk is long enough to be crossfaded.
  *
  * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
  * @param {string} inputFile - The name of the sanitized input file in the virtual filesystem.
+ * @param {number} duration - The duration of the input in seconds.
+ * @param {number} sampleRate - The sample rate of the input in Hz.
  * @param {string} workingDirectory - The directory in the virtual FS to write output files to.
  * @param {UI} updateUI - The UI instance for updating the command display.
- * @returns {Promise<string[]>} A sorted list of the full paths to the created chunk filenames.
+ * @param {AbortSignal} [signal] - Cancels the FFmpeg command when aborted.
+ * @returns {Promise<ChunkInfo[]>} The chunks, in file order.
  */
-export async function chunk(ffmpeg, inputFile, workingDirectory, updateUI) {
-    const outputPattern = `${workingDirectory}/chunk_%04d.wav`;
+export async function chunk(ffmpeg, inputFile, duration, sampleRate, workingDirectory, updateUI, signal) {
+    const totalSamples = Math.round(duration * sampleRate);
+    const chunkSamples = CHUNK_DURATION * sampleRate;
+    const overlapSamples = CHUNK_OVERLAP * sampleRate;
+
+    let numChunks = Math.max(1, Math.ceil(totalSamples / chunkSamples));
+    if (numChunks > 1 && totalSamples - (numChunks - 1) * chunkSamples < overlapSamples) {
+        numChunks--;
+    }
 
-    const chunkingArgs = [
-        '-i', inputFile,
-        '-f', 'segment',
-        '-segment_time', String(CHUNK_DURATION),
-        '-c:a', 'pcm_s16le',
-        outputPattern
-    ];
+    /** @type {ChunkInfo[]} */
+    const chunks = [];
+    for (let index = 0; index < numChunks; index++) {
+        const isLast = index === numChunks - 1;
+        const startSample = index * chunkSamples;
+        const preRollSamples = Math.min(startSample, overlapSamples);
+        const firstSample = startSample - preRollSamples;
+        const chunkLength = isLast ? totalSamples - firstSample : Math.min(preRollSamples + chunkSamples + overlapSamples, totalSamples - firstSample);
+        const path = `${workingDirectory}/chunk_${String(index).padStart(4, '0')}.wav`;
 
-    // The logStore parameter is removed.
-    await runFFmpeg(ffmpeg, chunkingArgs, updateUI);
+        // Input seeking in PCM WAV is exact, and the sample count bounds the chunk precisely.
+        const trimArgs = isLast ? [] : ['-af', serializeChain([filter('atrim', {end_sample: preRollSamples + chunkSamples + overlapSamples})])];
+        const chunkingArgs = [
+            '-ss', String(firstSample / sampleRate),
+            '-i', inputFile,
+            ...trimArgs,
+            '-c:a', SOURCE_PCM_CODEC,
+            path
+        ];
+        await runFFmpeg(ffmpeg, chunkingArgs, updateUI, signal);
 
-    const dirList = await ffmpeg.listDir(workingDirectory);
-    const chunkFiles = dirList
-        .filter(f => f.name.startsWith('chunk_') && f.name.endsWith('.wav'))
-        .map(f => `${workingDirectory}/${f.name}`)
-        .sort();
+        chunks.push({
+            index,
+            path,
+            sampleRate,
+            startSample,
+            preRollSamples,
+            ownSamples: isLast ? null : chunkSamples,
+            duration: chunkLength / sampleRate
+        });
+    }
 
-    if (chunkFiles.length === 0) {
-        throw new Error("Step 2 Failed: Audio file could not be chunked.");
+    const dirList = await ffmpeg.listDir(workingDirectory);
+    const missing = chunks.filter(c => !dirList.some(f => `${workingDirectory}/${f.name}` === c.path));
+    if (missing.length > 0) {
+        throw new Error(`Step 2 Failed: Audio file could not be chunked (${missing.length} chunk(s) missing).`);
     }
 
-    return chunkFiles;
-}
\ No newline at end of file
+    return chunks;
+}
@@ -11,18 +11,15 @@ import { runFFmpeg } from '../../ffmpeg/run.js';
 import {parseLoudness} from '../../ffmpeg/parse/loudness.js';
 import {parseRmsLevel} from '../../ffmpeg/parse/rmsLevel.js';
 
-import {
-    TARGET_LOUDNESS_LUFS,
-    TARGET_TRUE_PEAK_DBFS,
-    TARGET_LOUDNESS_RANGE_LU,
-    HIGH_PASS_FREQ_HZ,
-    NOISE_FLOOR_DBFS,
-    OUTPUT_FORMAT,
-    OUTPUT_QUALITY
-} from '../../../config.js';
+import {getLoudnessTarget} from '../../ffmpeg/loudnessTarget.js';
+import {getMasteringChain, buildCleanupFilters, buildMasteringFilters} from '../../ffmpeg/masteringChain.js';
+import {filter, serializeChain} from '../../ffmpeg/filterGraph.js';
+import {getOutputFormat, getEncoderArgs} from '../../ffmpeg/formats.js';
+import {PROCESSED_PCM_CODEC} from '../../../config.js';
 
 /**
  * @typedef {import('../../../app.js').UIPayload} UIPayload
+ * @typedef {import('../../ffmpeg/loudnessTarget.js').LoudnessTarget} LoudnessTarget
  */
 
 /**
@@ -31,6 +28,17 @@ import {
  * @property {boolean} clarity - Whether to enable the high-frequency clarity boost.
  * @property {boolean} tonal - Whether to enable the tonal balance EQ.
  * @property {boolean} softClip - Whether to enable the soft clipper.
+ * @property {boolean} [neuralDenoise] - Whether to enable the neural speech denoise (arnndn).
+ * @property {string} [neuralDenoiseModel] - The model of the neural denoise, as a key of RNNOISE_MODELS in config.js.
+ * @property {string} outputFormat - The output format, as a key of OUTPUT_FORMATS in config.js.
+ * @property {string} outputQuality - The id of one of the output format's quality levels.
+ * @property {string} [channelPolicy] - How the input channels are mapped, as a key of CHANNEL_POLICIES in config.js.
+ * @property {LoudnessTarget} loudness - The loudness target every pass normalizes to.
+ * @property {import('../../ffmpeg/masteringChain.js').MasteringChain} [chain] - The parameters of the cleanup and mastering filters.
+ * @property {import('./silencePlan.js').SilenceOptions} [silence] - Whether pauses are detected after mastering, and shortened.
+ * @property {import('./noiseProfile.js').NoiseProfileOptions} [noiseProfile] - Whether the noise reduction learns the noise of the input, and from where.
+ * @property {import('./metadata.js').MetadataOptions} [metadata] - The tags entered by the user and how they are combined with the source tags.
+ * @property {boolean} [autoCorrect] - Whether a mastered file that misses the loudness target is corrected automatically.
  */
 
 /**
@@ -39,7 +47,7 @@ import {
  *
  * @param {import('../../../main.js').FFmpeg} ffmpeg - The initialized FFmpeg instance.
  * @param {string[]} chunkFiles - A sorted array of full paths to the chunk files.
- * @param {string} channelLayout - The channel layout ('mono' or 'stereo') of the audio.
+ * @param {string} channelLayout - The FFmpeg channel layout of the audio, e.g. 'stereo' or '5.1(side)'.
  * @param {MasteringOptions} options - User-selected mastering options.
  * @param {(payload: UIPayload) => void} updateUI - The UI update callback function.
  * @param {object} logStore - The log store for capturing FFmpeg logs.
@@ -48,6 +56,9 @@ import {
 export async function processChunks(ffmpeg, chunkFiles, channelLayout, options, updateUI, logStore) {
     /** @type {string[]} */
     const processedFiles = [];
+    const outputFormat = getOutputFormat(options.outputFormat);
+    const target = getLoudnessTarget(options.loudness);
+    const chain = getMasteringChain(options.chain);
 
     // --- Core Logic: The Sequential Loop ---
     // This loop processes one chunk at a time, from start to finish.
@@ -62,7 +73,7 @@ export async function processChunks(ffmpeg, chunkFiles, channelLayout, options,
         const chunkBasename = chunkNameOnly.split('.')[0];
 
         const tempNormalizedFile = `${workingDirectory}/${chunkBasename}_norm.wav`;
-        const finalOutputFile = `${workingDirectory}/${chunkBasename}_mastered.${OUTPUT_FORMAT}`;
+        const finalOutputFile = `${workingDirectory}/${chunkBasename}_mastered.${outputFormat.extension}`;
         const rmsLogFile = `${workingDirectory}/rms_pass_${i}.txt`;
 
         updateUI({
@@ -72,26 +83,37 @@ export async function processChunks(ffmpeg, chunkFiles, channelLayout, options,
         // --- PASS 1: Loudness Analysis ---
         // This is identical to the logic in `pass1_analyzeLoudness.js`.
         logStore.clear();
-        const initialFilters = `aformat=channel_layouts=${channelLayout},highpass=f=${HIGH_PASS_FREQ_HZ},afftdn=nf=${NOISE_FLOOR_DBFS},deesser`;
-        const loudnessAnalysisFilter = `${initialFilters},loudnorm=I=${TARGET_LOUDNESS_LUFS}:TP=${TARGET_TRUE_PEAK_DBFS}:LRA=${TARGET_LOUDNESS_RANGE_LU}:print_format=json`;
+        // The sequential pipeline does not load the models of the neural denoise, nor know the sample rate it needs.
+        const initialFilters = buildCleanupFilters(channelLayout, null, {...options, chain, neuralDenoise: false});
+        const loudnessAnalysisFilter = serializeChain([
+            ...initialFilters,
+            filter('loudnorm', {I: target.I, TP: target.TP, LRA: target.LRA, print_format: 'json'})
+        ]);
         const analysisArgs = ['-i', chunkFile, '-af', loudnessAnalysisFilter, '-f', 'null', '-'];
-        // REVIEW: To update, this call would become `await runFFmpeg(ffmpeg, analysisArgs, updateUI);`
-        await runFFmpeg(ffmpeg, analysisArgs, updateUI, logStore);
+        await runFFmpeg(ffmpeg, analysisArgs, updateUI);
         const loudnessData = parseLoudness(logStore.get());
 
         // --- PASS 2: Loudness Normalization ---
         // This is identical to the logic in `pass2_normalizeLoudness.js`.
-        const loudnessCorrectionFilter = `${initialFilters},loudnorm=I=${TARGET_LOUDNESS_LUFS}:TP=${TARGET_TRUE_PEAK_DBFS}:LRA=${TARGET_LOUDNESS_RANGE_LU}:measured_I=${loudnessData.measured_I}:measured_TP=${loudnessData.measured_TP}:measured_LRA=${loudnessData.measured_LRA}:measured_thresh=${loudnessData.measured_thresh}:offset=${loudnessData.target_offset}`;
-        const normalizeArgs = ['-i', chunkFile, '-af', loudnessCorrectionFilter, tempNormalizedFile];
-        // REVIEW: To update, this call would become `await runFFmpeg(ffmpeg, normalizeArgs, updateUI);`
-        await runFFmpeg(ffmpeg, normalizeArgs, updateUI, logStore);
+        const loudnessCorrectionFilter = serializeChain([
+            ...initialFilters,
+            filter('loudnorm', {
+                I: target.I, TP: target.TP, LRA: target.LRA,
+                measured_I: loudnessData.measured_I, measured_TP: loudnessData.measured_TP, measured_LRA: loudnessData.measured_LRA,
+                measured_thresh: loudnessData.measured_thresh, offset: loudnessData.target_offset
+            })
+        ]);
+        const normalizeArgs = ['-i', chunkFile, '-af', loudnessCorrectionFilter, '-c:a', PROCESSED_PCM_CODEC, tempNormalizedFile];
+        await runFFmpeg(ffmpeg, normalizeArgs, updateUI);
 
         // --- PASS 3: Mastering Analysis (RMS) ---
         // This is identical to the logic in `pass3_analyzeNormalized.js`.
-        const rmsAnalysisFilter = `astats=metadata=1,ametadata=mode=print:file=${rmsLogFile}`;
+        const rmsAnalysisFilter = serializeChain([
+            filter('astats', {metadata: 1}),
+            filter('ametadata', {mode: 'print', file: rmsLogFile})
+        ]);
         const rmsArgs = ['-i', tempNormalizedFile, '-af', rmsAnalysisFilter, '-f', 'null', '-'];
-        // REVIEW: To update, this call would become `await runFFmpeg(ffmpeg, rmsArgs, updateUI);`
-        await runFFmpeg(ffmpeg, rmsArgs, updateUI, logStore);
+        await runFFmpeg(ffmpeg, rmsArgs, updateUI);
         const rmsFileContent = new TextDecoder().decode(await ffmpeg.readFile(rmsLogFile));
         const rmsLevel = parseRmsLevel(rmsFileContent);
         await ffmpeg.deleteFile(rmsLogFile);
@@ -102,34 +124,9 @@ export async function processChunks(ffmpeg, chunkFiles, channelLayout, options,
 
         // --- PASS 4: Final Mastering and Encoding ---
         // This is identical to the logic in `pass4_masterEncode.js`.
-        const masteringFilters = [];
-        const demudThreshold = rmsLevel + 3;
-
-        masteringFilters.push(`adynamicequalizer=dfrequency=350:dqfactor=1.75:tfrequency=350:tqfactor=1.75:tftype=bell:threshold=${demudThreshold}:attack=20:release=50:knee=1:ratio=1:makeup=2:range=2:slew=1:mode=boost`);
-        masteringFilters.push(`adynamicequalizer=dfrequency=7000:dqfactor=3.5:tfrequency=7000:tqfactor=3.5:tftype=bell:threshold=22:attack=20:release=50:knee=1:ratio=1:makeup=3:range=3:slew=1:mode=boost`);
-        masteringFilters.push(`alimiter=limit=0.9`);
-
-        if (options.gate) {
-            const gateThresholdDb = rmsLevel - 18;
-            const gateThresholdLinear = Math.pow(10, gateThresholdDb / 20);
-            masteringFilters.push(`agate=threshold=${gateThresholdLinear}`);
-        }
-        if (options.clarity) {
-            masteringFilters.push("equalizer=f=8000:t=h:g=3");
-        }
-        if (options.tonal) {
-            masteringFilters.push("equalizer=f=92:width_type=h:w=50:g=1");
-            masteringFilters.push("equalizer=f=185:width_type=h:w=100:g=1");
-            masteringFilters.push("equalizer=f=5920:width_type=h:w=1000:g=1.5");
-        }
-        if (options.softClip) {
-            masteringFilters.push("asoftclip=type=atan");
-        }
-
-        const finalFilterString = masteringFilters.join(',');
-        const finalArgs = ['-i', tempNormalizedFile, '-af', finalFilterString, ...OUTPUT_QUALITY.split(' '), finalOutputFile];
-        // REVIEW: To update, this call would become `await runFFmpeg(ffmpeg, finalArgs, updateUI);`
-        await runFFmpeg(ffmpeg, finalArgs, updateUI, logStore);
+        const finalFilterString = serializeChain(buildMasteringFilters(rmsLevel, {...options, chain}));
+        const finalArgs = ['-i', tempNormalizedFile, '-af', finalFilterString, ...getEncoderArgs(outputFormat.id, options.outputQuality), finalOutputFile];
+        await runFFmpeg(ffmpeg, finalArgs, updateUI);
 
         // --- Cleanup ---
         await ffmpeg.deleteFile(tempNormalizedFile);
@@ -1,60 +1,121 @@
 /**
- * @file Pipeline Step 4: Concatenates individual mastered audio segments into a single MP3 file and injects metadata.
- * This version is updated to use the refactored runFFmpeg utility.
+ * @file Pipeline Step 4: Assembles the mastered PCM chunks into a single file and encodes it once
+ * to the selected output format. The metadata is written by Step 5.
+ * The overlapping pre-roll and post-roll of each chunk is trimmed sample-accurately, leaving
+ * CHUNK_CROSSFADE seconds around every boundary that are crossfaded between the neighbours.
+ * Pauses planned to be shortened are cut from the assembled audio before it is encoded.
  *
- * @version 2.0.0
+ * @version 4.2.0
  */
 
 import {runFFmpeg} from '../../ffmpeg/run.js';
+import {getOutputFormat, getEncoderArgs} from '../../ffmpeg/formats.js';
+import {filter, serializeGraph} from '../../ffmpeg/filterGraph.js';
+import {CHUNK_CROSSFADE} from '../../../config.js';
 
 /**
  * @typedef {import('../../ui/ui.js').UI} UI
  * @typedef {import('../../../main.js').FFmpeg} FFmpeg
+ * @typedef {import('./step2-chunk.js').ChunkInfo} ChunkInfo
+ * @typedef {import('./step3-process-chunks.js').MasteringOptions} MasteringOptions
+ * @typedef {import('./silencePlan.js').SilencePlan} SilencePlan
+ * @typedef {import('../../ffmpeg/filterGraph.js').FilterNode} FilterNode
  */
 
 /**
- * Concatenates mastered audio segments into a single file and applies ID3 metadata.
+ * Builds the filter graph that trims every chunk to its own region plus half a crossfade
+ * on each inner side, then crossfades the trimmed chunks in order.
+ *
+ * @param {ChunkInfo[]} chunks - The chunks, in file order, as inputs 0..n-1.
+ * @param {number} crossfadeSamples - The crossfade length in samples.
+ * @param {string} output - The label of the graph's output.
+ * @returns {FilterNode[][]} The chains of the graph.
+ */
+function buildAssemblyGraph(chunks, crossfadeSamples, output) {
+    const half = Math.floor(crossfadeSamples / 2);
+    const chains = chunks.map((chunk, i) => {
+        const isFirst = i === 0;
+        const isLast = i === chunks.length - 1;
+        const start = isFirst ? chunk.preRollSamples : chunk.preRollSamples - half;
+        const trim = isLast
+            ? {start_sample: start}
+            : {start_sample: start, end_sample: chunk.preRollSamples + chunk.ownSamples + (crossfadeSamples - half)};
+        return [
+            filter('atrim', trim, {inputs: [`${i}:a`]}),
+            filter('asetpts', {expr: 'PTS-STARTPTS'}, {outputs: [chunks.length === 1 ? output : `c${i}`]})
+        ];
+    });
+
+    let previous = 'c0';
+    for (let i = 1; i < chunks.length; i++) {
+        const label = i === chunks.length - 1 ? output : `x${i}`;
+        // Both sides carry the same material, so linear fades sum to unity gain.
+        chains.push([filter('acrossfade', {ns: crossfadeSamples, c1: 'tri', c2: 'tri'}, {inputs: [previous, `c${i}`], outputs: [label]})]);
+        previous = label;
+    }
+    return chains;
+}
+
+/**
+ * Builds the filter chain that removes the cuts of a silence plan. The audio is split into
+ * frames of the plan's granularity, so the cuts can be selected by frame number exactly.
+ *
+ * @param {SilencePlan} silencePlan
+ * @param {string} input - The label of the chain's input.
+ * @param {string} output - The label of the chain's output.
+ * @returns {FilterNode[]}
+ */
+function buildCutFilters(silencePlan, input, output) {
+    const removed = silencePlan.cuts.map(cut => `between(n,${cut.startFrame},${cut.endFrame - 1})`).join('+');
+    return [
+        filter('asetnsamples', {n: silencePlan.frameSamples, p: 0}, {inputs: [input]}),
+        filter('aselect', {expr: `not(${removed})`}),
+        filter('asetpts', {expr: 'N/SR/TB'}, {outputs: [output]})
+    ];
+}
+
+/**
+ * Assembles mastered PCM chunks into a single encoded file without metadata.
  *
  * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
- * @param {string[]} processedFiles - A sorted list of the mastered audio segment filenames.
- * @param {object} metadata - An object containing the ID3 tags for the final file.
+ * @param {ChunkInfo[]} chunks - The chunk layout produced by Step 2, in file order.
+ * @param {string[]} processedFiles - The mastered PCM WAV file of each chunk, in the same order.
+ * @param {SilencePlan | null} silencePlan - The pauses to shorten, if any.
+ * @param {MasteringOptions} options - The mastering options, which select the output format and quality.
  * @param {string} workingDirectory - The directory in the virtual FS where files are located.
  * @param {UI} updateUI - The UI instance for updating the command display.
- * @returns {Promise<string>} The filename of the final concatenated file.
+ * @param {AbortSignal} [signal] - Cancels the FFmpeg command when aborted.
+ * @returns {Promise<string>} The filename of the final assembled file.
  */
-export async function concatenate(ffmpeg, processedFiles, metadata, workingDirectory, updateUI) {
-    const concatListPath = `${workingDirectory}/concat_list.txt`;
-    const outputFilename = `${workingDirectory}/final_mastered.mp3`;
-
-    const concatList = processedFiles.map(f => `file '${f}'`).join('\n');
-    await ffmpeg.writeFile(concatListPath, concatList);
-
-    const metadataArgs = [
-        '-metadata', `title=${metadata.title}`,
-        '-metadata', `artist=${metadata.artist}`,
-        '-metadata', `album=${metadata.album}`,
-        '-metadata', `date=${metadata.date}`,
-        '-metadata', `comment=${metadata.comment}`,
-        '-metadata', `genre=Podcast`,
-        '-metadata', `album_artist=MutterToButter WASM`
-    ];
+export async function concatenate(ffmpeg, chunks, processedFiles, silencePlan, options, workingDirectory, updateUI, signal) {
+    const outputFormat = getOutputFormat(options.outputFormat);
+    const outputName = `assembled.${outputFormat.extension}`;
+    const outputFilename = `${workingDirectory}/${outputName}`;
+
+    const crossfadeSamples = Math.round(CHUNK_CROSSFADE * chunks[0].sampleRate);
+    const hasCuts = Boolean(silencePlan) && silencePlan.cuts.length > 0;
+    const chains = buildAssemblyGraph(chunks, crossfadeSamples, hasCuts ? 'joined' : 'out');
+    if (hasCuts) {
+        chains.push(buildCutFilters(silencePlan, 'joined', 'out'));
+    }
+    const filterGraph = serializeGraph(chains);
 
-    const concatArgs = [
-        '-f', 'concat',
-        '-safe', '0',
-        '-i', concatListPath,
-        '-c', 'copy',
-        ...metadataArgs,
+    const assemblyArgs = [
+        ...processedFiles.flatMap(f => ['-i', f]),
+        '-filter_complex', filterGraph,
+        '-map', '[out]',
+        '-map_metadata', '-1',
+        ...getEncoderArgs(outputFormat.id, options.outputQuality),
+        ...outputFormat.muxerArgs,
         outputFilename
     ];
 
-    // The logStore parameter is removed.
-    await runFFmpeg(ffmpeg, concatArgs, updateUI);
+    await runFFmpeg(ffmpeg, assemblyArgs, updateUI, signal);
 
     const dirList = await ffmpeg.listDir(workingDirectory);
-    if (!dirList.some(f => f.name === 'final_mastered.mp3')) {
-        throw new Error("Step 4 Failed: Concatenation did not produce the expected output file.");
+    if (!dirList.some(f => f.name === outputName)) {
+        throw new Error("Step 4 Failed: Assembly did not produce the expected output file.");
     }
 
     return outputFilename;
-}
\ No newline at end of file
+}
@@ -1,39 +1,83 @@
 /**
- * @file Pipeline Step 5: Muxes the silent video with the original audio.
+ * @file Pipeline Step 5: Muxes the encoded audio with its tags, cover art and chapters.
+ * The audio stream is copied, so the metadata can be written again (e.g. after editing)
+ * without re-encoding. Whatever the output container cannot store is left out.
+ *
+ * @version 2.0.0
  */
 
 import {runFFmpeg} from '../../ffmpeg/run.js';
+import {getOutputFormat, selectMetadataTags} from '../../ffmpeg/formats.js';
+import {serializeFFMetadata} from '../../ffmpeg/ffmetadata.js';
 
 /**
- * Muxes the final silent video with the original audio file.
- * @param {object} ffmpeg - The initialized FFmpeg instance.
- * @param {string} silentVideoFile - The filename of the concatenated silent video.
- * @param {string} inputFile - The name of the original input audio file.
- * @param {object} updateUI - The UI update callback function.
- * @param {object} logStore - The log store for capturing FFmpeg logs.
- * @returns {Promise<string>} The filename of the final muxed video.
+ * @typedef {import('../../ui/ui.js').UI} UI
+ * @typedef {import('../../../main.js').FFmpeg} FFmpeg
+ * @typedef {import('./metadata.js').FileMetadata} FileMetadata
+ */
+
+/**
+ * Writes the metadata into the encoded audio file.
+ *
+ * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
+ * @param {string} audioFile - The encoded audio file produced by Step 4.
+ * @param {FileMetadata} metadata - The tags, chapters and cover art to write.
+ * @param {string} formatId - The output format of the audio file, as a key of OUTPUT_FORMATS.
+ * @param {string} workingDirectory - The directory in the virtual FS where files are located.
+ * @param {UI} updateUI - The UI instance for updating the command display.
+ * @param {AbortSignal} [signal] - Cancels the FFmpeg command when aborted.
+ * @returns {Promise<string>} The filename of the final file.
  * @throws {Error} If muxing fails.
  */
-export async function mux(ffmpeg, silentVideoFile, inputFile, updateUI, logStore) {
-    const outputFilename = 'output.mp4';
+export async function mux(ffmpeg, audioFile, metadata, formatId, workingDirectory, updateUI, signal) {
+    const outputFormat = getOutputFormat(formatId);
+    const outputName = `final_mastered.${outputFormat.extension}`;
+    const outputFilename = `${workingDirectory}/${outputName}`;
+
+    const metadataFile = `${workingDirectory}/final_metadata.txt`;
+    await ffmpeg.writeFile(metadataFile, serializeFFMetadata({
+        tags: selectMetadataTags(outputFormat.id, metadata.tags),
+        chapters: outputFormat.supportsChapters ? metadata.chapters : []
+    }));
+
+    const coverArt = outputFormat.supportsCoverArt ? metadata.coverArt : null;
+    const coverFile = coverArt ? `${workingDirectory}/final_cover.${coverArt.extension}` : null;
+    if (coverArt) {
+        await ffmpeg.writeFile(coverFile, coverArt.data);
+    }
+
     const args = [
-        '-i', silentVideoFile,
-        '-i', inputFile,
-        '-map', '0:v:0',
-        '-map', '1:a:0',
-        '-c:v', 'copy',
-        '-c:a', 'aac',
-        '-b:a', '192k',
-        '-shortest',
+        '-hide_banner',
+        '-i', audioFile,
+        '-f', 'ffmetadata', '-i', metadataFile,
+        ...(coverFile ? ['-i', coverFile] : []),
+        '-map', '0:a',
+        '-map_metadata', '1',
+        '-map_chapters', outputFormat.supportsChapters ? '1' : '-1',
+        '-c:a', 'copy',
+        ...(coverFile ? [
+            '-map', '2:v',
+            '-c:v', 'copy',
+            '-disposition:v:0', 'attached_pic',
+            '-metadata:s:v:0', 'title=Cover',
+            '-metadata:s:v:0', 'comment=Cover (front)'
+        ] : []),
+        ...outputFormat.muxerArgs,
         outputFilename
     ];
-    await runFFmpeg(ffmpeg, args, updateUI, logStore);
 
-    // Validate that the final video was created
-    const dirList = await ffmpeg.listDir('.');
-    if (!dirList.some(f => f.name === outputFilename)) {
-        throw new Error("Step 5 Failed: Muxing did not produce the final output video.");
+    try {
+        await runFFmpeg(ffmpeg, args, updateUI, signal);
+    } finally {
+        for (const path of [metadataFile, coverFile].filter(Boolean)) {
+            try { await ffmpeg.deleteFile(path); } catch (e) { /* ignore */ }
+        }
+    }
+
+    const dirList = await ffmpeg.listDir(workingDirectory);
+    if (!dirList.some(f => f.name === outputName)) {
+        throw new Error("Step 5 Failed: Muxing did not produce the final output file.");
     }
 
     return outputFilename;
-}
\ No newline at end of file
+}
@@ -0,0 +1,145 @@
+/**
+ * @file Compliance verification of the mastered file: its integrated loudness and true peak, as
+ * measured by ebur128 on the delivered file, are compared with the loudness target. A file that
+ * misses the target can be corrected with a static gain and a peak limiter. The correction
+ * encodes the audio a second time, so it is only applied to files that fail. The loudness range
+ * is compared too, but only noted: neither the mastering nor the correction compresses the
+ * dynamics, so a file is not held back for it.
+ *
+ * @version 1.2.0
+ */
+
+import {runFFmpeg} from '../../ffmpeg/run.js';
+import {getOutputFormat, getEncoderArgs} from '../../ffmpeg/formats.js';
+import {serializeChain} from '../../ffmpeg/filterGraph.js';
+import {buildGainFilters} from '../../ffmpeg/masteringChain.js';
+import {VERIFICATION_TOLERANCE, CORRECTION_PEAK_MARGIN_DB} from '../../../config.js';
+
+/**
+ * @typedef {import('../../ui/ui.js').UI} UI
+ * @typedef {import('../../../main.js').FFmpeg} FFmpeg
+ * @typedef {import('../../ffmpeg/parse/envelope.js').Envelope} Envelope
+ * @typedef {import('../../ffmpeg/loudnessTarget.js').LoudnessTarget} LoudnessTarget
+ * @typedef {import('./step3-process-chunks.js').MasteringOptions} MasteringOptions
+ */
+
+/**
+ * @typedef {object} Verification
+ * @property {'passed' | 'failed' | 'unverified'} status - 'unverified' if the file could not be
+ *  measured, or is silent.
+ * @property {number | null} integrated - The measured integrated loudness, in LUFS.
+ * @property {number | null} truePeak - The measured true peak, in dBFS.
+ * @property {number | null} lra - The measured loudness range, in LU.
+ * @property {{I: number, TP: number, LRA: number}} target - The integrated loudness, true-peak maximum and
+ *  loudness range checked against.
+ * @property {{I: number, TP: number}} tolerance
+ * @property {string[]} failures - What is out of spec, for display.
+ * @property {string[]} notes - What is off the target without failing the file, for display.
+ * @property {boolean} corrected - Whether the corrective pass was applied to the file.
+ * @property {boolean} [accepted] - Whether the user chose to keep a failed file as it is.
+ */
+
+/**
+ * Compares the measurement of a mastered file with its loudness target.
+ *
+ * @param {Envelope | null} measurement - The envelope of the delivered file, which carries its
+ *  ebur128 integrated loudness, loudness range and true peak; null if it could not be measured.
+ * @param {LoudnessTarget} target
+ * @param {boolean} [corrected=false] - Whether the file was corrected before it was measured.
+ * @returns {Verification}
+ */
+export function verifyLoudness(measurement, target, corrected = false) {
+    const integrated = measurement && Number.isFinite(measurement.integrated) ? measurement.integrated : null;
+    const truePeak = measurement && Number.isFinite(measurement.truePeak) ? measurement.truePeak : null;
+    const lra = integrated !== null && Number.isFinite(measurement.lra) ? measurement.lra : null;
+    const failures = [];
+    const notes = [];
+    if (integrated !== null) {
+        const deviation = integrated - target.I;
+        if (Math.abs(deviation) > VERIFICATION_TOLERANCE.I) {
+            failures.push(`Integrated loudness is ${integrated.toFixed(1)} LUFS, ${Math.abs(deviation).toFixed(1)} LU ${deviation > 0 ? 'above' : 'below'} the target of ${target.I} LUFS.`);
+        }
+    }
+    if (truePeak !== null && truePeak > target.TP + VERIFICATION_TOLERANCE.TP) {
+        failures.push(`True peak is ${truePeak.toFixed(1)} dBFS, above the maximum of ${target.TP} dBTP.`);
+    }
+    if (lra !== null && lra > target.LRA) {
+        notes.push(`Loudness range is ${lra.toFixed(1)} LU, above the target of ${target.LRA} LU; the dynamics of the recording are kept.`);
+    }
+    return {
+        status: integrated === null ? 'unverified' : failures.length > 0 ? 'failed' : 'passed',
+        integrated,
+        truePeak,
+        lra,
+        target: {I: target.I, TP: target.TP, LRA: target.LRA},
+        tolerance: {...VERIFICATION_TOLERANCE},
+        failures,
+        notes,
+        corrected
+    };
+}
+
+/**
+ * A file that failed verification is held back from download until it was corrected, or the
+ * user chose to keep it as it is.
+ *
+ * @param {Verification | null | undefined} verification
+ * @returns {boolean} Whether the file awaits that decision.
+ */
+export function needsReview(verification) {
+    return Boolean(verification) && verification.status === 'failed' && !verification.accepted;
+}
+
+/**
+ * Builds the corrective filter chain for a failed verification: the gain that moves the
+ * integrated loudness onto the target, then a limiter below the true-peak maximum.
+ *
+ * @param {Verification} verification - A failed verification.
+ * @returns {string} The `-af` filter chain.
+ */
+export function buildCorrectionChain(verification) {
+    const gainDb = verification.integrated === null ? 0 : verification.target.I - verification.integrated;
+    const limit = Math.pow(10, (verification.target.TP - CORRECTION_PEAK_MARGIN_DB) / 20);
+    return serializeChain(buildGainFilters(gainDb, limit));
+}
+
+/**
+ * Encodes a mastered file again with the corrective gain and limiter. The tags, chapters and
+ * cover art are copied from the file.
+ *
+ * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
+ * @param {string} inputFile - The mastered file, including its metadata.
+ * @param {Verification} verification - The failed verification of the file.
+ * @param {MasteringOptions} options - The mastering options, which select the output format and quality.
+ * @param {string} workingDirectory - The directory in the virtual FS to write the output to.
+ * @param {UI} updateUI - The UI instance for updating the command display.
+ * @param {AbortSignal} [signal] - Cancels the FFmpeg command when aborted.
+ * @returns {Promise<string>} The path of the corrected file.
+ * @throws {Error} If the FFmpeg command fails or does not produce the file.
+ */
+export async function correctLoudness(ffmpeg, inputFile, verification, options, workingDirectory, updateUI, signal) {
+    const outputFormat = getOutputFormat(options.outputFormat);
+    const outputName = `corrected.${outputFormat.extension}`;
+    const outputFile = `${workingDirectory}/${outputName}`;
+
+    const args = [
+        '-hide_banner',
+        '-i', inputFile,
+        '-map', '0:a:0',
+        '-map', '0:v?',
+        '-map_metadata', '0',
+        '-map_chapters', '0',
+        '-af', buildCorrectionChain(verification),
+        ...getEncoderArgs(outputFormat.id, options.outputQuality),
+        '-c:v', 'copy',
+        ...outputFormat.muxerArgs,
+        outputFile
+    ];
+    await runFFmpeg(ffmpeg, args, updateUI, signal);
+
+    const dirList = await ffmpeg.listDir(workingDirectory);
+    if (!dirList.some(f => f.name === outputName)) {
+        throw new Error("Loudness correction did not produce the corrected file.");
+    }
+    return outputFile;
+}
@@ -0,0 +1,57 @@
+/**
+ * @file Sizes the worker pool from the memory the device can spare. Every worker loads its own
+ * multi-threaded ffmpeg-core instance, so memory, not the number of cores, is usually what
+ * limits how many workers can run side by side.
+ *
+ * @version 1.0.0
+ */
+
+import {
+    WORKER_MEMORY_ESTIMATE_MB,
+    DEFAULT_DEVICE_MEMORY_GB,
+    POOL_MEMORY_FRACTION,
+    MIN_POOL_SIZE
+} from '../../config.js';
+
+/**
+ * Returns the memory the FFmpeg instances may use together. `navigator.deviceMemory` is
+ * only reported by Chromium-based browsers, and is capped at 8 GB.
+ * @returns {number} The budget in MB.
+ */
+export function getMemoryBudgetMb() {
+    const deviceMemoryGb = navigator.deviceMemory || DEFAULT_DEVICE_MEMORY_GB;
+    return deviceMemoryGb * 1024 * POOL_MEMORY_FRACTION;
+}
+
+/**
+ * Measures the memory used by the page and all of its workers. This requires a
+ * cross-origin isolated page, which the multi-threaded core needs anyway, and a browser that
+ * implements `performance.measureUserAgentSpecificMemory()`.
+ * @returns {Promise<number | null>} The memory in MB, or null if it cannot be measured.
+ */
+export async function measureMemoryUsageMb() {
+    if (!self.crossOriginIsolated || typeof performance.measureUserAgentSpecificMemory !== 'function') {
+        return null;
+    }
+    try {
+        const result = await performance.measureUserAgentSpecificMemory();
+        return result.bytes / (1024 * 1024);
+    } catch (e) {
+        console.warn('[PoolSizing] Memory measurement failed:', e);
+        return null;
+    }
+}
+
+/**
+ * Computes how many workers fit into the memory budget. The main thread runs one more
+ * FFmpeg instance, which is counted against the budget as well.
+ *
+ * @param {number} [footprintMb=WORKER_MEMORY_ESTIMATE_MB] - The memory one worker needs.
+ * @param {number} [budgetMb=getMemoryBudgetMb()] - The memory all instances may use together.
+ * @param {number} [cores=navigator.hardwareConcurrency] - The number of logical cores, the upper limit.
+ * @returns {number} The number of workers, at least MIN_POOL_SIZE.
+ */
+export function computePoolSize(footprintMb = WORKER_MEMORY_ESTIMATE_MB, budgetMb = getMemoryBudgetMb(), cores = navigator.hardwareConcurrency || 1) {
+    const fitting = Math.floor(budgetMb / footprintMb) - 1;
+    return Math.max(MIN_POOL_SIZE, Math.min(cores, fitting));
+}
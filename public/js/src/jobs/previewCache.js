@@ -0,0 +1,78 @@
+/**
+ * @file Keeps the rendered preview excerpts, so flipping an option back to a setting that was
+ * already heard plays the earlier render instead of mastering the excerpt again. An excerpt is
+ * keyed by its file, its range and every mastering option that affects the audio.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {import('../../main.js').PreviewResult} PreviewResult
+ * @typedef {import('../../main.js').PreviewRange} PreviewRange
+ * @typedef {import('../../main.js').MasteringOptions} MasteringOptions
+ */
+
+/** The most excerpts kept; the least recently used one is dropped first. */
+const MAX_ENTRIES = 12;
+
+/**
+ * Returns the same string for the same file, range and options, regardless of the order the
+ * options' keys were set in. The metadata is left out, as the preview is not tagged.
+ *
+ * @param {File} file
+ * @param {PreviewRange} range
+ * @param {MasteringOptions} options
+ * @returns {string}
+ */
+export function previewCacheKey(file, range, options) {
+    const { metadata, ...audioOptions } = options;
+    const sortKeys = (key, value) => value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.fromEntries(Object.keys(value).sort().map(k => [k, value[k]]))
+        : value;
+    return JSON.stringify({
+        file: [file.name, file.size, file.lastModified],
+        range: [range.start, range.duration],
+        options: audioOptions
+    }, sortKeys);
+}
+
+export class PreviewCache {
+    /**
+     * @param {number} [maxEntries=MAX_ENTRIES] - The most excerpts kept.
+     */
+    constructor(maxEntries = MAX_ENTRIES) {
+        this.maxEntries = maxEntries;
+        /** @type {Map<string, PreviewResult>} In order of use, the most recent last. */
+        this.entries = new Map();
+    }
+
+    /**
+     * @param {string} key - A key from previewCacheKey.
+     * @returns {PreviewResult | undefined} The excerpt, if it was rendered before.
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Stores a successfully rendered excerpt.
+     * @param {string} key - A key from previewCacheKey.
+     * @param {PreviewResult} result
+     */
+    set(key, result) {
+        this.entries.delete(key);
+        this.entries.set(key, result);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
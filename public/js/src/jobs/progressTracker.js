@@ -0,0 +1,86 @@
+/**
+ * @file Aggregates the progress of the chunk jobs of one pipeline step into the progress of
+ * the step, and estimates the remaining time from the measured processing speed.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {'pending'|'running'|'done'|'failed'} ChunkState
+ */
+
+/**
+ * @typedef {object} ChunkProgress
+ * @property {ChunkState} state - The state of the chunk's job.
+ * @property {number} progress - The progress of the chunk's job, from 0 to 1.
+ */
+
+/**
+ * @typedef {object} StepProgress
+ * @property {number} progress - The progress of the whole step, from 0 to 1, weighted by chunk duration.
+ * @property {number | null} speed - How many seconds of audio are processed per second, once measurable.
+ * @property {number | null} eta - The estimated remaining time in seconds, once measurable.
+ * @property {ChunkProgress[]} chunks - The progress of every chunk, in file order.
+ */
+
+/** Below this much elapsed time, the speed is too noisy to extrapolate from. */
+const MIN_ELAPSED_FOR_ETA_S = 2;
+
+export class ProgressTracker {
+    /**
+     * Creates a tracker for one step.
+     * @param {number[]} durations - The duration of every chunk in seconds, used as its weight.
+     */
+    constructor(durations) {
+        this.durations = durations;
+        this.totalDuration = durations.reduce((sum, duration) => sum + duration, 0);
+        /** @type {ChunkProgress[]} */
+        this.chunks = durations.map(() => ({state: 'pending', progress: 0}));
+        this.startTime = performance.now();
+    }
+
+    /**
+     * Records the progress of a running chunk. Progress never moves backwards, since a retried
+     * job starts from zero again.
+     * @param {number} index - The chunk index.
+     * @param {number} progress - The progress of the chunk's job, from 0 to 1.
+     */
+    update(index, progress) {
+        const chunk = this.chunks[index];
+        chunk.state = 'running';
+        chunk.progress = Math.max(chunk.progress, Math.min(1, progress));
+    }
+
+    /**
+     * Marks a chunk as finished.
+     * @param {number} index - The chunk index.
+     */
+    complete(index) {
+        this.chunks[index] = {state: 'done', progress: 1};
+    }
+
+    /**
+     * Marks a chunk as failed. It counts as finished for the step's progress.
+     * @param {number} index - The chunk index.
+     */
+    fail(index) {
+        this.chunks[index] = {state: 'failed', progress: 1};
+    }
+
+    /**
+     * @returns {StepProgress} The current progress of the step.
+     */
+    snapshot() {
+        const processed = this.chunks.reduce((sum, chunk, i) => sum + chunk.progress * this.durations[i], 0);
+        const progress = this.totalDuration > 0 ? processed / this.totalDuration : 0;
+        const elapsed = (performance.now() - this.startTime) / 1000;
+
+        let speed = null;
+        let eta = null;
+        if (elapsed >= MIN_ELAPSED_FOR_ETA_S && processed > 0) {
+            speed = processed / elapsed;
+            eta = (this.totalDuration - processed) / speed;
+        }
+        return {progress, speed, eta, chunks: this.chunks.map(chunk => ({...chunk}))};
+    }
+}
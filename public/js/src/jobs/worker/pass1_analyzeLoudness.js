@@ -1,55 +1,74 @@
 /**
  * @file Worker Pipeline: Pass 1 - Loudness Analysis.
- * This module performs the first pass of EBU R128 loudness analysis on an audio chunk.
- * This version is updated to use the refactored runFFmpeg utility.
+ * This module measures the EBU R128 loudness statistics of an audio chunk. The statistics are
+ * returned to the main thread, which combines the measurements of all chunks into one
+ * whole-file measurement (see jobs/main/loudnessPlan.js).
  *
- * @version 2.0.0
+ * @version 3.4.0
  */
 
 import { runFFmpeg } from '../../ffmpeg/run.js';
-import {parseLoudness} from '../../ffmpeg/parse/loudness.js';
-import {parseRmsLevel} from '../../ffmpeg/parse/rmsLevel.js';
-import {
-    TARGET_LOUDNESS_LUFS,
-    TARGET_TRUE_PEAK_DBFS,
-    TARGET_LOUDNESS_RANGE_LU,
-    HIGH_PASS_FREQ_HZ,
-    NOISE_FLOOR_DBFS
-} from '../../../config.js';
+import {parseEbur128Metadata} from '../../ffmpeg/parse/ebur128.js';
+import {filter} from '../../ffmpeg/filterGraph.js';
+import {buildCleanupFilters, buildCleanupArgs} from '../../ffmpeg/masteringChain.js';
 
 /**
  * @typedef {import('../../../main.js').FFmpeg} FFmpeg
- * @typedef {import('../../log-parser.js').LoudnessData} LoudnessData
+ * @typedef {import('../../ffmpeg/parse/ebur128.js').LoudnessStats} LoudnessStats
+ * @typedef {import('../main/step3-process-chunks.js').MasteringOptions} MasteringOptions
+ * @typedef {import('../../ffmpeg/masteringChain.js').NoiseSample} NoiseSample
  */
 
 /**
- * Executes the first pass of loudness analysis on an audio chunk.
+ * Executes the first pass of loudness analysis on an audio chunk. The cleanup filters of
+ * Pass 2 are applied first, so the measurement matches the audio the gain is applied to.
  *
  * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
  * @param {string} inputFile - The full path to the input audio chunk in the virtual filesystem.
- * @param {string} channelLayout - The channel layout of the audio ('mono' or 'stereo').
- * @param {object} logStore - The log store for capturing FFmpeg logs for parsing.
- * @returns {Promise<LoudnessData>} A promise that resolves with the parsed loudness data.
+ * @param {string} channelLayout - The FFmpeg channel layout of the audio, e.g. 'stereo' or '5.1(side)'.
+ * @param {number} sampleRate - The sample rate of the audio in Hz.
+ * @param {MasteringOptions} options - The resolved mastering options, whose chain sets the cleanup filters.
+ * @param {NoiseSample | null} noiseSample - The sample the noise reduction learns from, if the noise profile is learned.
+ * @param {object} logStore - The log store for capturing FFmpeg logs.
+ * @returns {Promise<LoudnessStats>} A promise that resolves with the per-frame loudness statistics.
  * @throws {Error} If the FFmpeg command fails or if the loudness data cannot be parsed.
  */
-export async function analyzeLoudness(ffmpeg, inputFile, channelLayout, logStore) {
+export async function analyzeLoudness(ffmpeg, inputFile, channelLayout, sampleRate, options, noiseSample, logStore) {
     console.log(`Pass 1: Analyzing loudness for ${inputFile}`);
+
+    const pathParts = inputFile.split('/');
+    const workingDirectory = pathParts.slice(0, -1).join('/');
+    const baseName = pathParts.pop().split('.')[0];
+    const statsName = `${baseName}_r128.txt`;
+    const statsFile = `${workingDirectory}/${statsName}`;
+
     try {
         logStore.clear();
-        const initialFilters = `aformat=channel_layouts=${channelLayout},highpass=f=${HIGH_PASS_FREQ_HZ},afftdn=nf=${NOISE_FLOOR_DBFS},deesser`;
-        const loudnessAnalysisFilter = `${initialFilters},loudnorm=I=${TARGET_LOUDNESS_LUFS}:TP=${TARGET_TRUE_PEAK_DBFS}:LRA=${TARGET_LOUDNESS_RANGE_LU}:print_format=json`;
+        const loudnessAnalysisFilters = [
+            ...buildCleanupFilters(channelLayout, sampleRate, options, noiseSample),
+            filter('ebur128', {metadata: 1, peak: 'true'}),
+            filter('ametadata', {mode: 'print', file: statsFile})
+        ];
 
-        const args = ['-i', inputFile, '-af', loudnessAnalysisFilter, '-f', 'null', '-'];
+        const args = [...buildCleanupArgs(inputFile, loudnessAnalysisFilters, noiseSample), '-f', 'null', '-'];
 
-        // The ui and logStore parameters are removed from the call.
-        // The worker's logStore is still passed to this function to handle parsing.
         await runFFmpeg(ffmpeg, args, null);
 
-        const loudnessData = parseLoudness(logStore.get());
-        return loudnessData;
+        // --- Strict Validation ---
+        const dirList = await ffmpeg.listDir(workingDirectory);
+        if (!dirList.some(f => f.name === statsName)) {
+            throw new Error(`Loudness analysis output file "${statsFile}" was not created.`);
+        }
+
+        const statsContent = new TextDecoder().decode(await ffmpeg.readFile(statsFile));
+        return parseEbur128Metadata(statsContent);
 
     } catch (error) {
         console.error(`Error in Pass 1 (analyzeLoudness) for file ${inputFile}:`, error);
         throw error; // Re-throw the error to be caught by the worker orchestrator
+    } finally {
+        try {
+            await ffmpeg.deleteFile(statsFile);
+        } catch(e) { /* ignore */ }
     }
-}
\ No newline at end of file
+}
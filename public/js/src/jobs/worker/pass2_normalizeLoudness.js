@@ -1,37 +1,69 @@
 /**
  * @file Worker Pipeline: Pass 2 - Loudness Normalization.
- * This module applies loudness correction based on the analysis from Pass 1.
- * This version is updated to use the refactored runFFmpeg utility.
+ * This module applies the whole-file loudness plan computed on the main thread from the
+ * Pass 1 measurements of every chunk. Every chunk receives the same gain and limiter, so
+ * there are no level jumps at chunk boundaries.
  *
- * @version 2.0.0
+ * @version 3.5.0
  */
 
 import { runFFmpeg } from '../../ffmpeg/run.js';
-import {
-    TARGET_LOUDNESS_LUFS,
-    TARGET_TRUE_PEAK_DBFS,
-    TARGET_LOUDNESS_RANGE_LU,
-    HIGH_PASS_FREQ_HZ,
-    NOISE_FLOOR_DBFS
-} from '../../../config.js';
+import { serializeChain } from '../../ffmpeg/filterGraph.js';
+import { buildCleanupFilters, buildGainFilters, buildCleanupArgs } from '../../ffmpeg/masteringChain.js';
+import { PROCESSED_PCM_CODEC } from '../../../config.js';
 
 /**
  * @typedef {import('../../../main.js').FFmpeg} FFmpeg
- * @typedef {import('../../log-parser.js').LoudnessData} LoudnessData
+ * @typedef {import('../main/loudnessPlan.js').LoudnessPlan} LoudnessPlan
+ * @typedef {import('../main/step3-process-chunks.js').MasteringOptions} MasteringOptions
+ * @typedef {import('../../ffmpeg/masteringChain.js').NoiseSample} NoiseSample
+ * @typedef {import('../../ffmpeg/filterGraph.js').FilterNode} FilterNode
  */
 
+/**
+ * Builds the filters of this pass: the cleanup filters, then the plan's gain and limiter.
+ *
+ * @param {string} channelLayout - The FFmpeg channel layout of the audio, e.g. 'stereo' or '5.1(side)'.
+ * @param {number} sampleRate - The sample rate of the audio in Hz.
+ * @param {LoudnessPlan} loudnessPlan - The whole-file gain and limiter plan.
+ * @param {MasteringOptions} options - The resolved mastering options, whose chain sets the cleanup filters.
+ * @param {NoiseSample | null} [noiseSample=null] - The sample the noise reduction learns from.
+ * @returns {FilterNode[]}
+ */
+function buildCorrectionFilters(channelLayout, sampleRate, loudnessPlan, options, noiseSample = null) {
+    return [
+        ...buildCleanupFilters(channelLayout, sampleRate, options, noiseSample),
+        ...buildGainFilters(loudnessPlan.gainDb, loudnessPlan.limit)
+    ];
+}
+
+/**
+ * @param {string} channelLayout - The FFmpeg channel layout of the audio, e.g. 'stereo' or '5.1(side)'.
+ * @param {number} sampleRate - The sample rate of the audio in Hz.
+ * @param {LoudnessPlan} loudnessPlan - The whole-file gain and limiter plan.
+ * @param {MasteringOptions} options - The resolved mastering options, whose chain sets the cleanup filters.
+ * @param {NoiseSample | null} [noiseSample=null] - The sample the noise reduction learns from.
+ * @returns {string} The filter chain of this pass, as written to the command.
+ */
+export function buildCorrectionFilter(channelLayout, sampleRate, loudnessPlan, options, noiseSample = null) {
+    return serializeChain(buildCorrectionFilters(channelLayout, sampleRate, loudnessPlan, options, noiseSample));
+}
+
 /**
  * Executes the second pass of loudness normalization, creating a temporary normalized file.
  *
  * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
  * @param {string} inputFile - The full path to the input audio chunk.
- * @param {string} channelLayout - The channel layout of the audio.
- * @param {LoudnessData} loudnessData - The loudness data obtained from Pass 1.
+ * @param {string} channelLayout - The FFmpeg channel layout of the audio, e.g. 'stereo' or '5.1(side)'.
+ * @param {number} sampleRate - The sample rate of the audio in Hz.
+ * @param {LoudnessPlan} loudnessPlan - The whole-file gain and limiter plan.
+ * @param {MasteringOptions} options - The resolved mastering options, whose chain sets the cleanup filters.
+ * @param {NoiseSample | null} noiseSample - The sample the noise reduction learns from, if the noise profile is learned.
  * @param {object} logStore - The log store for capturing FFmpeg logs.
  * @returns {Promise<string>} A promise that resolves with the full path to the temporary normalized WAV file.
  * @throws {Error} If the FFmpeg command fails or if the output file is not created.
  */
-export async function normalizeLoudness(ffmpeg, inputFile, channelLayout, loudnessData, logStore) {
+export async function normalizeLoudness(ffmpeg, inputFile, channelLayout, sampleRate, loudnessPlan, options, noiseSample, logStore) {
     console.log(`Pass 2: Normalizing loudness for ${inputFile}`);
 
     const pathParts = inputFile.split('/');
@@ -41,10 +73,9 @@ export async function normalizeLoudness(ffmpeg, inputFile, channelLayout, loudne
 
     try {
         logStore.clear();
-        const initialFilters = `aformat=channel_layouts=${channelLayout},highpass=f=${HIGH_PASS_FREQ_HZ},afftdn=nf=${NOISE_FLOOR_DBFS},deesser`;
-        const loudnessCorrectionFilter = `${initialFilters},loudnorm=I=${TARGET_LOUDNESS_LUFS}:TP=${TARGET_TRUE_PEAK_DBFS}:LRA=${TARGET_LOUDNESS_RANGE_LU}:measured_I=${loudnessData.measured_I}:measured_TP=${loudnessData.measured_TP}:measured_LRA=${loudnessData.measured_LRA}:measured_thresh=${loudnessData.measured_thresh}:offset=${loudnessData.target_offset}`;
+        const loudnessCorrectionFilters = buildCorrectionFilters(channelLayout, sampleRate, loudnessPlan, options, noiseSample);
 
-        const args = ['-i', inputFile, '-af', loudnessCorrectionFilter, tempNormalizedFile];
+        const args = [...buildCleanupArgs(inputFile, loudnessCorrectionFilters, noiseSample), '-c:a', PROCESSED_PCM_CODEC, tempNormalizedFile];
 
         // The ui and logStore parameters are removed from the call.
         await runFFmpeg(ffmpeg, args, null);
@@ -4,12 +4,13 @@
  * is used to dynamically set parameters in the final mastering pass.
  * This version is updated to use the refactored runFFmpeg utility.
  *
- * @version 2.0.0
+ * @version 2.1.0
  */
 
 import { runFFmpeg } from '../../ffmpeg/run.js';
 import {parseLoudness} from '../../ffmpeg/parse/loudness.js';
 import {parseRmsLevel} from '../../ffmpeg/parse/rmsLevel.js';
+import {filter, serializeChain} from '../../ffmpeg/filterGraph.js';
 
 /**
  * @typedef {import('../../../main.js').FFmpeg} FFmpeg
@@ -35,7 +36,10 @@ export async function analyzeNormalized(ffmpeg, normalizedFile, logStore) {
 
     try {
         logStore.clear();
-        const rmsAnalysisFilter = `astats=metadata=1,ametadata=mode=print:file=${rmsLogFile}`;
+        const rmsAnalysisFilter = serializeChain([
+            filter('astats', {metadata: 1}),
+            filter('ametadata', {mode: 'print', file: rmsLogFile})
+        ]);
         const args = ['-i', normalizedFile, '-af', rmsAnalysisFilter, '-f', 'null', '-'];
 
         // The ui parameter is null as workers don't access the UI.
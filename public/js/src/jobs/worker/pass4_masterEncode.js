@@ -1,14 +1,19 @@
 /**
  * @file Worker Pipeline: Pass 4 - Final Mastering and Encoding.
- * This module applies the final dynamic mastering chain and encodes the chunk to MP3.
+ * This module applies the final dynamic mastering chain and writes the chunk as PCM WAV.
+ * The chunks are encoded to the selected output format only once, after their overlaps
+ * have been trimmed and crossfaded on the main thread, so there is no per-chunk encoder
+ * padding at the joins.
  * It is also responsible for cleaning up the temporary file from Pass 2.
  * This version is updated to use the refactored runFFmpeg utility.
  *
- * @version 2.1.0
+ * @version 3.3.0
  */
 
 import { runFFmpeg } from '../../ffmpeg/run.js';
-import { OUTPUT_FORMAT, OUTPUT_QUALITY } from '../../../config.js';
+import { serializeChain } from '../../ffmpeg/filterGraph.js';
+import { buildMasteringFilters } from '../../ffmpeg/masteringChain.js';
+import { PROCESSED_PCM_CODEC } from '../../../config.js';
 
 /**
  * --- CORRECTION ---
@@ -19,6 +24,18 @@ import { OUTPUT_FORMAT, OUTPUT_QUALITY } from '../../../config.js';
  * @typedef {import('../main/step3-process-chunks.js').MasteringOptions} MasteringOptions
  */
 
+/**
+ * Builds the mastering filter chain for a chunk. The de-mud and gate thresholds follow the
+ * RMS level measured in Pass 3, so the chain differs slightly from chunk to chunk.
+ *
+ * @param {number} rmsLevel - The RMS level calculated in Pass 3.
+ * @param {MasteringOptions} options - The resolved mastering options, whose chain sets the filter parameters.
+ * @returns {string} The `-af` filter chain.
+ */
+export function buildMasteringFilter(rmsLevel, options) {
+    return serializeChain(buildMasteringFilters(rmsLevel, options));
+}
+
 /**
  * Executes the final pass of the mastering chain and encodes the output file.
  *
@@ -27,7 +44,7 @@ import { OUTPUT_FORMAT, OUTPUT_QUALITY } from '../../../config.js';
  * @param {number} rmsLevel - The RMS level calculated in Pass 3.
  * @param {MasteringOptions} options - The user-selected mastering options.
  * @param {object} logStore - The log store for capturing FFmpeg logs.
- * @returns {Promise<string>} A promise that resolves with the full path of the final mastered MP3 file.
+ * @returns {Promise<string>} A promise that resolves with the full path of the mastered PCM WAV chunk.
  * @throws {Error} If the FFmpeg command fails or the output file is not created.
  */
 export async function masterEncode(ffmpeg, normalizedFile, rmsLevel, options, logStore) {
@@ -36,37 +53,13 @@ export async function masterEncode(ffmpeg, normalizedFile, rmsLevel, options, lo
     const pathParts = normalizedFile.split('/');
     const workingDirectory = pathParts.slice(0, -1).join('/');
     const baseName = pathParts.pop().split('_norm.')[0];
-    const finalOutputFile = `${workingDirectory}/${baseName}_mastered.${OUTPUT_FORMAT}`;
-    const finalOutputName = `${baseName}_mastered.${OUTPUT_FORMAT}`;
+    const finalOutputFile = `${workingDirectory}/${baseName}_mastered.wav`;
+    const finalOutputName = `${baseName}_mastered.wav`;
 
     try {
         logStore.clear();
-        const masteringFilters = [];
-        const demudThreshold = rmsLevel + 3;
-
-        masteringFilters.push(`adynamicequalizer=dfrequency=350:dqfactor=1.75:tfrequency=350:tqfactor=1.75:tftype=bell:threshold=${demudThreshold}:attack=20:release=50:knee=1:ratio=1:makeup=2:range=2:slew=1:mode=boost`);
-        masteringFilters.push(`adynamicequalizer=dfrequency=7000:dqfactor=3.5:tfrequency=7000:tqfactor=3.5:tftype=bell:threshold=22:attack=20:release=50:knee=1:ratio=1:makeup=3:range=3:slew=1:mode=boost`);
-        masteringFilters.push(`alimiter=limit=0.9`);
-
-        if (options.gate) {
-            const gateThresholdDb = rmsLevel - 18;
-            const gateThresholdLinear = Math.pow(10, gateThresholdDb / 20);
-            masteringFilters.push(`agate=threshold=${gateThresholdLinear}`);
-        }
-        if (options.clarity) {
-            masteringFilters.push("equalizer=f=8000:t=h:g=3");
-        }
-        if (options.tonal) {
-            masteringFilters.push("equalizer=f=92:width_type=h:w=50:g=1");
-            masteringFilters.push("equalizer=f=185:width_type=h:w=100:g=1");
-            masteringFilters.push("equalizer=f=5920:width_type=h:w=1000:g=1.5");
-        }
-        if (options.softClip) {
-            masteringFilters.push("asoftclip=type=atan");
-        }
-
-        const finalFilterString = masteringFilters.join(',');
-        const args = ['-i', normalizedFile, '-af', finalFilterString, ...OUTPUT_QUALITY.split(' '), finalOutputFile];
+        const finalFilterString = buildMasteringFilter(rmsLevel, options);
+        const args = ['-i', normalizedFile, '-af', finalFilterString, '-c:a', PROCESSED_PCM_CODEC, finalOutputFile];
 
         await runFFmpeg(ffmpeg, args, null);
 
@@ -0,0 +1,68 @@
+/**
+ * @file Worker Pipeline: Pass 5 - Silence Detection.
+ * This module finds the pauses in a mastered audio chunk. It runs after mastering, when the
+ * audio is at its loudness target, so one silence threshold fits every recording. The regions
+ * are returned to the main thread, which combines those of all chunks and decides which
+ * pauses are shortened (see jobs/main/silencePlan.js).
+ *
+ * @version 1.1.0
+ */
+
+import { runFFmpeg } from '../../ffmpeg/run.js';
+import { parseSilenceMetadata } from '../../ffmpeg/parse/silence.js';
+import { filter, serializeChain } from '../../ffmpeg/filterGraph.js';
+import { SILENCE_THRESHOLD_DB, SILENCE_MIN_DURATION } from '../../../config.js';
+
+/**
+ * @typedef {import('../../../main.js').FFmpeg} FFmpeg
+ * @typedef {import('../../ffmpeg/parse/silence.js').SilenceRegion} SilenceRegion
+ */
+
+/**
+ * Executes the silence detection pass on a mastered audio chunk.
+ *
+ * @param {FFmpeg} ffmpeg - The initialized FFmpeg instance.
+ * @param {string} masteredFile - The full path to the mastered PCM WAV chunk from Pass 4.
+ * @param {number} chunkDuration - The duration of the chunk in seconds.
+ * @param {object} logStore - The log store for capturing FFmpeg logs.
+ * @returns {Promise<SilenceRegion[]>} A promise that resolves with the silent regions, in chunk time.
+ * @throws {Error} If the FFmpeg command fails or the output file is not created.
+ */
+export async function detectSilence(ffmpeg, masteredFile, chunkDuration, logStore) {
+    console.log(`Pass 5: Detecting silence in ${masteredFile}`);
+
+    const pathParts = masteredFile.split('/');
+    const workingDirectory = pathParts.slice(0, -1).join('/');
+    const baseName = pathParts.pop().split('_mastered.')[0];
+    const silenceName = `${baseName}_silence.txt`;
+    const silenceFile = `${workingDirectory}/${silenceName}`;
+
+    try {
+        logStore.clear();
+        // mono=0 treats the audio as silent only while every channel is.
+        const silenceFilter = serializeChain([
+            filter('silencedetect', {noise: `${SILENCE_THRESHOLD_DB}dB`, duration: SILENCE_MIN_DURATION, mono: 0}),
+            filter('ametadata', {mode: 'print', file: silenceFile})
+        ]);
+        const args = ['-i', masteredFile, '-af', silenceFilter, '-f', 'null', '-'];
+
+        await runFFmpeg(ffmpeg, args, null);
+
+        // --- Strict Validation ---
+        const dirList = await ffmpeg.listDir(workingDirectory);
+        if (!dirList.some(f => f.name === silenceName)) {
+            throw new Error(`Silence detection output file "${silenceFile}" was not created.`);
+        }
+
+        const silenceContent = new TextDecoder().decode(await ffmpeg.readFile(silenceFile));
+        return parseSilenceMetadata(silenceContent, chunkDuration);
+
+    } catch (error) {
+        console.error(`Error in Pass 5 (detectSilence) for file ${masteredFile}:`, error);
+        throw error;
+    } finally {
+        try {
+            await ffmpeg.deleteFile(silenceFile);
+        } catch(e) { /* ignore */ }
+    }
+}
@@ -1,12 +1,34 @@
 /**
  * @file Manages a pool of Web Workers for parallel processing tasks.
  * This version includes enhanced error handling and logging to diagnose
- * initialization failures.
+ * initialization failures. Jobs can be cancelled with an AbortSignal: queued jobs are
+ * dropped, and busy workers are terminated and replaced by freshly initialized ones.
+ * Crashed workers are replaced as well, and failed jobs are retried with exponential
+ * backoff, preferably on a worker that has not failed them yet.
+ * The pool is sized from the available memory: workers are spawned lazily as jobs queue up,
+ * idle workers are terminated after a while, and the pool shrinks when a worker runs out of memory.
+ * Terminating the pool rejects every job that has not settled.
  *
- * @version 2.1.0
+ * @version 3.1.0
  */
 
+import { createAbortError } from '../ffmpeg/run.js';
+import { computePoolSize, measureMemoryUsageMb } from './poolSizing.js';
+import {
+    CHUNK_MAX_RETRIES,
+    CHUNK_RETRY_DELAY_MS,
+    WORKER_RESPAWN_ATTEMPTS,
+    WORKER_MEMORY_ESTIMATE_MB,
+    MIN_POOL_SIZE,
+    WORKER_IDLE_TIMEOUT_MS
+} from '../../config.js';
 
+/** Error messages that indicate a worker ran out of memory rather than failing on its input. */
+const OUT_OF_MEMORY_PATTERN = /out of memory|memory access out of bounds|could not allocate memory|Cannot enlarge memory|Array buffer allocation failed|Aborted\(OOM\)/i;
+
+/**
+ * @typedef {import('../ffmpeg/logStore.js').LogRecord} LogRecord
+ */
 
 /**
  * @typedef {object} WorkerProgress
@@ -19,138 +41,618 @@
  * @property {number} workerId - The ID of the worker processing the job.
  * @property {number} chunkIndex - The index of the data chunk being processed.
  * @property {string} message - The progress message from the worker.
+ * @property {number} pass - The pass the job is in, counting from 1.
+ * @property {number} passCount - The number of passes of the job.
+ * @property {number} passProgress - The progress of the current pass, from 0 to 1.
+ * @property {number} progress - The progress of the whole job, from 0 to 1, with every pass weighted equally.
+ */
+
+/**
+ * @typedef {object} JobPayload
+ * @property {object} data - Fields merged into the job message, typically the chunk data.
+ * @property {Transferable[]} [transfer] - Buffers in `data` to transfer instead of copying.
+ */
+
+/**
+ * @typedef {object} PoolOptions
+ * @property {number} [minSize=MIN_POOL_SIZE] - The number of workers kept alive even when idle.
+ * @property {number} [idleTimeout=WORKER_IDLE_TIMEOUT_MS] - How long an idle worker above `minSize` lives, in milliseconds.
+ * @property {number} [maxRetries=CHUNK_MAX_RETRIES] - How often a failed job is retried.
+ * @property {number} [retryDelay=CHUNK_RETRY_DELAY_MS] - The delay before the first retry, in milliseconds. It doubles with every attempt.
+ * @property {(status: PoolStatus) => void} [onStatusChange] - Called whenever the size or the limit of the pool changes.
+ * @property {(records: LogRecord[]) => void} [onLog] - Receives the FFmpeg log records streamed by the workers, tagged with the worker ID.
+ */
+
+/**
+ * @typedef {object} PoolStatus
+ * @property {number} size - The number of workers currently alive (including starting ones).
+ * @property {number} maxSize - The maximum number of workers.
+ * @property {number} autoSize - The maximum derived from the memory budget.
+ * @property {boolean} isOverridden - Whether the user has set the maximum.
+ * @property {number} footprintMb - The measured (or estimated) memory per worker, in MB.
  */
 
 export class WorkerPool {
     /**
      * Creates an instance of WorkerPool.
      * @param {string} workerScript - The path to the Web Worker script.
-     * @param {number} [poolSize=navigator.hardwareConcurrency] - The number of workers to create in the pool.
+     * @param {number | null} [maxSize=null] - The maximum number of workers, or null to derive it from the memory budget.
+     * @param {PoolOptions} [options] - Sizing and retry options.
      */
-    constructor(workerScript, poolSize = navigator.hardwareConcurrency) {
+    constructor(workerScript, maxSize = null, {
+        minSize = MIN_POOL_SIZE,
+        idleTimeout = WORKER_IDLE_TIMEOUT_MS,
+        maxRetries = CHUNK_MAX_RETRIES,
+        retryDelay = CHUNK_RETRY_DELAY_MS,
+        onStatusChange = null,
+        onLog = null
+    } = {}) {
         this.workerScript = workerScript;
-        this.poolSize = poolSize;
+        this.footprintMb = WORKER_MEMORY_ESTIMATE_MB;
+        this.autoSize = computePoolSize(this.footprintMb);
+        /** @type {number | null} The maximum set by the user, if any. */
+        this.override = maxSize;
+        this.maxSize = Math.max(minSize, maxSize ?? this.autoSize);
+        this.minSize = minSize;
+        this.idleTimeout = idleTimeout;
+        this.onStatusChange = onStatusChange;
+        this.onLog = onLog;
         this.workers = [];
         this.jobQueue = [];
+        /** @type {Map<number, object>} The jobs running on a worker, by job ID. */
         this.activeJobs = new Map();
-        this.workerState = new Map(); // Maps worker.id to chunkIndex
+        /** @type {Map<number, number>} The ID of the job each busy worker runs, by worker ID. */
+        this.workerState = new Map();
+        /** @type {Set<object>} The jobs waiting for the delay before their next attempt. */
+        this.retryingJobs = new Set();
+        this.nextJobId = 1;
+        this.isTerminated = false;
+        /** @type {object | null} The FFmpeg configuration, kept to initialize replacement workers. */
+        this.ffmpegConfig = null;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
 
-        console.log(`[WorkerPool] Creating ${this.poolSize} workers from script: ${this.workerScript}`);
-        this._createWorkers();
+        console.log(`[WorkerPool] Up to ${this.maxSize} workers will be created from script: ${this.workerScript}`);
     }
 
     /**
-     * Creates the individual Web Workers and adds them to the pool.
+     * @returns {PoolStatus} The current size and limits of the pool.
+     */
+    getStatus() {
+        return {
+            size: this.workers.length,
+            maxSize: this.maxSize,
+            autoSize: this.autoSize,
+            isOverridden: this.override !== null,
+            footprintMb: this.footprintMb
+        };
+    }
+
+    /**
+     * @returns {Object<number, number>} The chunk index of the job each busy worker runs, by worker ID.
+     */
+    getActiveChunks() {
+        const chunks = {};
+        for (const [workerId, jobId] of this.workerState) {
+            const job = this.activeJobs.get(jobId);
+            if (job) chunks[workerId] = job.message.chunkIndex;
+        }
+        return chunks;
+    }
+
+    /**
+     * Reports a change of the pool's size or limits.
      * @private
      */
-    _createWorkers() {
-        for (let i = 0; i < this.poolSize; i++) {
+    _notifyStatus() {
+        if (this.onStatusChange) this.onStatusChange(this.getStatus());
+    }
+
+    /**
+     * Sets the maximum number of workers. Idle workers above the new maximum are terminated
+     * right away; busy ones when they finish their job.
+     * @param {number | null} size - The maximum, or null to derive it from the memory budget again.
+     */
+    setMaxSize(size) {
+        this.override = size;
+        this.maxSize = Math.max(this.minSize, size ?? this.autoSize);
+        console.log(`[WorkerPool] Maximum pool size set to ${this.maxSize}${size === null ? ' (auto)' : ''}.`);
+        for (const worker of this.workers.filter(w => !w.isBusy)) {
+            if (this.workers.length <= this.maxSize) break;
+            this._retireWorker(worker);
+        }
+        this._growIfNeeded();
+        this._notifyStatus();
+    }
+
+    /**
+     * Spawns a new worker under the lowest free ID. It stays busy until FFmpeg has loaded,
+     * then picks up the next queued job.
+     * @returns {Promise<void>} Resolves when the worker is ready.
+     * @private
+     */
+    _spawnWorker() {
+        const usedIds = new Set(this.workers.map(w => w.id));
+        let id = 0;
+        while (usedIds.has(id)) id++;
+
+        const worker = this._createWorker(id);
+        worker.isBusy = true;
+        this.workers.push(worker);
+        this._notifyStatus();
+
+        return this._initWorker(worker).then(() => {
+            worker.isBusy = false;
+            this._onWorkerIdle(worker);
+        }, (error) => {
+            console.error(`[WorkerPool] Worker ${id} failed to initialize.`, error);
+            this._removeWorker(worker);
+            throw error;
+        });
+    }
+
+    /**
+     * Spawns workers while jobs are waiting that the starting workers will not cover.
+     * @private
+     */
+    _growIfNeeded() {
+        if (!this.ffmpegConfig) return;
+        let starting = this.workers.filter(w => !w.isReady).length;
+        while (this.jobQueue.length > starting && this.workers.length < this.maxSize) {
+            this._spawnWorker().catch(() => { /* Logged in _spawnWorker. */ });
+            starting++;
+        }
+    }
+
+    /**
+     * Called whenever a worker becomes free: it either takes the next job, is terminated
+     * because the pool is above its maximum, or is scheduled to be reaped when it stays idle.
+     * @param {Worker} worker - The idle worker.
+     * @private
+     */
+    _onWorkerIdle(worker) {
+        if (this.workers.length > this.maxSize) {
+            this._retireWorker(worker);
+            return;
+        }
+        this._assignNextJob(worker);
+        if (!worker.isBusy && this.idleTimeout > 0) {
+            worker.idleTimer = setTimeout(() => {
+                worker.idleTimer = null;
+                if (!worker.isBusy && this.workers.length > this.minSize) {
+                    console.log(`[WorkerPool] Worker ${worker.id} was idle for ${this.idleTimeout}ms.`);
+                    this._retireWorker(worker);
+                }
+            }, this.idleTimeout);
+        }
+    }
+
+    /**
+     * Terminates an idle worker and removes it from the pool.
+     * @param {Worker} worker - The worker to terminate.
+     * @private
+     */
+    _retireWorker(worker) {
+        clearTimeout(worker.idleTimer);
+        worker.terminate();
+        this.workerState.delete(worker.id);
+        this.workers = this.workers.filter(w => w !== worker);
+        console.log(`[WorkerPool] Terminated Worker ${worker.id}. ${this.workers.length} worker(s) remain.`);
+        this._notifyStatus();
+    }
+
+    /**
+     * Lowers the maximum after a worker ran out of memory, and terminates that worker
+     * instead of replacing it (unless the pool is already at its minimum).
+     * @param {Worker} worker - The worker that ran out of memory.
+     * @private
+     */
+    _shrinkAfterOutOfMemory(worker) {
+        this.maxSize = Math.max(this.minSize, this.workers.length - 1);
+        // Keep the lower limit for later files too, unless the user sets one explicitly.
+        this.autoSize = Math.min(this.autoSize, this.maxSize);
+        console.warn(`[WorkerPool] Worker ${worker.id} ran out of memory. Reducing the pool to ${this.maxSize} worker(s).`);
+        if (this.workers.length > this.maxSize) {
+            this._retireWorker(worker);
+        } else {
+            this._respawnWorker(worker);
+        }
+        this._notifyStatus();
+    }
+
+    /**
+     * Measures the memory per worker and derives the automatic maximum from it. The page and
+     * the main-thread FFmpeg instance are counted as one more worker, which errs on the safe side.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _calibrate() {
+        const usedMb = await measureMemoryUsageMb();
+        const readyWorkers = this.workers.filter(w => w.isReady).length;
+        if (usedMb === null || readyWorkers === 0) return;
+
+        this.footprintMb = Math.round(usedMb / (readyWorkers + 1));
+        this.autoSize = computePoolSize(this.footprintMb);
+        console.log(`[WorkerPool] Measured ~${this.footprintMb} MB per worker; automatic pool size is ${this.autoSize}.`);
+        if (this.override === null) {
+            this.maxSize = Math.max(this.minSize, this.autoSize);
+        }
+        this._notifyStatus();
+    }
+
+    /**
+     * Constructs a single Web Worker.
+     * @param {number} id - The ID of the worker.
+     * @returns {Worker} The new, uninitialized worker.
+     * @private
+     */
+    _createWorker(id) {
+        try {
+            const worker = new Worker(this.workerScript, {type: 'module'});
+            worker.id = id;
+            // --- ENHANCED ERROR HANDLING ---
+            worker.onerror = (e) => this._handleWorkerError(worker, e);
+            console.log(`[WorkerPool] Successfully created Worker ${id}.`);
+            return worker;
+        } catch (e) {
+            console.error(`[WorkerPool] FATAL: Failed to construct Worker ${id}. This often happens if the script path is wrong or a critical import is missing.`, e);
+            throw e; // Re-throw to stop initialization
+        }
+    }
+
+    /**
+     * Sends the FFmpeg configuration to a single worker and waits until it is ready.
+     * Once ready, the worker's messages are routed to the job handler.
+     * @param {Worker} worker - The worker to initialize.
+     * @returns {Promise<void>}
+     * @private
+     */
+    _initWorker(worker) {
+        return new Promise((resolve, reject) => {
+            worker.rejectPromise = reject;
+            worker.onmessage = (e) => {
+                console.log(`[WorkerPool] Received message from Worker ${worker.id}:`, e.data);
+                if (e.data.status === 'ready') {
+                    worker.rejectPromise = null;
+                    worker.isReady = true;
+                    worker.onmessage = (msg) => this._handleWorkerMessage(worker, msg.data);
+                    resolve();
+                } else if (e.data.status === 'error') {
+                    const err = e.data.error;
+                    const errorMessage = `Worker ${worker.id} reported an initialization error: ${err.message}\n${err.stack}`;
+                    console.error(`[WorkerPool] ${errorMessage}`);
+                    reject(new Error(errorMessage));
+                }
+            };
+
             try {
-                // const worker = new Worker(this.workerScript);
-                const worker = new Worker(this.workerScript, {type: 'module'});
-                worker.id = i;
-                // --- ENHANCED ERROR HANDLING ---
-                worker.onerror = (e) => this._handleWorkerError(worker, e);
-                this.workers.push(worker);
-                console.log(`[WorkerPool] Successfully created Worker ${i}.`);
+                console.log(`[WorkerPool] Posting 'init' message to Worker ${worker.id}: ${JSON.stringify(this.ffmpegConfig)}`);
+                worker.postMessage({ command: 'init', ffmpegConfig: this.ffmpegConfig });
             } catch (e) {
-                console.error(`[WorkerPool] FATAL: Failed to construct Worker ${i}. This often happens if the script path is wrong or a critical import is missing.`, e);
-                throw e; // Re-throw to stop initialization
+                console.error(`[WorkerPool] FATAL: Failed to post 'init' message to Worker ${worker.id}. This can happen if the config object is not structured correctly.`, e);
+                reject(e);
             }
-        }
+        });
     }
 
     /**
-     * Initializes all workers in the pool by sending them the FFmpeg configuration.
+     * Initializes the pool with its minimum number of workers. Further workers are spawned
+     * when jobs queue up. Once the first workers are ready, the memory they use is measured
+     * (where the browser supports it) to refine the automatic pool size.
      *
      * @param {object} ffmpegConfig - The pre-loaded FFmpeg configuration object containing Blob URLs.
      * @param {(progress: WorkerProgress) => void} onProgress - A callback to report initialization progress.
-     * @returns {Promise<void>} A promise that resolves when all workers are ready.
+     * @returns {Promise<void>} A promise that resolves when the initial workers are ready.
      */
     initialize(ffmpegConfig, onProgress) {
-        console.log("[WorkerPool] Initializing all workers...");
-        return new Promise((resolve, reject) => {
-            let readyCount = 0;
-            this.workers.forEach((worker) => {
-                worker.onmessage = (e) => {
-                    console.log(`[WorkerPool] Received message from Worker ${worker.id}:`, e.data);
-                    if (e.data.status === 'ready') {
-                        readyCount++;
-                        if (onProgress) onProgress({ ready: readyCount, total: this.poolSize });
-                        if (readyCount === this.poolSize) {
-                            console.log("[WorkerPool] All workers are ready.");
-                            this.workers.forEach(w => w.onmessage = (msg) => this._handleWorkerMessage(w, msg.data));
-                            resolve();
-                        }
-                    } else if (e.data.status === 'error') {
-                        const err = e.data.error;
-                        const errorMessage = `Worker ${worker.id} reported an initialization error: ${err.message}\n${err.stack}`;
-                        console.error(`[WorkerPool] ${errorMessage}`);
-                        reject(new Error(errorMessage));
-                    }
-                };
-
-                try {
-                    console.log(`[WorkerPool] Posting 'init' message to Worker ${worker.id}: ${JSON.stringify(ffmpegConfig)}`);
-
-                    worker.postMessage({ command: 'init', ffmpegConfig: ffmpegConfig });
-                } catch (e) {
-                    console.error(`[WorkerPool] FATAL: Failed to post 'init' message to Worker ${worker.id}. This can happen if the config object is not structured correctly.`, e);
-                    reject(e);
-                }
-            });
+        console.log("[WorkerPool] Initializing the initial workers...");
+        this.ffmpegConfig = ffmpegConfig;
+        let readyCount = 0;
+        const initial = Array.from({ length: this.minSize }, () => this._spawnWorker().then(() => {
+            readyCount++;
+            if (onProgress) onProgress({ ready: readyCount, total: this.minSize });
+        }));
+        return Promise.all(initial).then(() => {
+            console.log("[WorkerPool] The initial workers are ready.");
+            this._calibrate();
         });
     }
 
-    dispatch(message, transfer = [], onProgress) {
+    /**
+     * Queues a job for the next available worker. A job that fails, or whose worker crashes,
+     * is retried up to `maxRetries` times, preferably on a worker that has not failed it yet.
+     *
+     * @param {object} message - The job description. `message.command` selects the worker command
+     * ('analyze' or 'process', defaulting to 'process') and `message.chunkIndex` names the job in
+     * messages and errors.
+     * @param {() => Promise<JobPayload>} [load] - Loads the bulky part of the message (such as the chunk
+     * data) when the job is handed to a worker. It runs again for every attempt, because a buffer
+     * can only be transferred once.
+     * @param {(progress: JobProgress) => void} [onProgress] - A callback for progress messages from the worker.
+     * @param {AbortSignal} [signal] - Cancels the job when aborted. A queued job is dropped; a running
+     * job's worker is terminated and replaced.
+     * @returns {Promise<object>} Resolves with the worker's result payload, including `chunkIndex`.
+     * Rejects with a 'ChunkJobError' once all attempts have failed, with an 'AbortError' if the job was cancelled,
+     * or with an error if the pool is terminated first.
+     */
+    dispatch(message, load, onProgress, signal) {
         return new Promise((resolve, reject) => {
-            const availableWorker = this.workers.find(w => !w.isBusy);
-            if (availableWorker) {
-                this._assignJob(availableWorker, message, transfer, resolve, reject, onProgress);
-            } else {
-                this.jobQueue.push({ message, transfer, resolve, reject, onProgress });
+            if (signal && signal.aborted) {
+                reject(createAbortError(`Chunk ${message.chunkIndex} was cancelled.`));
+                return;
+            }
+            if (this.isTerminated) {
+                reject(new Error(`Chunk ${message.chunkIndex} could not be processed: the worker pool was terminated.`));
+                return;
             }
+
+            const job = {
+                // Unique per dispatch, unlike the chunk index, which separate runs reuse.
+                id: this.nextJobId++,
+                message, load, resolve, reject, onProgress, signal,
+                onAbort: null,
+                retryTimer: null,
+                attempts: 0,
+                /** @type {Set<number>} The IDs of the workers the job has failed on. */
+                failedOn: new Set()
+            };
+            if (signal) {
+                job.onAbort = () => this._cancelJob(job);
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+            this._enqueue(job);
         });
     }
 
-    _assignJob(worker, message, transfer, resolve, reject, onProgress) {
+    /**
+     * Hands a job to an idle worker that has not failed it yet, or queues it.
+     * @param {object} job - The job record created by dispatch().
+     * @private
+     */
+    _enqueue(job) {
+        const availableWorker = this.workers.find(w => !w.isBusy && this._canRun(w, job));
+        if (availableWorker) {
+            this._assignJob(availableWorker, job);
+        } else {
+            this.jobQueue.push(job);
+            this._growIfNeeded();
+        }
+    }
+
+    /**
+     * A job avoids the workers it has failed on, unless it has failed on all of them.
+     * @param {Worker} worker - The candidate worker.
+     * @param {object} job - The job record.
+     * @returns {boolean}
+     * @private
+     */
+    _canRun(worker, job) {
+        return !job.failedOn.has(worker.id) || this.workers.every(w => job.failedOn.has(w.id));
+    }
+
+    async _assignJob(worker, job) {
+        clearTimeout(worker.idleTimer);
         worker.isBusy = true;
-        const chunkIndex = message.chunkIndex;
-        this.activeJobs.set(chunkIndex, { resolve, reject, onProgress });
-        this.workerState.set(worker.id, chunkIndex);
+        job.attempts++;
+        this.activeJobs.set(job.id, job);
+        this.workerState.set(worker.id, job.id);
+
+        let payload = { data: {}, transfer: [] };
+        try {
+            if (job.load) payload = await job.load();
+        } catch (error) {
+            // The data cannot be loaded, so no other worker could process the job either.
+            if (this.activeJobs.get(job.id) !== job) return;
+            this.activeJobs.delete(job.id);
+            this.workerState.delete(worker.id);
+            this._releaseJob(job);
+            job.reject(error);
+            worker.isBusy = false;
+            this._onWorkerIdle(worker);
+            return;
+        }
+
+        // The job may have been cancelled while its data was loading.
+        if (this.activeJobs.get(job.id) !== job) return;
+        worker.postMessage({ command: 'process', ...job.message, ...payload.data }, payload.transfer || []);
+    }
 
-        worker.postMessage({ command: 'process', ...message }, transfer);
+    /**
+     * Hands the next queued job the worker may run, if any, to a worker that has become free.
+     * @param {Worker} worker - The idle worker.
+     * @private
+     */
+    _assignNextJob(worker) {
+        const index = this.jobQueue.findIndex(job => this._canRun(worker, job));
+        if (index !== -1) {
+            const [nextJob] = this.jobQueue.splice(index, 1);
+            this._assignJob(worker, nextJob);
+        }
+    }
+
+    /**
+     * Stops listening for cancellation of a job that has settled.
+     * @param {object} job - The job record.
+     * @private
+     */
+    _releaseJob(job) {
+        if (job.signal && job.onAbort) {
+            job.signal.removeEventListener('abort', job.onAbort);
+        }
+    }
+
+    /**
+     * Records a failed attempt of a job. The job is retried after an exponentially growing
+     * delay until it runs out of attempts; then it is rejected with the last worker's log.
+     * @param {object} job - The job record.
+     * @param {number} workerId - The ID of the worker the attempt failed on.
+     * @param {string} reason - Why the attempt failed.
+     * @param {string} workerLog - The FFmpeg log of the failed attempt, if there is one.
+     * @private
+     */
+    _failJob(job, workerId, reason, workerLog) {
+        const chunkIndex = job.message.chunkIndex;
+        job.failedOn.add(workerId);
+
+        if (job.attempts <= this.maxRetries) {
+            const delay = this.retryDelay * Math.pow(2, job.attempts - 1);
+            console.warn(`[WorkerPool] Chunk ${chunkIndex} failed on Worker ${workerId} (attempt ${job.attempts} of ${this.maxRetries + 1}). Retrying in ${delay}ms. Reason: ${reason}`);
+            this.retryingJobs.add(job);
+            job.retryTimer = setTimeout(() => {
+                job.retryTimer = null;
+                this.retryingJobs.delete(job);
+                this._enqueue(job);
+            }, delay);
+            return;
+        }
+
+        this._releaseJob(job);
+        const error = new Error(
+            `Chunk ${chunkIndex} failed after ${job.attempts} attempt(s) on Worker(s) ${[...job.failedOn].join(', ')}: ${reason}` +
+            (workerLog ? `\n\nWorker ${workerId} Log:\n${workerLog}` : '')
+        );
+        error.name = 'ChunkJobError';
+        error.chunkIndex = chunkIndex;
+        error.workerId = workerId;
+        error.workerLog = workerLog;
+        job.reject(error);
+    }
+
+    /**
+     * Cancels a job. Queued jobs are removed; a running job's worker is terminated,
+     * which also stops the FFmpeg command it is executing, and replaced.
+     * @param {object} job - The job record created by dispatch().
+     * @private
+     */
+    _cancelJob(job) {
+        const chunkIndex = job.message.chunkIndex;
+        const error = createAbortError(`Chunk ${chunkIndex} was cancelled.`);
+
+        if (job.retryTimer !== null) {
+            clearTimeout(job.retryTimer);
+            job.retryTimer = null;
+            this.retryingJobs.delete(job);
+            job.reject(error);
+            return;
+        }
+
+        const queuedIndex = this.jobQueue.indexOf(job);
+        if (queuedIndex !== -1) {
+            this.jobQueue.splice(queuedIndex, 1);
+            job.reject(error);
+            return;
+        }
+
+        if (this.activeJobs.get(job.id) !== job) return;
+        this.activeJobs.delete(job.id);
+        job.reject(error);
+
+        const worker = this.workers.find(w => this.workerState.get(w.id) === job.id);
+        if (worker) {
+            console.log(`[WorkerPool] Terminating Worker ${worker.id} to cancel chunk ${chunkIndex}.`);
+            this._respawnWorker(worker);
+        }
+    }
+
+    /**
+     * Terminates a worker and replaces it with a new one under the same ID. The replacement
+     * stays busy until it has loaded FFmpeg, then picks up the next queued job. If it fails
+     * to start, it is tried again up to WORKER_RESPAWN_ATTEMPTS times before the pool gives
+     * up on it.
+     * @param {Worker} worker - The worker to replace.
+     * @param {number} [attempt=1] - The number of this replacement attempt.
+     * @private
+     */
+    _respawnWorker(worker, attempt = 1) {
+        worker.terminate();
+        this.workerState.delete(worker.id);
+        const index = this.workers.indexOf(worker);
+        // The pool was terminated in the meantime.
+        if (index === -1) return;
+
+        let replacement;
+        try {
+            replacement = this._createWorker(worker.id);
+        } catch (error) {
+            this._removeWorker(worker);
+            return;
+        }
+        replacement.isBusy = true;
+        this.workers[index] = replacement;
+
+        this._initWorker(replacement).then(() => {
+            replacement.isBusy = false;
+            this._onWorkerIdle(replacement);
+        }).catch((error) => {
+            console.error(`[WorkerPool] Replacement Worker ${replacement.id} failed to initialize (attempt ${attempt} of ${WORKER_RESPAWN_ATTEMPTS}).`, error);
+            if (attempt < WORKER_RESPAWN_ATTEMPTS) {
+                setTimeout(() => this._respawnWorker(replacement, attempt + 1), this.retryDelay * Math.pow(2, attempt - 1));
+            } else {
+                this._removeWorker(replacement);
+            }
+        });
+    }
+
+    /**
+     * Removes a worker that cannot be replaced. When no workers are left, the queued jobs
+     * can never run, so they are rejected.
+     * @param {Worker} worker - The worker to remove.
+     * @private
+     */
+    _removeWorker(worker) {
+        worker.terminate();
+        this.workers = this.workers.filter(w => w !== worker);
+        console.error(`[WorkerPool] Giving up on Worker ${worker.id}. ${this.workers.length} worker(s) remain.`);
+        this._notifyStatus();
+        if (this.workers.length > 0) return;
+
+        for (const job of this.jobQueue.splice(0)) {
+            this._releaseJob(job);
+            job.reject(new Error(`Chunk ${job.message.chunkIndex} could not be processed: no workers are left in the pool.`));
+        }
     }
 
     _handleWorkerMessage(worker, data) {
-        const { status, chunkIndex, processedData, message, error } = data;
-        const job = this.activeJobs.get(chunkIndex);
+        const { status, chunkIndex, message, error, pass, passCount, passProgress, ...payload } = data;
+
+        if (status === 'log') {
+            if (this.onLog) this.onLog(data.records.map(record => ({ ...record, workerId: worker.id })));
+            return;
+        }
+
+        // A worker runs one job at a time, so its messages belong to the job it was given.
+        const jobId = this.workerState.get(worker.id);
+        const job = this.activeJobs.get(jobId);
 
-        if (!job) return;
+        if (!job || job.message.chunkIndex !== chunkIndex) return;
 
         if (status === 'progress') {
             if (job.onProgress) {
-                job.onProgress({ workerId: worker.id, chunkIndex, message });
+                const progress = passCount > 0 ? Math.min(1, (pass - 1 + passProgress) / passCount) : 0;
+                job.onProgress({ workerId: worker.id, chunkIndex, message, pass, passCount, passProgress, progress });
             }
             return;
         }
 
+        this.activeJobs.delete(jobId);
+        this.workerState.delete(worker.id);
+
         if (status === 'success') {
-            job.resolve({ chunkIndex, processedData });
-        } else {
-            const err = new Error(error.message);
-            err.stack = error.stack;
-            job.reject(err);
+            this._releaseJob(job);
+            job.resolve({ chunkIndex, ...payload });
+            worker.isBusy = false;
+            this._onWorkerIdle(worker);
+            return;
         }
-        this.activeJobs.delete(chunkIndex);
-
-        this.workerState.delete(worker.id);
-        worker.isBusy = false;
 
-        const nextJob = this.jobQueue.shift();
-        if (nextJob) {
-            this._assignJob(worker, nextJob.message, nextJob.transfer, nextJob.resolve, nextJob.reject, nextJob.onProgress);
+        // A failed command (e.g. running out of memory) can leave FFmpeg in an unusable
+        // state, so the worker is replaced before it takes on another job.
+        if (OUT_OF_MEMORY_PATTERN.test(`${error.message}\n${error.log || ''}`)) {
+            this._shrinkAfterOutOfMemory(worker);
+        } else {
+            this._respawnWorker(worker);
         }
+        this._failJob(job, worker.id, error.message, error.log || '');
     }
 
     // --- ENHANCED ERROR HANDLING ---
@@ -165,26 +667,51 @@ export class WorkerPool {
             fullErrorObject: error
         });
 
-        const chunkIndex = this.workerState.get(worker.id);
-        if (chunkIndex !== undefined) {
-            const job = this.activeJobs.get(chunkIndex);
+        // Reject the initialization promise if the worker crashed while loading FFmpeg.
+        // Whoever started the initialization decides whether to try again.
+        if (worker.rejectPromise) {
+            worker.rejectPromise(new Error(`Worker ${worker.id} encountered a fatal error during initialization:\nMessage: ${error.message}\nFile: ${error.filename}\nLine: ${error.lineno}`));
+            worker.rejectPromise = null;
+            return;
+        }
+
+        const jobId = this.workerState.get(worker.id);
+        if (jobId !== undefined) {
+            const job = this.activeJobs.get(jobId);
             if (job) {
-                const jobError = new Error(`Worker ${worker.id} crashed while processing chunk ${chunkIndex}. See console for details.`);
-                job.reject(jobError);
-                this.activeJobs.delete(chunkIndex);
+                this.activeJobs.delete(jobId);
+                this._failJob(job, worker.id, `Worker ${worker.id} crashed: ${error.message}`, '');
             }
         }
-        // Also reject the main initialization promise if it's still pending
-        const initReject = this.workers.find(w => w.id === worker.id)?.rejectPromise;
-        if(initReject) {
-            initReject(new Error(`Worker ${worker.id} encountered a fatal error during initialization:\nMessage: ${error.message}\nFile: ${error.filename}\nLine: ${error.lineno}`));
+        if (OUT_OF_MEMORY_PATTERN.test(error.message || '')) {
+            this._shrinkAfterOutOfMemory(worker);
+        } else {
+            this._respawnWorker(worker);
         }
     }
 
-
+    /**
+     * Terminates all workers. The jobs that are queued, waiting for a retry or running are
+     * rejected, and the pool takes no further jobs.
+     */
     terminate() {
         console.log("[WorkerPool] Terminating all workers.");
-        this.workers.forEach(worker => worker.terminate());
+        this.isTerminated = true;
+        this.workers.forEach(worker => {
+            clearTimeout(worker.idleTimer);
+            worker.terminate();
+        });
         this.workers = [];
+        this.workerState.clear();
+
+        const jobs = [...this.jobQueue.splice(0), ...this.retryingJobs, ...this.activeJobs.values()];
+        this.retryingJobs.clear();
+        this.activeJobs.clear();
+        for (const job of jobs) {
+            clearTimeout(job.retryTimer);
+            job.retryTimer = null;
+            this._releaseJob(job);
+            job.reject(new Error(`Chunk ${job.message.chunkIndex} could not be processed: the worker pool was terminated.`));
+        }
     }
 }
\ No newline at end of file
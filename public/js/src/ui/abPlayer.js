@@ -0,0 +1,265 @@
+/**
+ * @file The before/after comparison player of the output section. It plays either the original
+ * or the mastered audio and switches between them at the same position, so the same passage can
+ * be heard both ways. The louder version can be turned down to the level of the other, so the
+ * comparison is about the processing and not about the loudness. A loop region repeats a passage.
+ *
+ * Positions are kept on the timeline of the mastered file. If pauses were shortened, positions
+ * in the original are mapped through the silence cuts.
+ *
+ * @version 1.1.0
+ */
+
+import {formatDurationTimestamp} from './helpers.js';
+import {mapSilenceTime, unmapSilenceTime} from '../jobs/main/silencePlan.js';
+
+/**
+ * @typedef {import('../jobs/main/silencePlan.js').SilenceCut} SilenceCut
+ */
+
+/**
+ * @typedef {object} ABPlayerElements
+ * @property {HTMLButtonElement} playButton
+ * @property {HTMLButtonElement} originalButton - Selects the original (A).
+ * @property {HTMLButtonElement} masteredButton - Selects the mastered audio (B).
+ * @property {HTMLInputElement} matchToggle - Whether the loudness of both versions is matched.
+ * @property {HTMLElement} matchHint - Describes the loudness difference.
+ * @property {HTMLInputElement} seek - A range input over the mastered timeline.
+ * @property {HTMLElement} time - Shows the position.
+ * @property {HTMLButtonElement} loopStartButton
+ * @property {HTMLButtonElement} loopEndButton
+ * @property {HTMLButtonElement} loopClearButton
+ * @property {HTMLElement} loopInfo - Shows the loop region.
+ */
+
+/**
+ * @typedef {object} ABSources
+ * @property {string} originalUrl - The URL of the original file.
+ * @property {string} masteredUrl - The URL of the mastered file.
+ * @property {number} duration - The duration of the mastered file in seconds.
+ * @property {number | null} originalLoudness - The integrated loudness of the original, in LUFS.
+ * @property {number | null} masteredLoudness - The integrated loudness of the mastered file, in LUFS.
+ * @property {SilenceCut[]} [cuts] - The pauses cut from the mastered file.
+ */
+
+/** Loops shorter than this (in seconds) are not accepted. */
+const MIN_LOOP_S = 0.5;
+
+export class ABPlayer {
+    /**
+     * @param {ABPlayerElements} elements - The player's DOM elements.
+     */
+    constructor(elements) {
+        this.elements = elements;
+        this.original = new Audio();
+        this.mastered = new Audio();
+        this.original.preload = this.mastered.preload = 'auto';
+        /** @type {'original' | 'mastered'} */
+        this.active = 'mastered';
+        this.duration = 0;
+        /** @type {SilenceCut[]} */
+        this.cuts = [];
+        /** @type {number | null} The integrated loudness of the original, in LUFS. */
+        this.originalLoudness = null;
+        /** @type {number | null} The loudness of the mastered file minus that of the original, in LU. */
+        this.loudnessDifference = null;
+        /** @type {{start: number, end: number | null} | null} The loop region on the mastered timeline. */
+        this.loop = null;
+        this.frameRequest = null;
+
+        const {playButton, originalButton, masteredButton, matchToggle, seek, loopStartButton, loopEndButton, loopClearButton} = elements;
+        playButton.addEventListener('click', () => this.togglePlay());
+        originalButton.addEventListener('click', () => this.select('original'));
+        masteredButton.addEventListener('click', () => this.select('mastered'));
+        matchToggle.addEventListener('change', () => this.applyVolumes());
+        seek.addEventListener('input', () => this.seek(seek.valueAsNumber));
+        loopStartButton.addEventListener('click', () => this.setLoopStart());
+        loopEndButton.addEventListener('click', () => this.setLoopEnd());
+        loopClearButton.addEventListener('click', () => this.clearLoop());
+        for (const element of [this.original, this.mastered]) {
+            element.addEventListener('ended', () => this.renderState());
+        }
+    }
+
+    /**
+     * Loads a new pair of files and starts on the mastered one, at the beginning.
+     * @param {ABSources} sources
+     */
+    load({originalUrl, masteredUrl, duration, originalLoudness, masteredLoudness, cuts = []}) {
+        this.stop();
+        this.original.src = originalUrl;
+        this.mastered.src = masteredUrl;
+        this.duration = duration;
+        this.cuts = cuts;
+        this.originalLoudness = originalLoudness;
+        this.loop = null;
+        this.active = 'mastered';
+        this.elements.seek.max = String(duration);
+        this.setMasteredLoudness(masteredLoudness);
+        this.renderState();
+    }
+
+    /**
+     * Updates the loudness the mastered file is matched with, e.g. after it was corrected.
+     * @param {number | null} masteredLoudness - The integrated loudness of the mastered file, in LUFS.
+     */
+    setMasteredLoudness(masteredLoudness) {
+        this.loudnessDifference = Number.isFinite(this.originalLoudness) && Number.isFinite(masteredLoudness)
+            ? masteredLoudness - this.originalLoudness
+            : null;
+        this.applyVolumes();
+    }
+
+    /**
+     * Replaces the mastered file, e.g. after its tags were rewritten, keeping the position.
+     * @param {string} url
+     */
+    setMasteredSource(url) {
+        const position = this.mastered.currentTime;
+        const wasPlaying = this.active === 'mastered' && !this.mastered.paused;
+        this.mastered.src = url;
+        this.mastered.currentTime = position;
+        if (wasPlaying) this.mastered.play();
+    }
+
+    stop() {
+        this.original.pause();
+        this.mastered.pause();
+        cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+        this.renderState();
+    }
+
+    /** @returns {HTMLAudioElement} The element being listened to. */
+    get activeElement() {
+        return this.active === 'original' ? this.original : this.mastered;
+    }
+
+    /** @returns {number} The position on the mastered timeline, in seconds. */
+    position() {
+        return this.active === 'original'
+            ? mapSilenceTime(this.original.currentTime, this.cuts)
+            : this.mastered.currentTime;
+    }
+
+    /**
+     * @param {number} time - A position on the mastered timeline, in seconds.
+     */
+    seek(time) {
+        const clamped = Math.min(Math.max(0, time), this.duration);
+        if (this.active === 'original') {
+            this.original.currentTime = unmapSilenceTime(clamped, this.cuts);
+        } else {
+            this.mastered.currentTime = clamped;
+        }
+        this.renderState();
+    }
+
+    /**
+     * Switches to the other version at the same position, playing on if it was playing.
+     * @param {'original' | 'mastered'} which
+     */
+    select(which) {
+        if (which === this.active) return;
+        const position = this.position();
+        const wasPlaying = !this.activeElement.paused;
+        this.activeElement.pause();
+        this.active = which;
+        this.seek(position);
+        if (wasPlaying) this.play();
+        this.renderState();
+    }
+
+    play() {
+        this.activeElement.play();
+        if (!this.frameRequest) this.frameRequest = requestAnimationFrame(() => this.tick());
+        this.renderState();
+    }
+
+    togglePlay() {
+        if (this.activeElement.paused) {
+            if (this.loop && this.loop.end !== null && this.position() >= this.loop.end) this.seek(this.loop.start);
+            this.play();
+        } else {
+            this.stop();
+        }
+    }
+
+    /**
+     * Follows the playback position while playing, to update the display and to loop. The
+     * `timeupdate` event fires only a few times a second, too rarely for a tight loop.
+     */
+    tick() {
+        this.frameRequest = null;
+        if (this.activeElement.paused) return;
+        if (this.loop && this.loop.end !== null && this.position() >= this.loop.end) {
+            this.seek(this.loop.start);
+        }
+        this.renderPosition();
+        this.frameRequest = requestAnimationFrame(() => this.tick());
+    }
+
+    setLoopStart() {
+        const start = this.position();
+        const end = this.loop && this.loop.end !== null && this.loop.end - start >= MIN_LOOP_S ? this.loop.end : null;
+        this.loop = {start, end};
+        this.renderState();
+    }
+
+    setLoopEnd() {
+        const end = this.position();
+        const start = this.loop ? this.loop.start : 0;
+        if (end - start < MIN_LOOP_S) return;
+        this.loop = {start, end};
+        this.seek(start);
+    }
+
+    clearLoop() {
+        this.loop = null;
+        this.renderState();
+    }
+
+    /**
+     * Turns the louder version down by the difference in integrated loudness, if matching is on.
+     * Volumes above 1 are not possible, so the quieter version is never turned up.
+     */
+    applyVolumes() {
+        const {matchToggle, matchHint} = this.elements;
+        const difference = this.loudnessDifference;
+        this.original.volume = 1;
+        this.mastered.volume = 1;
+        if (difference === null) {
+            matchToggle.disabled = true;
+            matchHint.textContent = 'The loudness of the original is unknown.';
+            return;
+        }
+        matchToggle.disabled = false;
+        const louder = difference >= 0 ? 'The mastered file' : 'The original';
+        matchHint.textContent = `${louder} is ${Math.abs(difference).toFixed(1)} LU louder${matchToggle.checked ? ' and is turned down to match.' : '.'}`;
+        if (!matchToggle.checked) return;
+        const attenuation = Math.pow(10, -Math.abs(difference) / 20);
+        if (difference >= 0) {
+            this.mastered.volume = attenuation;
+        } else {
+            this.original.volume = attenuation;
+        }
+    }
+
+    renderPosition() {
+        const position = this.position();
+        this.elements.seek.value = String(position);
+        this.elements.time.textContent = `${formatDurationTimestamp(position)} / ${formatDurationTimestamp(this.duration)}`;
+    }
+
+    renderState() {
+        const {playButton, originalButton, masteredButton, loopInfo, loopClearButton} = this.elements;
+        playButton.textContent = this.activeElement.paused ? 'Play' : 'Pause';
+        originalButton.classList.toggle('active', this.active === 'original');
+        masteredButton.classList.toggle('active', this.active === 'mastered');
+        loopClearButton.disabled = !this.loop;
+        loopInfo.textContent = !this.loop
+            ? 'No loop'
+            : `Loop ${formatDurationTimestamp(this.loop.start)} – ${this.loop.end === null ? 'set the end' : formatDurationTimestamp(this.loop.end)}`;
+        this.renderPosition();
+    }
+}
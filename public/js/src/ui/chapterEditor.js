@@ -0,0 +1,206 @@
+/**
+ * @file The chapter editor of the output section: a timeline of the mastered file with a
+ * draggable marker per chapter, and a list to name chapters and set their start precisely.
+ * Chapters can be imported from and exported to JSON, CUE and Podlove Simple Chapters files.
+ *
+ * @version 1.0.0
+ */
+
+import {normalizeChapters, parseTimestamp, formatTimestamp, importChapters, exportChapters} from '../util/chapterFormats.js';
+
+/**
+ * @typedef {import('../ffmpeg/ffmetadata.js').Chapter} Chapter
+ * @typedef {import('../util/chapterFormats.js').ChapterFormat} ChapterFormat
+ */
+
+/**
+ * @typedef {object} ChapterEditorElements
+ * @property {HTMLElement} timeline - The bar the markers are placed on.
+ * @property {HTMLElement} playhead - The line showing the playback position on the timeline.
+ * @property {HTMLElement} list - The list of chapter rows.
+ */
+
+export class ChapterEditor {
+    /**
+     * @param {ChapterEditorElements} elements - The editor's DOM elements.
+     * @param {HTMLAudioElement} player - The player of the mastered file, used for seeking and for the playhead.
+     */
+    constructor(elements, player) {
+        this.elements = elements;
+        this.player = player;
+        /** @type {{start: number, title: string}[]} The chapter starts, in the order they were added. */
+        this.markers = [];
+        /** @type {number} The duration of the mastered file in seconds. */
+        this.duration = 0;
+
+        this.player.addEventListener('timeupdate', () => this.updatePlayhead());
+        this.elements.timeline.addEventListener('click', (e) => {
+            if (e.target.closest('.chapter-marker') || !this.duration) return;
+            this.player.currentTime = this.timeAt(e.clientX);
+        });
+    }
+
+    /**
+     * Shows the chapters of a file.
+     * @param {Chapter[]} chapters
+     * @param {number} duration - The duration of the file in seconds.
+     */
+    setChapters(chapters, duration) {
+        this.duration = duration;
+        this.markers = chapters.map(({start, title}) => ({start, title}));
+        this.render();
+    }
+
+    /**
+     * @returns {Chapter[]} The chapters in order, each ending where the next one starts.
+     */
+    getChapters() {
+        return normalizeChapters(this.markers, this.duration);
+    }
+
+    /**
+     * Adds a chapter at the playback position.
+     */
+    addAtPlayhead() {
+        const start = Math.min(this.player.currentTime || 0, Math.max(0, this.duration - 0.001));
+        this.markers.push({start, title: ''});
+        this.render();
+    }
+
+    /**
+     * Replaces the chapters with those of a chapter file.
+     * @param {File} file - A JSON, CUE or Podlove Simple Chapters file.
+     * @returns {Promise<number>} The number of chapters imported.
+     * @throws {Error} A 'ChapterFormatError' if the file cannot be read.
+     */
+    async importFile(file) {
+        const chapters = importChapters(file.name, await file.text(), this.duration);
+        this.setChapters(chapters, this.duration);
+        return chapters.length;
+    }
+
+    /**
+     * @param {ChapterFormat} format
+     * @param {object} [context] - See exportChapters().
+     * @returns {string} The chapters as the content of a chapter file.
+     */
+    export(format, context) {
+        return exportChapters(this.getChapters(), format, context);
+    }
+
+    /**
+     * @param {number} clientX - A horizontal position in the viewport.
+     * @returns {number} The time on the timeline at that position, in seconds.
+     */
+    timeAt(clientX) {
+        const rect = this.elements.timeline.getBoundingClientRect();
+        const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+        return fraction * this.duration;
+    }
+
+    updatePlayhead() {
+        const fraction = this.duration > 0 ? Math.min(1, this.player.currentTime / this.duration) : 0;
+        this.elements.playhead.style.left = `${fraction * 100}%`;
+    }
+
+    render() {
+        // Keep the list in time order, but only re-sort when the list is rebuilt, so a row does
+        // not jump away while its time is being typed.
+        this.markers.sort((a, b) => a.start - b.start);
+        this.renderTimeline();
+        this.renderList();
+    }
+
+    renderTimeline() {
+        const {timeline, playhead} = this.elements;
+        timeline.querySelectorAll('.chapter-marker').forEach(element => element.remove());
+        this.markers.forEach((marker, i) => {
+            const element = document.createElement('div');
+            element.className = 'chapter-marker';
+            element.style.left = `${this.duration > 0 ? (marker.start / this.duration) * 100 : 0}%`;
+            element.title = `${marker.title || `Chapter ${i + 1}`} (${formatTimestamp(marker.start)})`;
+            element.addEventListener('pointerdown', (e) => this.startDrag(e, marker, element));
+            timeline.insertBefore(element, playhead);
+        });
+        this.updatePlayhead();
+    }
+
+    /**
+     * Moves a marker with the pointer until it is released.
+     * @param {PointerEvent} event - The pointerdown event on the marker.
+     * @param {{start: number, title: string}} marker
+     * @param {HTMLElement} element
+     */
+    startDrag(event, marker, element) {
+        event.preventDefault();
+        element.setPointerCapture(event.pointerId);
+        const onMove = (e) => {
+            marker.start = Math.min(this.timeAt(e.clientX), Math.max(0, this.duration - 0.001));
+            element.style.left = `${(marker.start / this.duration) * 100}%`;
+        };
+        const onUp = () => {
+            element.removeEventListener('pointermove', onMove);
+            element.removeEventListener('pointerup', onUp);
+            element.removeEventListener('pointercancel', onUp);
+            this.render();
+        };
+        element.addEventListener('pointermove', onMove);
+        element.addEventListener('pointerup', onUp);
+        element.addEventListener('pointercancel', onUp);
+    }
+
+    renderList() {
+        const list = this.elements.list;
+        list.innerHTML = '';
+        if (this.markers.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'chapter-empty';
+            empty.textContent = 'No chapters. Add one at the playback position or import a chapter file.';
+            list.appendChild(empty);
+            return;
+        }
+        this.markers.forEach((marker, i) => {
+            const row = document.createElement('li');
+            row.className = 'chapter-row';
+
+            const time = document.createElement('input');
+            time.type = 'text';
+            time.className = 'chapter-time';
+            time.value = formatTimestamp(marker.start);
+            time.addEventListener('change', () => {
+                const start = parseTimestamp(time.value);
+                if (start !== null && start < this.duration) marker.start = start;
+                this.render();
+            });
+
+            const title = document.createElement('input');
+            title.type = 'text';
+            title.className = 'chapter-title';
+            title.placeholder = `Chapter ${i + 1}`;
+            title.value = marker.title;
+            title.addEventListener('input', () => {
+                marker.title = title.value;
+                this.renderTimeline();
+            });
+
+            const seek = document.createElement('button');
+            seek.className = 'secondary-button';
+            seek.textContent = 'Play';
+            seek.addEventListener('click', () => {
+                this.player.currentTime = marker.start;
+                this.player.play();
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'secondary-button';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => {
+                this.markers.splice(this.markers.indexOf(marker), 1);
+                this.render();
+            });
+
+            row.append(time, title, seek, remove);
+            list.appendChild(row);
+        });
+    }
+}
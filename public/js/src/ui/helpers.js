@@ -32,4 +32,78 @@ export function formatDurationVerbose(s) {
     if (m > 0) parts.push(`${m} minute${m > 1 ? 's' : ''}`);
     if (secs > 0 || parts.length === 0) parts.push(`${secs} second${secs > 1 ? 's' : ''}`);
     return parts.join(', ');
-}
\ No newline at end of file
+}
+
+/**
+ * Formats a remaining time as m:ss, or h:mm:ss for long waits.
+ * @param {number} s - The time in seconds.
+ * @returns {string}
+ */
+export function formatEta(s) {
+    const total = Math.max(0, Math.round(s));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const secs = (total % 60).toString().padStart(2, '0');
+    return h > 0 ? `${h}:${m.toString().padStart(2, '0')}:${secs}` : `${m}:${secs}`;
+}
+
+const MEDIA_EXTENSION_REGEX = /\.(mp3|wav|m4a|aac|flac|ogg|oga|opus|wma|aif|aiff|caf|mp4|m4v|mov|webm|mkv)$/i;
+
+/**
+ * Checks whether a file looks like something FFmpeg can take audio from.
+ * Some browsers report an empty MIME type, so the extension is checked as well.
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isMediaFile(file) {
+    return file.type.startsWith('audio/') || file.type.startsWith('video/') || MEDIA_EXTENSION_REGEX.test(file.name);
+}
+
+/**
+ * Sorts files by path using natural ordering, so 'Episode 2' comes before 'Episode 10'.
+ * @param {File[]} files
+ * @returns {File[]} A new, sorted array.
+ */
+export function sortFilesNaturally(files) {
+    const path = (f) => f.webkitRelativePath || f.name;
+    return [...files].sort((a, b) => path(a).localeCompare(path(b), undefined, {numeric: true, sensitivity: 'base'}));
+}
+
+/**
+ * Reads a dropped file system entry, descending into directories.
+ * @param {FileSystemEntry} entry
+ * @returns {Promise<File[]>}
+ */
+async function readEntry(entry) {
+    if (entry.isFile) {
+        return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+    }
+    if (entry.isDirectory) {
+        const reader = entry.createReader();
+        const entries = [];
+        // readEntries() returns the directory in batches until it returns an empty one.
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            entries.push(...batch);
+        } while (batch.length > 0);
+        const nested = await Promise.all(entries.map(readEntry));
+        return nested.flat();
+    }
+    return [];
+}
+
+/**
+ * Collects the media files from a drop event, including files inside dropped folders.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>} The media files, in natural order.
+ */
+export async function collectDroppedFiles(dataTransfer) {
+    const entries = [...dataTransfer.items]
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+        .filter(Boolean);
+    const files = entries.length > 0
+        ? (await Promise.all(entries.map(readEntry))).flat()
+        : [...dataTransfer.files];
+    return sortFilesNaturally(files.filter(isMediaFile));
+}
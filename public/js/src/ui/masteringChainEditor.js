@@ -0,0 +1,194 @@
+/**
+ * @file The advanced panel of the mastering options: an input for every parameter of the filter
+ * chain, grouped by stage as declared in MASTERING_CHAIN_SCHEMA, with the range and a tooltip
+ * from the schema. Every stage can be reset to its defaults and bypassed. The stages that have a
+ * toggle among the mastering options (e.g. the gate) are bypassed through that toggle, so the
+ * two always agree.
+ *
+ * @version 1.0.0
+ */
+
+import {MASTERING_CHAIN_GROUPS, MASTERING_CHAIN_SCHEMA} from '../../config.js';
+import {getMasteringChain, getDefaultMasteringChain} from '../ffmpeg/masteringChain.js';
+
+/**
+ * @typedef {import('../ffmpeg/masteringChain.js').MasteringChain} MasteringChain
+ */
+
+/**
+ * @typedef {object} StageControls
+ * @property {HTMLFieldSetElement} fieldset
+ * @property {HTMLInputElement} bypass - The bypass checkbox.
+ * @property {Object<string, HTMLInputElement>} inputs - The parameter inputs, by key.
+ */
+
+export class MasteringChainEditor {
+    /**
+     * @param {HTMLElement} container - The element the stages are rendered into. It receives an
+     *  'input' event whenever the chain changes, including through a reset.
+     * @param {Object<string, HTMLInputElement>} toggles - The checkboxes of the stages that have a
+     *  toggle, by the option key of the stage.
+     */
+    constructor(container, toggles) {
+        this.container = container;
+        this.toggles = toggles;
+        /** @type {Object<string, StageControls>} The controls of every stage, by stage key. */
+        this.stages = {};
+        this.render();
+        this.setChain(getDefaultMasteringChain());
+    }
+
+    /**
+     * Builds the controls of every stage, grouped as in MASTERING_CHAIN_GROUPS.
+     */
+    render() {
+        this.container.innerHTML = '';
+        for (const [groupKey, group] of Object.entries(MASTERING_CHAIN_GROUPS)) {
+            const section = document.createElement('div');
+            section.className = 'chain-group';
+            const title = document.createElement('div');
+            title.className = 'metadata-group-title';
+            title.textContent = group.label;
+            title.title = group.description;
+            section.appendChild(title);
+            for (const [stageKey, stage] of Object.entries(MASTERING_CHAIN_SCHEMA)) {
+                if (stage.group === groupKey) section.appendChild(this.renderStage(stageKey, stage));
+            }
+            this.container.appendChild(section);
+        }
+    }
+
+    /**
+     * @param {string} stageKey
+     * @param {import('../../config.js').ChainStage} stage
+     * @returns {HTMLFieldSetElement}
+     */
+    renderStage(stageKey, stage) {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'chain-stage';
+        const legend = document.createElement('legend');
+        legend.textContent = stage.label;
+        legend.title = stage.description;
+
+        const bypassId = `chainBypass-${stageKey}`;
+        const bypassOption = document.createElement('div');
+        bypassOption.className = 'option';
+        const bypass = document.createElement('input');
+        bypass.type = 'checkbox';
+        bypass.id = bypassId;
+        const bypassLabel = document.createElement('label');
+        bypassLabel.htmlFor = bypassId;
+        bypassLabel.textContent = 'Bypass';
+        bypassOption.append(bypass, bypassLabel);
+        bypass.addEventListener('change', () => {
+            if (stage.option) this.toggles[stage.option].checked = !bypass.checked;
+            fieldset.classList.toggle('bypassed', bypass.checked);
+        });
+        if (stage.option) {
+            this.toggles[stage.option].addEventListener('change', () => this.syncToggle(stageKey));
+        }
+
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'secondary-button';
+        reset.textContent = 'Reset';
+        reset.title = `Restore the default ${stage.label} settings.`;
+        reset.addEventListener('click', () => this.resetStage(stageKey));
+
+        const header = document.createElement('div');
+        header.className = 'chain-stage-header';
+        header.append(bypassOption, reset);
+
+        const grid = document.createElement('div');
+        grid.className = 'options-grid';
+        const inputs = {};
+        for (const [paramKey, param] of Object.entries(stage.params)) {
+            const id = `chainParam-${stageKey}-${paramKey}`;
+            const option = document.createElement('div');
+            option.className = 'option';
+            option.title = `${param.description} Range: ${param.range[0]} to ${param.range[1]}${param.unit ? ` ${param.unit}` : ''}; default ${param.default}.`;
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.textContent = param.unit ? `${param.label} (${param.unit})` : param.label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = id;
+            input.min = String(param.range[0]);
+            input.max = String(param.range[1]);
+            input.step = String(param.step);
+            // Out-of-range and empty values are clamped or restored once the user leaves the input.
+            input.addEventListener('change', () => {
+                input.value = String(this.getChain()[stageKey][paramKey]);
+            });
+            option.append(label, input);
+            grid.appendChild(option);
+            inputs[paramKey] = input;
+        }
+
+        fieldset.append(legend, header, grid);
+        this.stages[stageKey] = {fieldset, bypass, inputs};
+        return fieldset;
+    }
+
+    /**
+     * Shows a chain in the inputs.
+     * @param {MasteringChain} chain - A resolved chain.
+     */
+    setChain(chain) {
+        for (const [stageKey, {fieldset, bypass, inputs}] of Object.entries(this.stages)) {
+            for (const [paramKey, input] of Object.entries(inputs)) {
+                input.value = String(chain[stageKey][paramKey]);
+            }
+            if (MASTERING_CHAIN_SCHEMA[stageKey].option) {
+                this.syncToggle(stageKey);
+            } else {
+                bypass.checked = chain[stageKey].bypass;
+                fieldset.classList.toggle('bypassed', bypass.checked);
+            }
+        }
+    }
+
+    /**
+     * @returns {MasteringChain} The chain as set in the inputs, clamped to the ranges of the schema.
+     */
+    getChain() {
+        const values = {};
+        for (const [stageKey, {bypass, inputs}] of Object.entries(this.stages)) {
+            values[stageKey] = {bypass: bypass.checked};
+            for (const [paramKey, input] of Object.entries(inputs)) {
+                values[stageKey][paramKey] = input.value === '' ? undefined : Number(input.value);
+            }
+        }
+        return getMasteringChain(values);
+    }
+
+    /**
+     * Restores the defaults of a stage's parameters. Whether it is bypassed is left as it is.
+     * @param {string} stageKey
+     */
+    resetStage(stageKey) {
+        const defaults = getDefaultMasteringChain()[stageKey];
+        for (const [paramKey, input] of Object.entries(this.stages[stageKey].inputs)) {
+            input.value = String(defaults[paramKey]);
+        }
+        this.container.dispatchEvent(new Event('input'));
+    }
+
+    /**
+     * Restores the defaults of every parameter and un-bypasses the stages without a toggle.
+     */
+    resetAll() {
+        this.setChain(getDefaultMasteringChain());
+        this.container.dispatchEvent(new Event('input'));
+    }
+
+    /**
+     * Shows the state of a stage's toggle in its bypass checkbox.
+     * @param {string} stageKey - The key of a stage that has a toggle.
+     */
+    syncToggle(stageKey) {
+        const {fieldset, bypass} = this.stages[stageKey];
+        bypass.checked = !this.toggles[MASTERING_CHAIN_SCHEMA[stageKey].option].checked;
+        fieldset.classList.toggle('bypassed', bypass.checked);
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * @file Saves the user's mastering presets in localStorage and lists them with the presets that
+ * ship with the app (MASTERING_PRESETS in config.js).
+ *
+ * @version 1.0.0
+ */
+
+import {MASTERING_PRESETS, MASTERING_PRESETS_STORAGE_KEY} from '../../config.js';
+import {validatePresetSettings} from '../util/presetFormat.js';
+
+/**
+ * @typedef {import('../../config.js').PresetSettings} PresetSettings
+ * @typedef {import('../util/presetFormat.js').Preset} Preset
+ */
+
+/**
+ * @typedef {object} PresetEntry
+ * @property {string} id - 'builtin:<key>' for a preset of the app, 'user:<name>' for a saved one.
+ * @property {string} label
+ * @property {PresetSettings} settings
+ * @property {boolean} builtIn - Whether the preset ships with the app, and cannot be deleted.
+ */
+
+/**
+ * Loads the saved presets. Unreadable storage is treated as empty, and presets that no longer
+ * validate, e.g. after an option was removed, are skipped.
+ * @returns {Object<string, PresetSettings>} The settings of every saved preset, by name.
+ */
+function loadUserPresets() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(MASTERING_PRESETS_STORAGE_KEY) || 'null');
+        if (!saved) return {};
+        return Object.fromEntries(Object.entries(saved).filter(([name, settings]) => {
+            const problems = validatePresetSettings(settings);
+            if (problems.length > 0) console.warn(`[MasteringPresets] Ignoring invalid preset "${name}":`, problems);
+            return problems.length === 0;
+        }));
+    } catch (e) {
+        console.warn('[MasteringPresets] Ignoring unreadable presets:', e);
+        return {};
+    }
+}
+
+/**
+ * @returns {PresetEntry[]} The presets of the app, then the saved presets in alphabetical order.
+ */
+export function listPresets() {
+    const builtIn = Object.entries(MASTERING_PRESETS).map(([key, preset]) => ({
+        id: `builtin:${key}`, label: preset.label, settings: preset.settings, builtIn: true
+    }));
+    const saved = Object.entries(loadUserPresets())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, settings]) => ({id: `user:${name}`, label: name, settings, builtIn: false}));
+    return [...builtIn, ...saved];
+}
+
+/**
+ * @param {string} id - The id of a preset from listPresets.
+ * @returns {PresetEntry | undefined}
+ */
+export function getPreset(id) {
+    return listPresets().find(preset => preset.id === id);
+}
+
+/**
+ * Saves a preset, replacing a saved preset of the same name.
+ *
+ * @param {Preset} preset
+ * @returns {string} The id of the saved preset.
+ * @throws {DOMException} A 'QuotaExceededError' if localStorage is full.
+ */
+export function saveUserPreset({name, settings}) {
+    const saved = loadUserPresets();
+    saved[name] = settings;
+    localStorage.setItem(MASTERING_PRESETS_STORAGE_KEY, JSON.stringify(saved));
+    return `user:${name}`;
+}
+
+/**
+ * @param {string} id - The id of a saved preset. The presets of the app cannot be deleted.
+ */
+export function deleteUserPreset(id) {
+    if (!id.startsWith('user:')) return;
+    const saved = loadUserPresets();
+    delete saved[id.slice('user:'.length)];
+    localStorage.setItem(MASTERING_PRESETS_STORAGE_KEY, JSON.stringify(saved));
+}
@@ -0,0 +1,78 @@
+/**
+ * @file Saves the metadata the user wants on every file (artist, show name, cover art, ...)
+ * in localStorage, so it is applied to every file mastered afterwards.
+ *
+ * @version 1.0.0
+ */
+
+import {METADATA_FIELDS, METADATA_DEFAULTS_STORAGE_KEY, MAX_SAVED_COVER_BYTES} from '../../config.js';
+
+/**
+ * @typedef {import('../jobs/main/metadata.js').CoverArt} CoverArt
+ */
+
+/**
+ * @typedef {object} MetadataDefaults
+ * @property {Object<string, string>} tags - The saved tags.
+ * @property {CoverArt | null} coverArt - The saved cover image.
+ */
+
+/**
+ * @param {Uint8Array} data
+ * @returns {string}
+ */
+function toBase64(data) {
+    let binary = '';
+    for (let i = 0; i < data.length; i += 0x8000) {
+        binary += String.fromCharCode(...data.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function fromBase64(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Loads the saved defaults. Unreadable or missing defaults are treated as empty.
+ * @returns {MetadataDefaults}
+ */
+export function loadMetadataDefaults() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(METADATA_DEFAULTS_STORAGE_KEY) || 'null');
+        if (!saved) return {tags: {}, coverArt: null};
+        const coverArt = saved.coverArt
+            ? {data: fromBase64(saved.coverArt.data), mimeType: saved.coverArt.mimeType, extension: saved.coverArt.extension}
+            : null;
+        return {tags: saved.tags || {}, coverArt};
+    } catch (e) {
+        console.warn('[MetadataDefaults] Ignoring unreadable defaults:', e);
+        return {tags: {}, coverArt: null};
+    }
+}
+
+/**
+ * Saves the defaults. Tags that change from episode to episode (see METADATA_FIELDS) and empty
+ * values are not saved.
+ *
+ * @param {MetadataDefaults} defaults - The tags and cover art to save.
+ * @returns {{savedCover: boolean}} Whether the cover image was saved; it is left out if too large.
+ * @throws {DOMException} A 'QuotaExceededError' if localStorage is full.
+ */
+export function saveMetadataDefaults({tags, coverArt}) {
+    const savedTags = {};
+    for (const field of METADATA_FIELDS) {
+        const value = tags[field.key];
+        if (!field.perEpisode && value) savedTags[field.key] = value;
+    }
+    const savedCover = Boolean(coverArt) && coverArt.data.length <= MAX_SAVED_COVER_BYTES;
+    localStorage.setItem(METADATA_DEFAULTS_STORAGE_KEY, JSON.stringify({
+        tags: savedTags,
+        coverArt: savedCover ? {data: toBase64(coverArt.data), mimeType: coverArt.mimeType, extension: coverArt.extension} : null
+    }));
+    return {savedCover};
+}
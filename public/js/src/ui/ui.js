@@ -1,4 +1,18 @@
-import {startTimer, stopTimer, formatDurationTimestamp, formatDurationVerbose} from './helpers.js';
+import {startTimer, stopTimer, formatDurationTimestamp, formatDurationVerbose, formatEta, collectDroppedFiles, isMediaFile, sortFilesNaturally} from './helpers.js';
+import {OUTPUT_FORMAT, OUTPUT_FORMATS, DEFAULT_LOUDNESS_PRESET, LOUDNESS_PRESETS, LOUDNESS_TARGET_RANGES, CHANNEL_POLICIES, DEFAULT_CHANNEL_POLICY, METADATA_MODES, DEFAULT_METADATA_MODE, METADATA_FIELDS, SILENCE_MODES, DEFAULT_SILENCE_MODE, DEFAULT_MAX_PAUSE, MAX_PAUSE_RANGE, NOISE_PROFILE_MODES, DEFAULT_NOISE_PROFILE_MODE, DEFAULT_NOISE_SAMPLE_DURATION, NOISE_SAMPLE_DURATION_RANGE, RNNOISE_MODELS, DEFAULT_RNNOISE_MODEL, PREVIEW_LENGTHS, DEFAULT_PREVIEW_LENGTH, DEFAULT_AUTO_CORRECT} from '../../config.js';
+import {getOutputFormat} from '../ffmpeg/formats.js';
+import {getLoudnessTarget} from '../ffmpeg/loudnessTarget.js';
+import {getMasteringChain} from '../ffmpeg/masteringChain.js';
+import {matchesLogFilter, formatLogRecord, MAX_LOG_RECORDS} from '../ffmpeg/logStore.js';
+import {getPrimaryAudioStream, describeAudioStream} from '../ffmpeg/probe.js';
+import {describeChannelMapping} from '../ffmpeg/channelLayout.js';
+import {loadMetadataDefaults} from './metadataDefaults.js';
+import {ChapterEditor} from './chapterEditor.js';
+import {ABPlayer} from './abPlayer.js';
+import {MasteringChainEditor} from './masteringChainEditor.js';
+import {CHAPTER_FORMATS} from '../util/chapterFormats.js';
+import {REPORT_FORMATS, exportReport, renderReportTables, describeVerification, describeNoiseProfile} from '../util/reportFormats.js';
+import {needsReview} from '../jobs/main/verification.js';
 
 export class UI {
     constructor() {
@@ -8,39 +22,698 @@ export class UI {
             'executionSection', 'executionIndicator', 'progressBarInner', 'progressText',
             'finalExecutionStats', 'executionTimer', 'outputSection', 'outputInfo',
             'downloadIcon', 'outputAudioPlayer', 'downloadButton', 'consoleHeader', 'diagnosticsSection',
-            'ffmpegVersionIndicator', 'ffmpegCommand', 'errorContainer',
+            'ffmpegVersionIndicator', 'ffmpegCommand', 'errorContainer', 'errorTitle',
             'errorBlock', 'ffmpegLogs', 'copyCommandBtn', 'copyLogsBtn', 'copyErrorBtn',
-            'masteringOptionsSection', 'gateToggle', 'clarityToggle', 'tonalToggle', 'softClipToggle',
-            'subProgressBar', 'subProgressBarInner', 'stepTimings', 'ffmpegFilters',
-            'workerStatusContainer'
+            'masteringOptionsSection', 'gateToggle', 'clarityToggle', 'tonalToggle', 'softClipToggle', 'autoCorrectToggle',
+            'subProgressBar', 'subProgressBarInner', 'chunkProgressGrid', 'stepTimings', 'ffmpegFilters',
+            'workerStatusContainer', 'outputFormatSelect', 'outputQualitySelect',
+            'loudnessPresetSelect', 'loudnessIInput', 'loudnessTPInput', 'loudnessLRAInput',
+            'uploadStatus', 'jobQueueSection', 'jobQueueList', 'downloadAllButton', 'queueStatus', 'clearFinishedButton', 'cancelButton',
+            'workerLimitSelect', 'workerPoolInfo', 'channelPolicySelect', 'channelPolicyHint', 'silenceModeSelect', 'maxPauseInput',
+            'noiseProfileModeSelect', 'noiseSampleStartInput', 'noiseSampleDurationInput', 'noiseSampleUsePlayheadButton', 'noiseProfileHint',
+            'neuralDenoiseToggle', 'neuralDenoiseModelSelect',
+            'metadataModeSelect', 'metadataGeneralFields', 'metadataPodcastFields', 'coverArtPreview', 'coverArtInput',
+            'removeCoverArtButton', 'applyMetadataButton', 'saveMetadataDefaultsButton', 'metadataStatus',
+            'chapterTimeline', 'chapterPlayhead', 'chapterList', 'addChapterButton', 'chapterImportInput',
+            'chapterExportFormatSelect', 'exportChaptersButton', 'chapterSupportHint',
+            'abPlayButton', 'abOriginalButton', 'abMasteredButton', 'abMatchToggle', 'abMatchHint', 'abSeek', 'abTime',
+            'abLoopStartButton', 'abLoopEndButton', 'abLoopClearButton', 'abLoopInfo', 'openVisualizerButton',
+            'reportContent', 'downloadReportJsonButton', 'downloadReportHtmlButton',
+            'verificationPanel', 'verificationStatus', 'applyCorrectionButton', 'keepUncorrectedButton',
+            'masteringPresetSelect', 'presetNameInput', 'savePresetButton', 'deletePresetButton', 'exportPresetButton',
+            'presetImportInput', 'presetStatus', 'chainEditorStages', 'resetChainButton',
+            'previewFileInput', 'previewSourcePlayer', 'previewStartInput', 'previewUsePlayheadButton', 'previewLengthSelect',
+            'previewButton', 'previewMasterButton', 'previewStatus', 'previewAudioPlayer',
+            'logChunkFilter', 'logPassFilter', 'logLevelFilter', 'logTextFilter', 'exportLogsBtn'
         ];
         ids.forEach(id => this.dom[id] = document.getElementById(id));
         this.audioBlob = null;
+        /** @type {import('../jobs/main/report.js').MasteringReport | null} The report of the file shown in the output section. */
+        this.report = null;
+        /** @type {import('../jobs/main/verification.js').Verification | null} The verification of the file shown in the output section. */
+        this.verification = null;
+        this.outputFormat = getOutputFormat(OUTPUT_FORMAT);
         this.inputFilenameBase = '';
+        /** @type {{current: number, total: number} | null} The pipeline step currently running. */
+        this.progressStep = null;
+        this.progressMessage = '';
+        /** @type {{node: Text, lines: number}[]} The text appended to the console, oldest first. */
+        this.logBatches = [];
+        this.logLineCount = 0;
+        this.populateOutputFormats();
+        this.populateLoudnessPresets();
+        this.populateWorkerLimits();
+        this.populateChannelPolicies();
+        this.populateSilenceModes();
+        this.populateNoiseProfileModes();
+        this.populateNeuralDenoiseModels();
+        this.populateMetadataModes();
+        this.populatePreviewLengths();
+        this.dom.autoCorrectToggle.checked = DEFAULT_AUTO_CORRECT;
+        /** The advanced panel with the parameters of the filter chain. */
+        this.chainEditor = new MasteringChainEditor(this.dom.chainEditorStages, {
+            gate: this.dom.gateToggle,
+            clarity: this.dom.clarityToggle,
+            tonal: this.dom.tonalToggle,
+            softClip: this.dom.softClipToggle,
+            neuralDenoise: this.dom.neuralDenoiseToggle
+        });
+        /** @type {File | null} The file chosen for previewing excerpts. */
+        this.previewFile = null;
+        /** Whether an excerpt is being rendered; the preview button cancels it meanwhile. */
+        this.previewBusy = false;
+        /** @type {Object<string, HTMLInputElement | HTMLTextAreaElement>} The editor inputs, by metadata key. */
+        this.metadataInputs = {};
+        /** @type {import('../jobs/main/metadata.js').FileMetadata | null} The metadata of the file shown in the output section. */
+        this.outputMetadata = null;
+        /** @type {import('../jobs/main/metadata.js').CoverArt | null} The cover image selected in the editor. */
+        this.editedCoverArt = null;
+        this.buildMetadataForm();
+        this.chapterEditor = new ChapterEditor({
+            timeline: this.dom.chapterTimeline,
+            playhead: this.dom.chapterPlayhead,
+            list: this.dom.chapterList
+        }, this.dom.outputAudioPlayer);
+        this.populateChapterFormats();
+        this.abPlayer = new ABPlayer({
+            playButton: this.dom.abPlayButton,
+            originalButton: this.dom.abOriginalButton,
+            masteredButton: this.dom.abMasteredButton,
+            matchToggle: this.dom.abMatchToggle,
+            matchHint: this.dom.abMatchHint,
+            seek: this.dom.abSeek,
+            time: this.dom.abTime,
+            loopStartButton: this.dom.abLoopStartButton,
+            loopEndButton: this.dom.abLoopEndButton,
+            loopClearButton: this.dom.abLoopClearButton,
+            loopInfo: this.dom.abLoopInfo
+        });
+    }
+
+    populateChapterFormats() {
+        const select = this.dom.chapterExportFormatSelect;
+        select.innerHTML = '';
+        for (const [id, format] of Object.entries(CHAPTER_FORMATS)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = format.label;
+            select.appendChild(option);
+        }
+    }
+
+    buildMetadataForm() {
+        for (const field of METADATA_FIELDS) {
+            const option = document.createElement('div');
+            option.className = field.type === 'textarea' ? 'option option-wide' : 'option';
+            const label = document.createElement('label');
+            label.htmlFor = `metadataField-${field.key}`;
+            label.textContent = field.label;
+            const input = document.createElement(field.type === 'textarea' ? 'textarea' : 'input');
+            if (field.type !== 'textarea') input.type = field.type;
+            input.id = label.htmlFor;
+            input.name = field.key;
+            option.append(label, input);
+            this.metadataInputs[field.key] = input;
+            const container = field.group === 'podcast' ? this.dom.metadataPodcastFields : this.dom.metadataGeneralFields;
+            container.appendChild(option);
+        }
+    }
+
+    /**
+     * Fills the metadata editor with the metadata written to the mastered file.
+     * @param {import('../jobs/main/metadata.js').FileMetadata} metadata
+     * @param {number} duration - The duration of the mastered file in seconds, the length of the chapter timeline.
+     */
+    showMetadata(metadata, duration) {
+        this.outputMetadata = metadata;
+        for (const [key, input] of Object.entries(this.metadataInputs)) {
+            input.value = metadata.tags[key] || '';
+        }
+        this.setEditedCoverArt(metadata.coverArt);
+        this.chapterEditor.setChapters(metadata.chapters, duration);
+        this.dom.chapterSupportHint.textContent = this.outputFormat.supportsChapters
+            ? ''
+            : `${this.outputFormat.label} files cannot store chapters; export them to a chapter file instead.`;
+        this.setMetadataStatus('');
+    }
+
+    /**
+     * @param {import('../jobs/main/metadata.js').CoverArt | null} coverArt - The cover image to show, or null for none.
+     */
+    setEditedCoverArt(coverArt) {
+        this.editedCoverArt = coverArt;
+        const preview = this.dom.coverArtPreview;
+        if (preview.src) URL.revokeObjectURL(preview.src);
+        if (coverArt) {
+            preview.src = URL.createObjectURL(new Blob([coverArt.data], {type: coverArt.mimeType}));
+            preview.style.display = 'block';
+        } else {
+            preview.removeAttribute('src');
+            preview.style.display = 'none';
+        }
+        this.dom.removeCoverArtButton.disabled = !coverArt;
+    }
+
+    /**
+     * @returns {import('../jobs/main/metadata.js').FileMetadata} The metadata as edited. Tags the editor
+     *  does not show (e.g. 'composer' from the source) are kept; cleared fields are removed.
+     *  Chapters are sorted, and each ends where the next one starts.
+     */
+    getEditedMetadata() {
+        const tags = {...(this.outputMetadata ? this.outputMetadata.tags : {})};
+        for (const [key, input] of Object.entries(this.metadataInputs)) {
+            const value = input.value.trim();
+            if (value) {
+                tags[key] = value;
+            } else {
+                delete tags[key];
+            }
+        }
+        return {
+            tags,
+            chapters: this.chapterEditor.getChapters(),
+            coverArt: this.editedCoverArt
+        };
+    }
+
+    /**
+     * @param {string} message - The message next to the editor buttons.
+     * @param {boolean} [isError=false]
+     */
+    setMetadataStatus(message, isError = false) {
+        this.dom.metadataStatus.textContent = message;
+        this.dom.metadataStatus.classList.toggle('error-text', isError);
+    }
+
+    /**
+     * @param {boolean} busy - Whether the file is being retagged or corrected, which disables the editor buttons.
+     */
+    setMetadataBusy(busy) {
+        this.dom.applyMetadataButton.disabled = busy;
+        this.dom.saveMetadataDefaultsButton.disabled = busy;
+        this.dom.chapterImportInput.disabled = busy;
+    }
+
+    populatePreviewLengths() {
+        const select = this.dom.previewLengthSelect;
+        select.innerHTML = '';
+        for (const length of PREVIEW_LENGTHS) {
+            select.add(new Option(`${length} s`, String(length), length === DEFAULT_PREVIEW_LENGTH, length === DEFAULT_PREVIEW_LENGTH));
+        }
     }
 
-    initializeEventListeners(onFileSelected) {
+    /**
+     * @param {File} file - The file to preview excerpts of; it can be played to find a passage.
+     */
+    setPreviewFile(file) {
+        this.previewFile = file;
+        const player = this.dom.previewSourcePlayer;
+        if (player.src) URL.revokeObjectURL(player.src);
+        player.src = URL.createObjectURL(file);
+        player.style.display = 'block';
+        this.dom.previewStartInput.value = '0';
+        this.dom.previewAudioPlayer.style.display = 'none';
+        this.setPreviewStatus(`Pick a passage of ${file.name} and render it with the current options.`);
+    }
+
+    /**
+     * @returns {import('../../main.js').PreviewRange} The excerpt chosen by the user.
+     */
+    getPreviewRange() {
+        const start = this.dom.previewStartInput.valueAsNumber;
+        return {
+            start: Number.isFinite(start) ? Math.max(0, start) : 0,
+            duration: Number(this.dom.previewLengthSelect.value)
+        };
+    }
+
+    /**
+     * @param {string} message - The message below the preview controls.
+     * @param {boolean} [isError=false]
+     */
+    setPreviewStatus(message, isError = false) {
+        this.dom.previewStatus.textContent = message;
+        this.dom.previewStatus.classList.toggle('error-text', isError);
+    }
+
+    /**
+     * @param {boolean} busy - Whether an excerpt is being rendered.
+     * @param {boolean} queueRunning - Whether the queue is being processed, which rules out previews.
+     */
+    setPreviewState(busy, queueRunning) {
+        this.previewBusy = busy;
+        const {previewButton, previewMasterButton} = this.dom;
+        previewButton.textContent = busy ? 'Cancel Preview' : 'Render Preview';
+        previewButton.disabled = !this.previewFile || (queueRunning && !busy);
+        previewMasterButton.disabled = !this.previewFile || busy;
+    }
+
+    /**
+     * Plays a rendered excerpt.
+     * @param {import('../../main.js').PreviewResult} result
+     * @param {boolean} fromCache - Whether the excerpt was rendered before with the same options.
+     */
+    showPreview({audioBlob, range, loudnessPlan, noiseProfile, executionTime}, fromCache) {
+        const player = this.dom.previewAudioPlayer;
+        if (player.src) URL.revokeObjectURL(player.src);
+        player.src = URL.createObjectURL(audioBlob);
+        player.style.display = 'block';
+        const source = fromCache ? 'from the cache' : `in ${(executionTime / 1000).toFixed(1)}s`;
+        const gain = loudnessPlan ? ` · ${loudnessPlan.gainDb >= 0 ? '+' : ''}${loudnessPlan.gainDb.toFixed(1)} dB gain` : '';
+        this.setPreviewStatus(`Excerpt ${formatDurationTimestamp(range.start)} – ${formatDurationTimestamp(range.start + range.duration)}, rendered ${source}${gain}.`);
+        this.showNoiseProfile(noiseProfile);
+        player.play().catch(() => { /* Autoplay can be blocked; the controls remain. */ });
+    }
+
+    populateMetadataModes() {
+        const select = this.dom.metadataModeSelect;
+        select.innerHTML = '';
+        for (const [id, mode] of Object.entries(METADATA_MODES)) {
+            select.add(new Option(mode.label, id, id === DEFAULT_METADATA_MODE, id === DEFAULT_METADATA_MODE));
+        }
+    }
+
+    populateSilenceModes() {
+        const select = this.dom.silenceModeSelect;
+        select.innerHTML = '';
+        for (const [id, mode] of Object.entries(SILENCE_MODES)) {
+            select.add(new Option(mode.label, id, id === DEFAULT_SILENCE_MODE, id === DEFAULT_SILENCE_MODE));
+        }
+        const input = this.dom.maxPauseInput;
+        [input.min, input.max] = MAX_PAUSE_RANGE.map(String);
+        input.value = String(DEFAULT_MAX_PAUSE);
+        // The maximum pause only matters when pauses are shortened.
+        const syncInput = () => input.disabled = select.value !== 'compress';
+        select.addEventListener('change', syncInput);
+        syncInput();
+    }
+
+    populateNeuralDenoiseModels() {
+        const select = this.dom.neuralDenoiseModelSelect;
+        select.innerHTML = '';
+        for (const [id, model] of Object.entries(RNNOISE_MODELS)) {
+            select.add(new Option(model.label, id, id === DEFAULT_RNNOISE_MODEL, id === DEFAULT_RNNOISE_MODEL));
+        }
+    }
+
+    populateNoiseProfileModes() {
+        const select = this.dom.noiseProfileModeSelect;
+        select.innerHTML = '';
+        for (const [id, mode] of Object.entries(NOISE_PROFILE_MODES)) {
+            select.add(new Option(mode.label, id, id === DEFAULT_NOISE_PROFILE_MODE, id === DEFAULT_NOISE_PROFILE_MODE));
+        }
+        const durationInput = this.dom.noiseSampleDurationInput;
+        [durationInput.min, durationInput.max] = NOISE_SAMPLE_DURATION_RANGE.map(String);
+        durationInput.value = String(DEFAULT_NOISE_SAMPLE_DURATION);
+        // The start only matters for a marked region, the length whenever the noise is learned.
+        const syncInputs = () => {
+            const manual = select.value === 'manual';
+            this.dom.noiseSampleStartInput.disabled = !manual;
+            this.dom.noiseSampleUsePlayheadButton.disabled = !manual;
+            durationInput.disabled = select.value === 'off';
+        };
+        select.addEventListener('change', syncInputs);
+        syncInputs();
+    }
+
+    /**
+     * Shows the noise floor of the sample the last run or preview learned from.
+     * @param {import('../jobs/main/noiseProfile.js').NoiseProfile | undefined} noiseProfile
+     */
+    showNoiseProfile(noiseProfile) {
+        if (noiseProfile) this.dom.noiseProfileHint.textContent = describeNoiseProfile(noiseProfile);
+    }
+
+    populateChannelPolicies() {
+        const select = this.dom.channelPolicySelect;
+        select.innerHTML = '';
+        for (const [id, policy] of Object.entries(CHANNEL_POLICIES)) {
+            select.add(new Option(policy.label, id, id === DEFAULT_CHANNEL_POLICY, id === DEFAULT_CHANNEL_POLICY));
+        }
+        const showHint = () => this.dom.channelPolicyHint.textContent = CHANNEL_POLICIES[select.value].description;
+        select.addEventListener('change', showHint);
+        showHint();
+    }
+
+    populateWorkerLimits() {
+        const select = this.dom.workerLimitSelect;
+        select.innerHTML = '';
+        select.add(new Option('Auto (memory-based)', 'auto', true, true));
+        const cores = navigator.hardwareConcurrency || 1;
+        for (let i = 1; i <= cores; i++) {
+            select.add(new Option(String(i), String(i)));
+        }
+    }
+
+    /**
+     * @returns {number | null} The maximum number of workers chosen by the user, or null for automatic sizing.
+     */
+    getWorkerLimit() {
+        const value = this.dom.workerLimitSelect.value;
+        return value === 'auto' ? null : Number(value);
+    }
+
+    /**
+     * Shows the current size and limit of the worker pool.
+     * @param {import('../jobs/workerPool.js').PoolStatus} status
+     */
+    updatePoolStatus({size, maxSize, autoSize, isOverridden, footprintMb}) {
+        const limit = isOverridden ? `${maxSize} (set manually)` : `${maxSize} (auto: ${autoSize})`;
+        this.dom.workerPoolInfo.textContent = `${size} running, up to ${limit}, ~${footprintMb} MB each`;
+    }
+
+    populateOutputFormats() {
+        this.dom.outputFormatSelect.innerHTML = '';
+        for (const [id, format] of Object.entries(OUTPUT_FORMATS)) {
+            this.dom.outputFormatSelect.add(new Option(format.label, id, id === OUTPUT_FORMAT, id === OUTPUT_FORMAT));
+        }
+        this.populateOutputQualities(OUTPUT_FORMAT);
+        this.dom.outputFormatSelect.addEventListener('change', (e) => this.populateOutputQualities(e.target.value));
+    }
+
+    populateOutputQualities(formatId) {
+        const format = getOutputFormat(formatId);
+        this.dom.outputQualitySelect.innerHTML = '';
+        for (const quality of format.qualities) {
+            const isDefault = quality.id === format.defaultQuality;
+            this.dom.outputQualitySelect.add(new Option(quality.label, quality.id, isDefault, isDefault));
+        }
+    }
+
+    populateLoudnessPresets() {
+        const select = this.dom.loudnessPresetSelect;
+        select.innerHTML = '';
+        for (const [id, preset] of Object.entries(LOUDNESS_PRESETS)) {
+            select.add(new Option(`${preset.label} (${preset.I} LUFS)`, id, id === DEFAULT_LOUDNESS_PRESET, id === DEFAULT_LOUDNESS_PRESET));
+        }
+        select.add(new Option('Custom', 'custom'));
+
+        const inputs = {I: this.dom.loudnessIInput, TP: this.dom.loudnessTPInput, LRA: this.dom.loudnessLRAInput};
+        for (const [key, input] of Object.entries(inputs)) {
+            [input.min, input.max] = LOUDNESS_TARGET_RANGES[key];
+            // Editing a value turns the selection into a custom target.
+            input.addEventListener('input', () => select.value = 'custom');
+        }
+
+        select.addEventListener('change', (e) => this.showLoudnessPreset(e.target.value));
+        this.showLoudnessPreset(DEFAULT_LOUDNESS_PRESET);
+    }
+
+    /**
+     * Fills the loudness inputs with the values of a named target.
+     * @param {string} presetId - A key of LOUDNESS_PRESETS; 'custom' leaves the inputs as they are.
+     */
+    showLoudnessPreset(presetId) {
+        if (!(presetId in LOUDNESS_PRESETS)) return;
+        const inputs = {I: this.dom.loudnessIInput, TP: this.dom.loudnessTPInput, LRA: this.dom.loudnessLRAInput};
+        for (const [key, input] of Object.entries(inputs)) {
+            input.value = LOUDNESS_PRESETS[presetId][key];
+        }
+    }
+
+    /**
+     * Lists the mastering presets. Changing an option the presets set afterwards selects
+     * 'Current settings' again, as the options no longer match the preset.
+     * @param {import('./masteringPresets.js').PresetEntry[]} presets
+     * @param {string} [selectedId=''] - The id of the preset to select; empty for the current settings.
+     */
+    populateMasteringPresets(presets, selectedId = '') {
+        const select = this.dom.masteringPresetSelect;
+        select.innerHTML = '';
+        select.add(new Option('Current settings', ''));
+        for (const [label, builtIn] of [['Built-in', true], ['My Presets', false]]) {
+            const group = presets.filter(preset => preset.builtIn === builtIn);
+            if (group.length === 0) continue;
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            for (const preset of group) optgroup.appendChild(new Option(preset.label, preset.id));
+            select.appendChild(optgroup);
+        }
+        select.value = selectedId;
+        this.dom.deletePresetButton.disabled = !selectedId.startsWith('user:');
+    }
+
+    /**
+     * @returns {import('../../config.js').PresetSettings} The options a preset captures, as currently set.
+     */
+    getPresetSettings() {
+        const {loudness} = this.getMasteringOptions();
+        return {
+            loudness: loudness.preset === 'custom' ? loudness : {preset: loudness.preset},
+            stages: {
+                gate: this.dom.gateToggle.checked,
+                clarity: this.dom.clarityToggle.checked,
+                tonal: this.dom.tonalToggle.checked,
+                softClip: this.dom.softClipToggle.checked,
+                neuralDenoise: this.dom.neuralDenoiseToggle.checked,
+            },
+            neuralDenoiseModel: this.dom.neuralDenoiseModelSelect.value,
+            chain: this.chainEditor.getChain(),
+            outputFormat: this.dom.outputFormatSelect.value,
+            outputQuality: this.dom.outputQualitySelect.value,
+        };
+    }
+
+    /**
+     * Sets the options from a validated preset.
+     * @param {import('../../config.js').PresetSettings} settings
+     */
+    applyPresetSettings(settings) {
+        const {loudness, stages} = settings;
+        this.dom.loudnessPresetSelect.value = loudness.preset;
+        if (loudness.preset === 'custom') {
+            this.dom.loudnessIInput.value = loudness.I;
+            this.dom.loudnessTPInput.value = loudness.TP;
+            this.dom.loudnessLRAInput.value = loudness.LRA;
+        } else {
+            this.showLoudnessPreset(loudness.preset);
+        }
+        this.dom.gateToggle.checked = stages.gate;
+        this.dom.clarityToggle.checked = stages.clarity;
+        this.dom.tonalToggle.checked = stages.tonal;
+        this.dom.softClipToggle.checked = stages.softClip;
+        this.dom.neuralDenoiseToggle.checked = stages.neuralDenoise === true;
+        this.dom.neuralDenoiseModelSelect.value = settings.neuralDenoiseModel || DEFAULT_RNNOISE_MODEL;
+        this.chainEditor.setChain(getMasteringChain(settings.chain));
+        this.dom.outputFormatSelect.value = settings.outputFormat;
+        this.populateOutputQualities(settings.outputFormat);
+        this.dom.outputQualitySelect.value = settings.outputQuality;
+    }
+
+    /**
+     * @param {string} message - The message below the upload area; empty to clear it.
+     * @param {boolean} [isError=false]
+     */
+    setUploadStatus(message, isError = false) {
+        this.dom.uploadStatus.textContent = message;
+        this.dom.uploadStatus.classList.toggle('error-text', isError);
+    }
+
+    /**
+     * @param {string} message - The message below the queue actions; empty to clear it.
+     * @param {boolean} [isError=false]
+     */
+    setQueueStatus(message, isError = false) {
+        this.dom.queueStatus.textContent = message;
+        this.dom.queueStatus.classList.toggle('error-text', isError);
+    }
+
+    /**
+     * @param {string} message
+     * @param {boolean} [isError=false]
+     */
+    setPresetStatus(message, isError = false) {
+        this.dom.presetStatus.textContent = message;
+        this.dom.presetStatus.classList.toggle('error-text', isError);
+    }
+
+    /**
+     * @param {(files: File[]) => void} onFilesSelected - Called with the files picked or dropped by the user.
+     * @param {object} queueActions - Callbacks for the job queue controls.
+     * @param {(id: number, offset: number) => void} queueActions.onMove
+     * @param {(id: number) => void} queueActions.onCancel - Removes a queued item, or cancels the item being processed.
+     * @param {() => void} queueActions.onCancelRunning - Cancels the file being processed.
+     * @param {(id: number) => void} queueActions.onDownload
+     * @param {(id: number) => void} queueActions.onCorrect - Corrects the loudness of a file that failed verification.
+     * @param {(id: number) => void} queueActions.onKeep - Releases a file that failed verification as it is.
+     * @param {() => void} queueActions.onDownloadAll
+     * @param {() => void} queueActions.onClearFinished
+     * @param {object} logActions - Callbacks for the log console.
+     * @param {(filter: import('../ffmpeg/logStore.js').LogFilter) => void} logActions.onFilterChange - Re-renders the logs with a new filter.
+     * @param {(filter: import('../ffmpeg/logStore.js').LogFilter) => void} logActions.onExport - Exports the logs that pass the filter.
+     * @param {object} metadataActions - Callbacks for the metadata editor.
+     * @param {() => void} metadataActions.onApply - Writes the edited metadata into the mastered file.
+     * @param {() => void} metadataActions.onSaveDefaults - Saves the edited metadata as defaults for future files.
+     * @param {object} outputActions - Callbacks for the output section.
+     * @param {() => void} outputActions.onOpenVisualizer - Opens the mastered file in the waveform visualizer.
+     * @param {() => void} outputActions.onCorrect - Corrects the loudness of the file, if it failed verification.
+     * @param {() => void} outputActions.onKeep - Releases the file as it is, if it failed verification.
+     * @param {object} previewActions - Callbacks for the excerpt preview.
+     * @param {() => void} previewActions.onRender - Renders the chosen excerpt with the current options.
+     * @param {() => void} previewActions.onCancel - Cancels the excerpt being rendered.
+     * @param {() => void} previewActions.onSelect - Called after a new file was chosen for previewing.
+     * @param {object} presetActions - Callbacks for the mastering presets.
+     * @param {(id: string) => void} presetActions.onSelect - Applies a preset.
+     * @param {(name: string) => void} presetActions.onSave - Saves the current settings under a name.
+     * @param {(id: string) => void} presetActions.onDelete - Deletes a saved preset.
+     * @param {(name: string) => void} presetActions.onExport - Downloads the current settings as a preset file.
+     * @param {(file: File) => void} presetActions.onImport - Imports a preset file.
+     */
+    initializeEventListeners(onFilesSelected, queueActions, logActions, metadataActions, outputActions, previewActions, presetActions) {
         this.dom.fileInput.addEventListener('change', (e) => {
-            if (e.target.files.length > 0) onFileSelected(e.target.files[0]);
+            const files = sortFilesNaturally([...e.target.files].filter(isMediaFile));
+            if (files.length > 0) onFilesSelected(files);
+            // Reset so that selecting the same file again still fires 'change'.
+            e.target.value = '';
+        });
+
+        this.dom.uploadArea.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.dom.uploadArea.classList.add('drag-over');
+        });
+        this.dom.uploadArea.addEventListener('dragleave', () => this.dom.uploadArea.classList.remove('drag-over'));
+        this.dom.uploadArea.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            this.dom.uploadArea.classList.remove('drag-over');
+            let files;
+            try {
+                files = await collectDroppedFiles(e.dataTransfer);
+            } catch (error) {
+                console.error("Reading the dropped files failed:", error);
+                this.setUploadStatus(`The dropped files could not be read: ${error.message}`, true);
+                return;
+            }
+            this.setUploadStatus('');
+            if (files.length > 0) onFilesSelected(files);
+        });
+
+        this.dom.jobQueueList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const id = Number(button.dataset.id);
+            switch (button.dataset.action) {
+                case 'up': queueActions.onMove(id, -1); break;
+                case 'down': queueActions.onMove(id, 1); break;
+                case 'cancel': queueActions.onCancel(id); break;
+                case 'download': queueActions.onDownload(id); break;
+                case 'correct': queueActions.onCorrect(id); break;
+                case 'keep': queueActions.onKeep(id); break;
+            }
+        });
+        this.dom.downloadAllButton.addEventListener('click', () => queueActions.onDownloadAll());
+        this.dom.clearFinishedButton.addEventListener('click', () => queueActions.onClearFinished());
+        this.dom.cancelButton.addEventListener('click', () => {
+            this.dom.cancelButton.disabled = true;
+            this.dom.cancelButton.textContent = 'Cancelling...';
+            queueActions.onCancelRunning();
         });
 
         this.dom.consoleHeader.addEventListener('click', () => {
             this.dom.consoleHeader.classList.toggle('collapsed');
 
+            const section = this.dom.diagnosticsSection;
             section.style.display = section.style.display === 'none' ? 'flex' : 'none';
         });
 
+        for (const id of ['logChunkFilter', 'logPassFilter', 'logLevelFilter']) {
+            this.dom[id].addEventListener('change', () => logActions.onFilterChange(this.getLogFilter()));
+        }
+        this.dom.logTextFilter.addEventListener('input', () => logActions.onFilterChange(this.getLogFilter()));
+        this.dom.exportLogsBtn.addEventListener('click', () => logActions.onExport(this.getLogFilter()));
+
+        this.dom.coverArtInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            const extension = {'image/jpeg': 'jpg', 'image/png': 'png'}[file.type];
+            if (!extension) {
+                this.setMetadataStatus('The cover image must be a JPEG or PNG file.', true);
+                return;
+            }
+            this.setEditedCoverArt({data: new Uint8Array(await file.arrayBuffer()), mimeType: file.type, extension});
+        });
+        this.dom.removeCoverArtButton.addEventListener('click', () => this.setEditedCoverArt(null));
+        this.dom.applyMetadataButton.addEventListener('click', () => metadataActions.onApply());
+        this.dom.saveMetadataDefaultsButton.addEventListener('click', () => metadataActions.onSaveDefaults());
+
+        this.dom.addChapterButton.addEventListener('click', () => this.chapterEditor.addAtPlayhead());
+        this.dom.chapterImportInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const count = await this.chapterEditor.importFile(file);
+                this.setMetadataStatus(`Imported ${count} chapter${count === 1 ? '' : 's'} from ${file.name}. Apply to write them into the file.`);
+            } catch (error) {
+                this.setMetadataStatus(error.message, true);
+            }
+        });
+        this.dom.exportChaptersButton.addEventListener('click', () => {
+            const format = CHAPTER_FORMATS[this.dom.chapterExportFormatSelect.value];
+            const text = this.chapterEditor.export(this.dom.chapterExportFormatSelect.value, {
+                title: this.metadataInputs.title ? this.metadataInputs.title.value.trim() : '',
+                audioFilename: `${this.inputFilenameBase}_mastered.${this.outputFormat.extension}`
+            });
+            this.downloadBlob(new Blob([text], {type: format.mimeType}), `${this.inputFilenameBase}_chapters.${format.extension}`);
+        });
+
         const downloadAction = (blob, extension) => {
-            if (!blob) return;
-            const a = document.createElement('a');
-            a.href = URL.createObjectURL(blob);
-            a.download = `${this.inputFilenameBase}_mastered.${extension}`;
-            a.click();
-            URL.revokeObjectURL(a.href);
+            if (!needsReview(this.verification)) this.downloadBlob(blob, `${this.inputFilenameBase}_mastered.${extension}`);
         };
 
-        this.dom.downloadButton.addEventListener('click', () => downloadAction(this.audioBlob, 'mp3'));
-        this.dom.downloadIcon.addEventListener('click', () => downloadAction(this.audioBlob, 'mp3'));
+        this.dom.downloadButton.addEventListener('click', () => downloadAction(this.audioBlob, this.outputFormat.extension));
+        this.dom.downloadIcon.addEventListener('click', () => downloadAction(this.audioBlob, this.outputFormat.extension));
+        this.dom.openVisualizerButton.addEventListener('click', () => outputActions.onOpenVisualizer());
+        this.dom.applyCorrectionButton.addEventListener('click', () => outputActions.onCorrect());
+        this.dom.keepUncorrectedButton.addEventListener('click', () => outputActions.onKeep());
+        this.dom.downloadReportJsonButton.addEventListener('click', () => this.downloadReport('json'));
+        this.dom.downloadReportHtmlButton.addEventListener('click', () => this.downloadReport('html'));
+
+        this.dom.masteringPresetSelect.addEventListener('change', (e) => {
+            const id = e.target.value;
+            this.dom.deletePresetButton.disabled = !id.startsWith('user:');
+            if (id.startsWith('user:')) this.dom.presetNameInput.value = id.slice('user:'.length);
+            if (id) presetActions.onSelect(id);
+        });
+        const presetControls = ['gateToggle', 'clarityToggle', 'tonalToggle', 'softClipToggle', 'neuralDenoiseToggle', 'neuralDenoiseModelSelect', 'outputFormatSelect',
+            'outputQualitySelect', 'loudnessPresetSelect', 'loudnessIInput', 'loudnessTPInput', 'loudnessLRAInput'];
+        // The chain editor's container receives the input events of its controls and of its resets.
+        for (const id of [...presetControls, 'chainEditorStages']) {
+            this.dom[id].addEventListener('input', () => {
+                this.dom.masteringPresetSelect.value = '';
+                this.dom.deletePresetButton.disabled = true;
+            });
+        }
+        this.dom.resetChainButton.addEventListener('click', () => this.chainEditor.resetAll());
+        this.dom.savePresetButton.addEventListener('click', () => presetActions.onSave(this.dom.presetNameInput.value.trim()));
+        this.dom.deletePresetButton.addEventListener('click', () => presetActions.onDelete(this.dom.masteringPresetSelect.value));
+        this.dom.exportPresetButton.addEventListener('click', () => {
+            const selected = this.dom.masteringPresetSelect.selectedOptions[0];
+            presetActions.onExport(this.dom.presetNameInput.value.trim() || (selected && selected.value ? selected.textContent : ''));
+        });
+        this.dom.presetImportInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) presetActions.onImport(file);
+        });
+
+        this.dom.previewFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file || !isMediaFile(file)) return;
+            this.setPreviewFile(file);
+            previewActions.onSelect();
+        });
+        this.dom.noiseSampleUsePlayheadButton.addEventListener('click', () => {
+            this.dom.noiseSampleStartInput.value = this.dom.previewSourcePlayer.currentTime.toFixed(1);
+        });
+        this.dom.previewUsePlayheadButton.addEventListener('click', () => {
+            this.dom.previewStartInput.value = String(Math.floor(this.dom.previewSourcePlayer.currentTime));
+        });
+        this.dom.previewButton.addEventListener('click', () => this.previewBusy ? previewActions.onCancel() : previewActions.onRender());
+        this.dom.previewMasterButton.addEventListener('click', () => {
+            if (this.previewFile) onFilesSelected([this.previewFile]);
+        });
 
         const addCopyListener = (button, source) => {
             button.addEventListener('click', () => {
@@ -58,11 +731,178 @@ export class UI {
         addCopyListener(this.dom.copyErrorBtn, this.dom.errorBlock);
     }
 
+    /**
+     * @returns {import('../ffmpeg/logStore.js').LogFilter} The filter selected in the log console.
+     */
+    getLogFilter() {
+        return {
+            chunk: this.dom.logChunkFilter.value,
+            pass: this.dom.logPassFilter.value,
+            level: this.dom.logLevelFilter.value,
+            text: this.dom.logTextFilter.value.trim()
+        };
+    }
+
+    /**
+     * Appends new log records to the console, skipping those the current filter hides.
+     * @param {import('../ffmpeg/logStore.js').LogRecord[]} records
+     */
+    appendLogRecords(records) {
+        for (const record of records) {
+            if (record.chunkIndex !== null) this.addLogChunkOption(record.chunkIndex);
+        }
+        const filter = this.getLogFilter();
+        this.appendLogLines(records.filter(record => matchesLogFilter(record, filter)).map(formatLogRecord));
+    }
+
+    /**
+     * Replaces the console content, e.g. after the filter has changed.
+     * @param {import('../ffmpeg/logStore.js').LogRecord[]} records - The records that pass the filter.
+     */
+    renderLogs(records) {
+        this.dom.ffmpegLogs.textContent = '';
+        this.logBatches = [];
+        this.logLineCount = 0;
+        this.appendLogLines(records.map(formatLogRecord));
+    }
+
+    /**
+     * Appends lines to the console and drops the oldest ones beyond MAX_LOG_RECORDS, the
+     * number of records the LogStore keeps.
+     * @param {string[]} lines - Formatted log records.
+     */
+    appendLogLines(lines) {
+        if (lines.length === 0) return;
+        const node = document.createTextNode(lines.join('\n') + '\n');
+        this.dom.ffmpegLogs.appendChild(node);
+        this.logBatches.push({node, lines: lines.length});
+        this.logLineCount += lines.length;
+
+        while (this.logLineCount > MAX_LOG_RECORDS) {
+            const oldest = this.logBatches[0];
+            const excess = this.logLineCount - MAX_LOG_RECORDS;
+            if (oldest.lines <= excess) {
+                oldest.node.remove();
+                this.logBatches.shift();
+                this.logLineCount -= oldest.lines;
+            } else {
+                let end = 0;
+                for (let i = 0; i < excess; i++) end = oldest.node.data.indexOf('\n', end) + 1;
+                oldest.node.deleteData(0, end);
+                oldest.lines -= excess;
+                this.logLineCount -= excess;
+            }
+        }
+    }
+
+    /**
+     * Adds a chunk to the log source filter, keeping the options in chunk order.
+     * @param {number} chunkIndex
+     */
+    addLogChunkOption(chunkIndex) {
+        const select = this.dom.logChunkFilter;
+        const value = String(chunkIndex);
+        if ([...select.options].some(option => option.value === value)) return;
+        const next = [...select.options].find(option => !isNaN(option.value) && Number(option.value) > chunkIndex);
+        select.add(new Option(`Chunk ${chunkIndex}`, value), next || null);
+    }
+
+    /**
+     * Removes the chunk options from the log source filter when a new job starts.
+     */
+    resetLogChunkOptions() {
+        const select = this.dom.logChunkFilter;
+        [...select.options].filter(option => !isNaN(option.value)).forEach(option => option.remove());
+        if (![...select.options].some(option => option.value === select.value)) select.value = 'all';
+    }
+
+    downloadBlob(blob, filename) {
+        if (!blob) return;
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(a.href);
+    }
+
+    /**
+     * Renders the job queue.
+     * @param {import('../jobs/batchQueue.js').QueueItem[]} items
+     */
+    renderQueue(items) {
+        const labels = {queued: 'Queued', processing: 'Processing', done: 'Done', failed: 'Failed', cancelled: 'Cancelled'};
+        const list = this.dom.jobQueueList;
+        list.innerHTML = '';
+        this.dom.jobQueueSection.style.display = items.length > 0 ? 'block' : 'none';
+
+        const queuedIds = items.filter(item => item.status === 'queued').map(item => item.id);
+        for (const item of items) {
+            const li = document.createElement('li');
+            li.className = `queue-item ${item.status}`;
+
+            const name = document.createElement('span');
+            name.className = 'queue-name';
+            name.textContent = item.file.name;
+            name.title = item.file.webkitRelativePath || item.file.name;
+
+            const status = document.createElement('span');
+            status.className = 'queue-status';
+            status.textContent = labels[item.status];
+            if (item.status === 'failed' && item.result && item.result.error) {
+                status.title = item.result.error.message;
+            }
+            if (item.status === 'done' && item.result && item.result.warnings && item.result.warnings.length > 0) {
+                status.textContent = `${labels.done} (${item.result.warnings.length} warning${item.result.warnings.length === 1 ? '' : 's'})`;
+                status.title = item.result.warnings.join('\n');
+            }
+            const held = item.status === 'done' && item.result && needsReview(item.result.verification);
+            if (held) {
+                status.textContent = `${labels.done} (out of spec)`;
+                status.title = item.result.verification.failures.join('\n');
+            }
+
+            const actions = document.createElement('span');
+            actions.className = 'queue-actions';
+            const addButton = (action, text, title) => {
+                const button = document.createElement('button');
+                button.dataset.action = action;
+                button.dataset.id = String(item.id);
+                button.textContent = text;
+                button.title = title;
+                // A file that is being retagged or corrected takes no other action on its audio meanwhile.
+                button.disabled = item.busy && (action === 'correct' || action === 'keep');
+                actions.appendChild(button);
+            };
+            if (item.status === 'queued') {
+                const position = queuedIds.indexOf(item.id);
+                if (position > 0) addButton('up', '↑', 'Move up');
+                if (position < queuedIds.length - 1) addButton('down', '↓', 'Move down');
+                addButton('cancel', '✕', 'Remove from queue');
+            }
+            if (item.status === 'processing') {
+                addButton('cancel', '✕', 'Cancel processing');
+            }
+            if (held) {
+                if (!item.result.verification.corrected) addButton('correct', 'Correct', 'Correct the loudness and true peak');
+                addButton('keep', 'Keep', 'Keep the file as it is');
+            } else if (item.status === 'done') {
+                addButton('download', 'Download', 'Download this file');
+            }
+
+            li.append(name, status, actions);
+            list.appendChild(li);
+        }
+
+        this.dom.downloadAllButton.disabled = !items.some(item => item.status === 'done' && !needsReview(item.result && item.result.verification));
+    }
+
     displayInitialState() {
         this.dom.uploadArea.style.display = 'flex';
-        this.dom.uploadAreaText.textContent = 'Click to upload an audio file';
+        this.dom.uploadAreaText.textContent = 'Click to upload audio files, or drop files and folders here';
         this.dom.uploadArea.style.cursor = 'pointer';
-        ['inputStatsSection', 'executionSection', 'outputSection', 'masteringOptionsSection', 'errorContainer'].forEach(id => this.dom[id].style.display = 'none');
+        ['inputStatsSection', 'executionSection', 'outputSection', 'errorContainer'].forEach(id => this.dom[id].style.display = 'none');
+        // Options must be visible before a file is chosen, since they are read when processing starts.
+        this.dom.masteringOptionsSection.style.display = 'block';
 
         this.dom.consoleHeader.classList.add('collapsed');
     }
@@ -89,26 +929,40 @@ export class UI {
 
     displayProcessingState(file) {
         this.inputFilenameBase = file.name.split('.').slice(0, -1).join('.');
+        if (this.dom.inputAudioPlayer.src) {
+            URL.revokeObjectURL(this.dom.inputAudioPlayer.src);
+        }
+        this.abPlayer.stop();
         this.dom.inputAudioPlayer.src = URL.createObjectURL(file);
-        ['uploadArea', 'outputSection', 'errorContainer'].forEach(id => this.dom[id].style.display = 'none');
+        // The upload area stays visible so more files can be queued while this one is processed.
+        this.dom.uploadAreaText.textContent = 'Click or drop files to add them to the queue';
+        ['outputSection', 'errorContainer'].forEach(id => this.dom[id].style.display = 'none');
         ['inputStatsSection', 'executionSection', 'masteringOptionsSection'].forEach(id => this.dom[id].style.display = 'block');
         this.dom.inputStats.innerHTML = `<div class="file-line">File: ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)</div><div class="duration-line">Duration: Analyzing...</div>`;
         this.dom.finalExecutionStats.textContent = '';
-        this.dom.ffmpegLogs.textContent = '';
+        this.renderLogs([]);
+        this.resetLogChunkOptions();
         this.dom.ffmpegCommand.textContent = '';
         this.dom.errorBlock.textContent = '';
         this.dom.progressText.textContent = 'Initializing...';
         this.dom.progressBarInner.style.width = '0%';
         this.dom.subProgressBar.style.display = 'none';
         this.dom.subProgressBarInner.style.width = '0%';
+        this.dom.chunkProgressGrid.innerHTML = '';
+        this.progressStep = null;
+        this.progressMessage = '';
         this.dom.stepTimings.innerHTML = '';
         this.dom.workerStatusContainer.innerHTML = '';
+        this.dom.cancelButton.style.display = 'inline-block';
+        this.dom.cancelButton.disabled = false;
+        this.dom.cancelButton.textContent = 'Cancel';
         startTimer(this.dom.executionTimer);
     }
 
-    initializeWorkerStatus(numWorkers) {
-        this.dom.workerStatusContainer.innerHTML = '';
+    initializeWorkerStatus(numWorkers, keepExisting = false) {
+        if (!keepExisting) this.dom.workerStatusContainer.innerHTML = '';
         for (let i = 0; i < numWorkers; i++) {
+            if (document.getElementById(`worker-status-${i}`)) continue;
             const workerStatusEl = document.createElement('div');
             workerStatusEl.className = 'worker-status';
             workerStatusEl.id = `worker-status-${i}`;
@@ -121,7 +975,12 @@ export class UI {
     }
 
     updateWorkerStatus(workerId, message) {
-        const workerStatusEl = document.getElementById(`worker-status-${workerId}`);
+        let workerStatusEl = document.getElementById(`worker-status-${workerId}`);
+        if (!workerStatusEl) {
+            // Workers are spawned on demand, so a worker may appear after the list was built.
+            this.initializeWorkerStatus(workerId + 1, true);
+            workerStatusEl = document.getElementById(`worker-status-${workerId}`);
+        }
         if (workerStatusEl) {
             workerStatusEl.querySelector('.worker-message').textContent = message;
         }
@@ -133,19 +992,67 @@ export class UI {
             clarity: this.dom.clarityToggle.checked,
             tonal: this.dom.tonalToggle.checked,
             softClip: this.dom.softClipToggle.checked,
+            neuralDenoise: this.dom.neuralDenoiseToggle.checked,
+            neuralDenoiseModel: this.dom.neuralDenoiseModelSelect.value,
+            chain: this.chainEditor.getChain(),
+            autoCorrect: this.dom.autoCorrectToggle.checked,
+            outputFormat: this.dom.outputFormatSelect.value,
+            outputQuality: this.dom.outputQualitySelect.value,
+            channelPolicy: this.dom.channelPolicySelect.value,
+            silence: {
+                mode: this.dom.silenceModeSelect.value,
+                maxPause: this.dom.maxPauseInput.valueAsNumber,
+            },
+            noiseProfile: {
+                mode: this.dom.noiseProfileModeSelect.value,
+                start: this.dom.noiseSampleStartInput.valueAsNumber,
+                duration: this.dom.noiseSampleDurationInput.valueAsNumber,
+            },
+            metadata: {
+                mode: this.dom.metadataModeSelect.value,
+                ...loadMetadataDefaults(),
+            },
+            loudness: getLoudnessTarget({
+                preset: this.dom.loudnessPresetSelect.value,
+                I: this.dom.loudnessIInput.valueAsNumber,
+                TP: this.dom.loudnessTPInput.valueAsNumber,
+                LRA: this.dom.loudnessLRAInput.valueAsNumber,
+            }),
         };
     }
 
+    /**
+     * Shows the probed properties of the input and how its channels are mapped.
+     * @param {import('../ffmpeg/parse/mediaInfo.js').MediaInfo} mediaInfo
+     * @param {import('../ffmpeg/channelLayout.js').ChannelMapping} channelMapping
+     */
+    updateMediaInfo(mediaInfo, channelMapping) {
+        const stream = getPrimaryAudioStream(mediaInfo);
+        let line = this.dom.inputStats.querySelector('.media-line');
+        if (!line) {
+            line = document.createElement('div');
+            line.className = 'media-line';
+            this.dom.inputStats.appendChild(line);
+        }
+        const details = [`Audio: ${describeAudioStream(stream)}`, `Channels: ${describeChannelMapping(stream, channelMapping)}`];
+        if (mediaInfo.chapters.length > 0) details.push(`${mediaInfo.chapters.length} chapters`);
+        line.textContent = details.join(' · ');
+    }
+
     updateDuration(duration) {
         this.dom.inputStats.querySelector('.duration-line').textContent = `Duration: ${formatDurationTimestamp(duration)} (${formatDurationVerbose(duration)})`;
     }
 
-    update({command, logs, progressStep, progressMessage, subProgressMessage, stepTime, version}) {
+    update({command, progressStep, progressMessage, subProgressMessage, stepTime, version}) {
         if (command) this.dom.ffmpegCommand.textContent = command;
-        if (logs) this.dom.ffmpegLogs.textContent += logs;
         if (version) this.dom.ffmpegVersionIndicator.innerHTML = version;
         if (progressStep) {
-            const percentage = Math.round((progressStep.current / progressStep.total) * 100);
+            this.progressStep = progressStep;
+            this.progressMessage = progressMessage;
+            // A new step starts without progress of its own until it reports some.
+            this.dom.subProgressBar.style.display = 'none';
+            this.dom.chunkProgressGrid.innerHTML = '';
+            const percentage = Math.round(((progressStep.current - 1) / progressStep.total) * 100);
             this.dom.progressBarInner.style.width = `${percentage}%`;
             this.dom.executionIndicator.className = '';
             if (stepTime) {
@@ -159,12 +1066,161 @@ export class UI {
         }
     }
 
-    handleResult({audioBlob, audioDuration, executionTime, error}) {
+    /**
+     * Shows the progress within the current step: the sub progress bar, the overall bar, the
+     * percentage with ETA, and the per-chunk bars if the step runs chunk jobs.
+     * @param {import('../jobs/progressTracker.js').StepProgress} stepProgress
+     */
+    updateStepProgress({progress, speed, eta, chunks}) {
+        const percentage = Math.round(progress * 100);
+        this.dom.subProgressBar.style.display = 'block';
+        this.dom.subProgressBarInner.style.width = `${percentage}%`;
+
+        if (this.progressStep) {
+            const {current, total} = this.progressStep;
+            this.dom.progressBarInner.style.width = `${Math.round(((current - 1 + progress) / total) * 100)}%`;
+            const details = [`${percentage}%`];
+            if (eta !== null && eta !== undefined) details.push(`ETA ${formatEta(eta)}`);
+            if (speed) details.push(`${speed.toFixed(1)}x realtime`);
+            this.dom.progressText.textContent = `${this.progressMessage} ${details.join(' · ')}`;
+        }
+
+        if (chunks) {
+            this.renderChunkProgress(chunks);
+        }
+    }
+
+    /**
+     * Renders one small bar per chunk.
+     * @param {import('../jobs/progressTracker.js').ChunkProgress[]} chunks
+     */
+    renderChunkProgress(chunks) {
+        const grid = this.dom.chunkProgressGrid;
+        if (grid.children.length !== chunks.length) {
+            grid.innerHTML = '';
+            chunks.forEach((_, i) => {
+                const bar = document.createElement('div');
+                bar.className = 'chunk-progress';
+                bar.title = `Chunk ${i}`;
+                const inner = document.createElement('div');
+                inner.className = 'chunk-progress-inner';
+                bar.appendChild(inner);
+                grid.appendChild(bar);
+            });
+        }
+        chunks.forEach(({state, progress}, i) => {
+            const bar = grid.children[i];
+            bar.className = `chunk-progress ${state}`;
+            bar.firstChild.style.width = `${Math.round(progress * 100)}%`;
+            bar.title = `Chunk ${i}: ${state} (${Math.round(progress * 100)}%)`;
+        });
+    }
+
+    /**
+     * Shows a mastered file in the output section, e.g. again after its tags were edited.
+     * @param {Blob} audioBlob
+     */
+    updateOutputAudio(audioBlob) {
+        this.audioBlob = audioBlob;
+        if (this.dom.outputAudioPlayer.src) {
+            URL.revokeObjectURL(this.dom.outputAudioPlayer.src);
+        }
+        this.dom.outputAudioPlayer.src = URL.createObjectURL(this.audioBlob);
+        this.abPlayer.setMasteredSource(this.dom.outputAudioPlayer.src);
+        this.dom.outputInfo.textContent = `${this.inputFilenameBase}_mastered.${this.outputFormat.extension} (${(this.audioBlob.size / 1024 / 1024).toFixed(2)} MB)`;
+    }
+
+    /**
+     * Matches the A/B player to the loudness of the file in the output section, after it was corrected.
+     * @param {import('../ffmpeg/parse/envelope.js').Envelope | null} envelope - The envelope of the corrected file.
+     */
+    updateOutputLoudness(envelope) {
+        this.abPlayer.setMasteredLoudness(envelope ? envelope.integrated : null);
+    }
+
+    /**
+     * @param {import('../jobs/main/silencePlan.js').SilencePlan | undefined} silence
+     * @returns {string} A summary of the pauses found and cut, for the execution stats.
+     */
+    describeSilence(silence) {
+        if (!silence) return '';
+        if (silence.mode !== 'compress') return ` | Pauses: ${silence.regions.length}`;
+        return ` | Pauses shortened: ${silence.cuts.length} (${silence.removedDuration.toFixed(1)}s removed)`;
+    }
+
+    /**
+     * Shows the mastering report in the output section.
+     * @param {import('../jobs/main/report.js').MasteringReport | null} report - Null if there is none, e.g. for a failed run.
+     */
+    showReport(report) {
+        this.report = report;
+        this.dom.reportContent.innerHTML = report ? renderReportTables(report) : '';
+        this.dom.downloadReportJsonButton.disabled = !report;
+        this.dom.downloadReportHtmlButton.disabled = !report;
+    }
+
+    /**
+     * Shows whether the file in the output section meets the loudness target. A file that failed
+     * can only be downloaded once it was corrected or kept as it is.
+     * @param {import('../jobs/main/verification.js').Verification | null} verification - Null if there is none.
+     */
+    showVerification(verification) {
+        this.verification = verification;
+        this.dom.verificationPanel.style.display = verification ? 'flex' : 'none';
+        if (!verification) return;
+        const held = needsReview(verification);
+        this.dom.verificationStatus.textContent = verification.accepted
+            ? `${describeVerification(verification)} Kept as it is.`
+            : describeVerification(verification);
+        this.dom.verificationPanel.className = `verification-panel ${verification.status}`;
+        this.dom.applyCorrectionButton.style.display = held && !verification.corrected ? '' : 'none';
+        this.dom.keepUncorrectedButton.style.display = held ? '' : 'none';
+        this.dom.downloadButton.disabled = held;
+        this.dom.downloadIcon.style.visibility = held ? 'hidden' : '';
+    }
+
+    /**
+     * @param {boolean} busy - Whether the file is being retagged or corrected, which disables the verification buttons.
+     * @param {string} [message] - Shown in place of the verification status while busy.
+     */
+    setVerificationBusy(busy, message) {
+        this.dom.applyCorrectionButton.disabled = busy;
+        this.dom.keepUncorrectedButton.disabled = busy;
+        if (busy && message) this.dom.verificationStatus.textContent = message;
+    }
+
+    /**
+     * @param {string} message
+     */
+    setVerificationError(message) {
+        this.dom.verificationStatus.textContent = message;
+        this.dom.verificationPanel.className = 'verification-panel failed';
+    }
+
+    /**
+     * @param {import('../util/reportFormats.js').ReportFormat} format
+     */
+    downloadReport(format) {
+        if (!this.report) return;
+        const {extension, mimeType} = REPORT_FORMATS[format];
+        this.downloadBlob(new Blob([exportReport(this.report, format)], {type: mimeType}), `${this.inputFilenameBase}_report.${extension}`);
+    }
+
+    handleResult({audioBlob, audioDuration, outputFormat, loudnessTarget, metadata, silence, envelopes, report, verification, noiseProfile, executionTime, error, cancelled, warnings = []}) {
         stopTimer();
         this.dom.subProgressBar.style.display = 'none';
+        this.dom.cancelButton.style.display = 'none';
+
+        if (cancelled) {
+            this.dom.executionIndicator.className = 'cancelled';
+            this.dom.progressText.textContent = 'Cancelled';
+            this.dom.finalExecutionStats.textContent = `Cancelled after ${(executionTime / 1000).toFixed(2)}s`;
+            return;
+        }
 
         if (error) {
             this.dom.errorContainer.style.display = 'block';
+            this.dom.errorTitle.textContent = 'Error Details';
 
             const fullErrorMessage = error && error.message ? error.message : String(error);
             const shortErrorMessage = fullErrorMessage.split('\n')[0];
@@ -178,20 +1234,40 @@ export class UI {
         }
 
         this.dom.outputSection.style.display = 'block';
-        this.audioBlob = audioBlob;
+        this.outputFormat = outputFormat || getOutputFormat(OUTPUT_FORMAT);
+        this.updateOutputAudio(audioBlob);
+        if (metadata) this.showMetadata(metadata, audioDuration);
+        this.showReport(report || null);
+        this.showVerification(verification || null);
+        // Both loudnesses are measured on the files as they are played: the input before any processing, and the delivered file.
+        this.abPlayer.load({
+            originalUrl: this.dom.inputAudioPlayer.src,
+            masteredUrl: this.dom.outputAudioPlayer.src,
+            duration: audioDuration,
+            originalLoudness: envelopes && envelopes.input ? envelopes.input.integrated : null,
+            masteredLoudness: envelopes && envelopes.output ? envelopes.output.integrated : null,
+            cuts: silence ? silence.cuts : []
+        });
 
-        if (this.dom.outputAudioPlayer.src) {
-            URL.revokeObjectURL(this.dom.outputAudioPlayer.src);
-        }
-        this.dom.outputAudioPlayer.src = URL.createObjectURL(this.audioBlob);
+        // The input stats describe the input, which is longer than the output if pauses were cut.
+        const inputDuration = audioDuration + (silence ? silence.removedDuration : 0);
+        this.updateDuration(inputDuration);
+        this.dom.downloadButton.textContent = `Download ${this.outputFormat.label}`;
 
-        this.updateDuration(audioDuration);
-        this.dom.outputInfo.textContent = `${this.inputFilenameBase}_mastered.mp3 (${(this.audioBlob.size / 1024 / 1024).toFixed(2)} MB)`;
+        const speed = executionTime > 0 ? `${(inputDuration / (executionTime / 1000)).toFixed(2)}x` : 'N/A';
+        const target = loudnessTarget ? ` | Target: ${loudnessTarget.I} LUFS` : '';
+        const warningCount = warnings.length > 0 ? ` | Warnings: ${warnings.length}` : '';
+        this.dom.finalExecutionStats.textContent = `Completed | Speed: ${speed}${target}${this.describeSilence(silence)}${warningCount}`;
+        this.showNoiseProfile(noiseProfile);
 
-        const speed = executionTime > 0 ? `${(audioDuration / (executionTime / 1000)).toFixed(2)}x` : 'N/A';
-        this.dom.finalExecutionStats.textContent = `Completed | Speed: ${speed}`;
+        if (warnings.length > 0) {
+            this.dom.errorContainer.style.display = 'block';
+            this.dom.errorTitle.textContent = 'Warnings';
+            this.dom.errorBlock.textContent = warnings.join('\n\n');
+        }
 
         this.dom.progressText.textContent = 'Success';
+        this.dom.progressBarInner.style.width = '100%';
         this.dom.executionIndicator.className = 'success';
         const totalSeconds = Math.round(executionTime / 1000);
         this.dom.executionTimer.textContent = `${Math.floor(totalSeconds / 60).toString().padStart(2, '0')}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
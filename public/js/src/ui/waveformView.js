@@ -0,0 +1,233 @@
+/**
+ * @file Draws a level envelope as a scrollable, zoomable waveform on a canvas, with the
+ * momentary and short-term loudness drawn over it and a playhead. Only the visible part is
+ * drawn, so long files can be zoomed in as far as the envelope's 100ms windows allow.
+ *
+ * Mouse wheel scrolls, Ctrl/Cmd + wheel zooms around the pointer, and a click seeks.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {import('../ffmpeg/parse/envelope.js').Envelope} Envelope
+ */
+
+/**
+ * @typedef {object} WaveformColors
+ * @property {string} played - The waveform before the playhead.
+ * @property {string} unplayed - The waveform after the playhead.
+ * @property {string} momentary - The momentary loudness curve.
+ * @property {string} shortTerm - The short-term loudness curve.
+ * @property {string} playhead
+ */
+
+/** The level range shown from the centre line to the edge, in dBFS; a dB scale keeps quiet speech visible. */
+const LEVEL_RANGE_DB = [-60, 0];
+/** The loudness range shown from the bottom to the top, in LUFS. */
+const LOUDNESS_RANGE_LUFS = [-60, 0];
+/** The closest zoom shows one envelope window across this many pixels. */
+const MAX_PIXELS_PER_WINDOW = 12;
+/** How much one zoom step changes the scale. */
+const ZOOM_STEP = 1.5;
+
+/**
+ * @param {number} value
+ * @param {number[]} range - [min, max]
+ * @returns {number} The value's position in the range, from 0 to 1.
+ */
+const fraction = (value, [min, max]) => Math.min(1, Math.max(0, (value - min) / (max - min)));
+
+export class WaveformView {
+    /**
+     * @param {HTMLCanvasElement} canvas - The canvas to draw on; it is sized to its CSS box.
+     * @param {object} options
+     * @param {(time: number) => void} options.onSeek - Called with the time the user clicked on.
+     * @param {() => WaveformColors} options.getColors - Returns the colors to draw with, e.g. for the current theme.
+     */
+    constructor(canvas, {onSeek, getColors}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.onSeek = onSeek;
+        this.getColors = getColors;
+        /** @type {Envelope | null} */
+        this.envelope = null;
+        this.duration = 0;
+        this.currentTime = 0;
+        /** The time at the left edge, in seconds. */
+        this.start = 0;
+        /** The zoom, in seconds per CSS pixel. */
+        this.secondsPerPixel = 1;
+        this.width = 0;
+        this.height = 0;
+
+        canvas.addEventListener('click', (e) => {
+            if (!this.duration) return;
+            this.onSeek(this.timeAt(e.offsetX));
+        });
+        canvas.addEventListener('wheel', (e) => {
+            if (!this.duration) return;
+            e.preventDefault();
+            if (e.ctrlKey || e.metaKey) {
+                this.zoom(e.deltaY < 0 ? 1 / ZOOM_STEP : ZOOM_STEP, this.timeAt(e.offsetX));
+            } else {
+                this.scrollTo(this.start + (e.deltaX || e.deltaY) * this.secondsPerPixel);
+            }
+        }, {passive: false});
+        new ResizeObserver(() => this.resize()).observe(canvas);
+        this.resize();
+    }
+
+    /**
+     * Shows an envelope, zoomed out to fit.
+     * @param {Envelope | null} envelope - The envelope, or null to show nothing.
+     * @param {number} duration - The duration of the audio in seconds.
+     */
+    setData(envelope, duration) {
+        this.envelope = envelope;
+        this.duration = duration;
+        this.currentTime = 0;
+        this.fit();
+    }
+
+    /**
+     * Moves the playhead. While following, the view pages along when the playhead leaves it.
+     * @param {number} time - The playback position in seconds.
+     * @param {boolean} [follow=false]
+     */
+    setTime(time, follow = false) {
+        this.currentTime = time;
+        const visible = this.width * this.secondsPerPixel;
+        if (follow && (time < this.start || time > this.start + visible)) {
+            this.scrollTo(time - visible * 0.1);
+            return;
+        }
+        this.draw();
+    }
+
+    /**
+     * @param {number} x - A horizontal position on the canvas, in CSS pixels.
+     * @returns {number} The time at that position, in seconds.
+     */
+    timeAt(x) {
+        return Math.min(this.duration, Math.max(0, this.start + x * this.secondsPerPixel));
+    }
+
+    /** @returns {number[]} The [closest, farthest] zoom, in seconds per pixel. */
+    zoomLimits() {
+        const farthest = this.width > 0 ? this.duration / this.width : 1;
+        const closest = this.envelope ? this.envelope.interval / MAX_PIXELS_PER_WINDOW : farthest;
+        return [Math.min(closest, farthest), farthest];
+    }
+
+    /**
+     * Zooms around a point that stays in place.
+     * @param {number} factor - Below 1 zooms in, above 1 zooms out.
+     * @param {number} [anchor] - The time that stays in place; the playhead by default.
+     */
+    zoom(factor, anchor = this.currentTime) {
+        const [closest, farthest] = this.zoomLimits();
+        const anchorX = (anchor - this.start) / this.secondsPerPixel;
+        this.secondsPerPixel = Math.min(farthest, Math.max(closest, this.secondsPerPixel * factor));
+        this.scrollTo(anchor - anchorX * this.secondsPerPixel);
+    }
+
+    zoomIn() {
+        this.zoom(1 / ZOOM_STEP);
+    }
+
+    zoomOut() {
+        this.zoom(ZOOM_STEP);
+    }
+
+    /** Zooms out to show the whole file. */
+    fit() {
+        this.secondsPerPixel = this.zoomLimits()[1];
+        this.scrollTo(0);
+    }
+
+    /**
+     * @param {number} start - The time to show at the left edge, in seconds.
+     */
+    scrollTo(start) {
+        const visible = this.width * this.secondsPerPixel;
+        this.start = Math.min(Math.max(0, this.duration - visible), Math.max(0, start));
+        this.draw();
+    }
+
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const {width, height} = this.canvas.getBoundingClientRect();
+        const wasFit = this.secondsPerPixel >= this.zoomLimits()[1];
+        this.width = width;
+        this.height = height;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        if (wasFit) {
+            this.fit();
+        } else {
+            this.scrollTo(this.start);
+        }
+    }
+
+    draw() {
+        const {context, width, height, envelope} = this;
+        context.clearRect(0, 0, width, height);
+        if (!envelope || !this.duration || width === 0) return;
+
+        const colors = this.getColors();
+        const middle = height / 2;
+        const windowCount = envelope.peak.length;
+        const columnOf = (time) => Math.min(windowCount - 1, Math.floor(time / envelope.interval));
+        const momentary = [];
+        const shortTerm = [];
+
+        for (let x = 0; x < width; x++) {
+            const columnStart = this.start + x * this.secondsPerPixel;
+            if (columnStart >= this.duration) break;
+            const first = columnOf(columnStart);
+            const last = Math.max(first, columnOf(columnStart + this.secondsPerPixel) - 1);
+            let peak = -Infinity;
+            let rms = -Infinity;
+            for (let i = first; i <= last; i++) {
+                peak = Math.max(peak, envelope.peak[i]);
+                rms = Math.max(rms, envelope.rms[i]);
+            }
+
+            const color = columnStart < this.currentTime ? colors.played : colors.unplayed;
+            const peakHeight = fraction(peak, LEVEL_RANGE_DB) * middle;
+            const rmsHeight = fraction(rms, LEVEL_RANGE_DB) * middle;
+            context.fillStyle = color;
+            context.globalAlpha = 0.45;
+            context.fillRect(x, middle - peakHeight, 1, peakHeight * 2);
+            context.globalAlpha = 1;
+            context.fillRect(x, middle - rmsHeight, 1, rmsHeight * 2);
+
+            momentary.push(height - fraction(envelope.momentary[first], LOUDNESS_RANGE_LUFS) * height);
+            shortTerm.push(height - fraction(envelope.shortTerm[first], LOUDNESS_RANGE_LUFS) * height);
+        }
+
+        this.drawCurve(momentary, colors.momentary, 1);
+        this.drawCurve(shortTerm, colors.shortTerm, 2);
+
+        const playheadX = (this.currentTime - this.start) / this.secondsPerPixel;
+        if (playheadX >= 0 && playheadX <= width) {
+            context.fillStyle = colors.playhead;
+            context.fillRect(Math.round(playheadX), 0, 1, height);
+        }
+    }
+
+    /**
+     * @param {number[]} points - The y position of the curve at every column.
+     * @param {string} color
+     * @param {number} lineWidth
+     */
+    drawCurve(points, color, lineWidth) {
+        const context = this.context;
+        context.beginPath();
+        points.forEach((y, x) => x === 0 ? context.moveTo(x, y) : context.lineTo(x, y));
+        context.strokeStyle = color;
+        context.lineWidth = lineWidth;
+        context.stroke();
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * @file Imports and exports chapter markers as JSON (the Podcasting 2.0 chapters format),
+ * CUE sheets and Podlove Simple Chapters. All three only store where a chapter starts;
+ * each chapter ends where the next one starts, and the last one at the end of the audio.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {import('../ffmpeg/ffmetadata.js').Chapter} Chapter
+ * @typedef {'json'|'cue'|'psc'} ChapterFormat
+ */
+
+/**
+ * @constant {Object<ChapterFormat, {label: string, extension: string, mimeType: string}>}
+ */
+export const CHAPTER_FORMATS = {
+    json: {label: 'JSON (Podcasting 2.0)', extension: 'json', mimeType: 'application/json+chapters'},
+    cue: {label: 'CUE sheet', extension: 'cue', mimeType: 'application/x-cue'},
+    psc: {label: 'Podlove Simple Chapters', extension: 'psc.xml', mimeType: 'application/xml'},
+};
+
+/** CUE sheets count time in frames of 1/75 s, as on audio CDs. */
+const CUE_FRAMES_PER_SECOND = 75;
+
+/**
+ * Creates the error thrown for a chapter file that cannot be read.
+ * @param {string} message
+ * @returns {Error}
+ */
+function createChapterError(message) {
+    const error = new Error(message);
+    error.name = 'ChapterFormatError';
+    return error;
+}
+
+/**
+ * Parses a timestamp in the forms used by chapter files: 'HH:MM:SS.mmm', 'MM:SS(.mmm)' or seconds.
+ * @param {string | number} value
+ * @returns {number | null} The time in seconds, or null if the value is not a timestamp.
+ */
+export function parseTimestamp(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+    const text = String(value).trim();
+    if (!/^(\d+:){0,2}\d+(\.\d+)?$/.test(text)) return null;
+    return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} E.g. '01:02:03.450'.
+ */
+export function formatTimestamp(seconds) {
+    const milliseconds = Math.round(Math.max(0, seconds) * 1000);
+    const h = Math.floor(milliseconds / 3600000);
+    const m = Math.floor((milliseconds % 3600000) / 60000);
+    const s = Math.floor((milliseconds % 60000) / 1000);
+    const ms = milliseconds % 1000;
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+/**
+ * Sorts chapters by start and derives every end from the next start.
+ * @param {{start: number, title: string}[]} markers - The chapter starts, in any order.
+ * @param {number} duration - The duration of the audio in seconds.
+ * @returns {Chapter[]}
+ */
+export function normalizeChapters(markers, duration) {
+    const sorted = markers
+        .filter(marker => Number.isFinite(marker.start) && marker.start >= 0 && marker.start < duration)
+        .sort((a, b) => a.start - b.start);
+    return sorted.map((marker, i) => ({
+        start: marker.start,
+        end: i + 1 < sorted.length ? sorted[i + 1].start : duration,
+        title: marker.title || `Chapter ${i + 1}`
+    }));
+}
+
+/**
+ * @param {string} text
+ * @returns {{start: number, title: string}[]}
+ */
+function parseJsonChapters(text) {
+    const parsed = JSON.parse(text);
+    const list = Array.isArray(parsed) ? parsed : parsed.chapters;
+    if (!Array.isArray(list)) throw createChapterError('The JSON file has no "chapters" list.');
+    return list.map((chapter, i) => {
+        const start = parseTimestamp(chapter.startTime ?? chapter.start);
+        if (start === null) throw createChapterError(`Chapter ${i + 1} has no valid start time.`);
+        return {start, title: String(chapter.title || '')};
+    });
+}
+
+/**
+ * @param {string} text
+ * @returns {{start: number, title: string}[]}
+ */
+function parseCueChapters(text) {
+    const markers = [];
+    let track = null;
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (/^TRACK\s+\d+/i.test(trimmed)) {
+            track = {start: null, title: ''};
+            markers.push(track);
+            continue;
+        }
+        if (!track) continue;
+        const titleMatch = trimmed.match(/^TITLE\s+"?(.*?)"?$/i);
+        if (titleMatch) track.title = titleMatch[1];
+        const indexMatch = trimmed.match(/^INDEX\s+01\s+(\d+):(\d{2}):(\d{2})$/i);
+        if (indexMatch) {
+            const [, m, s, f] = indexMatch.map(Number);
+            track.start = m * 60 + s + f / CUE_FRAMES_PER_SECOND;
+        }
+    }
+    const invalid = markers.findIndex(marker => marker.start === null);
+    if (invalid !== -1) throw createChapterError(`Track ${invalid + 1} of the CUE sheet has no INDEX 01.`);
+    return markers;
+}
+
+/**
+ * @param {string} text
+ * @returns {{start: number, title: string}[]}
+ */
+function parsePscChapters(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.querySelector('parsererror')) throw createChapterError('The Podlove Simple Chapters file is not valid XML.');
+    // The elements are namespaced (psc:chapter), so they are matched by local name.
+    return [...doc.getElementsByTagNameNS('*', 'chapter')].map((element, i) => {
+        const start = parseTimestamp(element.getAttribute('start') || '');
+        if (start === null) throw createChapterError(`Chapter ${i + 1} has no valid start time.`);
+        return {start, title: element.getAttribute('title') || ''};
+    });
+}
+
+/**
+ * Detects the format of a chapter file from its name and content.
+ * @param {string} filename
+ * @param {string} text
+ * @returns {ChapterFormat}
+ */
+export function detectChapterFormat(filename, text) {
+    const trimmed = text.trimStart();
+    if (/\.json$/i.test(filename) || /^[[{]/.test(trimmed)) return 'json';
+    if (/\.xml$/i.test(filename) || trimmed.startsWith('<')) return 'psc';
+    if (/\.cue$/i.test(filename) || /^\s*TRACK\s+\d+/im.test(text)) return 'cue';
+    throw createChapterError(`"${filename}" is not a JSON, CUE or Podlove Simple Chapters file.`);
+}
+
+/**
+ * Reads the chapters of a chapter file.
+ * @param {string} filename - The name of the file, used to detect its format.
+ * @param {string} text - The content of the file.
+ * @param {number} duration - The duration of the audio in seconds; later chapters are dropped.
+ * @returns {Chapter[]}
+ * @throws {Error} A 'ChapterFormatError' if the file cannot be read.
+ */
+export function importChapters(filename, text, duration) {
+    const format = detectChapterFormat(filename, text);
+    let markers;
+    try {
+        markers = {json: parseJsonChapters, cue: parseCueChapters, psc: parsePscChapters}[format](text);
+    } catch (error) {
+        if (error.name === 'ChapterFormatError') throw error;
+        throw createChapterError(`"${filename}" could not be read: ${error.message}`);
+    }
+    return normalizeChapters(markers, duration);
+}
+
+/**
+ * @param {string} text
+ * @returns {string} The text with quotes removed, as CUE sheets cannot escape them.
+ */
+const cueText = (text) => text.replace(/"/g, "'");
+
+/**
+ * @param {string} text
+ * @returns {string} The text escaped for an XML attribute.
+ */
+const xmlAttribute = (text) => text.replace(/[&<>"]/g, char => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'})[char]);
+
+/**
+ * Writes chapters in one of the chapter formats.
+ * @param {Chapter[]} chapters
+ * @param {ChapterFormat} format
+ * @param {object} [context]
+ * @param {string} [context.title] - The title of the episode.
+ * @param {string} [context.audioFilename] - The audio file a CUE sheet refers to.
+ * @returns {string}
+ */
+export function exportChapters(chapters, format, {title = '', audioFilename = 'audio'} = {}) {
+    if (format === 'json') {
+        return JSON.stringify({
+            version: '1.2.0',
+            ...(title ? {title} : {}),
+            chapters: chapters.map(chapter => ({startTime: Number(chapter.start.toFixed(3)), title: chapter.title}))
+        }, null, 2) + '\n';
+    }
+    if (format === 'cue') {
+        const lines = [];
+        if (title) lines.push(`TITLE "${cueText(title)}"`);
+        lines.push(`FILE "${cueText(audioFilename)}" ${/\.mp3$/i.test(audioFilename) ? 'MP3' : 'WAVE'}`);
+        chapters.forEach((chapter, i) => {
+            const frames = Math.round(chapter.start * CUE_FRAMES_PER_SECOND);
+            const m = Math.floor(frames / (60 * CUE_FRAMES_PER_SECOND));
+            const s = Math.floor(frames / CUE_FRAMES_PER_SECOND) % 60;
+            const f = frames % CUE_FRAMES_PER_SECOND;
+            lines.push(
+                `  TRACK ${String(i + 1).padStart(2, '0')} AUDIO`,
+                `    TITLE "${cueText(chapter.title)}"`,
+                `    INDEX 01 ${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}:${String(f).padStart(2, '0')}`
+            );
+        });
+        return lines.join('\n') + '\n';
+    }
+    if (format === 'psc') {
+        const elements = chapters.map(chapter =>
+            `  <psc:chapter start="${formatTimestamp(chapter.start)}" title="${xmlAttribute(chapter.title)}"/>`);
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<psc:chapters version="1.2" xmlns:psc="http://podlove.org/simple-chapters">',
+            ...elements,
+            '</psc:chapters>'
+        ].join('\n') + '\n';
+    }
+    throw createChapterError(`Unknown chapter format "${format}".`);
+}
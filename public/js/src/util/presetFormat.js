@@ -0,0 +1,165 @@
+/**
+ * @file Reads and writes mastering presets as versioned JSON files, so a preset can be shared
+ * between machines and people. Imported files are validated against the option schemas in
+ * config.js; a file that does not fit is rejected with every problem listed, never half-applied.
+ *
+ * @version 1.2.0
+ */
+
+import {
+    LOUDNESS_PRESETS, LOUDNESS_TARGET_RANGES, MASTERING_CHAIN_SCHEMA, OUTPUT_FORMATS,
+    PRESET_FILE_FORMAT, PRESET_FILE_VERSION, RNNOISE_MODELS
+} from '../../config.js';
+
+/**
+ * @typedef {import('../../config.js').PresetSettings} PresetSettings
+ */
+
+/**
+ * @typedef {object} Preset
+ * @property {string} name - The name the preset is listed under.
+ * @property {PresetSettings} settings
+ */
+
+/** The optional stages a preset switches on or off. */
+const STAGE_KEYS = ['gate', 'clarity', 'tonal', 'softClip'];
+/** The stages added since the format was introduced; older files leave them out, which switches them off. */
+const OPTIONAL_STAGE_KEYS = ['neuralDenoise'];
+
+/** The longest preset name accepted. */
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether the value is a plain object, as parsed from JSON.
+ */
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {*} value
+ * @param {number[]} range - The [min, max] range.
+ * @returns {boolean}
+ */
+const inRange = (value, [min, max]) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Checks the settings of a preset against the option schemas.
+ *
+ * @param {*} settings
+ * @returns {string[]} The problems found, for display; empty if the settings are valid.
+ */
+export function validatePresetSettings(settings) {
+    if (!isObject(settings)) return ['The settings are missing.'];
+    const problems = [];
+
+    const {loudness} = settings;
+    if (!isObject(loudness)) {
+        problems.push('The loudness target is missing.');
+    } else if (loudness.preset === 'custom') {
+        for (const key of ['I', 'TP', 'LRA']) {
+            const [min, max] = LOUDNESS_TARGET_RANGES[key];
+            if (!inRange(loudness[key], LOUDNESS_TARGET_RANGES[key])) {
+                problems.push(`The loudness target's ${key} must be a number from ${min} to ${max}.`);
+            }
+        }
+    } else if (!(loudness.preset in LOUDNESS_PRESETS)) {
+        problems.push(`Unknown loudness target "${loudness.preset}".`);
+    }
+
+    if (!isObject(settings.stages)) {
+        problems.push('The stages are missing.');
+    } else {
+        for (const key of STAGE_KEYS) {
+            if (typeof settings.stages[key] !== 'boolean') problems.push(`The stage "${key}" must be true or false.`);
+        }
+        for (const key of OPTIONAL_STAGE_KEYS) {
+            if (key in settings.stages && typeof settings.stages[key] !== 'boolean') problems.push(`The stage "${key}" must be true or false.`);
+        }
+    }
+    if ('neuralDenoiseModel' in settings && !(settings.neuralDenoiseModel in RNNOISE_MODELS)) {
+        problems.push(`Unknown neural denoise model "${settings.neuralDenoiseModel}".`);
+    }
+
+    if (!isObject(settings.chain)) {
+        problems.push('The filter chain is missing.');
+    } else {
+        for (const [stageKey, values] of Object.entries(settings.chain)) {
+            const stage = MASTERING_CHAIN_SCHEMA[stageKey];
+            if (!stage) {
+                problems.push(`Unknown filter stage "${stageKey}".`);
+                continue;
+            }
+            if (!isObject(values)) {
+                problems.push(`The ${stage.label} settings must be an object.`);
+                continue;
+            }
+            for (const [paramKey, value] of Object.entries(values)) {
+                const param = stage.params[paramKey];
+                if (paramKey === 'bypass' && !stage.option) {
+                    if (typeof value !== 'boolean') problems.push(`The ${stage.label} bypass must be true or false.`);
+                } else if (!param) {
+                    problems.push(`Unknown ${stage.label} parameter "${paramKey}".`);
+                } else if (!inRange(value, param.range)) {
+                    problems.push(`The ${stage.label} ${param.label.toLowerCase()} must be a number from ${param.range[0]} to ${param.range[1]}.`);
+                }
+            }
+        }
+    }
+
+    const format = OUTPUT_FORMATS[settings.outputFormat];
+    if (!format) {
+        problems.push(`Unknown output format "${settings.outputFormat}".`);
+    } else if (!format.qualities.some(quality => quality.id === settings.outputQuality)) {
+        problems.push(`Unknown ${format.label} quality "${settings.outputQuality}".`);
+    }
+    return problems;
+}
+
+/**
+ * @param {Preset} preset
+ * @returns {string} The preset as a JSON document.
+ */
+export function exportPreset({name, settings}) {
+    return JSON.stringify({format: PRESET_FILE_FORMAT, version: PRESET_FILE_VERSION, name, settings}, null, 2) + '\n';
+}
+
+/**
+ * Parses and validates an exported preset.
+ *
+ * @param {string} text - The content of a preset file.
+ * @returns {Preset}
+ * @throws {Error} A 'PresetFormatError' if the file is not a preset, is of a newer version or
+ *  has invalid settings.
+ */
+export function parsePreset(text) {
+    const fail = (message) => {
+        const error = new Error(message);
+        error.name = 'PresetFormatError';
+        throw error;
+    };
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        fail('The file is not valid JSON.');
+    }
+    if (!isObject(data) || data.format !== PRESET_FILE_FORMAT) {
+        fail('The file is not a mastering preset.');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        fail('The preset has no valid version.');
+    }
+    if (data.version > PRESET_FILE_VERSION) {
+        fail(`The preset was saved by a newer version of the app (format version ${data.version}).`);
+    }
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        fail(`The preset needs a name of 1 to ${MAX_NAME_LENGTH} characters.`);
+    }
+    const problems = validatePresetSettings(data.settings);
+    if (problems.length > 0) {
+        fail(`The preset "${name}" is invalid:\n${problems.join('\n')}`);
+    }
+    return {name, settings: data.settings};
+}
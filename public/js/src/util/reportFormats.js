@@ -0,0 +1,201 @@
+/**
+ * @file Renders the mastering report as JSON, for archiving and tooling, and as a standalone
+ * HTML page for clients, which prints cleanly to paper or PDF from the browser. The output
+ * section shows the same tables as the HTML page.
+ *
+ * @version 1.4.0
+ */
+
+import {RNNOISE_MODELS} from '../../config.js';
+import {formatTimestamp} from './chapterFormats.js';
+
+/**
+ * @typedef {import('../jobs/main/report.js').MasteringReport} MasteringReport
+ * @typedef {'json'|'html'} ReportFormat
+ */
+
+/**
+ * @constant {Object<ReportFormat, {label: string, extension: string, mimeType: string}>}
+ */
+export const REPORT_FORMATS = {
+    json: {label: 'JSON', extension: 'json', mimeType: 'application/json'},
+    html: {label: 'HTML (printable)', extension: 'html', mimeType: 'text/html'},
+};
+
+/** The rows of the level comparison: the summary key, its label and its unit. */
+const LEVEL_ROWS = [
+    ['integrated', 'Integrated loudness', 'LUFS'],
+    ['truePeak', 'True peak', 'dBFS'],
+    ['lra', 'Loudness range', 'LU'],
+    ['rms', 'RMS level', 'dBFS'],
+    ['noiseFloor', 'Noise floor', 'dBFS'],
+];
+
+/** Styles of the standalone page. Printed, it uses the paper's margins and does not split table rows. */
+const PAGE_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #202124; margin: 2rem auto; max-width: 960px; padding: 0 1rem; }
+h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+h2 { font-size: 1.1rem; margin-top: 2rem; border-bottom: 1px solid #dadce0; padding-bottom: 0.25rem; }
+.report-meta { color: #5f6368; font-size: 0.9rem; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #e8eaed; vertical-align: top; }
+td.number { text-align: right; font-variant-numeric: tabular-nums; }
+code { font-family: monospace; font-size: 0.8rem; word-break: break-all; }
+.report-warning { color: #b3261e; }
+@media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+`;
+
+/**
+ * @param {string} text
+ * @returns {string} The text escaped for HTML content and attributes.
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'})[c]);
+}
+
+/**
+ * @param {number | null | undefined} value
+ * @param {string} [unit]
+ * @param {boolean} [signed=false] - Whether positive values get a plus sign, e.g. for gains.
+ * @returns {string} The value with one decimal, or a dash if it is unknown.
+ */
+function formatLevel(value, unit = '', signed = false) {
+    if (value === null || value === undefined || !Number.isFinite(value)) return '–';
+    const sign = signed && value >= 0 ? '+' : '';
+    return `${sign}${value.toFixed(1)}${unit ? ` ${unit}` : ''}`;
+}
+
+/**
+ * @param {string[]} headers
+ * @param {string[][]} rows - The cells of each row, already escaped.
+ * @param {number[]} [numberColumns] - The columns whose cells are right-aligned.
+ * @returns {string}
+ */
+function table(headers, rows, numberColumns = []) {
+    const cell = (content, column, tag) => `<${tag}${numberColumns.includes(column) && tag === 'td' ? ' class="number"' : ''}>${content}</${tag}>`;
+    return `<table><thead><tr>${headers.map((h, i) => cell(escapeHtml(h), i, 'th')).join('')}</tr></thead>`
+        + `<tbody>${rows.map(row => `<tr>${row.map((c, i) => cell(c, i, 'td')).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+/**
+ * @param {import('../jobs/main/verification.js').Verification} verification
+ * @returns {string} The outcome of the verification in a sentence or two.
+ */
+export function describeVerification(verification) {
+    const suffix = verification.corrected ? ' after correction' : '';
+    if (verification.status === 'unverified') return 'Not verified; the output could not be measured.';
+    const notes = verification.notes.map(note => ` ${note}`).join('');
+    if (verification.status === 'passed') {
+        const truePeak = verification.truePeak === null ? '–' : verification.truePeak.toFixed(1);
+        return `Meets the target${suffix}: ${verification.integrated.toFixed(1)} LUFS, true peak ${truePeak} dBFS, loudness range ${verification.lra.toFixed(1)} LU.${notes}`;
+    }
+    return `Out of spec${suffix}. ${verification.failures.join(' ')}${notes}`;
+}
+
+/**
+ * @param {import('../jobs/main/noiseProfile.js').NoiseProfile} noiseProfile
+ * @returns {string} Where the noise was learned from, and the noise floor of the sample before and after cleanup.
+ */
+export function describeNoiseProfile(noiseProfile) {
+    const source = noiseProfile.mode === 'auto' ? 'the quietest stretch' : 'the marked region';
+    const region = `${formatTimestamp(noiseProfile.start)} – ${formatTimestamp(noiseProfile.start + noiseProfile.duration)}`;
+    return `Learned from ${source} (${region}): noise floor ${formatLevel(noiseProfile.noiseFloorBefore, 'dBFS')} → ${formatLevel(noiseProfile.noiseFloorAfter, 'dBFS')}.`;
+}
+
+/**
+ * Renders the sections of the report as HTML: the level comparison, the applied processing,
+ * the chunks and the warnings. Used by the output section and the standalone page.
+ *
+ * @param {MasteringReport} report
+ * @returns {string}
+ */
+export function renderReportTables(report) {
+    const {levels, processing, target, options, output} = report;
+    const levelRows = LEVEL_ROWS.map(([key, label, unit]) => [
+        escapeHtml(label),
+        formatLevel(levels.input && levels.input[key], unit),
+        formatLevel(levels.measured[key], unit),
+        formatLevel(levels.output && levels.output[key], unit),
+    ]);
+    const enabled = ['neuralDenoise', 'gate', 'clarity', 'tonal', 'softClip'].filter(key => options[key]);
+    const neuralModel = options.neuralDenoise && RNNOISE_MODELS[options.neuralDenoiseModel];
+    const processingRows = [
+        ['Loudness target', `${formatLevel(target.I, 'LUFS')} · ${formatLevel(target.TP, 'dBTP')} · ${formatLevel(target.LRA, 'LU')}`],
+        ['Gain', formatLevel(processing.gainDb, 'dB', true)],
+        ['Limiter ceiling', formatLevel(processing.limiterCeilingDb, 'dBFS')],
+        ['Mastering stages', escapeHtml(enabled.length > 0 ? enabled.join(', ') : 'none')],
+        ['Noise profile', escapeHtml(processing.noiseProfile ? describeNoiseProfile(processing.noiseProfile) : 'Fixed noise floor')],
+        ['Neural denoise', escapeHtml(neuralModel ? `${neuralModel.label} model, mix ${options.chain.neuralDenoise.mix}` : 'off')],
+        ['Pauses', escapeHtml(processing.cuts > 0
+            ? `${processing.cuts} shortened, ${processing.removedSilence.toFixed(1)} s removed`
+            : options.silence && options.silence.mode !== 'off' ? 'none shortened' : 'not detected')],
+        ['Output', escapeHtml(`${output.format}, ${output.quality}`)],
+        ['Encoder', `<code>${escapeHtml(output.encoderArgs)}</code>`],
+        ['Correction chain', processing.correctionFilter ? `<code>${escapeHtml(processing.correctionFilter)}</code>` : '–'],
+        ['Verification', report.verification ? escapeHtml(describeVerification(report.verification)) : '–'],
+    ].map(([label, value]) => [escapeHtml(label), value]);
+    const chunkRows = report.chunks.map(chunk => [
+        String(chunk.index),
+        escapeHtml(`${formatTimestamp(chunk.start)} – ${formatTimestamp(chunk.start + chunk.duration)}`),
+        formatLevel(chunk.input && chunk.input.integrated, 'LUFS'),
+        formatLevel(chunk.input && chunk.input.truePeak, 'dBFS'),
+        formatLevel(chunk.input && chunk.input.lra, 'LU'),
+        formatLevel(chunk.rmsLevel, 'dBFS'),
+        chunk.status === 'mastered'
+            ? `<code>${escapeHtml(chunk.masteringFilter)}</code>`
+            : 'Not mastered; loudness-normalized only',
+    ]);
+
+    const sections = [
+        '<h2>Levels</h2>',
+        table(['', 'Input', 'Input after cleanup', 'Output'], levelRows, [1, 2, 3]),
+        '<h2>Processing</h2>',
+        table(['', ''], processingRows),
+        '<h2>Chunks</h2>',
+        table(['#', 'Region', 'Loudness', 'True peak', 'LRA', 'RMS (normalized)', 'Mastering chain'], chunkRows, [2, 3, 4, 5]),
+    ];
+    if (report.warnings.length > 0) {
+        sections.push('<h2>Warnings</h2>', `<ul>${report.warnings.map(w => `<li class="report-warning">${escapeHtml(w)}</li>`).join('')}</ul>`);
+    }
+    return sections.join('\n');
+}
+
+/**
+ * @param {MasteringReport} report
+ * @param {ReportFormat} format
+ * @returns {string} The report as a JSON document or a standalone HTML page.
+ */
+export function exportReport(report, format) {
+    if (format === 'json') {
+        return JSON.stringify(report, null, 2) + '\n';
+    }
+    if (format === 'html') {
+        const {file} = report;
+        const title = `Mastering Report: ${file.name}`;
+        const meta = [
+            `Generated ${new Date(report.generatedAt).toLocaleString()}`,
+            `${(file.size / 1024 / 1024).toFixed(2)} MB`,
+            `Input ${formatTimestamp(file.duration)}`,
+            `Output ${formatTimestamp(file.outputDuration)}`,
+            `Mastered in ${(report.executionTime / 1000).toFixed(1)} s (${report.speed.toFixed(1)}x real time)`,
+        ];
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="UTF-8">',
+            `<title>${escapeHtml(title)}</title>`,
+            `<style>${PAGE_STYLE}</style>`,
+            '</head>',
+            '<body>',
+            `<h1>${escapeHtml(title)}</h1>`,
+            `<p class="report-meta">${escapeHtml(meta.join(' · '))}</p>`,
+            renderReportTables(report),
+            '</body>',
+            '</html>',
+        ].join('\n') + '\n';
+    }
+    const error = new Error(`Unknown report format "${format}".`);
+    error.name = 'ReportFormatError';
+    throw error;
+}
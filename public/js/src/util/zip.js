@@ -0,0 +1,156 @@
+/**
+ * @file A minimal ZIP archive writer for bundling mastered files into one download.
+ * Entries are stored without compression: the audio is already compressed (or is PCM
+ * that deflate barely shrinks), and storing keeps the writer small and fast. The archive
+ * is assembled from the entries' Blobs, so their contents are only read for the checksum
+ * and never copied. Without ZIP64 records, sizes and offsets must fit in 32 bits.
+ *
+ * @version 2.0.0
+ */
+
+/**
+ * @typedef {object} ZipEntry
+ * @property {string} name - The file name inside the archive.
+ * @property {Blob} data - The file contents.
+ * @property {Date} [date] - The modification date (defaults to now).
+ */
+
+/** @constant {number} The largest size or offset the 32-bit fields of a ZIP archive can hold. */
+const MAX_ZIP_SIZE = 0xFFFFFFFF;
+/** @constant {number} The largest number of entries the 16-bit fields of a ZIP archive can hold. */
+const MAX_ZIP_ENTRIES = 0xFFFF;
+/** @constant {number} The number of bytes read from a Blob at a time for its checksum. */
+const CRC_CHUNK_SIZE = 4 * 1024 * 1024;
+
+/** @type {Uint32Array | null} Lazily built CRC-32 lookup table. */
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum of a Blob, as required by the ZIP format. The Blob is read
+ * in chunks, so a large file is never held in memory at once.
+ * @param {Blob} blob - The data to checksum.
+ * @returns {Promise<number>} The unsigned CRC-32.
+ */
+async function crc32(blob) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let start = 0; start < blob.size; start += CRC_CHUNK_SIZE) {
+        const data = new Uint8Array(await blob.slice(start, start + CRC_CHUNK_SIZE).arrayBuffer());
+        for (let i = 0; i < data.length; i++) {
+            crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields used by ZIP headers.
+ * @param {Date} date - The date to convert.
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * @param {string} message
+ * @returns {Error} A 'ZipSizeError'.
+ */
+function zipSizeError(message) {
+    const error = new Error(`${message} A ZIP archive without ZIP64 records is limited to 4 GiB and ${MAX_ZIP_ENTRIES} files; download fewer files at once.`);
+    error.name = 'ZipSizeError';
+    return error;
+}
+
+/**
+ * Creates a ZIP archive from a list of files.
+ *
+ * @param {ZipEntry[]} entries - The files to add to the archive.
+ * @returns {Promise<Blob>} The archive, with the 'application/zip' MIME type.
+ * @throws {Error} A 'ZipSizeError' if the files exceed the limits of the ZIP format.
+ */
+export async function createZip(entries) {
+    if (entries.length > MAX_ZIP_ENTRIES) {
+        throw zipSizeError(`The archive would hold ${entries.length} files.`);
+    }
+    const encoder = new TextEncoder();
+    const names = entries.map(entry => encoder.encode(entry.name));
+    // Checked before any checksum is computed, so an oversized download fails at once.
+    let offset = 0;
+    entries.forEach((entry, i) => {
+        if (entry.data.size > MAX_ZIP_SIZE || offset > MAX_ZIP_SIZE) {
+            throw zipSizeError(`"${entry.name}" does not fit into the archive.`);
+        }
+        offset += 30 + names[i].length + entry.data.size;
+    });
+    const centralSize = names.reduce((size, name) => size + 46 + name.length, 0);
+    if (offset > MAX_ZIP_SIZE || centralSize > MAX_ZIP_SIZE) {
+        throw zipSizeError('The archive would exceed 4 GiB.');
+    }
+
+    const parts = [];
+    const centralDirectory = [];
+    offset = 0;
+
+    for (const [i, entry] of entries.entries()) {
+        const name = names[i];
+        const crc = await crc32(entry.data);
+        const {time, date} = toDosDateTime(entry.date || new Date());
+
+        // Local file header (30 bytes + name). Bit 11 marks the name as UTF-8.
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true);
+        header.setUint16(8, 0, true);
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, entry.data.size, true);
+        header.setUint32(22, entry.data.size, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+        parts.push(header, name, entry.data);
+
+        // Central directory record (46 bytes + name).
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, 0x02014B50, true);
+        record.setUint16(4, 20, true);
+        record.setUint16(6, 20, true);
+        record.setUint16(8, 0x0800, true);
+        record.setUint16(10, 0, true);
+        record.setUint16(12, time, true);
+        record.setUint16(14, date, true);
+        record.setUint32(16, crc, true);
+        record.setUint32(20, entry.data.size, true);
+        record.setUint32(24, entry.data.size, true);
+        record.setUint16(28, name.length, true);
+        record.setUint32(42, offset, true);
+        centralDirectory.push(record, name);
+
+        offset += 30 + name.length + entry.data.size;
+    }
+
+
+    // End of central directory record (22 bytes).
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], {type: 'application/zip'});
+}
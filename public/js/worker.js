@@ -4,16 +4,43 @@ import { toBlobURL, importScript } from './vendor/@ffmpeg/util/dist/esm/index.js
 import { ABS_WORKER_URL, ABS_CORE_URL, ABS_WASM_URL, ABS_FFMPEG_URL } from './config.js';
 
 import { analyzeLoudness } from './src/jobs/worker/pass1_analyzeLoudness.js';
-import { normalizeLoudness } from './src/jobs/worker/pass2_normalizeLoudness.js';
+import { normalizeLoudness, buildCorrectionFilter } from './src/jobs/worker/pass2_normalizeLoudness.js';
 import { analyzeNormalized } from './src/jobs/worker/pass3_analyzeNormalized.js';
-import { masterEncode } from './src/jobs/worker/pass4_masterEncode.js';
+import { masterEncode, buildMasteringFilter } from './src/jobs/worker/pass4_masterEncode.js';
+import { detectSilence } from './src/jobs/worker/pass5_detectSilence.js';
+import { parseProgressTime } from './src/ffmpeg/parse/progress.js';
+import { createLogRecord } from './src/ffmpeg/logStore.js';
+import { loadRnnoiseModel } from './src/ffmpeg/rnnoiseModels.js';
 
 /**
  * @typedef {import('./src/jobs/main/step3-process-chunks.js').MasteringOptions} MasteringOptions
+ * @typedef {import('./src/ffmpeg/logStore.js').LogRecord} LogRecord
+ * @typedef {import('./src/ffmpeg/masteringChain.js').NoiseSample} NoiseSample
  */
 
+/** How often (in milliseconds) buffered log records are sent to the main thread. */
+const LOG_FLUSH_INTERVAL_MS = 250;
+
 let ffmpeg = null;
 let isInitialized = false;
+/** @type {((seconds: number) => void) | null} Receives the output position of the running pass. */
+let onPassTime = null;
+/** The chunk and pass the current log lines belong to. The pool adds the worker ID. */
+let logTags = { chunkIndex: null, pass: null };
+/** @type {LogRecord[]} Log records waiting to be sent to the main thread. */
+let pendingLogRecords = [];
+let logFlushTimer = null;
+
+/**
+ * Sends the buffered log records to the main thread, which adds them to the central LogStore.
+ */
+function flushLogRecords() {
+    clearTimeout(logFlushTimer);
+    logFlushTimer = null;
+    if (pendingLogRecords.length === 0) return;
+    self.postMessage({ status: 'log', records: pendingLogRecords });
+    pendingLogRecords = [];
+}
 
 const logStore = {
     logs: '',
@@ -43,9 +70,13 @@ self.onmessage = async (e) => {
             const { FFmpeg } = await import(ABS_FFMPEG_URL);
             ffmpeg = new FFmpeg();
             ffmpeg.on('log', ({ message }) => {
-                // You can post logs back to the main thread if needed,
-                // but for now, we'll keep them in the worker's console.
-                console.log(`[FFmpeg Worker Log]: ${message}`);
+                // The passes parse their results out of the captured log, so every line must be stored.
+                logStore.append(message);
+                // Lines are batched, so a chatty command does not flood the main thread with messages.
+                pendingLogRecords.push(createLogRecord(message, logTags));
+                if (!logFlushTimer) logFlushTimer = setTimeout(flushLogRecords, LOG_FLUSH_INTERVAL_MS);
+                const time = parseProgressTime(message);
+                if (time !== null && onPassTime) onPassTime(time);
             });
 
             console.log("[Worker] Loading FFmpeg core...");
@@ -70,57 +101,139 @@ self.onmessage = async (e) => {
         return;
     }
 
-    if (command === 'process') {
+    if (command === 'analyze' || command === 'process') {
         if (!isInitialized) {
             self.postMessage({ status: 'error', context: 'processing', error: { message: 'Worker is not initialized.' } });
             return;
         }
 
-        const { chunkIndex, chunkData, channelLayout, masteringOptions } = processData;
+        const { chunkIndex, chunkData, chunkDuration } = e.data;
         const workingDirectory = '/work';
         const chunkName = `chunk_${String(chunkIndex).padStart(4, '0')}.wav`;
         const chunkFilepath = `${workingDirectory}/${chunkName}`;
-
+        // The noise sample of a learned noise profile comes with every job, as it is needed by Pass 1 and 2.
+        /** @type {NoiseSample | null} */
+        const noiseSample = e.data.noiseSample
+            ? { path: `${workingDirectory}/noise_sample.wav`, samples: e.data.noiseSample.samples, duration: e.data.noiseSample.duration }
+            : null;
+
+        // Every pass reads the whole chunk, so its position over the chunk duration is its progress.
+        const detectsSilence = isSilenceDetectionEnabled(e.data.masteringOptions);
+        const passCount = command === 'analyze' ? 1 : (detectsSilence ? 4 : 3);
+        let pass = 0;
+        let passMessage = '';
+        const reportProgress = (passProgress) => {
+            self.postMessage({ status: 'progress', chunkIndex, message: passMessage, pass, passCount, passProgress });
+        };
         const onProgress = (message) => {
-            self.postMessage({ status: 'progress', chunkIndex, message });
+            pass++;
+            passMessage = message;
+            // Passes are numbered 1-4 (or 1-5) across both commands, as in the progress messages.
+            logTags = { chunkIndex, pass: command === 'analyze' ? pass : pass + 1 };
+            reportProgress(0);
+        };
+        logTags = { chunkIndex, pass: null };
+        onPassTime = (time) => {
+            if (chunkDuration > 0) reportProgress(Math.min(1, time / chunkDuration));
         };
 
         try {
-            await ffmpeg.createDir(workingDirectory);
+            try {
+                await ffmpeg.createDir(workingDirectory);
+            } catch (err) { /* The directory already exists from a previous job. */ }
             await ffmpeg.writeFile(chunkFilepath, new Uint8Array(chunkData));
+            if (noiseSample) await ffmpeg.writeFile(noiseSample.path, e.data.noiseSample.data);
+            // The model of the neural denoise stays in the filesystem for the following jobs.
+            if (e.data.masteringOptions.neuralDenoise) await loadRnnoiseModel(ffmpeg, e.data.masteringOptions.neuralDenoiseModel);
 
-            onProgress('Pass 1/4: Analyzing Loudness...');
-            const loudnessData = await analyzeLoudness(ffmpeg, chunkFilepath, channelLayout, logStore);
-
-            onProgress('Pass 2/4: Applying Loudness Correction...');
-            const normalizedFile = await normalizeLoudness(ffmpeg, chunkFilepath, channelLayout, loudnessData, logStore);
+            const handler = command === 'analyze' ? analyzeChunk : processChunk;
+            const { result, transfer } = await handler(chunkFilepath, { ...e.data, noiseSample }, onProgress);
 
-            onProgress('Pass 3/4: Analyzing for Mastering...');
-            const rmsLevel = await analyzeNormalized(ffmpeg, normalizedFile, logStore);
-
-            onProgress('Pass 4/4: Applying Final Mastering...');
-            const processedFilename = await masterEncode(ffmpeg, normalizedFile, rmsLevel, masteringOptions, logStore);
-
-            const processedData = await ffmpeg.readFile(processedFilename);
-
-            await ffmpeg.deleteFile(chunkFilepath);
-            await ffmpeg.deleteFile(processedFilename);
-
-            self.postMessage({
-                status: 'success',
-                chunkIndex,
-                processedData: processedData.buffer, // Transfer the buffer
-            }, [processedData.buffer]);
+            flushLogRecords();
+            self.postMessage({ status: 'success', chunkIndex, ...result }, transfer);
 
         } catch (error) {
             console.error(`Worker for chunk ${chunkIndex} failed:`, error);
-            const errorMessage = `${error.message}\n\nFull Worker Log:\n${logStore.get()}`;
+            // The pool reports the log if the chunk still fails after its retries.
+            flushLogRecords();
             self.postMessage({
                 status: 'error',
                 chunkIndex,
                 context: 'processing',
-                error: { message: errorMessage, stack: error.stack }
+                error: { message: error.message, stack: error.stack, log: logStore.get() }
             });
+        } finally {
+            onPassTime = null;
+            logTags = { chunkIndex: null, pass: null };
+            try {
+                await ffmpeg.deleteFile(chunkFilepath);
+            } catch (err) { /* ignore */ }
+            if (noiseSample) {
+                try { await ffmpeg.deleteFile(noiseSample.path); } catch (err) { /* ignore */ }
+            }
         }
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @param {MasteringOptions} options
+ * @returns {boolean} Whether the pauses are detected after mastering, which adds Pass 5.
+ */
+function isSilenceDetectionEnabled(options) {
+    return Boolean(options && options.silence && options.silence.mode !== 'off');
+}
+
+/**
+ * Runs the analysis pass on a chunk. The statistics are combined with those of the other
+ * chunks on the main thread to produce a whole-file loudness plan.
+ * @param {string} chunkFilepath - The path of the chunk in the worker's virtual filesystem.
+ * @param {object} data - The 'analyze' message payload, with the noise sample as written to the filesystem.
+ * @param {(message: string) => void} onProgress - Reports progress to the main thread.
+ * @returns {Promise<{result: object, transfer: Transferable[]}>}
+ */
+async function analyzeChunk(chunkFilepath, { channelLayout, sampleRate, masteringOptions, noiseSample }, onProgress) {
+    const passTotal = isSilenceDetectionEnabled(masteringOptions) ? 5 : 4;
+    onProgress(`Pass 1/${passTotal}: Analyzing Loudness...`);
+    const loudnessStats = await analyzeLoudness(ffmpeg, chunkFilepath, channelLayout, sampleRate, masteringOptions, noiseSample, logStore);
+    return { result: { loudnessStats }, transfer: [] };
+}
+
+/**
+ * Runs the normalization, mastering analysis and mastering passes on a chunk, and the
+ * silence detection pass if the pauses are to be reported or shortened. The RMS level and
+ * the filter chains are returned with the audio for the mastering report.
+ * @param {string} chunkFilepath - The path of the chunk in the worker's virtual filesystem.
+ * @param {object} data - The 'process' message payload, including the whole-file loudness plan, with the
+ *  noise sample as written to the filesystem.
+ * @param {(message: string) => void} onProgress - Reports progress to the main thread.
+ * @returns {Promise<{result: object, transfer: Transferable[]}>}
+ */
+async function processChunk(chunkFilepath, { channelLayout, sampleRate, chunkDuration, masteringOptions, loudnessPlan, noiseSample }, onProgress) {
+    const detectsSilence = isSilenceDetectionEnabled(masteringOptions);
+    const passTotal = detectsSilence ? 5 : 4;
+    onProgress(`Pass 2/${passTotal}: Applying Loudness Correction...`);
+    const normalizedFile = await normalizeLoudness(ffmpeg, chunkFilepath, channelLayout, sampleRate, loudnessPlan, masteringOptions, noiseSample, logStore);
+
+    onProgress(`Pass 3/${passTotal}: Analyzing for Mastering...`);
+    const rmsLevel = await analyzeNormalized(ffmpeg, normalizedFile, logStore);
+
+    onProgress(`Pass 4/${passTotal}: Applying Final Mastering...`);
+    const processedFilename = await masterEncode(ffmpeg, normalizedFile, rmsLevel, masteringOptions, logStore);
+
+    let silenceRegions = null;
+    if (detectsSilence) {
+        onProgress(`Pass 5/${passTotal}: Detecting Silence...`);
+        silenceRegions = await detectSilence(ffmpeg, processedFilename, chunkDuration, logStore);
+    }
+
+    const processedData = await ffmpeg.readFile(processedFilename);
+    await ffmpeg.deleteFile(processedFilename);
+
+    const filters = {
+        correction: buildCorrectionFilter(channelLayout, sampleRate, loudnessPlan, masteringOptions, noiseSample),
+        mastering: buildMasteringFilter(rmsLevel, masteringOptions)
+    };
+
+    // Transfer the buffer instead of copying it.
+    return { result: { processedData: processedData.buffer, silenceRegions, rmsLevel, filters }, transfer: [processedData.buffer] };
+}
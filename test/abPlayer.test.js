@@ -0,0 +1,78 @@
+// Checks of the A/B player: the louder version is turned down by the difference in measured
+// loudness, and positions move through the silence cuts when switching versions. The audio and
+// DOM elements are replaced by stand-ins.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+class FakeAudio {
+    constructor() {
+        this.paused = true;
+        this.currentTime = 0;
+        this.volume = 1;
+    }
+    addEventListener() {}
+    play() { this.paused = false; }
+    pause() { this.paused = true; }
+}
+globalThis.Audio = FakeAudio;
+globalThis.requestAnimationFrame ??= () => 1;
+globalThis.cancelAnimationFrame ??= () => {};
+
+const {ABPlayer} = await import('../public/js/src/ui/abPlayer.js');
+
+const fakeElement = () => ({
+    textContent: '', value: '', max: '', disabled: false, checked: true,
+    addEventListener() {},
+    classList: {toggle() {}},
+});
+
+const createPlayer = () => {
+    const names = ['playButton', 'originalButton', 'masteredButton', 'matchToggle', 'matchHint', 'seek',
+        'time', 'loopStartButton', 'loopEndButton', 'loopClearButton', 'loopInfo'];
+    return new ABPlayer(Object.fromEntries(names.map(name => [name, fakeElement()])));
+};
+
+const sources = {originalUrl: 'a.wav', masteredUrl: 'b.mp3', duration: 60};
+
+test('the louder version is turned down to the measured loudness of the other', () => {
+    const player = createPlayer();
+    player.load({...sources, originalLoudness: -26, masteredLoudness: -14});
+    assert.equal(player.original.volume, 1);
+    assert.ok(Math.abs(player.mastered.volume - Math.pow(10, -12 / 20)) < 1e-12);
+    assert.equal(player.elements.matchHint.textContent, 'The mastered file is 12.0 LU louder and is turned down to match.');
+
+    player.elements.matchToggle.checked = false;
+    player.applyVolumes();
+    assert.equal(player.mastered.volume, 1);
+});
+
+test('a corrected file updates the loudness it is matched with', () => {
+    const player = createPlayer();
+    player.load({...sources, originalLoudness: -13, masteredLoudness: -14});
+    assert.ok(Math.abs(player.original.volume - Math.pow(10, -1 / 20)) < 1e-12);
+    player.setMasteredLoudness(-13);
+    assert.equal(player.original.volume, 1);
+    assert.equal(player.mastered.volume, 1);
+});
+
+test('matching is disabled when a loudness is unknown', () => {
+    const player = createPlayer();
+    player.load({...sources, originalLoudness: null, masteredLoudness: -14});
+    assert.equal(player.loudnessDifference, null);
+    assert.equal(player.elements.matchToggle.disabled, true);
+    assert.equal(player.mastered.volume, 1);
+});
+
+test('switching versions keeps the position across the silence cuts', () => {
+    const player = createPlayer();
+    const cuts = [{start: 10, end: 14, outputTime: 10, startFrame: 1000, endFrame: 1400}];
+    player.load({...sources, originalLoudness: -20, masteredLoudness: -14, cuts});
+    player.seek(20);
+    player.select('original');
+    assert.equal(player.original.currentTime, 24);
+    assert.equal(player.position(), 20);
+    player.original.currentTime = 12;
+    player.select('mastered');
+    assert.equal(player.mastered.currentTime, 10);
+});
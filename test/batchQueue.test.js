@@ -0,0 +1,61 @@
+// Checks of the batch queue: the order of the waiting files, cancelling, and which items
+// clearing the finished ones keeps.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {BatchQueue} from '../public/js/src/jobs/batchQueue.js';
+
+const names = (items) => items.map(item => item.file.name);
+
+test('files are processed in the order they were added', () => {
+    const queue = new BatchQueue();
+    const [a, b] = queue.add([{name: 'a.wav'}, {name: 'b.wav'}]);
+    assert.notEqual(a.id, b.id);
+    assert.equal(queue.next(), a);
+    queue.update(a.id, {status: 'processing'});
+    assert.equal(queue.next(), b);
+});
+
+test('a queued file moves among the queued files only', () => {
+    const queue = new BatchQueue();
+    const [a, b, c] = queue.add([{name: 'a.wav'}, {name: 'b.wav'}, {name: 'c.wav'}]);
+    queue.update(a.id, {status: 'processing'});
+    queue.move(b.id, -1);
+    assert.deepEqual(names(queue.items), ['a.wav', 'b.wav', 'c.wav']);
+    queue.move(c.id, -1);
+    assert.deepEqual(names(queue.items), ['a.wav', 'c.wav', 'b.wav']);
+    queue.move(b.id, 1);
+    assert.deepEqual(names(queue.items), ['a.wav', 'c.wav', 'b.wav']);
+});
+
+test('only a queued file can be cancelled, and it is skipped', () => {
+    const queue = new BatchQueue();
+    const [a, b] = queue.add([{name: 'a.wav'}, {name: 'b.wav'}]);
+    queue.update(a.id, {status: 'processing'});
+    assert.equal(queue.cancel(a.id), false);
+    assert.equal(queue.cancel(b.id), true);
+    assert.equal(queue.next(), null);
+});
+
+test('clearing keeps the waiting, running and busy files', () => {
+    const queue = new BatchQueue();
+    const [done, busy, failed, running, waiting] = queue.add(['done', 'busy', 'failed', 'running', 'waiting'].map(name => ({name})));
+    queue.update(done.id, {status: 'done', result: {audioBlob: new Blob([])}});
+    queue.update(busy.id, {status: 'done', result: {audioBlob: new Blob([])}, busy: true});
+    queue.update(failed.id, {status: 'failed', result: {error: new Error('failed')}});
+    queue.update(running.id, {status: 'processing'});
+    assert.deepEqual(names(queue.completed()), ['done', 'busy']);
+    queue.clearFinished();
+    assert.deepEqual(names(queue.items), ['busy', 'running', 'waiting']);
+    assert.equal(queue.next(), waiting);
+});
+
+test('every change is reported with the current items', () => {
+    const changes = [];
+    const queue = new BatchQueue(items => changes.push(items.length));
+    const [a] = queue.add([{name: 'a.wav'}]);
+    queue.update(a.id, {status: 'done'});
+    queue.clearFinished();
+    assert.deepEqual(changes, [1, 1, 0]);
+});
@@ -0,0 +1,68 @@
+// Checks of the chapter files: timestamps, the ends derived from the next start, and the JSON
+// and CUE round trips. Reading Podlove Simple Chapters needs the browser's DOMParser, so only
+// writing them is checked here.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    parseTimestamp, formatTimestamp, normalizeChapters, detectChapterFormat, importChapters, exportChapters
+} from '../public/js/src/util/chapterFormats.js';
+
+const CHAPTERS = [
+    {start: 0, end: 61.52, title: 'Intro'},
+    {start: 61.52, end: 3725.4, title: 'The "main" part'},
+    {start: 3725.4, end: 3800, title: 'Outro'},
+];
+
+test('timestamps are read in every form the chapter files use', () => {
+    assert.equal(parseTimestamp('01:02:03.5'), 3723.5);
+    assert.equal(parseTimestamp('02:03'), 123);
+    assert.equal(parseTimestamp('42.25'), 42.25);
+    assert.equal(parseTimestamp(7), 7);
+    assert.equal(parseTimestamp(-1), null);
+    assert.equal(parseTimestamp('1h2m'), null);
+    assert.equal(formatTimestamp(3723.45), '01:02:03.450');
+});
+
+test('chapters are sorted and end where the next one starts', () => {
+    assert.deepEqual(normalizeChapters([{start: 30, title: 'B'}, {start: 0, title: ''}, {start: 90, title: 'Late'}], 60), [
+        {start: 0, end: 30, title: 'Chapter 1'},
+        {start: 30, end: 60, title: 'B'},
+    ]);
+});
+
+test('the format is detected from the name or the content', () => {
+    assert.equal(detectChapterFormat('chapters.txt', '  {"chapters": []}'), 'json');
+    assert.equal(detectChapterFormat('chapters.psc.xml', ''), 'psc');
+    assert.equal(detectChapterFormat('chapters.txt', 'FILE "a.wav" WAVE\n  TRACK 01 AUDIO'), 'cue');
+    assert.throws(() => detectChapterFormat('notes.txt', 'hello'), {name: 'ChapterFormatError'});
+});
+
+test('JSON chapters survive the round trip', () => {
+    const text = exportChapters(CHAPTERS, 'json', {title: 'Episode 12'});
+    assert.equal(JSON.parse(text).title, 'Episode 12');
+    assert.deepEqual(importChapters('chapters.json', text, 3800), CHAPTERS);
+});
+
+test('CUE chapters survive the round trip to the nearest frame', () => {
+    const text = exportChapters(CHAPTERS, 'cue', {audioFilename: 'episode.mp3'});
+    assert.match(text, /^FILE "episode\.mp3" MP3$/m);
+    assert.match(text, /TITLE "The 'main' part"/);
+    assert.match(text, /INDEX 01 62:05:30/);
+    const imported = importChapters('chapters.cue', text, 3800);
+    assert.deepEqual(imported.map(chapter => chapter.title), ['Intro', "The 'main' part", 'Outro']);
+    imported.forEach((chapter, i) => assert.ok(Math.abs(chapter.start - CHAPTERS[i].start) <= 1 / 75));
+});
+
+test('Podlove Simple Chapters escape their titles', () => {
+    const text = exportChapters([{start: 61.5, end: 70, title: 'Q&A <live>'}], 'psc');
+    assert.match(text, /<psc:chapter start="00:01:01.500" title="Q&amp;A &lt;live&gt;"\/>/);
+});
+
+test('unreadable files are reported as chapter errors', () => {
+    assert.throws(() => importChapters('chapters.json', '{"chapters": [', 60), {name: 'ChapterFormatError', message: /could not be read/});
+    assert.throws(() => importChapters('chapters.json', '{"chapters": [{"title": "A"}]}', 60), /Chapter 1 has no valid start time/);
+    assert.throws(() => importChapters('chapters.cue', 'TRACK 01 AUDIO\n  TITLE "A"', 60), /Track 1 of the CUE sheet has no INDEX 01/);
+    assert.throws(() => exportChapters(CHAPTERS, 'txt'), {name: 'ChapterFormatError'});
+});
@@ -0,0 +1,69 @@
+// Checks of the overlapping chunk layout and of the graph that assembles the mastered chunks:
+// the own regions of the chunks tile the file, and the trimmed and crossfaded chunks add up to
+// the samples of the input. FFmpeg is replaced by a stand-in that records the commands.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {chunk} from '../public/js/src/jobs/main/step2-chunk.js';
+import {concatenate} from '../public/js/src/jobs/main/step4-concatenate.js';
+import {CHUNK_DURATION, CHUNK_OVERLAP, CHUNK_CROSSFADE} from '../public/js/config.js';
+
+/** An FFmpeg stand-in whose commands succeed and write the file named last. */
+const recordingFFmpeg = () => {
+    const files = [];
+    return {
+        commands: [],
+        async exec(args) {
+            this.commands.push(args);
+            files.push(args[args.length - 1].split('/').pop());
+            return 0;
+        },
+        async listDir() {
+            return files.map(name => ({name}));
+        },
+    };
+};
+
+const sampleRate = 48000;
+
+test('the own regions of the chunks tile the file, with the overlap before and after', async () => {
+    const duration = 2 * CHUNK_DURATION + 100;
+    const chunks = await chunk(recordingFFmpeg(), '/work/in.wav', duration, sampleRate, '/work', null);
+    assert.equal(chunks.length, 3);
+    let next = 0;
+    for (const c of chunks) {
+        assert.equal(c.startSample, next);
+        assert.equal(c.preRollSamples, c.index === 0 ? 0 : CHUNK_OVERLAP * sampleRate);
+        next = c.ownSamples === null ? duration * sampleRate : c.startSample + c.ownSamples;
+    }
+    assert.equal(next, duration * sampleRate);
+    assert.equal(chunks[2].ownSamples, null);
+});
+
+test('a remainder shorter than the overlap is merged into the last chunk', async () => {
+    const duration = CHUNK_DURATION + CHUNK_OVERLAP / 2;
+    const chunks = await chunk(recordingFFmpeg(), '/work/in.wav', duration, sampleRate, '/work', null);
+    assert.equal(chunks.length, 1);
+    assert.equal(chunks[0].duration, duration);
+});
+
+test('the assembled chunks have exactly the samples of the input', async () => {
+    const duration = 3 * CHUNK_DURATION + 42.5;
+    const chunks = await chunk(recordingFFmpeg(), '/work/in.wav', duration, sampleRate, '/work', null);
+    const ffmpeg = recordingFFmpeg();
+    const processed = chunks.map(c => c.path.replace('chunk_', 'processed_'));
+    await concatenate(ffmpeg, chunks, processed, null, {outputFormat: 'wav'}, '/work', null);
+
+    const args = ffmpeg.commands[0];
+    const graph = args[args.indexOf('-filter_complex') + 1];
+    const trims = [...graph.matchAll(/atrim=start_sample=(\d+)(?::end_sample=(\d+))?/g)];
+    assert.equal(trims.length, chunks.length);
+    const trimmed = trims.reduce((sum, [, start, end], i) => {
+        const length = end === undefined ? Math.round(chunks[i].duration * sampleRate) : Number(end);
+        return sum + length - Number(start);
+    }, 0);
+    const crossfades = (chunks.length - 1) * CHUNK_CROSSFADE * sampleRate;
+    assert.equal(trimmed - crossfades, duration * sampleRate);
+    assert.equal((graph.match(/acrossfade=/g) || []).length, chunks.length - 1);
+});
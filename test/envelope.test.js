@@ -0,0 +1,52 @@
+// Checks of the envelope parser: one value per window in every series, silence and missing
+// values stored at the floor, and the whole-file loudness taken from the last frame.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {readFileSync} from 'node:fs';
+
+import {parseEnvelopeMetadata, ENVELOPE_FLOOR_DB} from '../public/js/src/ffmpeg/parse/envelope.js';
+
+test('every series has one value per window', () => {
+    const envelope = parseEnvelopeMetadata(readFileSync(new URL('./fixtures/sine-24dBFS.ametadata.txt', import.meta.url), 'utf8'));
+    assert.equal(envelope.interval, 0.1);
+    for (const series of [envelope.peak, envelope.rms, envelope.momentary, envelope.shortTerm]) {
+        assert.equal(series.length, 40);
+    }
+});
+
+test('silence and missing values are stored at the floor', () => {
+    const envelope = parseEnvelopeMetadata([
+        'frame:0    pts:0       pts_time:0',
+        'lavfi.r128.M=-inf',
+        'lavfi.astats.Overall.Peak_level=-inf',
+        'lavfi.astats.Overall.RMS_level=-120.3',
+        'frame:1    pts:9600    pts_time:0.2',
+        'lavfi.r128.M=-20.04',
+        'lavfi.r128.S=-21.96',
+        'lavfi.r128.I=-20.5',
+        'lavfi.r128.LRA=3.2',
+        'lavfi.r128.true_peaks_ch0=0.5',
+        'lavfi.r128.true_peaks_ch1=0.25',
+        'lavfi.astats.Overall.Peak_level=-6.02',
+        'lavfi.astats.Overall.RMS_level=-9.04',
+    ].join('\n'));
+    assert.deepEqual(envelope.momentary, [ENVELOPE_FLOOR_DB, -20]);
+    assert.deepEqual(envelope.shortTerm, [ENVELOPE_FLOOR_DB, -22]);
+    assert.deepEqual(envelope.peak, [ENVELOPE_FLOOR_DB, -6]);
+    assert.deepEqual(envelope.rms, [ENVELOPE_FLOOR_DB, -9]);
+    assert.equal(envelope.interval, 0.2);
+    assert.equal(envelope.integrated, -20.5);
+    assert.equal(envelope.lra, 3.2);
+    assert.ok(Math.abs(envelope.truePeak - 20 * Math.log10(0.5)) < 1e-9, 'the loudest channel counts');
+});
+
+test('a silent file has no integrated loudness or true peak', () => {
+    const envelope = parseEnvelopeMetadata('frame:0 pts:0 pts_time:0\nlavfi.r128.I=-inf\nlavfi.r128.true_peaks_ch0=0');
+    assert.equal(envelope.integrated, -Infinity);
+    assert.equal(envelope.truePeak, -Infinity);
+});
+
+test('a file without frames is rejected', () => {
+    assert.throws(() => parseEnvelopeMetadata('lavfi.r128.M=-20'), /contains no frames/);
+});
@@ -0,0 +1,65 @@
+// Checks of the metadata carried through to the output: the ffmetadata file format with its
+// escaping and chapter timebases, and how source tags, entered tags and defaults are combined.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {parseFFMetadata, serializeFFMetadata} from '../public/js/src/ffmpeg/ffmetadata.js';
+import {mergeMetadata} from '../public/js/src/jobs/main/metadata.js';
+
+test('tags and chapters are read in their own timebase', () => {
+    const metadata = parseFFMetadata([
+        ';FFMETADATA1',
+        'title=Episode 12',
+        'comment=First line\\',
+        'second line',
+        'a\\=b=c\\;d',
+        '[STREAM]',
+        'handler_name=SoundHandler',
+        '[CHAPTER]',
+        'TIMEBASE=1/44100',
+        'START=0',
+        'END=88200',
+        'title=Intro',
+        '[CHAPTER]',
+        'START=2000000000',
+        'END=3000000000',
+        'title=Main',
+        '',
+    ].join('\r\n'));
+    assert.deepEqual(metadata, {
+        tags: {'title': 'Episode 12', 'comment': 'First line\nsecond line', 'a=b': 'c;d'},
+        chapters: [{start: 0, end: 2, title: 'Intro'}, {start: 2, end: 3, title: 'Main'}],
+    });
+});
+
+test('serializing and parsing again keeps every tag and chapter', () => {
+    const metadata = {
+        tags: {'title': 'Q&A #3; the = sign', 'comment': 'back\\slash\nnew line', 'album': ''},
+        chapters: [{start: 0, end: 61.5, title: 'Intro = welcome'}, {start: 61.5, end: 120, title: ''}],
+    };
+    const text = serializeFFMetadata(metadata);
+    assert.ok(text.startsWith(';FFMETADATA1\n'));
+    assert.ok(!text.includes('album='), 'empty tags are not written');
+    assert.match(text, /TIMEBASE=1\/1000\nSTART=61500\nEND=120000/);
+    const {album, ...tags} = metadata.tags;
+    assert.deepEqual(parseFFMetadata(text), {tags, chapters: metadata.chapters});
+});
+
+test('entered tags win, and the defaults only fill gaps', () => {
+    const source = {tags: {title: 'Source title', artist: 'Source artist'}, chapters: [{start: 0, end: 1, title: 'A'}], coverArt: null};
+    const merged = mergeMetadata(source, {mode: 'merge', tags: {title: 'Entered title', album: '  '}}, {artist: 'Default', genre: 'Podcast'});
+    assert.deepEqual(merged.tags, {title: 'Entered title', artist: 'Source artist', genre: 'Podcast'});
+    assert.equal(merged.chapters, source.chapters);
+});
+
+test('override mode drops the source tags but keeps the chapters and cover', () => {
+    const cover = {data: new Uint8Array([1]), mimeType: 'image/png', extension: 'png'};
+    const source = {tags: {title: 'Source title', artist: 'Source artist'}, chapters: [{start: 0, end: 1, title: 'A'}], coverArt: cover};
+    const merged = mergeMetadata(source, {mode: 'override', tags: {title: 'Entered'}});
+    assert.deepEqual(merged, {tags: {title: 'Entered'}, chapters: source.chapters, coverArt: cover});
+
+    const entered = {data: new Uint8Array([2]), mimeType: 'image/jpeg', extension: 'jpg'};
+    assert.equal(mergeMetadata(source, {coverArt: entered}).coverArt, entered);
+    assert.deepEqual(mergeMetadata(null, {tags: {}}), {tags: {}, chapters: [], coverArt: null});
+});
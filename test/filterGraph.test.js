@@ -0,0 +1,65 @@
+// Checks of the filter graphs: values are escaped for both levels of FFmpeg's filter syntax,
+// malformed nodes are rejected, and the filters a job needs are checked against the filter
+// list of the FFmpeg build.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    escapeFilterValue, filter, serializeFilter, serializeChain, serializeGraph,
+    registerAvailableFilters, findUnavailableFilters, assertFiltersAvailable
+} from '../public/js/src/ffmpeg/filterGraph.js';
+import {parseFFmpegFilters} from '../public/js/src/ffmpeg/parse/filters.js';
+
+test('values are escaped for the option and the graph level', () => {
+    assert.equal(escapeFilterValue('/models/std.rnnn'), '/models/std.rnnn');
+    assert.equal(escapeFilterValue("it's"), "it\\\\\\'s");
+    assert.equal(escapeFilterValue('a:b'), 'a\\\\:b');
+    assert.equal(escapeFilterValue('if(gt(t,1),1,0)'), 'if(gt(t\\,1)\\,1\\,0)');
+    assert.equal(escapeFilterValue('[x];y'), '\\[x\\]\\;y');
+    assert.equal(escapeFilterValue(-0.9), '-0.9');
+});
+
+test('nodes are written as chains and graphs', () => {
+    const chain = [filter('highpass', {f: 80}), filter('alimiter', {limit: 0.9, level: 'disabled'})];
+    assert.equal(serializeChain(chain), 'highpass=f=80,alimiter=limit=0.9:level=disabled');
+    assert.equal(serializeFilter(filter('anull')), 'anull');
+    assert.equal(serializeGraph([
+        [filter('atrim', {start_sample: 0}, {inputs: ['0:a'], outputs: ['c0']})],
+        [filter('concat', {n: 1, v: 0, a: 1}, {inputs: ['c0'], outputs: ['out']})],
+    ]), '[0:a]atrim=start_sample=0[c0];[c0]concat=n=1:v=0:a=1[out]');
+});
+
+test('malformed nodes are rejected', () => {
+    assert.throws(() => filter('high pass'), {name: 'FilterGraphError', message: /Invalid filter name/});
+    assert.throws(() => filter('volume', {'volume=2,anull': 1}), /Invalid option name/);
+    assert.throws(() => filter('volume', {volume: NaN}), /has the invalid value NaN/);
+    assert.throws(() => filter('volume', {volume: null}), /has the invalid value null/);
+    assert.throws(() => filter('anull', {}, {outputs: ['out];[x']}), /Invalid pad label/);
+});
+
+test('the filter list of the FFmpeg build is parsed with or without the command column', () => {
+    const filters = parseFFmpegFilters([
+        'Filters:',
+        '  T.. = Timeline support',
+        '  .S. = Slice threading',
+        '  ..C = Command support',
+        '  A = Audio input/output',
+        ' TSC afftdn            A->A       Denoise audio samples using FFT.',
+        ' ... anullsrc          |->A       Null audio source, return empty audio frames.',
+        ' T.. highpass          A->A       Apply a high-pass filter with 3dB point frequency.',
+    ].join('\n'));
+    assert.deepEqual(filters.map(({name, type}) => [name, type]), [['afftdn', 'Audio'], ['anullsrc', 'Source'], ['highpass', 'Audio']]);
+    assert.equal(filters[0].flags.sliceThreading, true);
+});
+
+test('missing filters are named, and nothing is checked without a filter list', () => {
+    registerAvailableFilters([]);
+    assert.deepEqual(findUnavailableFilters(['arnndn']), []);
+    registerAvailableFilters(['highpass', 'afftdn']);
+    assert.deepEqual(findUnavailableFilters(['highpass', 'arnndn', 'arnndn', 'deesser']), ['arnndn', 'deesser']);
+    assert.throws(() => assertFiltersAvailable(['highpass', 'arnndn']),
+        {name: 'FilterGraphError', message: 'This FFmpeg build lacks the filter arnndn, which the selected options need.'});
+    assert.doesNotThrow(() => assertFiltersAvailable(['afftdn']));
+    registerAvailableFilters([]);
+});
@@ -0,0 +1,36 @@
+// Checks of the output format selection: unknown formats and qualities fall back to the
+// defaults in config.js, and the tags are limited to what the container can store.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {getOutputFormat, getOutputQuality, getEncoderArgs, selectMetadataTags} from '../public/js/src/ffmpeg/formats.js';
+import {OUTPUT_FORMAT, OUTPUT_FORMATS} from '../public/js/config.js';
+
+test('an unknown format falls back to the default format', () => {
+    assert.equal(getOutputFormat('wma').id, OUTPUT_FORMAT);
+    assert.equal(getOutputFormat(undefined).id, OUTPUT_FORMAT);
+    assert.equal(getOutputFormat('flac').extension, 'flac');
+});
+
+test('an unknown quality falls back to the default quality of the format', () => {
+    assert.equal(getOutputQuality('opus', '1k').id, OUTPUT_FORMATS.opus.defaultQuality);
+    assert.equal(getOutputQuality('opus', '64k').id, '64k');
+});
+
+test('the encoder arguments are the codec followed by the quality', () => {
+    assert.deepEqual(getEncoderArgs('wav', 's24'), ['-c:a', 'pcm_s24le']);
+    assert.deepEqual(getEncoderArgs('opus', '64k'), ['-c:a', 'libopus', '-vbr', 'on', '-ar', '48000', '-b:a', '64k']);
+});
+
+test('every format has its default quality among its qualities', () => {
+    for (const [id, format] of Object.entries(OUTPUT_FORMATS)) {
+        assert.ok(format.qualities.some(q => q.id === format.defaultQuality), id);
+    }
+});
+
+test('tags are limited to the keys a container without free-form tags can store', () => {
+    const tags = {title: 'Episode 1', composer: 'Someone', comment: '', loudness_target: 'Custom'};
+    assert.deepEqual(selectMetadataTags('m4a', tags), {title: 'Episode 1'});
+    assert.deepEqual(selectMetadataTags('flac', tags), {title: 'Episode 1', composer: 'Someone', loudness_target: 'Custom'});
+});
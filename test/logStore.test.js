@@ -0,0 +1,51 @@
+// Checks of the log store: the level derived from each FFmpeg line, the filters of the console,
+// the tags of exported lines, and the cap on the number of records kept.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {LogStore, MAX_LOG_RECORDS, classifyLogLevel, createLogRecord, formatLogRecord, matchesLogFilter} from '../public/js/src/ffmpeg/logStore.js';
+
+test('the level is derived from the message', () => {
+    assert.equal(classifyLogLevel('size=  1024kB time=00:01:02.50 bitrate= 134.2kbits/s'), 'progress');
+    assert.equal(classifyLogLevel('Error while decoding stream #0:0'), 'error');
+    assert.equal(classifyLogLevel('[aac @ 0x1] Warning: clipping detected'), 'warning');
+    assert.equal(classifyLogLevel('Stream #0:0: Audio: pcm_s16le, 44100 Hz'), 'info');
+});
+
+test('records are filtered by chunk, pass, level and text', () => {
+    const main = createLogRecord('Input #0, wav');
+    const worker = createLogRecord('Error in loudnorm', {workerId: 1, chunkIndex: 3, pass: 2});
+    assert.ok(matchesLogFilter(main, {chunk: 'main'}));
+    assert.ok(!matchesLogFilter(worker, {chunk: 'main'}));
+    assert.ok(matchesLogFilter(worker, {chunk: '3', pass: '2', level: 'error', text: 'LOUDNORM'}));
+    assert.ok(!matchesLogFilter(worker, {chunk: '4'}));
+    assert.ok(!matchesLogFilter(worker, {pass: '1'}));
+    assert.ok(!matchesLogFilter(main, {text: 'loudnorm'}));
+});
+
+test('an exported line names the worker, chunk and pass', () => {
+    const timestamp = Date.UTC(2024, 0, 1, 12, 34, 56, 789);
+    assert.equal(formatLogRecord({...createLogRecord('done', {workerId: 2, chunkIndex: 0, pass: 4}), timestamp}),
+        '12:34:56.789 [W2 C0 P4] info: done');
+    assert.equal(formatLogRecord({...createLogRecord('done'), timestamp}), '12:34:56.789 [main] info: done');
+});
+
+test('worker records do not reach the parsed main-thread output', () => {
+    const store = new LogStore();
+    store.append('Input #0');
+    store.appendRecords([createLogRecord('from a worker', {workerId: 1})]);
+    assert.equal(store.get(), 'Input #0');
+    assert.equal(store.getRecords().length, 2);
+    store.clear();
+    assert.equal(store.get(), '');
+    assert.equal(store.getRecords().length, 2);
+});
+
+test('the oldest records are dropped beyond the cap', () => {
+    const store = new LogStore();
+    store.appendRecords(Array.from({length: MAX_LOG_RECORDS + 2}, (_, i) => createLogRecord(String(i))));
+    const records = store.getRecords();
+    assert.equal(records.length, MAX_LOG_RECORDS);
+    assert.equal(records[0].message, '2');
+});
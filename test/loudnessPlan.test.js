@@ -0,0 +1,73 @@
+// Checks of the whole-file loudness plan: the per-chunk measurements are aligned to file time,
+// combined with the BS.1770 gates, and turned into one gain and limiter ceiling.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {alignLoudnessStats, combineLoudnessStats, planLoudness} from '../public/js/src/jobs/main/loudnessPlan.js';
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} is not ${expected}`);
+
+/**
+ * @param {number[]} momentary - One value per frame; the frames start after both windows have filled.
+ * @param {number[]} shortTerm
+ * @param {number} [truePeak]
+ */
+const stats = (momentary, shortTerm, truePeak = -3) => ({
+    times: momentary.map((_, i) => 3 + i * 0.1),
+    momentary,
+    shortTerm,
+    truePeak,
+});
+
+test('a chunk measurement is cut to its own region and moved to file time', () => {
+    const chunk = {index: 1, sampleRate: 44100, startSample: 10 * 44100, preRollSamples: 5 * 44100, ownSamples: 10 * 44100};
+    const aligned = alignLoudnessStats({times: [1, 6, 14, 16], momentary: [-1, -2, -3, -4], shortTerm: [-5, -6, -7, -8], truePeak: -2}, chunk);
+    assert.deepEqual(aligned, {times: [11, 19], momentary: [-2, -3], shortTerm: [-6, -7], truePeak: -2});
+});
+
+test('the last chunk keeps everything after its pre-roll', () => {
+    const chunk = {index: 2, sampleRate: 48000, startSample: 20 * 48000, preRollSamples: 5 * 48000, ownSamples: null};
+    const aligned = alignLoudnessStats({times: [4, 5, 60], momentary: [-1, -2, -3], shortTerm: [-4, -5, -6], truePeak: -1}, chunk);
+    assert.deepEqual(aligned.times, [20, 75]);
+});
+
+test('quiet blocks below the relative gate do not lower the integrated loudness', () => {
+    const momentary = [...Array(90).fill(-20), ...Array(10).fill(-60)];
+    const measurement = combineLoudnessStats([stats(momentary, Array(100).fill(-20))]);
+    near(measurement.integrated, -20, 'integrated');
+    assert.ok(measurement.threshold > -31 && measurement.threshold < -30);
+});
+
+test('the loudness range spans the 10th to the 95th percentile of the short-term loudness', () => {
+    const shortTerm = [...Array(50).fill(-20), ...Array(50).fill(-14)];
+    const measurement = combineLoudnessStats([stats(Array(100).fill(-16), shortTerm)]);
+    near(measurement.lra, 6, 'lra');
+});
+
+test('the chunks are combined into one measurement with the highest true peak', () => {
+    const measurement = combineLoudnessStats([stats(Array(20).fill(-18), Array(20).fill(-18), -4), stats(Array(20).fill(-18), Array(20).fill(-18), -1.5)]);
+    near(measurement.integrated, -18, 'integrated');
+    assert.equal(measurement.truePeak, -1.5);
+    assert.equal(measurement.lra, 0);
+});
+
+test('a silent file has no integrated loudness', () => {
+    const measurement = combineLoudnessStats([stats(Array(10).fill(-120), Array(10).fill(-120), -Infinity)]);
+    assert.equal(measurement.integrated, -Infinity);
+    assert.equal(measurement.lra, 0);
+});
+
+test('the plan moves the integrated loudness onto the target under a ceiling at the true-peak maximum', () => {
+    const target = {preset: 'apple', I: -16, TP: -1, LRA: 11};
+    const plan = planLoudness({integrated: -23.5, truePeak: -6, lra: 7, threshold: -33.5}, target);
+    near(plan.gainDb, 7.5, 'gain');
+    near(plan.limit, Math.pow(10, -1 / 20), 'limit');
+    assert.equal(plan.target, target);
+});
+
+test('a silent file is passed through, and the ceiling stays in the range of alimiter', () => {
+    const plan = planLoudness({integrated: -Infinity, truePeak: -Infinity, lra: 0, threshold: -70}, {preset: 'custom', I: -16, TP: -30, LRA: 11});
+    assert.equal(plan.gainDb, 0);
+    assert.equal(plan.limit, 0.0625);
+});
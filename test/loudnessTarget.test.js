@@ -0,0 +1,33 @@
+// Checks of the loudness target resolution: presets use the values of config.js, and custom
+// values are clamped to the ranges loudnorm accepts.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {getLoudnessTarget, describeLoudnessTarget} from '../public/js/src/ffmpeg/loudnessTarget.js';
+import {DEFAULT_LOUDNESS_PRESET, LOUDNESS_PRESETS} from '../public/js/config.js';
+
+test('a preset uses its own values, whatever else is passed', () => {
+    assert.deepEqual(getLoudnessTarget({preset: 'apple', I: -5, TP: 0, LRA: 50}), {preset: 'apple', I: -16, TP: -1.0, LRA: 11});
+});
+
+test('an unknown or missing preset falls back to the default preset', () => {
+    const {I, TP, LRA} = LOUDNESS_PRESETS[DEFAULT_LOUDNESS_PRESET];
+    assert.deepEqual(getLoudnessTarget({preset: 'radio'}), {preset: DEFAULT_LOUDNESS_PRESET, I, TP, LRA});
+    assert.deepEqual(getLoudnessTarget(), {preset: DEFAULT_LOUDNESS_PRESET, I, TP, LRA});
+});
+
+test('custom values are clamped to the ranges of loudnorm', () => {
+    assert.deepEqual(getLoudnessTarget({preset: 'custom', I: -80, TP: 3, LRA: 0.5}), {preset: 'custom', I: -70, TP: 0, LRA: 1});
+    assert.deepEqual(getLoudnessTarget({preset: 'custom', I: -19, TP: -1.5, LRA: 8}), {preset: 'custom', I: -19, TP: -1.5, LRA: 8});
+});
+
+test('custom values that are not numbers use the default preset', () => {
+    const {I, TP, LRA} = LOUDNESS_PRESETS[DEFAULT_LOUDNESS_PRESET];
+    assert.deepEqual(getLoudnessTarget({preset: 'custom', I: NaN, TP: 'loud', LRA: undefined}), {preset: 'custom', I, TP, LRA});
+});
+
+test('a target is described with its name and values', () => {
+    assert.equal(describeLoudnessTarget(getLoudnessTarget({preset: 'apple'})), 'Apple Podcasts (-16 LUFS, -1 dBTP, LRA 11 LU)');
+    assert.equal(describeLoudnessTarget({preset: 'custom', I: -19, TP: -1.5, LRA: 8}), 'Custom (-19 LUFS, -1.5 dBTP, LRA 8 LU)');
+});
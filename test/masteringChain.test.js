@@ -0,0 +1,46 @@
+// Checks of the filter chains built from the chain parameters: a bypassed stage is left out,
+// the stages with a toggle follow it, and the thresholds follow the RMS level of the chunk.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {getMasteringChain, buildCleanupFilters, buildMasteringFilters} from '../public/js/src/ffmpeg/masteringChain.js';
+import {serializeChain} from '../public/js/src/ffmpeg/filterGraph.js';
+
+const options = (chain = {}, toggles = {}) => ({
+    gate: false, clarity: false, tonal: false, softClip: false, neuralDenoise: false, neuralDenoiseModel: 'std',
+    ...toggles,
+    chain: getMasteringChain(chain),
+});
+
+const names = (filters) => filters.map(node => node.name);
+
+test('the default cleanup reproduces the fixed chain', () => {
+    assert.equal(serializeChain(buildCleanupFilters('stereo', 44100, options())),
+        'aformat=channel_layouts=stereo,highpass=f=80,afftdn=nf=-25,deesser=i=0:m=0.5:f=0.5');
+});
+
+test('a bypassed cleanup stage is left out', () => {
+    const filters = buildCleanupFilters('mono', 44100, options({highPass: {bypass: true}, deesser: {bypass: true}}));
+    assert.deepEqual(names(filters), ['aformat', 'afftdn']);
+});
+
+test('the mastering stages follow their toggles and bypass flags', () => {
+    assert.deepEqual(names(buildMasteringFilters(-20, options())), ['adynamicequalizer', 'adynamicequalizer', 'alimiter']);
+    assert.deepEqual(names(buildMasteringFilters(-20, options({demud: {bypass: true}}, {gate: true, softClip: true}))),
+        ['adynamicequalizer', 'alimiter', 'agate', 'asoftclip']);
+    assert.deepEqual(names(buildMasteringFilters(-20, options({}, {clarity: true, tonal: true}))).slice(3),
+        ['equalizer', 'equalizer', 'equalizer', 'equalizer']);
+});
+
+test('a chain with every stage bypassed still has a filter', () => {
+    const filters = buildMasteringFilters(-20, options({demud: {bypass: true}, sibilance: {bypass: true}, limiter: {bypass: true}}));
+    assert.equal(serializeChain(filters), 'anull');
+});
+
+test('the de-mud and gate thresholds follow the RMS level', () => {
+    const [demud, , limiter, gate] = buildMasteringFilters(-24, options({demud: {thresholdOffset: 4}, gate: {thresholdOffset: -16}, limiter: {ceiling: -2}}, {gate: true}));
+    assert.equal(demud.params.threshold, -20);
+    assert.equal(limiter.params.limit, Math.pow(10, -2 / 20).toFixed(4));
+    assert.ok(Math.abs(gate.params.threshold - Math.pow(10, -40 / 20)) < 1e-12);
+});
@@ -0,0 +1,113 @@
+// Checks of the probe: the input description FFmpeg prints is parsed into streams, chapters
+// and tags, and the channel policies decide the layout the audio is mastered in.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {parseMediaInfo, countLayoutChannels} from '../public/js/src/ffmpeg/parse/mediaInfo.js';
+import {resolveChannelMapping, describeChannelMapping, getChannelPolicy} from '../public/js/src/ffmpeg/channelLayout.js';
+import {DEFAULT_CHANNEL_POLICY, OUTPUT_FORMATS} from '../public/js/config.js';
+
+const PROBE_LOG = `ffmpeg version 5.1.4 Copyright (c) 2000-2023 the FFmpeg developers
+Input #0, mov,mp4,m4a,3gp,3g2,mj2, from 'in.m4a':
+  Metadata:
+    major_brand     : M4A
+    title           : Episode 12
+    comment         : First line
+                    : Second line
+  Duration: 00:41:30.05, start: 0.000000, bitrate: 129 kb/s
+  Chapters:
+    Chapter #0:0: start 0.000000, end 90.500000
+      Metadata:
+        title           : Intro
+  Stream #0:0[0x1](eng): Audio: aac (LC) (mp4a / 0x6134706D), 44100 Hz, 5.1(side), fltp, 125 kb/s (default)
+    Metadata:
+      handler_name    : SoundHandler
+  Stream #0:1[0x0]: Video: mjpeg (Baseline), yuvj420p(pc), 600x600, 90k tbr (attached pic)
+Stream mapping:
+  Stream #0:0 -> #0:0 (copy)
+Output #0, null, to 'pipe:':
+  Stream #0:0(eng): Audio: aac (LC), 44100 Hz, stereo, fltp
+size=N/A time=00:41:30.02 bitrate=N/A speed= 512x`;
+
+test('the input description is parsed into streams, chapters and tags', () => {
+    const info = parseMediaInfo(PROBE_LOG);
+    assert.equal(info.format, 'mov,mp4,m4a,3gp,3g2,mj2');
+    assert.equal(info.bitRate, 129);
+    assert.deepEqual(info.tags, {major_brand: 'M4A', title: 'Episode 12', comment: 'First line\nSecond line'});
+    assert.deepEqual(info.chapters, [{start: 0, end: 90.5, tags: {title: 'Intro'}}]);
+    assert.equal(info.streams.length, 2, 'the output section is not parsed');
+
+    const [audio, cover] = info.streams;
+    assert.equal(audio.codec, 'aac');
+    assert.equal(audio.profile, 'LC');
+    assert.equal(audio.language, 'eng');
+    assert.equal(audio.sampleRate, 44100);
+    assert.equal(audio.channelLayout, '5.1(side)');
+    assert.equal(audio.channels, 6);
+    assert.equal(audio.sampleFormat, 'fltp');
+    assert.equal(audio.bitDepth, 32);
+    assert.equal(audio.bitRate, 125);
+    assert.deepEqual(audio.tags, {handler_name: 'SoundHandler'});
+    assert.equal(cover.type, 'Video');
+    assert.equal(cover.attachedPicture, true);
+});
+
+test('the duration of the packets read is preferred to the header', () => {
+    const info = parseMediaInfo(PROBE_LOG);
+    assert.equal(info.durationSource, 'packets');
+    assert.ok(Math.abs(info.duration - 2490.02) < 1e-6);
+
+    const headerOnly = parseMediaInfo(PROBE_LOG.split('\nsize=')[0]);
+    assert.equal(headerOnly.durationSource, 'container');
+    assert.ok(Math.abs(headerOnly.duration - 2490.05) < 1e-6);
+});
+
+test('the bit depth printed with the sample format wins', () => {
+    const info = parseMediaInfo(`Input #0, wav, from 'in.wav':
+  Duration: 00:00:10.00, bitrate: 2116 kb/s
+  Stream #0:0: Audio: pcm_s24le ([1][0][0][0] / 0x0001), 44100 Hz, 2 channels, s32 (24 bit), 2116 kb/s`);
+    const [stream] = info.streams;
+    assert.equal(stream.channelLayout, '2 channels');
+    assert.equal(stream.channels, 2);
+    assert.equal(stream.sampleFormat, 's32');
+    assert.equal(stream.bitDepth, 24);
+});
+
+test('the channels of named, counted and custom layouts are counted', () => {
+    assert.equal(countLayoutChannels('mono(left)'), 1);
+    assert.equal(countLayoutChannels('7.1(wide)'), 8);
+    assert.equal(countLayoutChannels('3 channels (FL+FR+LFE)'), 3);
+    assert.equal(countLayoutChannels('FL+FR+LFE'), 3);
+    assert.equal(countLayoutChannels('ambisonic 1'), null);
+});
+
+test('the automatic policy masters mono as mono and everything else as stereo', () => {
+    const {mp3} = OUTPUT_FORMATS;
+    assert.equal(getChannelPolicy('unknown'), DEFAULT_CHANNEL_POLICY);
+    assert.deepEqual(resolveChannelMapping({channels: 1, channelLayout: 'mono'}, 'auto', mp3),
+        {policy: 'auto', channelLayout: 'mono', channels: 1, action: 'keep', warning: null});
+    const surround = {channels: 6, channelLayout: '5.1(side)'};
+    const mapping = resolveChannelMapping(surround, 'auto', mp3);
+    assert.equal(mapping.action, 'downmix');
+    assert.equal(describeChannelMapping(surround, mapping), '5.1(side) → stereo (downmix)');
+    assert.equal(resolveChannelMapping({channels: 1, channelLayout: 'mono'}, 'stereo', mp3).action, 'upmix');
+});
+
+test('keeping all channels falls back to stereo where the format cannot store them', () => {
+    const surround = {channels: 6, channelLayout: '5.1(side)'};
+    const kept = resolveChannelMapping(surround, 'preserve', OUTPUT_FORMATS.flac);
+    assert.deepEqual([kept.channelLayout, kept.channels, kept.action, kept.warning], ['5.1(side)', 6, 'keep', null]);
+
+    const folded = resolveChannelMapping(surround, 'preserve', OUTPUT_FORMATS.mp3);
+    assert.equal(folded.channelLayout, 'stereo');
+    assert.match(folded.warning, /MP3 cannot store all of its channels/);
+
+    const relabelled = resolveChannelMapping({channels: 6, channelLayout: '6 channels'}, 'preserve', OUTPUT_FORMATS.flac);
+    assert.equal(relabelled.channelLayout, '5.1');
+    assert.equal(describeChannelMapping({channelLayout: '6 channels'}, relabelled), '6 channels → 5.1 (relabelled)');
+
+    const unknown = resolveChannelMapping({channels: null, channelLayout: 'ambisonic 1'}, 'preserve', OUTPUT_FORMATS.flac);
+    assert.equal(unknown.channelLayout, 'stereo');
+    assert.match(unknown.warning, /was not recognised/);
+});
@@ -0,0 +1,46 @@
+// Checks of the saved metadata defaults: only the tags shared by every episode are saved, a
+// cover image survives the round trip unless it is too large, and unreadable data is ignored.
+// localStorage is replaced by an in-memory stand-in.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {loadMetadataDefaults, saveMetadataDefaults} from '../public/js/src/ui/metadataDefaults.js';
+import {METADATA_DEFAULTS_STORAGE_KEY, MAX_SAVED_COVER_BYTES} from '../public/js/config.js';
+
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: key => storage.has(key) ? storage.get(key) : null,
+    setItem: (key, value) => storage.set(key, String(value)),
+};
+
+test('nothing saved loads as empty defaults', () => {
+    storage.clear();
+    assert.deepEqual(loadMetadataDefaults(), {tags: {}, coverArt: null});
+});
+
+test('only the tags shared by every episode are saved', () => {
+    storage.clear();
+    saveMetadataDefaults({tags: {title: 'Episode 12', artist: 'Host', album: '', show: 'The Show'}, coverArt: null});
+    assert.deepEqual(loadMetadataDefaults(), {tags: {artist: 'Host', show: 'The Show'}, coverArt: null});
+});
+
+test('the cover image survives the round trip', () => {
+    storage.clear();
+    const coverArt = {data: Uint8Array.from({length: 70000}, (_, i) => i % 256), mimeType: 'image/png', extension: 'png'};
+    assert.deepEqual(saveMetadataDefaults({tags: {}, coverArt}), {savedCover: true});
+    assert.deepEqual(loadMetadataDefaults().coverArt, coverArt);
+});
+
+test('a cover image that is too large is left out', () => {
+    storage.clear();
+    const coverArt = {data: new Uint8Array(MAX_SAVED_COVER_BYTES + 1), mimeType: 'image/jpeg', extension: 'jpg'};
+    assert.deepEqual(saveMetadataDefaults({tags: {artist: 'Host'}, coverArt}), {savedCover: false});
+    assert.deepEqual(loadMetadataDefaults(), {tags: {artist: 'Host'}, coverArt: null});
+});
+
+test('unreadable defaults are ignored', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    storage.set(METADATA_DEFAULTS_STORAGE_KEY, '{not json');
+    assert.deepEqual(loadMetadataDefaults(), {tags: {}, coverArt: null});
+});
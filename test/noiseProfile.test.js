@@ -0,0 +1,55 @@
+// Checks of the learned noise profile: the options are clamped, the quietest stretch skips
+// digital silence, a marked region stays inside the file, and the cleanup chain plays the
+// sample to afftdn before the audio and cuts it off again.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    resolveNoiseProfileOptions, usesNoiseProfile, findQuietestRegion, chooseNoiseRegion
+} from '../public/js/src/jobs/main/noiseProfile.js';
+import {getMasteringChain, buildCleanupFilters, buildCleanupArgs} from '../public/js/src/ffmpeg/masteringChain.js';
+import {ENVELOPE_FLOOR_DB} from '../public/js/src/ffmpeg/parse/envelope.js';
+import {DEFAULT_NOISE_SAMPLE_DURATION, NOISE_SAMPLE_DURATION_RANGE} from '../public/js/config.js';
+
+const envelope = (rms) => ({interval: 0.1, rms});
+
+test('the options fall back to the defaults and are clamped', () => {
+    assert.deepEqual(resolveNoiseProfileOptions({mode: 'learn'}), {mode: 'off', start: 0, duration: DEFAULT_NOISE_SAMPLE_DURATION});
+    assert.deepEqual(resolveNoiseProfileOptions({mode: 'manual', start: -3, duration: 60}),
+        {mode: 'manual', start: 0, duration: NOISE_SAMPLE_DURATION_RANGE[1]});
+});
+
+test('a bypassed noise reduction learns no profile', () => {
+    const chain = getMasteringChain({denoise: {bypass: true}});
+    assert.equal(usesNoiseProfile({noiseProfile: {mode: 'auto'}, chain}), false);
+    assert.equal(usesNoiseProfile({noiseProfile: {mode: 'auto'}, chain: getMasteringChain()}), true);
+    assert.equal(usesNoiseProfile({noiseProfile: {mode: 'off'}, chain: getMasteringChain()}), false);
+});
+
+test('the quietest stretch skips digital silence', () => {
+    const rms = [-20, ENVELOPE_FLOOR_DB, ENVELOPE_FLOOR_DB, -20, -62, -60, -61, -20, -55, -55, -55];
+    assert.deepEqual(findQuietestRegion(envelope(rms), 0.3), {start: 0.4, duration: 0.3});
+    assert.equal(findQuietestRegion(envelope([-20, ENVELOPE_FLOOR_DB, -20]), 0.3), null);
+});
+
+test('a marked region is moved inside the file, and auto mode needs noise', () => {
+    assert.deepEqual(chooseNoiseRegion({mode: 'manual', start: 9.5, duration: 2}, null, 10), {start: 8, duration: 2});
+    assert.throws(() => chooseNoiseRegion({mode: 'auto', start: 0, duration: 1}, envelope([ENVELOPE_FLOOR_DB]), 10),
+        /No stretch of noise without digital silence/);
+});
+
+test('the cleanup chain learns from the sample and cuts it off again', () => {
+    const options = {neuralDenoise: false, chain: getMasteringChain({denoise: {noiseFloor: -40}})};
+    const sample = {path: '/work/noise_sample.wav', samples: 48000, duration: 1};
+    const filters = buildCleanupFilters('stereo', 48000, options, sample);
+    assert.deepEqual(buildCleanupArgs('/work/in.wav', filters, sample), [
+        '-i', '/work/in.wav', '-i', '/work/noise_sample.wav', '-filter_complex',
+        '[1:a][0:a]concat=n=2:v=0:a=1,aformat=channel_layouts=stereo,highpass=f=80,'
+        + 'asendcmd=c=0 afftdn sn start,asendcmd=c=1 afftdn sn stop,afftdn=nf=-40,'
+        + 'atrim=start_sample=48000,asetpts=expr=PTS-STARTPTS,deesser=i=0:m=0.5:f=0.5',
+    ]);
+
+    const fixed = buildCleanupFilters('stereo', 48000, options, null);
+    assert.equal(buildCleanupArgs('/work/in.wav', fixed, null)[2], '-af');
+});
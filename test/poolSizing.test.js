@@ -0,0 +1,22 @@
+// Checks of the pool sizing: as many workers as fit into the memory budget next to the
+// main-thread instance, no more than there are cores, and never fewer than the minimum.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {computePoolSize} from '../public/js/src/jobs/poolSizing.js';
+import {MIN_POOL_SIZE} from '../public/js/config.js';
+
+test('the main-thread instance takes one share of the memory budget', () => {
+    assert.equal(computePoolSize(1024, 4096, 16), 3);
+    assert.equal(computePoolSize(500, 4096, 16), 7);
+});
+
+test('the pool has no more workers than cores', () => {
+    assert.equal(computePoolSize(256, 8192, 4), 4);
+});
+
+test('a budget too small for one worker still gets the minimum', () => {
+    assert.equal(computePoolSize(1024, 1024, 8), MIN_POOL_SIZE);
+    assert.equal(computePoolSize(1024, 4096, 0), MIN_POOL_SIZE);
+});
@@ -0,0 +1,88 @@
+// Checks of the mastering presets: the presets of the app validate, preset files survive the
+// round trip and are rejected with every problem listed, chains are completed and clamped, and
+// saved presets are listed after those of the app. localStorage is replaced by an in-memory
+// stand-in.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {validatePresetSettings, exportPreset, parsePreset} from '../public/js/src/util/presetFormat.js';
+import {getMasteringChain, getDefaultMasteringChain} from '../public/js/src/ffmpeg/masteringChain.js';
+import {listPresets, saveUserPreset, deleteUserPreset, getPreset} from '../public/js/src/ui/masteringPresets.js';
+import {MASTERING_PRESETS, MASTERING_PRESETS_STORAGE_KEY, PRESET_FILE_FORMAT, PRESET_FILE_VERSION} from '../public/js/config.js';
+
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: key => storage.has(key) ? storage.get(key) : null,
+    setItem: (key, value) => storage.set(key, String(value)),
+};
+
+const settings = MASTERING_PRESETS.soloMicTreated.settings;
+
+test('the presets of the app are valid', () => {
+    for (const [key, preset] of Object.entries(MASTERING_PRESETS)) {
+        assert.deepEqual(validatePresetSettings(preset.settings), [], key);
+    }
+});
+
+test('an exported preset is read back as it was', () => {
+    const text = exportPreset({name: 'My room', settings});
+    assert.equal(JSON.parse(text).version, PRESET_FILE_VERSION);
+    assert.deepEqual(parsePreset(text), {name: 'My room', settings});
+});
+
+test('a preset file is rejected with every problem listed', () => {
+    const invalid = {
+        ...settings,
+        loudness: {preset: 'custom', I: -100, TP: -1, LRA: 11},
+        stages: {...settings.stages, gate: 'yes'},
+        chain: {highPass: {frequency: 5000, slope: 2}, reverb: {}},
+        outputQuality: '999k',
+    };
+    const text = JSON.stringify({format: PRESET_FILE_FORMAT, version: 1, name: 'Broken', settings: invalid});
+    assert.throws(() => parsePreset(text), (error) => {
+        assert.equal(error.name, 'PresetFormatError');
+        assert.deepEqual(error.message.split('\n').slice(1), [
+            "The loudness target's I must be a number from -70 to -5.",
+            'The stage "gate" must be true or false.',
+            'The High-Pass Filter frequency must be a number from 20 to 300.',
+            'Unknown High-Pass Filter parameter "slope".',
+            'Unknown filter stage "reverb".',
+            'Unknown MP3 quality "999k".',
+        ]);
+        return true;
+    });
+});
+
+test('files that are not presets, or of a newer version, are rejected', () => {
+    assert.throws(() => parsePreset('{'), /not valid JSON/);
+    assert.throws(() => parsePreset('{"format": "other"}'), /not a mastering preset/);
+    assert.throws(() => parsePreset(JSON.stringify({format: PRESET_FILE_FORMAT, version: PRESET_FILE_VERSION + 1, name: 'Next', settings})),
+        /saved by a newer version/);
+    assert.throws(() => parsePreset(JSON.stringify({format: PRESET_FILE_FORMAT, version: 1, name: '  ', settings})), /needs a name/);
+});
+
+test('a partial chain is completed with the defaults and clamped to the ranges', () => {
+    const chain = getMasteringChain({highPass: {frequency: 5000}, denoise: {noiseFloor: 'loud'}, limiter: {bypass: true}, reverb: {mix: 1}});
+    const defaults = getDefaultMasteringChain();
+    assert.equal(chain.highPass.frequency, 300);
+    assert.equal(chain.denoise.noiseFloor, defaults.denoise.noiseFloor);
+    assert.equal(chain.limiter.bypass, true);
+    assert.equal(chain.highPass.bypass, false);
+    assert.ok(!('bypass' in chain.gate), 'a stage with a toggle has no bypass flag');
+    assert.ok(!('reverb' in chain));
+});
+
+test('saved presets are listed after those of the app, and can be deleted', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    storage.set(MASTERING_PRESETS_STORAGE_KEY, JSON.stringify({Outdated: {stages: {}}}));
+    const id = saveUserPreset({name: 'Zoom call', settings});
+    saveUserPreset({name: 'Booth', settings});
+    const presets = listPresets();
+    assert.deepEqual(presets.slice(-2).map(preset => preset.id), ['user:Booth', 'user:Zoom call'], 'invalid presets are skipped');
+    assert.equal(presets.filter(preset => preset.builtIn).length, Object.keys(MASTERING_PRESETS).length);
+    deleteUserPreset('builtin:phoneCall');
+    deleteUserPreset(id);
+    assert.equal(getPreset(id), undefined);
+    assert.ok(getPreset('builtin:phoneCall'));
+});
@@ -0,0 +1,36 @@
+// Checks of the preview cache: the key ignores the order of the options and the metadata but
+// changes with the file, the range and any audio option, and the least recently used excerpt
+// is dropped first.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {PreviewCache, previewCacheKey} from '../public/js/src/jobs/previewCache.js';
+
+const file = {name: 'episode.wav', size: 1024, lastModified: 1700000000000};
+const range = {start: 60, duration: 30};
+
+test('the key ignores the order of the options and the metadata', () => {
+    const key = previewCacheKey(file, range, {loudness: {I: -16, TP: -1}, format: 'mp3', metadata: {tags: {title: 'A'}}});
+    assert.equal(previewCacheKey(file, range, {format: 'mp3', loudness: {TP: -1, I: -16}, metadata: {tags: {title: 'B'}}}), key);
+});
+
+test('the key changes with the file, the range and the audio options', () => {
+    const options = {format: 'mp3', loudness: {I: -16, TP: -1}};
+    const key = previewCacheKey(file, range, options);
+    assert.notEqual(previewCacheKey({...file, lastModified: 1}, range, options), key);
+    assert.notEqual(previewCacheKey(file, {...range, start: 90}, options), key);
+    assert.notEqual(previewCacheKey(file, range, {...options, loudness: {I: -14, TP: -1}}), key);
+});
+
+test('the least recently used excerpt is dropped first', () => {
+    const cache = new PreviewCache(2);
+    cache.set('a', {id: 'a'});
+    cache.set('b', {id: 'b'});
+    assert.deepEqual(cache.get('a'), {id: 'a'});
+    cache.set('c', {id: 'c'});
+    assert.equal(cache.get('b'), undefined);
+    assert.deepEqual([...cache.entries.keys()], ['a', 'c']);
+    cache.clear();
+    assert.equal(cache.get('a'), undefined);
+});
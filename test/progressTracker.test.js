@@ -0,0 +1,40 @@
+// Checks of the step progress: chunks are weighted by their duration, progress never moves
+// backwards, and the remaining time is only estimated once enough time has passed.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {ProgressTracker} from '../public/js/src/jobs/progressTracker.js';
+
+test('the progress of the step is weighted by the duration of the chunks', () => {
+    const tracker = new ProgressTracker([300, 100]);
+    tracker.complete(1);
+    tracker.update(0, 0.5);
+    assert.equal(tracker.snapshot().progress, (150 + 100) / 400);
+});
+
+test('a retried chunk does not move the progress backwards', () => {
+    const tracker = new ProgressTracker([10]);
+    tracker.update(0, 0.8);
+    tracker.update(0, 0.1);
+    assert.deepEqual(tracker.snapshot().chunks, [{state: 'running', progress: 0.8}]);
+});
+
+test('a failed chunk counts as finished', () => {
+    const tracker = new ProgressTracker([10, 10]);
+    tracker.fail(0);
+    const {progress, chunks} = tracker.snapshot();
+    assert.equal(progress, 0.5);
+    assert.equal(chunks[0].state, 'failed');
+});
+
+test('the remaining time is extrapolated from the speed so far', () => {
+    const tracker = new ProgressTracker([300, 300]);
+    assert.equal(tracker.snapshot().eta, null);
+    tracker.complete(0);
+    assert.equal(tracker.snapshot().eta, null, 'too early to estimate');
+    tracker.startTime = performance.now() - 10000;
+    const {speed, eta} = tracker.snapshot();
+    assert.ok(Math.abs(speed - 30) < 0.1, `speed ${speed}`);
+    assert.ok(Math.abs(eta - 10) < 0.1, `eta ${eta}`);
+});
@@ -0,0 +1,81 @@
+// Checks of the mastering report: the level summary of an envelope, the chunk rows of a run,
+// the survival of unmeasured levels through JSON, and the escaping of the printable page.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {summarizeEnvelope, buildMasteringReport, updateReportOutput} from '../public/js/src/jobs/main/report.js';
+import {planLoudness} from '../public/js/src/jobs/main/loudnessPlan.js';
+import {exportReport, renderReportTables, describeVerification} from '../public/js/src/util/reportFormats.js';
+import {ENVELOPE_FLOOR_DB} from '../public/js/src/ffmpeg/parse/envelope.js';
+import {getOutputFormat} from '../public/js/src/ffmpeg/formats.js';
+
+const envelope = (rms, integrated = -16) => ({interval: 0.1, peak: [], rms, momentary: [], shortTerm: [], integrated, lra: 4, truePeak: -1.2});
+
+const passed = {status: 'passed', corrected: false, integrated: -16, truePeak: -1.2, lra: 4, failures: [], notes: []};
+
+const createReport = () => {
+    const target = {preset: 'custom', I: -16, TP: -1, LRA: 11};
+    const chunk = (index, start, own) => ({index, sampleRate: 48000, startSample: start * 48000, preRollSamples: 0, ownSamples: own === null ? null : own * 48000});
+    return buildMasteringReport({
+        file: {name: 'Q&A <live>.wav', size: 2 * 1024 * 1024},
+        inputDuration: 450,
+        outputDuration: 440,
+        options: {gate: true, clarity: false, tonal: true, softClip: false, neuralDenoise: false, neuralDenoiseModel: 'std', chain: {}, channelPolicy: 'auto', silence: {mode: 'compress'}, outputQuality: 'v2'},
+        outputFormat: getOutputFormat('mp3'),
+        loudnessPlan: planLoudness({integrated: -23, truePeak: -6, lra: 7, threshold: -33}, target),
+        chunks: [chunk(0, 0, 300), chunk(1, 300, null)],
+        chunkStats: [{times: [3, 3.1], momentary: [-23, -23], shortTerm: [-23, -23], truePeak: -6}, null],
+        chunkResults: [{rmsLevel: -18.5, filters: {correction: 'volume=7dB', mastering: 'acompressor'}}, null],
+        envelopes: {input: envelope([-30, ENVELOPE_FLOOR_DB], -Infinity), output: null},
+        silencePlan: {removedDuration: 10, cuts: [{}, {}]},
+        verification: passed,
+        warnings: ['Chunk 1 was not mastered.'],
+        executionTime: 45000,
+    });
+};
+
+test('the RMS level averages the power and the noise floor skips digital silence', () => {
+    const summary = summarizeEnvelope(envelope([-20, -30, ENVELOPE_FLOOR_DB]));
+    assert.ok(Math.abs(summary.rms - 10 * Math.log10((0.01 + 0.001 + 1e-9) / 3)) < 1e-9);
+    assert.equal(summary.noiseFloor, -30);
+    assert.deepEqual(summarizeEnvelope(envelope([ENVELOPE_FLOOR_DB], -Infinity)),
+        {integrated: null, truePeak: -1.2, lra: 4, rms: null, noiseFloor: null});
+    assert.equal(summarizeEnvelope(null), null);
+});
+
+test('every chunk is reported, including one that fell back', () => {
+    const report = createReport();
+    assert.deepEqual(report.chunks.map(({index, start, duration, status}) => [index, start, duration, status]),
+        [[0, 0, 300, 'mastered'], [1, 300, 150, 'fallback']]);
+    assert.equal(report.chunks[1].input, null);
+    assert.equal(report.processing.correctionFilter, 'volume=7dB');
+    assert.equal(report.processing.cuts, 2);
+    assert.equal(report.speed, 10);
+    assert.equal(report.output.quality, 'VBR V2 (~190 kbps)');
+});
+
+test('unmeasured levels survive the round trip through JSON', () => {
+    const report = createReport();
+    assert.equal(report.levels.input.integrated, null);
+    assert.deepEqual(JSON.parse(exportReport(report, 'json')), report);
+});
+
+test('a corrected output replaces the output levels and the verification', () => {
+    const report = createReport();
+    const corrected = {...passed, corrected: true};
+    const updated = updateReportOutput(report, envelope([-16]), corrected);
+    assert.equal(updated.levels.output.integrated, -16);
+    assert.equal(updated.levels.input, report.levels.input);
+    assert.match(describeVerification(updated.verification), /^Meets the target after correction: -16\.0 LUFS/);
+});
+
+test('the printable page escapes the file name and shows the fallback chunk', () => {
+    const report = createReport();
+    const page = exportReport(report, 'html');
+    assert.match(page, /<title>Mastering Report: Q&amp;A &lt;live&gt;\.wav<\/title>/);
+    assert.ok(!page.includes('<live>'));
+    assert.match(renderReportTables(report), /Not mastered; loudness-normalized only/);
+    assert.match(renderReportTables(report), /2 shortened, 10\.0 s removed/);
+    assert.throws(() => exportReport(report, 'pdf'), {name: 'ReportFormatError'});
+});
@@ -0,0 +1,60 @@
+// Checks of the neural denoise: the committed models match the SHA-256 declared in config.js,
+// a model is downloaded once and written to every FFmpeg instance that lacks it, and the audio
+// is resampled around arnndn. FFmpeg and fetch are replaced by stand-ins.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createHash} from 'node:crypto';
+import {readFileSync} from 'node:fs';
+
+import {resolveRnnoiseModel, getRnnoiseModelPath, loadRnnoiseModel} from '../public/js/src/ffmpeg/rnnoiseModels.js';
+import {getMasteringChain, buildCleanupFilters} from '../public/js/src/ffmpeg/masteringChain.js';
+import {RNNOISE_MODELS, DEFAULT_RNNOISE_MODEL} from '../public/js/config.js';
+
+/** An FFmpeg instance with an in-memory filesystem. */
+const stubFFmpeg = () => {
+    const files = new Map();
+    return {
+        files,
+        createDir: async () => {},
+        listDir: async (dir) => [...files.keys()].filter(path => path.startsWith(`${dir}/`)).map(path => ({name: path.slice(dir.length + 1)})),
+        writeFile: async (path, data) => { files.set(path, data); },
+    };
+};
+
+test('the committed models match their declared SHA-256', () => {
+    for (const [key, model] of Object.entries(RNNOISE_MODELS)) {
+        const data = readFileSync(new URL(`../public/models/rnnoise/${model.file}`, import.meta.url));
+        assert.equal(createHash('sha256').update(data).digest('hex'), model.sha256, key);
+    }
+});
+
+test('an unknown model falls back to the default model', () => {
+    assert.equal(resolveRnnoiseModel('bd'), DEFAULT_RNNOISE_MODEL);
+    assert.equal(getRnnoiseModelPath(undefined), `/models/${RNNOISE_MODELS[DEFAULT_RNNOISE_MODEL].file}`);
+});
+
+test('a failed download is tried again, and a model is downloaded once per thread', async (t) => {
+    const responses = [new Response('', {status: 404}), new Response(new Uint8Array([1, 2, 3]))];
+    const fetch = t.mock.method(globalThis, 'fetch', async () => responses.shift());
+    const first = stubFFmpeg();
+    await assert.rejects(loadRnnoiseModel(first, 'std'), {name: 'RnnoiseModelError', message: /could not be loaded .*\(status 404\)/});
+    const path = await loadRnnoiseModel(first, 'std');
+    assert.equal(path, '/models/std.rnnn');
+
+    const second = stubFFmpeg();
+    await loadRnnoiseModel(second, 'std');
+    await loadRnnoiseModel(second, 'std');
+    assert.equal(fetch.mock.callCount(), 2);
+    assert.deepEqual(second.files.get(path), new Uint8Array([1, 2, 3]));
+    assert.notEqual(first.files.get(path), second.files.get(path), 'every instance gets its own copy');
+});
+
+test('the audio is resampled around the neural denoise', () => {
+    const options = {neuralDenoise: true, neuralDenoiseModel: 'std', chain: getMasteringChain({neuralDenoise: {mix: 0.8}})};
+    const names = (sampleRate) => buildCleanupFilters('mono', sampleRate, options).map(node => node.name);
+    assert.deepEqual(names(44100), ['aformat', 'highpass', 'afftdn', 'aresample', 'arnndn', 'aresample', 'deesser']);
+    assert.deepEqual(names(48000), ['aformat', 'highpass', 'afftdn', 'arnndn', 'deesser']);
+    const arnndn = buildCleanupFilters('mono', 48000, options).find(node => node.name === 'arnndn');
+    assert.deepEqual(arnndn.params, {m: '/models/std.rnnn', mix: 0.8});
+});
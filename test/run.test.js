@@ -0,0 +1,53 @@
+// Checks of the cancellation of FFmpeg commands: an aborted signal stops a command before it
+// starts, and aborting a running command terminates the instance. FFmpeg is replaced by a
+// stand-in.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {runFFmpeg, createAbortError, isAbortError} from '../public/js/src/ffmpeg/run.js';
+
+/**
+ * @param {(args: string[], signal?: AbortSignal) => Promise<number>} exec
+ */
+const stubFFmpeg = (exec) => ({
+    terminated: false,
+    exec: (args, timeout, {signal} = {}) => exec(args, signal),
+    terminate() { this.terminated = true; },
+});
+
+test('a cancellation is told apart from a failure', () => {
+    assert.ok(isAbortError(createAbortError()));
+    assert.ok(!isAbortError(new Error('failed')));
+    assert.ok(!isAbortError(null));
+});
+
+test('a command is not started once the signal is aborted', async () => {
+    let started = false;
+    const ffmpeg = stubFFmpeg(async () => { started = true; return 0; });
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(runFFmpeg(ffmpeg, ['-version'], null, controller.signal), {name: 'AbortError'});
+    assert.equal(started, false);
+});
+
+test('aborting a running command terminates the instance', async () => {
+    const controller = new AbortController();
+    const ffmpeg = stubFFmpeg((args, signal) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('called FFmpeg.terminate()')));
+    }));
+    const run = runFFmpeg(ffmpeg, ['-i', 'in.wav', 'out.wav'], null, controller.signal);
+    controller.abort();
+    await assert.rejects(run, {name: 'AbortError'});
+    assert.equal(ffmpeg.terminated, true);
+});
+
+test('a failing command is an FFmpegExecutionError that names the command', async () => {
+    const ffmpeg = stubFFmpeg(async () => 1);
+    await assert.rejects(runFFmpeg(ffmpeg, ['-i', 'in.wav', 'out.wav'], null), (error) => {
+        assert.equal(error.name, 'FFmpegExecutionError');
+        assert.match(error.message, /ffmpeg -i in\.wav out\.wav/);
+        return true;
+    });
+    assert.equal(ffmpeg.terminated, false);
+});
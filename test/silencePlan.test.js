@@ -0,0 +1,80 @@
+// Checks of the dead-air trimming: the regions silencedetect reports are combined across chunks,
+// pauses are shortened around their middle and the edges trimmed to a padding, and times move
+// between the unshortened and the shortened file.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {parseSilenceMetadata} from '../public/js/src/ffmpeg/parse/silence.js';
+import {
+    alignSilenceRegions, combineSilenceRegions, resolveSilenceOptions, planSilence,
+    mapSilenceTime, unmapSilenceTime, mapSilenceChapters
+} from '../public/js/src/jobs/main/silencePlan.js';
+import {DEFAULT_MAX_PAUSE, MAX_PAUSE_RANGE} from '../public/js/config.js';
+
+const SAMPLE_RATE = 48000;
+
+/** Rounds the times of the cuts, which lie on a grid of 10 ms. */
+const roundCuts = (cuts) => cuts.map(({start, end, outputTime}) =>
+    [start, end, outputTime].map(time => Math.round(time * 1000) / 1000));
+
+test('a silence still running at the end of the audio ends with it', () => {
+    const content = [
+        'frame:49 pts:49152 pts_time:1.024',
+        'lavfi.silence_start=-0.01',
+        'frame:96 pts:98304 pts_time:2.048',
+        'lavfi.silence_end=2.04',
+        'lavfi.silence_duration=2.05',
+        'frame:480 pts:491520 pts_time:10.24',
+        'lavfi.silence_start=9.5',
+    ].join('\n');
+    assert.deepEqual(parseSilenceMetadata(content, 12), [{start: 0, end: 2.04}, {start: 9.5, end: 12}]);
+});
+
+test('a silence across a chunk boundary becomes one region', () => {
+    const second = {startSample: 300 * SAMPLE_RATE, preRollSamples: 5 * SAMPLE_RATE, ownSamples: 300 * SAMPLE_RATE, sampleRate: SAMPLE_RATE};
+    // In chunk time, the chunk starts 5 s before its own audio; the overlap is reported by the neighbours.
+    const aligned = alignSilenceRegions([{start: 0, end: 3}, {start: 4, end: 7}, {start: 303, end: 306}], second);
+    assert.deepEqual(aligned, [{start: 300, end: 302}, {start: 598, end: 600}]);
+    assert.deepEqual(combineSilenceRegions([[{start: 295, end: 300}], aligned]), [
+        {start: 295, end: 302},
+        {start: 598, end: 600},
+    ]);
+});
+
+test('the options fall back to the defaults and the maximum pause is clamped', () => {
+    assert.deepEqual(resolveSilenceOptions({mode: 'unknown'}), {mode: 'off', maxPause: DEFAULT_MAX_PAUSE});
+    assert.deepEqual(resolveSilenceOptions({mode: 'compress', maxPause: 100}), {mode: 'compress', maxPause: MAX_PAUSE_RANGE[1]});
+});
+
+test('pauses are shortened around their middle and the edges trimmed to the padding', () => {
+    const regions = [{start: 0, end: 2}, {start: 10, end: 15}, {start: 20, end: 21}, {start: 57, end: 60}];
+    const plan = planSilence(regions, 60, SAMPLE_RATE, {mode: 'compress', maxPause: 1.5});
+    assert.equal(plan.frameSamples, 480);
+    assert.deepEqual(roundCuts(plan.cuts), [[0, 1.75, 0], [10.75, 14.25, 9], [57.25, 60, 52]], 'a short pause is kept');
+    assert.ok(Math.abs(plan.removedDuration - 8) < 1e-9);
+    plan.cuts.forEach(cut => assert.equal(cut.endFrame - cut.startFrame, Math.round((cut.end - cut.start) * 100)));
+});
+
+test('only the compress mode cuts, and a silent file is left as it is', () => {
+    assert.deepEqual(planSilence([{start: 10, end: 15}], 60, SAMPLE_RATE, {mode: 'detect'}).cuts, []);
+    assert.deepEqual(planSilence([{start: 0, end: 60}], 60, SAMPLE_RATE, {mode: 'compress'}).cuts, []);
+});
+
+test('times and chapters move to the shortened file and back', () => {
+    const {cuts} = planSilence([{start: 0, end: 2}, {start: 10, end: 15}], 60, SAMPLE_RATE, {mode: 'compress', maxPause: 1.5});
+    const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+    close(mapSilenceTime(1, cuts), 0);
+    close(mapSilenceTime(12, cuts), 9);
+    close(mapSilenceTime(20, cuts), 14.75);
+    close(unmapSilenceTime(14.75, cuts), 20);
+    close(unmapSilenceTime(9, cuts), 14.25);
+
+    const chapters = mapSilenceChapters([
+        {start: 0, end: 1.5, title: 'Silence'},
+        {start: 1.5, end: 12, title: 'Intro'},
+        {start: 12, end: 60, title: 'Main'},
+    ], cuts);
+    assert.deepEqual(chapters.map(chapter => chapter.title), ['Intro', 'Main']);
+    close(chapters[1].start, 9);
+});
@@ -0,0 +1,73 @@
+// Regression checks for the loudness verification, run on `ametadata=mode=print` output of the
+// envelope analysis (ebur128 + astats) of 1 kHz sines. ebur128 reports the true peaks as linear
+// amplitudes, e.g. `true_peaks_ch0=0.062` for a sine at 0.0625; the parsers convert them to dBFS.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {readFileSync} from 'node:fs';
+
+import {parseEnvelopeMetadata} from '../public/js/src/ffmpeg/parse/envelope.js';
+import {parseEbur128Metadata} from '../public/js/src/ffmpeg/parse/ebur128.js';
+import {verifyLoudness, needsReview, buildCorrectionChain} from '../public/js/src/jobs/main/verification.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+test('the true peak of the envelope is in dBFS', () => {
+    const envelope = parseEnvelopeMetadata(fixture('sine-0.6dBFS.ametadata.txt'));
+    assert.ok(Math.abs(envelope.truePeak - 20 * Math.log10(0.937)) < 0.01);
+});
+
+test('the true peak of the loudness stats is in dBFS', () => {
+    const stats = parseEbur128Metadata(fixture('sine-24dBFS.ametadata.txt'));
+    assert.ok(Math.abs(stats.truePeak - 20 * Math.log10(0.062)) < 0.01);
+});
+
+test('a file below the true-peak maximum passes verification', () => {
+    const envelope = parseEnvelopeMetadata(fixture('sine-24dBFS.ametadata.txt'));
+    const verification = verifyLoudness(envelope, {preset: 'custom', I: -27, TP: -1, LRA: 11});
+    assert.equal(verification.status, 'passed', verification.failures.join(' '));
+});
+
+test('a file above the true-peak maximum fails verification', () => {
+    const envelope = parseEnvelopeMetadata(fixture('sine-0.6dBFS.ametadata.txt'));
+    const verification = verifyLoudness(envelope, {preset: 'custom', I: -3.6, TP: -1, LRA: 11});
+    assert.equal(verification.status, 'failed');
+    assert.match(verification.failures[0], /^True peak is -0\.6 dBFS/);
+});
+
+test('the loudness range is reported against the target', () => {
+    const envelope = parseEnvelopeMetadata(fixture('sine-24dBFS.ametadata.txt'));
+    const verification = verifyLoudness(envelope, {preset: 'custom', I: -27, TP: -1, LRA: 11});
+    assert.equal(verification.lra, 0);
+    assert.equal(verification.target.LRA, 11);
+    assert.deepEqual(verification.notes, []);
+});
+
+test('a loudness range above the target is noted without failing verification', () => {
+    const envelope = {...parseEnvelopeMetadata(fixture('sine-24dBFS.ametadata.txt')), lra: 14.2};
+    const verification = verifyLoudness(envelope, {preset: 'custom', I: -27, TP: -1, LRA: 11});
+    assert.equal(verification.status, 'passed', verification.failures.join(' '));
+    assert.match(verification.notes[0], /^Loudness range is 14\.2 LU, above the target of 11 LU/);
+});
+
+test('a file that cannot be measured is unverified, not failed', () => {
+    const target = {preset: 'custom', I: -16, TP: -1, LRA: 11};
+    assert.equal(verifyLoudness(null, target).status, 'unverified');
+    assert.equal(verifyLoudness({integrated: -Infinity, truePeak: -Infinity, lra: 0}, target).status, 'unverified');
+});
+
+test('a failed file is held back until it is corrected or accepted', () => {
+    const failed = verifyLoudness({integrated: -18.4, truePeak: -0.2, lra: 5}, {preset: 'custom', I: -16, TP: -1, LRA: 11});
+    assert.deepEqual(failed.failures, [
+        'Integrated loudness is -18.4 LUFS, 2.4 LU below the target of -16 LUFS.',
+        'True peak is -0.2 dBFS, above the maximum of -1 dBTP.',
+    ]);
+    assert.equal(needsReview(failed), true);
+    assert.equal(needsReview({...failed, accepted: true}), false);
+    assert.equal(needsReview(null), false);
+});
+
+test('the correction moves the loudness onto the target and limits below the true-peak maximum', () => {
+    const failed = verifyLoudness({integrated: -18.4, truePeak: -0.2, lra: 5}, {preset: 'custom', I: -16, TP: -1, LRA: 11});
+    assert.match(buildCorrectionChain(failed), /^volume=volume=2\.40dB,alimiter=limit=0\.8414:/);
+});
@@ -0,0 +1,130 @@
+// Checks of the recovery of the worker pool: failed and crashed jobs are retried on other
+// workers, jobs are told apart by their own id rather than their chunk index, and terminating
+// the pool settles every job. The Web Worker is replaced by a stand-in whose jobs are answered
+// by the test.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+// The pool reads the device from the browser globals, which Node does not have.
+globalThis.navigator ??= {hardwareConcurrency: 4};
+globalThis.self ??= globalThis;
+
+/** @type {FakeWorker[]} Every worker the pool has created, in order. */
+let workers = [];
+/** @type {(worker: FakeWorker, message: object) => void} Answers the jobs posted to the workers. */
+let answer = () => {};
+
+class FakeWorker {
+    constructor() {
+        this.terminated = false;
+        workers.push(this);
+    }
+
+    postMessage(message) {
+        setImmediate(() => {
+            if (this.terminated) return;
+            if (message.command === 'init') {
+                this.onmessage({data: {status: 'ready'}});
+            } else {
+                answer(this, message);
+            }
+        });
+    }
+
+    reply(data) {
+        if (!this.terminated) this.onmessage({data});
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+globalThis.Worker = FakeWorker;
+
+const {WorkerPool} = await import('../public/js/src/jobs/workerPool.js');
+
+const createPool = async (maxSize = 2) => {
+    workers = [];
+    const pool = new WorkerPool('worker.js', maxSize, {minSize: maxSize, idleTimeout: 0, maxRetries: 2, retryDelay: 0});
+    await pool.initialize({});
+    return pool;
+};
+
+test('a job that fails is retried on another worker', async () => {
+    const pool = await createPool();
+    const attempts = [];
+    answer = (worker, {chunkIndex}) => {
+        attempts.push(worker.id);
+        worker.reply(attempts.length === 1
+            ? {status: 'error', chunkIndex, error: {message: 'Invalid data found'}}
+            : {status: 'success', chunkIndex, processed: true});
+    };
+    const result = await pool.dispatch({chunkIndex: 3});
+    assert.deepEqual(result, {chunkIndex: 3, processed: true});
+    assert.equal(attempts.length, 2);
+    assert.notEqual(attempts[0], attempts[1]);
+    pool.terminate();
+});
+
+test('a job that fails every attempt is rejected with the worker log', async () => {
+    const pool = await createPool();
+    let attempts = 0;
+    answer = (worker, {chunkIndex}) => {
+        attempts++;
+        worker.reply({status: 'error', chunkIndex, error: {message: 'Invalid data found', log: 'Error while decoding'}});
+    };
+    await assert.rejects(pool.dispatch({chunkIndex: 5}), (error) => {
+        assert.equal(error.name, 'ChunkJobError');
+        assert.equal(error.chunkIndex, 5);
+        assert.match(error.message, /failed after 3 attempt\(s\)/);
+        assert.equal(error.workerLog, 'Error while decoding');
+        return true;
+    });
+    assert.equal(attempts, 3);
+    pool.terminate();
+});
+
+test('a worker that crashes is replaced, and its job is retried', async () => {
+    const pool = await createPool(1);
+    let crashed = false;
+    answer = (worker, {chunkIndex}) => {
+        if (!crashed) {
+            crashed = true;
+            worker.onerror({message: 'Uncaught RuntimeError: unreachable', preventDefault() {}});
+            return;
+        }
+        worker.reply({status: 'success', chunkIndex});
+    };
+    assert.deepEqual(await pool.dispatch({chunkIndex: 0}), {chunkIndex: 0});
+    assert.equal(workers.length, 2);
+    assert.equal(workers[0].terminated, true);
+    pool.terminate();
+});
+
+test('cancelling a job leaves another job of the same chunk index running', async () => {
+    const pool = await createPool();
+    const pending = [];
+    answer = (worker, message) => pending.push(() => worker.reply({status: 'success', chunkIndex: message.chunkIndex, run: message.run}));
+    const controller = new AbortController();
+    const cancelled = pool.dispatch({chunkIndex: 0, run: 'preview'}, null, null, controller.signal);
+    const kept = pool.dispatch({chunkIndex: 0, run: 'master'});
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort();
+    await assert.rejects(cancelled, {name: 'AbortError'});
+    pending.forEach(reply => reply());
+    assert.deepEqual(await kept, {chunkIndex: 0, run: 'master'});
+    pool.terminate();
+});
+
+test('terminating the pool rejects the running and the queued jobs', async () => {
+    const pool = await createPool(1);
+    answer = () => {};
+    const running = pool.dispatch({chunkIndex: 0});
+    const queued = pool.dispatch({chunkIndex: 1});
+    await new Promise(resolve => setImmediate(resolve));
+    pool.terminate();
+    await assert.rejects(running, /the worker pool was terminated/);
+    await assert.rejects(queued, /the worker pool was terminated/);
+    await assert.rejects(pool.dispatch({chunkIndex: 2}), /the worker pool was terminated/);
+});
@@ -0,0 +1,66 @@
+// Checks of the ZIP writer: the archive is read back through its central directory, the stored
+// entries carry their CRC-32, and archives beyond the 32-bit limits are refused up front.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {createZip} from '../public/js/src/util/zip.js';
+
+/**
+ * Reads the entries of a stored (uncompressed) archive through its central directory.
+ * @param {Blob} archive
+ * @returns {Promise<{name: string, crc: number, data: string}[]>}
+ */
+const readZip = async (archive) => {
+    const bytes = new Uint8Array(await archive.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054B50);
+    const count = view.getUint16(end + 10, true);
+    let record = view.getUint32(end + 16, true);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(record, true), 0x02014B50);
+        const size = view.getUint32(record + 24, true);
+        const nameLength = view.getUint16(record + 28, true);
+        const local = view.getUint32(record + 42, true);
+        assert.equal(view.getUint32(local, true), 0x04034B50);
+        const dataStart = local + 30 + view.getUint16(local + 26, true);
+        entries.push({
+            name: new TextDecoder().decode(bytes.subarray(record + 46, record + 46 + nameLength)),
+            crc: view.getUint32(record + 16, true),
+            data: new TextDecoder().decode(bytes.subarray(dataStart, dataStart + size)),
+        });
+        record += 46 + nameLength;
+    }
+    return entries;
+};
+
+test('the entries are stored with their names, contents and CRC-32', async () => {
+    const archive = await createZip([
+        {name: 'check.txt', data: new Blob(['123456789'])},
+        {name: 'épisode 1.mp3', data: new Blob(['mastered audio'])},
+        {name: 'empty.wav', data: new Blob([])},
+    ]);
+    assert.equal(archive.type, 'application/zip');
+    const entries = await readZip(archive);
+    assert.deepEqual(entries.map(e => [e.name, e.data]), [['check.txt', '123456789'], ['épisode 1.mp3', 'mastered audio'], ['empty.wav', '']]);
+    // The check value of CRC-32 for the ASCII digits 1 to 9.
+    assert.equal(entries[0].crc, 0xCBF43926);
+    assert.equal(entries[2].crc, 0);
+});
+
+test('a file beyond 4 GiB is refused before any of it is read', async () => {
+    const huge = {size: 2 ** 32, slice() { throw new Error('read'); }};
+    await assert.rejects(createZip([{name: 'long.wav', data: huge}]), {name: 'ZipSizeError'});
+});
+
+test('files that add up to more than 4 GiB are refused', async () => {
+    const large = {size: 2 ** 31, slice() { throw new Error('read'); }};
+    await assert.rejects(createZip([{name: 'a.wav', data: large}, {name: 'b.wav', data: large}]), {name: 'ZipSizeError'});
+});
+
+test('more files than the 16-bit entry count holds are refused', async () => {
+    const entries = Array.from({length: 0x10000}, (_, i) => ({name: `${i}.mp3`, data: new Blob([])}));
+    await assert.rejects(createZip(entries), {name: 'ZipSizeError'});
+});